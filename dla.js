@@ -5,6 +5,12 @@
  * ======
  * 
  * Main program module for Delilah Viewer.
+ * 
+ * In a browser, this module is loaded with a script tag and declares
+ * its exports in a global "dla_main" object.  In Node.js, or any other
+ * environment with CommonJS modules, the same exports are assigned to
+ * module.exports instead, so the engine can be loaded with require()
+ * or imported as the default export of an ES module.
  */
 
 // Wrap everything in an anonymous function that we immediately invoke
@@ -460,351 +466,619 @@
   };
   
   /*
-   * Constants
-   * =========
+   * Post-multiply this matrix by another matrix.
+   * 
+   * b is either another Matrix or an array of 16 numbers holding a 4x4
+   * matrix in row-major order, in the same row vector convention as
+   * this class.  Note that a matrix stored in column-major order for
+   * column vectors, such as the matrix of a glTF node, has exactly the
+   * same array of numbers, so it can be passed as-is.
+   * 
+   * This function does NOT check that the result is finite, nor does it
+   * check that the parameter is finite.
+   * 
+   * Parameters:
+   * 
+   *   b : Matrix | array - the matrix to post-multiply to this one
    */
+  Matrix.prototype.multiply = function(b) {
+    
+    var func_name = "multiply";
+    
+    // Check parameters
+    if (b instanceof Matrix) {
+      b = b._m.slice(0);
+    } else if (!(b instanceof Array)) {
+      this._fault(func_name, 100);
+    }
+    
+    // Modify this matrix
+    this._mul(b);
+  };
   
   /*
-   * String containing each of the allowed shape codes for point styles.
+   * Post-multiply this matrix by a rotation matrix given by a
+   * quaternion.
+   * 
+   * (x, y, z, w) is the quaternion, where w is the scalar part.  It
+   * should be a unit quaternion.  The rotation turns the same way as
+   * the rotateX(), rotateY(), and rotateZ() functions, so that the
+   * quaternion (sin(r/2), 0, 0, cos(r/2)) gives the same matrix as
+   * rotateX(r).
+   * 
+   * This function does NOT check that the result is finite, nor does it
+   * check that the parameters are finite or that the quaternion has
+   * unit length.
+   * 
+   * Parameters:
+   * 
+   *   x : number - the X component of the quaternion
+   * 
+   *   y : number - the Y component of the quaternion
+   * 
+   *   z : number - the Z component of the quaternion
+   * 
+   *   w : number - the scalar component of the quaternion
    */
-  var VALID_SHAPES = "csmudlrpx";
+  Matrix.prototype.rotateQuat = function(x, y, z, w) {
+    
+    var func_name = "rotateQuat";
+    
+    // Check parameters
+    if ((typeof x !== "number") ||
+        (typeof y !== "number") ||
+        (typeof z !== "number") ||
+        (typeof w !== "number")) {
+      this._fault(func_name, 100);
+    }
+    
+    // Modify this matrix
+    this._mul([
+      1 - (2 * ((y * y) + (z * z))),
+      2 * ((x * y) + (z * w)),
+      2 * ((x * z) - (y * w)),
+      0,
+      
+      2 * ((x * y) - (z * w)),
+      1 - (2 * ((x * x) + (z * z))),
+      2 * ((y * z) + (x * w)),
+      0,
+      
+      2 * ((x * z) + (y * w)),
+      2 * ((y * z) - (x * w)),
+      1 - (2 * ((x * x) + (y * y))),
+      0,
+      
+      0, 0, 0, 1
+    ]);
+  };
   
   /*
-   * String containing each of the shape codes that permit a fill
-   * property.
+   * SvgContext class
+   * ================
    */
-  var FILL_SHAPES = "csmudlr";
   
   /*
-   * Local data
-   * ==========
+   * Constructor.
+   * 
+   * Invoke as "new SvgContext(w, h)"
+   * 
+   * An SvgContext implements the subset of the CanvasRenderingContext2D
+   * interface that renderScene() uses, but instead of drawing pixels it
+   * records each fill and stroke as an element of an SVG document.
+   * Elements are recorded in the order they are drawn, so the painter's
+   * algorithm works the same way as on a canvas.  Use getDocument() to
+   * get the finished SVG document.
+   * 
+   * Paths may only use moveTo(), lineTo(), closePath(), rect(), and
+   * arc().  Colors are written into the document exactly as they were
+   * assigned to fillStyle and strokeStyle, so they must be CSS color
+   * strings that SVG also understands, such as "rgb(r, g, b)".  The
+   * only exception is "rgba(r, g, b, a)", which is written as an
+   * "rgb(r, g, b)" color with a separate opacity attribute, since SVG
+   * 1.1 has no colors with alpha.  The fill style may also be a radial
+   * gradient from createRadialGradient(), which is written as a gradient
+   * definition just before the element that uses it.
+   * 
+   * Parameters:
+   * 
+   *   w : integer - the width in pixels of the document
+   * 
+   *   h : integer - the height in pixels of the document
    */
+  function SvgContext(w, h) {
+    
+    var func_name = "constructor";
+    
+    // Check parameters
+    if ((typeof w !== "number") || (typeof h !== "number")) {
+      this._fault(func_name, 100);
+    }
+    
+    w = Math.floor(w);
+    h = Math.floor(h);
+    
+    if ((!isFinite(w)) || (!isFinite(h)) || (w < 1) || (h < 1)) {
+      this._fault(func_name, 101);
+    }
+    
+    // Drawing state, with the same defaults as a canvas
+    this.fillStyle = "rgb(0, 0, 0)";
+    this.strokeStyle = "rgb(0, 0, 0)";
+    this.lineWidth = 1.0;
+    this.lineCap = "butt";
+    this.lineJoin = "miter";
+    this.miterLimit = 10.0;
+    
+    // Document size
+    this._w = w;
+    this._h = h;
+    
+    // The current path as SVG path data, and a flag indicating whether
+    // the path has a current point
+    this._path = "";
+    this._pt = false;
+    
+    // Array of recorded SVG element strings
+    this._out = [];
+    
+    // Number of gradient definitions written, used to make their IDs
+    this._grads = 0;
+  }
   
   /*
-   * The background color.
+   * Report an error to console and throw an exception for a fault
+   * occurring within this SvgContext class.
    * 
-   * This is what the canvas is cleared to before any scene objects are
-   * rendered.
+   * Parameters:
    * 
-   * This is an array of three integers in range [0, 255] that represent
-   * the R G B color channels.
+   *   func_name : string - the name of the function in this class
+   * 
+   *   loc : number(int) - the location within the function
    */
-  var m_bgcolor = [170, 170, 170];
+  SvgContext.prototype._fault = function(func_name, loc) {
+    
+    // If parameters not valid, set to unknown:0
+    if ((typeof func_name !== "string") || (typeof loc !== "number")) {
+      func_name = "unknown";
+      loc = 0;
+    }
+    loc = Math.floor(loc);
+    if (!isFinite(loc)) {
+      loc = 0;
+    }
+    
+    // Report error to console
+    console.log("Fault at " + func_name + ":" + String(loc) +
+                  " in dla_main:SvgContext");
+    
+    // Throw exception
+    throw ("dla_main:SvgContext:" + func_name + ":" + String(loc));
+  };
   
   /*
-   * The 3D position of the camera.
+   * Private function that converts a coordinate to a string for use in
+   * the SVG document.
    * 
-   * The first three numbers are the (X, Y, Z) coordinate of the camera
-   * in worldspace.
+   * The value is rounded to two decimal places, which is far below the
+   * size of a pixel, and written without trailing zeros.
    * 
-   * The fourth number is the yaw angle about the Y axis.  An angle of
-   * zero means that the camera is looking towards negative infinity on
-   * the Z axis (right-handed).  When looking down at the camera along
-   * the Y axis from above it, increasing yaw angles rotate the camera
-   * counter-clockwise.  The range of the yaw angle is normalized, such
-   * that 0.0 is zero degrees/radians and 1.0 is 360 degrees or 2*PI
-   * radians.  The valid range of the fourth number is zero up to but
-   * excluding 1.0.
+   * Parameters:
    * 
-   * The fifth number is the pitch about the X axis.  An angle of zero
-   * means that the camera is level with the XZ plane.  Positive angles
-   * tilt the camera upwards, while negative angles tilt the camera
-   * downwards.  The range of the tilt angle is normalized such that 1.0
-   * is 90 degrees or PI/2 radians, looking straight up, and -1.0 is -90
-   * degrees or -PI/2 radians, looking straight down.
+   *   x : number - the coordinate
    * 
-   * The sixth number is the roll about the Z axis.  An angle of zero
-   * means that the camera is level with the XZ plane.  Increasing
-   * angles tilt the camera counter-clockwise.  The range of the roll
-   * angle is normalized, such that 0.0 is zero degrees/radians and 1.0
-   * is 360 degrees or 2*PI radians.  The valid range of the sixth
-   * number is zero up to but excluding 1.0.
+   * Return:
+   * 
+   *   the coordinate as a string
    */
-  var m_cam = [0.0, 0.0, 0.0, 0.0, 0.0, 0.0];
+  SvgContext.prototype._num = function(x) {
+    
+    var func_name = "_num";
+    
+    // Check parameter
+    if ((typeof x !== "number") || (!isFinite(x))) {
+      this._fault(func_name, 100);
+    }
+    
+    // Round to two decimal places, avoiding a negative zero
+    x = Math.round(x * 100) / 100;
+    if (x === 0) {
+      x = 0;
+    }
+    
+    return String(x);
+  };
   
   /*
-   * The 3D projection.
+   * Private function that returns the attributes for a CSS color.
    * 
-   * The first number is the field of view angle of the vertical axis.
-   * It is normalized so that 0.0 means zero degrees/radians and 1.0
-   * means 180 degrees/PI radians.  Value must be greater than zero and
-   * less than one.
+   * Colors with alpha in "rgba(r, g, b, a)" form are split into an
+   * "rgb(r, g, b)" color and an opacity attribute.
    * 
-   * The second number is the near plane Z location.  It must be less
-   * than one divided by the tangent of half the field of view angle.
+   * Parameters:
    * 
-   * The third number is the far plane Z location.  It must be less than
-   * the near plane Z location.
+   *   attr : string - the color attribute name, such as "fill"
+   * 
+   *   oattr : string - the opacity attribute name, such as
+   *   "fill-opacity"
+   * 
+   *   style : string - the CSS color
+   * 
+   * Return:
+   * 
+   *   string of SVG attributes, with a leading space
    */
-  var m_proj = [0.25, 0.0, -100.0];
+  SvgContext.prototype._color = function(attr, oattr, style) {
+    
+    var m;
+    
+    m = /^rgba\(([^,]+),([^,]+),([^,]+),([^,)]+)\)$/.exec(String(style));
+    if (m === null) {
+      return " " + attr + "=\"" + String(style) + "\"";
+    }
+    
+    return " " + attr + "=\"rgb(" + m[1].trim() + ", " + m[2].trim() +
+              ", " + m[3].trim() + ")\"" +
+            " " + oattr + "=\"" + m[4].trim() + "\"";
+  };
   
   /*
-   * The error message from the last failure of loadScene(), or false
-   * if no error message stored.
+   * Private function that returns the attributes for painting with a
+   * fill or stroke style.
+   * 
+   * If the style is a gradient, its definition is recorded first, and
+   * the attribute refers to it.  Otherwise, the style is a CSS color.
+   * 
+   * Parameters:
+   * 
+   *   attr : string - the attribute name, "fill" or "stroke"
+   * 
+   *   style : string | SvgGradient - the CSS color or the gradient
+   * 
+   * Return:
+   * 
+   *   string of SVG attributes, with a leading space
    */
-  var m_errmsg = false;
+  SvgContext.prototype._paint = function(attr, style) {
+    
+    var id, i, g;
+    
+    if (!(style instanceof SvgGradient)) {
+      return this._color(attr, attr + "-opacity", style);
+    }
+    
+    // Record the gradient definition, with the inner circle as the
+    // focal point and the outer circle as the gradient circle
+    this._grads++;
+    id = "g" + String(this._grads);
+    g = "<defs><radialGradient id=\"" + id + "\"" +
+          " gradientUnits=\"userSpaceOnUse\"" +
+          " cx=\"" + this._num(style._c[3]) + "\"" +
+          " cy=\"" + this._num(style._c[4]) + "\"" +
+          " r=\"" + this._num(style._c[5]) + "\"" +
+          " fx=\"" + this._num(style._c[0]) + "\"" +
+          " fy=\"" + this._num(style._c[1]) + "\">";
+    for(i = 0; i < style._stops.length; i++) {
+      g = g + "<stop offset=\"" + String(style._stops[i][0]) + "\"" +
+            this._color("stop-color", "stop-opacity", style._stops[i][1]) +
+            "/>";
+    }
+    this._out.push(g + "</radialGradient></defs>");
+    
+    return " " + attr + "=\"url(#" + id + ")\"";
+  };
   
   /*
-   * Flag indicating whether a scene is loaded.
+   * Private function that returns the attributes for a stroke with the
+   * current stroke style, line width, line cap, and line join.
+   * 
+   * Return:
+   * 
+   *   string of SVG attributes, with a leading space
    */
-  var m_loaded = false;
+  SvgContext.prototype._strokeAttr = function() {
+    
+    return this._paint("stroke", this.strokeStyle) +
+            " stroke-width=\"" + this._num(this.lineWidth) + "\"" +
+            " stroke-linecap=\"" + String(this.lineCap) + "\"" +
+            " stroke-linejoin=\"" + String(this.lineJoin) + "\"";
+  };
   
   /*
-   * The vertex buffer.
-   * 
-   * Only available if m_loaded.
-   * 
-   * This is a Float64Array with (n * 3) elements, where n is in the
-   * range [1, 65535].  Each three elements is the (X, Y, Z) coordinate
-   * of a vertex.  Vertex n starts at index (n * 3), where vertex zero
-   * is the first vertex in the array.
+   * Begin a new, empty path.
    */
-  var m_vtx;
+  SvgContext.prototype.beginPath = function() {
+    
+    this._path = "";
+    this._pt = false;
+  };
   
   /*
-   * Transformed vertex buffer.
+   * Begin a new subpath at the given point.
    * 
-   * Only available if m_loaded.
+   * Parameters:
    * 
-   * This is a Float64Array with the same number of elements as m_vtx.
-   * At the start of a rendering operation, all vertices in m_vtx will
-   * be transformed according to the current view matrix and the
-   * transformed results will be stored in this array.  The
-   * transformation does NOT include projection, however.
+   *   x : number - the X coordinate
+   * 
+   *   y : number - the Y coordinate
    */
-  var m_tvx;
+  SvgContext.prototype.moveTo = function(x, y) {
+    
+    this._path = this._path + "M" + this._num(x) + " " + this._num(y);
+    this._pt = true;
+  };
   
   /*
-   * Projected vertex buffer.
+   * Add a straight line from the current point to the given point.
    * 
-   * Only available if m_loaded.
+   * If the path has no current point, this is the same as moveTo().
    * 
-   * This is a Float64Array with the same number of elements as m_tvx.
-   * During a rendering operation, this will be filled with projection
-   * transformed vertices.
+   * Parameters:
+   * 
+   *   x : number - the X coordinate
+   * 
+   *   y : number - the Y coordinate
    */
-  var m_pvx;
+  SvgContext.prototype.lineTo = function(x, y) {
+    
+    if (this._pt) {
+      this._path = this._path + "L" + this._num(x) + " " + this._num(y);
+    } else {
+      this.moveTo(x, y);
+    }
+  };
   
   /*
-   * The radius buffer.
-   * 
-   * Only available if m_loaded.
-   * 
-   * This is a Float64Array with up to 65535 elements.  It may be empty.
-   * Each element must be a finite value that is greater than zero.
-   * Sphere objects reference elements in this array to declare their
-   * radius.
+   * Close the current subpath.
    */
-  var m_rad;
+  SvgContext.prototype.closePath = function() {
+    
+    if (this._pt) {
+      this._path = this._path + "Z";
+    }
+  };
   
   /*
-   * The scene object array.
-   * 
-   * Only available if m_loaded.
+   * Add a closed rectangle subpath.
    * 
-   * This is a Uint16Array with (n * 5) elements, where n is in the
-   * range [1, 65535].  Each five elements define a 3D object in the
-   * scene, as described below.  Object n starts at index (n * 5), where
-   * object zero is the first object in the array.
+   * Parameters:
    * 
-   * The five 16-bit words have the following meaning:
+   *   x : number - the X coordinate of the top-left corner
    * 
-   *   1 : vertex index of first vertex
-   *   2 : vertex index of second vertex, or 0xffff if point or sphere
-   *   3 : index of third vertex or radius, or 0xffff if point or line
-   *   4 : fill color if triangle or sphere, else ignored
-   *   5 : style (see below)
+   *   y : number - the Y coordinate of the top-left corner
    * 
-   * The object can be a point (one vertex), a line (two vertices), a
-   * sphere (one vertex and one radius) or a triangle (three vertices).
-   * All indices that are not 0xffff are indices into the vertex buffer,
-   * except the radius index for spheres is an index into the radius
-   * buffer.
+   *   w : number - the width
    * 
-   * The fill color for triangles is in 15-bit HiColor format with most
-   * significant bit zero, as follows:
+   *   h : number - the height
+   */
+  SvgContext.prototype.rect = function(x, y, w, h) {
+    
+    this.moveTo(x, y);
+    this._path = this._path + "h" + this._num(w) +
+                  "v" + this._num(h) +
+                  "h" + this._num(-w) + "Z";
+  };
+  
+  /*
+   * Add a circular arc.
    * 
-   *   MSB ----------- LSB
-   *   0rrr rrgg gggb bbbb
+   * Angles are in radians, measured clockwise on screen from the
+   * positive X axis, and the arc always goes clockwise from the start
+   * angle to the end angle, the same as arc() on a canvas without the
+   * counter-clockwise flag.  If the path has a current point, a
+   * straight line is added from it to the start of the arc.  An arc
+   * covering a full turn or more is added as a full circle.
    * 
-   * The fill color for spheres has the same format, except 0xffff is
-   * allowed as a special value indicating the sphere is transparent and
-   * has no fill.
+   * Parameters:
    * 
-   * For point objects, the style is an index into the point style
-   * array.
+   *   x : number - the X coordinate of the center
    * 
-   * For line objects, the style is an index into the line style array.
+   *   y : number - the Y coordinate of the center
    * 
-   * For sphere objects, the style is an index into the line style array
-   * indicating how to stroke the circular outline of the sphere, or
-   * 0xffff indicating that the circular outline should not be stroked.
+   *   r : number - the radius
    * 
-   * For triangle objects, the style encodes three five-bit selectors
-   * and the most significant bit is zero, as follows:
+   *   a0 : number - the start angle
    * 
-   *   MSB ----------- LSB
-   *   0iii iijj jjjk kkkk
-   * 
-   * Each selector is either zero, or it is one greater than the index
-   * of style in the line style array.  This allows each selector to
-   * select either one of the first 31 styles in the line style array,
-   * or the special value of zero.
-   * 
-   * The first selector is for the triangle edge between the first and
-   * second vertices.  The second selector is for the triangle edge
-   * between the second and third vertices.  The third selector is for
-   * the triangle edge between the third and first vertices.  If the
-   * selector is zero, the edge will not be specially rendered.
-   * Otherwise, the edge will be rendered using the selected line style.
+   *   a1 : number - the end angle
    */
-  var m_scene;
+  SvgContext.prototype.arc = function(x, y, r, a0, a1) {
+    
+    var func_name = "arc";
+    var sweep, rs;
+    
+    // Check parameters
+    if ((typeof r !== "number") || (!(r >= 0.0)) ||
+        (typeof a0 !== "number") || (!isFinite(a0)) ||
+        (typeof a1 !== "number") || (!isFinite(a1))) {
+      this._fault(func_name, 100);
+    }
+    
+    // Get the clockwise sweep in range [0, 2*PI]
+    sweep = a1 - a0;
+    if (sweep < 2 * Math.PI) {
+      sweep = sweep % (2 * Math.PI);
+      if (sweep < 0) {
+        sweep = sweep + (2 * Math.PI);
+      }
+    } else {
+      sweep = 2 * Math.PI;
+    }
+    
+    // Connect to, or move to, the start point
+    this.lineTo(x + (r * Math.cos(a0)), y + (r * Math.sin(a0)));
+    
+    // Add the arc, using two half circles for a full circle since a
+    // single SVG arc can't start and end at the same point
+    rs = this._num(r) + " " + this._num(r) + " 0 ";
+    if (sweep >= 2 * Math.PI) {
+      this._path = this._path +
+        "A" + rs + "0 1 " +
+          this._num(x - (r * Math.cos(a0))) + " " +
+          this._num(y - (r * Math.sin(a0))) +
+        "A" + rs + "0 1 " +
+          this._num(x + (r * Math.cos(a0))) + " " +
+          this._num(y + (r * Math.sin(a0)));
+    
+    } else if (sweep > 0) {
+      this._path = this._path +
+        "A" + rs + ((sweep > Math.PI) ? "1" : "0") + " 1 " +
+          this._num(x + (r * Math.cos(a0 + sweep))) + " " +
+          this._num(y + (r * Math.sin(a0 + sweep)));
+    }
+  };
   
   /*
-   * The painting sort array.
-   * 
-   * Only available if m_loaded.
-   * 
-   * This is a Uint32Array with (n / 5) elements, where n is the number
-   * of elements in m_scene (in other words, the length of this array
-   * equals the total number of scene objects).  During a rendering
-   * operation, after vertex transformation, scene objects that survive
-   * the backface cull and full near/far plane clipping will be entered
-   * into this array.  Once all the surviving objects are entered into
-   * this array, the array will be sorted so that objects will be
-   * rendered back to front according to the painter's algorithm.
-   * 
-   * Each 32-bit integer stores a Z value in its most significant 16
-   * bits and an object index in its least significant 16 bits.  The
-   * object index is an index into the m_scene array, or it has the
-   * special value 0xffff, which means this array element is not used.
-   * All array elements that are not used are given the value 0xffffffff
-   * so that they are sorted at the end of the list.
-   * 
-   * The Z value is quantized so that zero is the far clipping plane and
-   * 0xffff is the near clipping plane.  This means that when the array
-   * is sorted in ascending numerical order, the farthest objects from
-   * the camera come first.
+   * Fill the current path with the current fill style.
    */
-  var m_paint;
+  SvgContext.prototype.fill = function() {
+    
+    if (this._path.length > 0) {
+      this._out.push("<path d=\"" + this._path + "\"" +
+                      this._paint("fill", this.fillStyle) + "/>");
+    }
+  };
   
   /*
-   * The point style array.
-   * 
-   * Only available if m_loaded.
-   * 
-   * This is a regular array, where each array element is an object.
-   * These style objects are referenced from the style words of scene
-   * objects of point type in m_scene.  There may be at most 65535 point
-   * styles, and the array may also be empty.
-   * 
-   * All point style objects have the following properties:
+   * Stroke the current path with the current stroke style, line width,
+   * line cap, and line join.
+   */
+  SvgContext.prototype.stroke = function() {
+    
+    if (this._path.length > 0) {
+      this._out.push("<path d=\"" + this._path + "\" fill=\"none\"" +
+                      this._strokeAttr() + "/>");
+    }
+  };
+  
+  /*
+   * Fill a rectangle with the current fill style.
    * 
-   *   "shape"  : string  - the shape to render at the given point
+   * This does not change the current path.
    * 
-   *   "size"   : float   - edge length of bounding box
+   * Parameters:
    * 
-   *   "stroke" : float   - stroke width
+   *   x : number - the X coordinate of the top-left corner
    * 
-   * The following shapes are supported:
+   *   y : number - the Y coordinate of the top-left corner
    * 
-   *    Property value |            Shape
-   *   ================+=============================
-   *          c        | Circle
-   *          s        | Square
-   *          m        | Diamond
-   *          u        | Triangle, pointing upwards
-   *          d        | Triangle, pointing downwards
-   *          l        | Triangle, pointing left
-   *          r        | Triangle, pointing right
-   *          p        | Plus sign +
-   *          x        | X
+   *   w : number - the width
    * 
-   * The size must be greater than 0.0.  It defines how large the
-   * rendered shape is.  This is the size when rendered in 2D,
-   * regardless of the Z distance.  If you want a 3D sphere, don't use
-   * the circle point shape, because its size doesn't change according
-   * to distance; instead, use a sphere object in the scene.
+   *   h : number - the height
+   */
+  SvgContext.prototype.fillRect = function(x, y, w, h) {
+    
+    this._out.push("<rect x=\"" + this._num(x) + "\"" +
+                    " y=\"" + this._num(y) + "\"" +
+                    " width=\"" + this._num(w) + "\"" +
+                    " height=\"" + this._num(h) + "\"" +
+                    this._paint("fill", this.fillStyle) + "/>");
+  };
+  
+  /*
+   * Create a radial gradient that can be used as the fill style.
    * 
-   * The stroke width must either be 0.0 or a value greater than 0.0.
-   * If it is 0.0, the outline of the shape is not stroked.  Otherwise,
-   * it is stroked with this width when rendered in 2D, regardless of
-   * the Z distance.
+   * The gradient goes from the inner circle to the outer circle, the
+   * same as on a canvas, except that SVG 1.1 only allows an inner circle
+   * with zero radius, so the inner radius must be zero.
    * 
-   * All point styles for shapes that have an interior area (that is,
-   * all shapes except plus sign "p" and X "x") also have the following
-   * property:
+   * Parameters:
    * 
-   *   "fill" : integer - fill color or 0xffff for no fill
+   *   x0 : number - the X coordinate of the inner circle center
    * 
-   * Fill color is encoded in 15-bit HiColor with most significant bit
-   * zero, as follows:
+   *   y0 : number - the Y coordinate of the inner circle center
    * 
-   *   MSB ----------- LSB
-   *   0rrr rrgg gggb bbbb
+   *   r0 : number - the radius of the inner circle, which must be zero
    * 
-   * If the special 0xffff value is given, then the interior of the
-   * shape is left transparent.
+   *   x1 : number - the X coordinate of the outer circle center
    * 
-   * If the "stroke" property of the point style is greater than zero,
-   * then the following property is also present:
+   *   y1 : number - the Y coordinate of the outer circle center
    * 
-   *   "ink" : integer - color to use for stroking the outline
+   *   r1 : number - the radius of the outer circle
    * 
-   * The ink color is encoded in 15-bit HiColor with most significant
-   * bit zero, as follows:
+   * Return:
    * 
-   *   MSB ----------- LSB
-   *   0rrr rrgg gggb bbbb
+   *   a new SvgGradient
    */
-  var m_pstyle;
+  SvgContext.prototype.createRadialGradient = function(
+      x0, y0, r0, x1, y1, r1) {
+    
+    var func_name = "createRadialGradient";
+    
+    // Check parameters
+    if ((typeof x0 !== "number") || (!isFinite(x0)) ||
+        (typeof y0 !== "number") || (!isFinite(y0)) ||
+        (r0 !== 0) ||
+        (typeof x1 !== "number") || (!isFinite(x1)) ||
+        (typeof y1 !== "number") || (!isFinite(y1)) ||
+        (typeof r1 !== "number") || (!(r1 >= 0.0)) || (!isFinite(r1))) {
+      this._fault(func_name, 100);
+    }
+    
+    return new SvgGradient([x0, y0, r0, x1, y1, r1]);
+  };
   
   /*
-   * The line style array.
-   * 
-   * Only available if m_loaded.
-   * 
-   * This is a regular array, where each array element is an object.
-   * These style objects are referenced from the style words of scene
-   * objects of line, sphere, or triangle type in m_scene.  Line and
-   * sphere objects may reference any of the line styles, while triangle
-   * styles are only able to reference the first 31 line styles.  There
-   * may be at most 65535 line styles, and the line style array may also
-   * be empty.
+   * Return everything drawn so far as a complete SVG document.
    * 
-   * All line style objects have the following properties:
+   * Return:
    * 
-   *   "width" : float   - width of the line
+   *   the SVG document as a string
+   */
+  SvgContext.prototype.getDocument = function() {
+    
+    var w, h;
+    
+    w = String(this._w);
+    h = String(this._h);
+    
+    return "<?xml version=\"1.0\" encoding=\"UTF-8\"?>\n" +
+            "<svg xmlns=\"http://www.w3.org/2000/svg\" version=\"1.1\"" +
+            " width=\"" + w + "\" height=\"" + h + "\"" +
+            " viewBox=\"0 0 " + w + " " + h + "\">\n" +
+            this._out.join("\n") + "\n" +
+            "</svg>\n";
+  };
+  
+  /*
+   * SvgGradient class
+   * =================
+   */
+  
+  /*
+   * Constructor.
    * 
-   *   "color" : integer - color of the line
+   * Invoke as "new SvgGradient(c)"
    * 
-   * The width must be greater than zero.  It is the 2D rendered width
-   * of the line, regardless of the Z distance.
+   * An SvgGradient is the radial gradient returned by the
+   * createRadialGradient() function of SvgContext.  It implements the
+   * addColorStop() function of CanvasGradient, and the SvgContext writes
+   * it into the document when it is used as a fill style.
    * 
-   * The color is encoded in 15-bit HiColor with most significant bit
-   * zero, as follows:
+   * Parameters:
    * 
-   *   MSB ----------- LSB
-   *   0rrr rrgg gggb bbbb
-   */
-  var m_lstyle;
-  
-  /*
-   * Local functions
-   * ===============
+   *   c : Array - the inner and outer circles, as the six parameters of
+   *   createRadialGradient()
    */
+  function SvgGradient(c) {
+    
+    // The circles
+    this._c = c;
+    
+    // Array of color stops, each an array of an offset and a color
+    this._stops = [];
+  }
   
   /*
    * Report an error to console and throw an exception for a fault
-   * occurring within this module.
-   *
+   * occurring within this SvgGradient class.
+   * 
    * Parameters:
-   *
-   *   func_name : string - the name of the function in this module
-   *
+   * 
+   *   func_name : string - the name of the function in this class
+   * 
    *   loc : number(int) - the location within the function
    */
-  function fault(func_name, loc) {
+  SvgGradient.prototype._fault = function(func_name, loc) {
     
     // If parameters not valid, set to unknown:0
     if ((typeof func_name !== "string") || (typeof loc !== "number")) {
@@ -818,1641 +1092,10781 @@
     
     // Report error to console
     console.log("Fault at " + func_name + ":" + String(loc) +
-                  " in dla_main");
+                  " in dla_main:SvgGradient");
     
     // Throw exception
-    throw ("dla_main:" + func_name + ":" + String(loc));
-  }
+    throw ("dla_main:SvgGradient:" + func_name + ":" + String(loc));
+  };
   
   /*
-   * Report a syntax error within a scene file and throw an exception.
-   * 
-   * The exception is always the string "dla_main:syntax_error".
-   * 
-   * If m_errmsg is false, then it will be set to reason if reason is a
-   * string, otherwise to "Unknown error" if reason is not a string.  If
-   * m_errmsg is not false, then it will not be changed by this
-   * function.
+   * Add a color stop to the gradient.
    * 
    * Parameters:
    * 
-   *   reason : string - the syntax error reason
+   *   offset : number - the offset of the stop in range [0.0, 1.0]
+   * 
+   *   color : string - the CSS color of the stop
    */
-  function syntax(reason) {
+  SvgGradient.prototype.addColorStop = function(offset, color) {
     
-    // If reason not a string, set to "Unknown error"
-    if (typeof reason !== "string") {
-      reason = "Unknown error";
-    }
+    var func_name = "addColorStop";
     
-    // Store reason if no reason stored yet
-    if (m_errmsg === false) {
-      m_errmsg = reason;
+    // Check parameters
+    if ((typeof offset !== "number") || (!(offset >= 0.0)) ||
+        (!(offset <= 1.0)) || (typeof color !== "string")) {
+      this._fault(func_name, 100);
     }
     
-    // Throw syntax error
-    throw ("dla_main:syntax_error");
-  }
+    this._stops.push([offset, color]);
+  };
   
   /*
-   * Draw a triangle.
-   * 
-   * rc is the rendering context to draw the triangle into.  The
-   * triangle vertices are (x1, y1), (x2, y2), and (x3, y3) in screen
-   * coordinates.
-   * 
-   * fc is the fill color of the triangle, which is 15-bit HiColor.
-   * 
-   * sw is the style word, which has three 5-bit selectors for edge
-   * styles.  See m_scene documentation for further information.
-   * 
-   * CAUTION:  For speed, this function performs no checking of
-   * parameters or state.
-   * 
-   * CAUTION: Fill style, stroke style, line width, and current path in
-   * the rendering context are altered.
-   * 
-   * CAUTION: Assumes settings for lineCap, lineJoin, and miterLimit are
-   * already set correctly.
-   * 
-   * Parameters:
-   * 
-   *   rc : CanvasRenderingContext2D - the 2D rendering context
-   * 
-   *   x1 : the X coordinate of the first vertex
-   * 
-   *   y1 : the Y coordinate of the first vertex
-   * 
-   *   x2 : the X coordinate of the second vertex
-   * 
-   *   y2 : the Y coordinate of the second vertex
-   * 
-   *   x3 : the X coordinate of the third vertex
-   * 
-   *   y3 : the Y coordinate of the third vertex
-   * 
-   *   fc : the fill color
-   * 
-   *   sw : the triangle style word
+   * Constants
+   * =========
    */
-  function drawTri(rc, x1, y1, x2, y2, x3, y3, fc, sw) {
-    
-    var rgb, r, g, b;
-    var s1, s2, s3, si;
-    
-    // Floor coordinates to integers to avoid forcing anti-aliasing
-    x1 = Math.floor(x1);
-    y1 = Math.floor(y1);
-    x2 = Math.floor(x2);
-    y2 = Math.floor(y2);
-    x3 = Math.floor(x3);
-    y3 = Math.floor(y3);
-    
-    // Draw the full triangle shape in a new path
-    rc.beginPath();
-    rc.moveTo(x1, y1);
-    rc.lineTo(x2, y2);
-    rc.lineTo(x3, y3);
-    rc.closePath();
-    
-    // Extract 5-bit channels from fill color
-    r = (fc >> 10);
-    g = (fc >> 5) & 0x1f;
-    b = fc & 0x1f;
-    
-    // Expand 5-bit channels to 8-bit by shifting left and duplicating
-    // three most significant bits in least significant
-    r = (r << 3) | (r >> 2);
-    g = (g << 3) | (g >> 2);
-    b = (b << 3) | (b >> 2);
-    
-    // Set fill color
-    rc.fillStyle = "rgb(" + r.toString(10) +
-                      ", " + g.toString(10) +
-                      ", " + b.toString(10) + ")";
-    
-    // Fill the triangle
-    rc.fill();
-    
-    // If style word is not zero, do edge rendering
-    if (sw > 0) {
-    
-      // Extract the three selectors from the style word
-      s1 = (sw >> 10);
-      s2 = (sw >> 5) & 0x1f;
-      s3 = sw & 0x1f;
-    
-      // Render first edge if non-zero
-      if (s1 > 0) {
-        // Get style object
-        si = m_lstyle[s1 - 1];
-        
-        // Begin a new path with just the edge
-        rc.beginPath();
-        rc.moveTo(x1, y1);
-        rc.lineTo(x2, y2);
-        
-        // Get line color
-        rgb = si.color;
-        
-        // Extract 5-bit channels
-        r = (rgb >> 10);
-        g = (rgb >> 5) & 0x1f;
-        b = rgb & 0x1f;
-        
-        // Expand 5-bit channels to 8-bit by shifting left and duplicating
-        // three most significant bits in least significant
-        r = (r << 3) | (r >> 2);
-        g = (g << 3) | (g >> 2);
-        b = (b << 3) | (b >> 2);
-        
-        // Set line color
-        rc.strokeStyle = "rgb(" + r.toString(10) +
-                          ", " + g.toString(10) +
-                          ", " + b.toString(10) + ")";
-        
-        // Set line width
-        rc.lineWidth = si.width;
-        
-        // Stroke the line
-        rc.stroke();
-      }
-      
-      // Render second edge if non-zero
-      if (s2 > 0) {
-        // Get style object
-        si = m_lstyle[s2 - 1];
-        
-        // Begin a new path with just the edge
-        rc.beginPath();
-        rc.moveTo(x2, y2);
-        rc.lineTo(x3, y3);
-        
-        // Get line color
-        rgb = si.color;
-        
-        // Extract 5-bit channels
-        r = (rgb >> 10);
-        g = (rgb >> 5) & 0x1f;
-        b = rgb & 0x1f;
-        
-        // Expand 5-bit channels to 8-bit by shifting left and duplicating
-        // three most significant bits in least significant
-        r = (r << 3) | (r >> 2);
-        g = (g << 3) | (g >> 2);
-        b = (b << 3) | (b >> 2);
-        
-        // Set line color
-        rc.strokeStyle = "rgb(" + r.toString(10) +
-                          ", " + g.toString(10) +
-                          ", " + b.toString(10) + ")";
-        
-        // Set line width
-        rc.lineWidth = si.width;
-        
-        // Stroke the line
-        rc.stroke();
-      }
-      
-      // Render third edge if non-zero
-      if (s3 > 0) {
-        // Get style object
-        si = m_lstyle[s3 - 1];
-        
-        // Begin a new path with just the edge
-        rc.beginPath();
-        rc.moveTo(x3, y3);
-        rc.lineTo(x1, y1);
-        
-        // Get line color
-        rgb = si.color;
-        
-        // Extract 5-bit channels
-        r = (rgb >> 10);
-        g = (rgb >> 5) & 0x1f;
-        b = rgb & 0x1f;
-        
-        // Expand 5-bit channels to 8-bit by shifting left and duplicating
-        // three most significant bits in least significant
-        r = (r << 3) | (r >> 2);
-        g = (g << 3) | (g >> 2);
-        b = (b << 3) | (b >> 2);
-        
-        // Set line color
-        rc.strokeStyle = "rgb(" + r.toString(10) +
-                          ", " + g.toString(10) +
-                          ", " + b.toString(10) + ")";
-        
-        // Set line width
-        rc.lineWidth = si.width;
-        
-        // Stroke the line
-        rc.stroke();
-      }
-    }
-  }
   
   /*
-   * Draw a line.
-   * 
-   * rc is the rendering context to draw the line into.  The line goes
-   * from (x1, y1) to (x2, y2) in screen coordinates.
-   * 
-   * si is an index into the line style array.
+   * String containing each of the allowed shape codes for point styles.
+   */
+  var VALID_SHAPES = "csmudlrpx";
+  
+  /*
+   * String containing each of the shape codes that permit a fill
+   * property.
+   */
+  var FILL_SHAPES = "csmudlr";
+  
+  /*
+   * The maximum number of vertices, scene objects, radii, point styles,
+   * and line styles in a scene.
+   * 
+   * Version 1 scene files store indices as unsigned 16-bit integers,
+   * with the largest 16-bit value reserved as a special value, so they
+   * are limited to 65535 of each instead.  This larger limit applies to
+   * version 2 scene files and to imported meshes, and keeps the largest
+   * scene buffers at a few hundred megabytes.
+   */
+  var MAX_COUNT = 16777215;
+  
+  /*
+   * The number of elements of each object in the scene buffer.
+   */
+  var SCENE_STRIDE = 6;
+  
+  /*
+   * The scene object types, which are the first element of each object
+   * in the scene buffer.
+   */
+  var SCENE_POINT = 0;
+  var SCENE_LINE = 1;
+  var SCENE_SPHERE = 2;
+  var SCENE_TRIANGLE = 3;
+  
+  /*
+   * The style index of spheres that have no stroked outline.
+   */
+  var NO_STYLE = 0xffffffff;
+  
+  /*
+   * The bit of color words that selects a palette color instead of a
+   * HiColor value, and the maximum number of palette colors.  The last
+   * palette index can't be used, since the color word with every bit
+   * set is the special value for no fill.
+   */
+  var PALETTE_BIT = 0x8000;
+  var MAX_PALETTE = 32767;
+  
+  /*
+   * The number of distinct quantized Z values in the painting sort.
+   */
+  var PAINT_DEPTHS = 65536;
+  
+  /*
+   * The fog modes.
+   */
+  var FOG_MODES = ["none", "linear", "exp", "exp2"];
+  
+  /*
+   * The density of exponential fog, chosen so that an object at the end
+   * of the fog keeps less than 1/256 of its own color, which rounds to
+   * the fog color in 8-bit channels.
+   */
+  var FOG_DENSITY = Math.log(256);
+  
+  /*
+   * Limits of the BSP tree.  No tree is built for scenes with more than
+   * BSP_MAX_TRIANGLES triangles, since building takes longer than linear
+   * time, or if splitting would make more than BSP_MAX_GROWTH times as
+   * many scene objects as there are in the scene.
+   */
+  var BSP_MAX_TRIANGLES = 100000;
+  var BSP_MAX_GROWTH = 4;
+  
+  /*
+   * The number of candidate planes for each node of the BSP tree, and
+   * the number of triangles they are tested against to count how many
+   * they cut through.
+   */
+  var BSP_CANDIDATES = 5;
+  var BSP_SAMPLE = 64;
+  
+  /*
+   * The distance within which vertices count as being in a plane of the
+   * BSP tree, as a fraction of the diagonal of the bounding box of the
+   * scene.
+   */
+  var BSP_EPSILON = 1.0e-9;
+  
+  /*
+   * The bounding volume hierarchy is only built for scenes with at least
+   * BVH_MIN_OBJECTS scene objects, since culling each object on its own
+   * is fast enough for smaller scenes, and each of its leaves holds at
+   * most BVH_LEAF_SIZE objects.
+   */
+  var BVH_MIN_OBJECTS = 1024;
+  var BVH_LEAF_SIZE = 32;
+  
+  /*
+   * The rendering modes.
+   */
+  var RENDER_MODES = ["painter", "exact"];
+  
+  /*
+   * How much nearer lines, outlines, and point strokes are made in the
+   * depth buffer of exact rendering, in normalized depth units, so that
+   * they win against the triangles, spheres, and point fills they lie
+   * on or outline.
+   */
+  var DEPTH_BIAS = 0.00002;
+  
+  /*
+   * How far outside the edges of the canvas the side planes of the view
+   * frustum are, in pixels.  Triangles and lines are only clipped by the
+   * side planes where they reach this far off the canvas, so the edges
+   * that clipping makes, and the clipped ends of lines and triangle
+   * edges, are out of sight unless the lines are very wide.
+   */
+  var CLIP_MARGIN = 64;
+  
+  /*
+   * The number of planes of the view frustum, and the most vertices that
+   * clipping a triangle by all of them can make, which is one more for
+   * each plane.
+   */
+  var CLIP_PLANES = 6;
+  var CLIP_VERTICES = 9;
+  
+  /*
+   * The most scene objects that a coarse render looks at.  Coarse
+   * renders of larger scenes only look at this many of the largest
+   * objects, so that they take about the same time however large the
+   * scene is.
+   */
+  var LOD_MAX_OBJECTS = 16384;
+  
+  /*
+   * The number of scene objects that continueRender() draws between
+   * checks of the time.
+   */
+  var RENDER_CHUNK = 64;
+  
+  /*
+   * The factor by which frameScene() enlarges the bounding sphere of the
+   * scene, so that the scene doesn't touch the edges of the view.
+   */
+  var FRAME_MARGIN = 1.05;
+  
+  /*
+   * The fraction of the depth of the scene that fitPlanes() leaves
+   * between the scene and each of the near and far planes.
+   */
+  var FIT_MARGIN = 0.01;
+  
+  /*
+   * The default fill color of imported faces that have no material
+   * color, as 15-bit Hicolor.  This is a mid gray.
+   */
+  var DEFAULT_FILL = 0x4210;
+  
+  /*
+   * The default size of the points that PLY vertices become.
+   */
+  var DEFAULT_POINT_SIZE = 2.0;
+  
+  /*
+   * The scalar property types of PLY files.
    * 
-   * CAUTION:  For speed, this function performs no checking of
-   * parameters or state.
+   * Each type name maps to an array holding the size in bytes, the name
+   * of the DataView method suffix that reads it, and the value that
+   * color channels of the type are divided by to get range [0.0, 1.0].
+   */
+  var PLY_TYPES = {
+    "char":    [1, "Int8",    127],
+    "int8":    [1, "Int8",    127],
+    "uchar":   [1, "Uint8",   255],
+    "uint8":   [1, "Uint8",   255],
+    "short":   [2, "Int16",   32767],
+    "int16":   [2, "Int16",   32767],
+    "ushort":  [2, "Uint16",  65535],
+    "uint16":  [2, "Uint16",  65535],
+    "int":     [4, "Int32",   2147483647],
+    "int32":   [4, "Int32",   2147483647],
+    "uint":    [4, "Uint32",  4294967295],
+    "uint32":  [4, "Uint32",  4294967295],
+    "float":   [4, "Float32", 1],
+    "float32": [4, "Float32", 1],
+    "double":  [8, "Float64", 1],
+    "float64": [8, "Float64", 1]
+  };
+  
+  /*
+   * The binary scene file format.
+   * 
+   * BIN_MAGIC is the signature at the start of every binary scene file,
+   * BIN_VERSION is the version of the binary format, and BIN_HEADER is
+   * the size in bytes of the header.  BIN_FLOAT64 and BIN_UINT32 are the
+   * bits of the flags field in the header that select 64-bit vertices
+   * and radii and 32-bit scene objects.  Every block after the header
+   * starts at a multiple of BIN_ALIGN bytes.  See the README for the
+   * full layout.
+   */
+  var BIN_MAGIC = "DLAB";
+  var BIN_VERSION = 1;
+  var BIN_HEADER = 32;
+  var BIN_FLOAT64 = 1;
+  var BIN_UINT32 = 2;
+  var BIN_ALIGN = 8;
+  
+  /*
+   * The block types of binary scene files.
    * 
-   * CAUTION: Stroke style, line width, and current path in the
-   * rendering context are altered.
+   * Each type name maps to an array holding the size in bytes of each
+   * value and the typed array constructor for the type.  The type names
+   * are also the DataView method suffixes that read and write them.
+   */
+  var BIN_TYPES = {
+    "Uint16":  [2, Uint16Array],
+    "Uint32":  [4, Uint32Array],
+    "Float32": [4, Float32Array],
+    "Float64": [8, Float64Array]
+  };
+  
+  /*
+   * True if typed arrays on this platform are little endian, in which
+   * case blocks of binary scene files can be copied directly into typed
+   * arrays.
+   */
+  var LITTLE_ENDIAN = ((new Uint8Array((new Uint16Array([1])).buffer))[0]
+                        === 1);
+  
+  /*
+   * The accessor component types of glTF files.
    * 
-   * CAUTION: Assumes settings for lineCap, lineJoin, and miterLimit are
-   * already set correctly.
+   * Each component type number maps to an array holding the size in
+   * bytes, the name of the DataView method suffix that reads it, and the
+   * value that normalized components of the type are divided by to get
+   * range [0.0, 1.0], or [-1.0, 1.0] for signed types.
+   */
+  var GLTF_COMPONENTS = {
+    "5120": [1, "Int8",    127],
+    "5121": [1, "Uint8",   255],
+    "5122": [2, "Int16",   32767],
+    "5123": [2, "Uint16",  65535],
+    "5125": [4, "Uint32",  4294967295],
+    "5126": [4, "Float32", 1]
+  };
+  
+  /*
+   * The accessor types of glTF files that can be read, mapped to the
+   * number of components of each element.  Matrix types are not used by
+   * anything that Delilah imports.
+   */
+  var GLTF_TYPES = {
+    "SCALAR": 1,
+    "VEC2":   2,
+    "VEC3":   3,
+    "VEC4":   4
+  };
+  
+  /*
+   * The binary glTF (GLB) container format.
    * 
-   * Parameters:
+   * GLB_MAGIC is the signature at the start of every GLB file, and
+   * GLB_JSON and GLB_BIN are the chunk types of the JSON chunk and the
+   * binary buffer chunk, as little-endian integers.
+   */
+  var GLB_MAGIC = 0x46546c67;
+  var GLB_JSON = 0x4e4f534a;
+  var GLB_BIN = 0x004e4942;
+  
+  /*
+   * Local data
+   * ==========
+   */
+  
+  /*
+   * The background color.
    * 
-   *   rc : CanvasRenderingContext2D - the 2D rendering context
+   * This is what the canvas is cleared to before any scene objects are
+   * rendered.
    * 
-   *   x1 : the X coordinate of the start point
+   * This is an array of three integers in range [0, 255] that represent
+   * the R G B color channels.
+   */
+  var m_bgcolor = [170, 170, 170];
+  
+  /*
+   * The 3D position of the camera.
    * 
-   *   y1 : the Y coordinate of the start point
+   * The first three numbers are the (X, Y, Z) coordinate of the camera
+   * in worldspace.
    * 
-   *   x2 : the X coordinate of the end point
+   * The fourth number is the yaw angle about the Y axis.  An angle of
+   * zero means that the camera is looking towards negative infinity on
+   * the Z axis (right-handed).  When looking down at the camera along
+   * the Y axis from above it, increasing yaw angles rotate the camera
+   * counter-clockwise.  The range of the yaw angle is normalized, such
+   * that 0.0 is zero degrees/radians and 1.0 is 360 degrees or 2*PI
+   * radians.  The valid range of the fourth number is zero up to but
+   * excluding 1.0.
    * 
-   *   y2 : the Y coordinate of the end point
+   * The fifth number is the pitch about the X axis.  An angle of zero
+   * means that the camera is level with the XZ plane.  Positive angles
+   * tilt the camera upwards, while negative angles tilt the camera
+   * downwards.  The range of the tilt angle is normalized such that 1.0
+   * is 90 degrees or PI/2 radians, looking straight up, and -1.0 is -90
+   * degrees or -PI/2 radians, looking straight down.
    * 
-   *   si : the line style index
+   * The sixth number is the roll about the Z axis.  An angle of zero
+   * means that the camera is level with the XZ plane.  Increasing
+   * angles tilt the camera counter-clockwise.  The range of the roll
+   * angle is normalized, such that 0.0 is zero degrees/radians and 1.0
+   * is 360 degrees or 2*PI radians.  The valid range of the sixth
+   * number is zero up to but excluding 1.0.
    */
-  function drawLine(rc, x1, y1, x2, y2, si) {
-    
-    var rgb, r, g, b;
-    
-    // Floor coordinates to integers to avoid forcing anti-aliasing
-    x1 = Math.floor(x1);
-    y1 = Math.floor(y1);
-    x2 = Math.floor(x2);
-    y2 = Math.floor(y2);
-    
-    // Get line style object
-    si = m_lstyle[si];
-    
-    // Define new path and add the line to the path
-    rc.beginPath();
-    rc.moveTo(x1, y1);
-    rc.lineTo(x2, y2);
-    
-    // Get line color
-    rgb = si.color;
-    
-    // Extract 5-bit channels
-    r = (rgb >> 10);
-    g = (rgb >> 5) & 0x1f;
-    b = rgb & 0x1f;
-    
-    // Expand 5-bit channels to 8-bit by shifting left and duplicating
-    // three most significant bits in least significant
-    r = (r << 3) | (r >> 2);
-    g = (g << 3) | (g >> 2);
-    b = (b << 3) | (b >> 2);
-    
-    // Set line color
-    rc.strokeStyle = "rgb(" + r.toString(10) +
-                      ", " + g.toString(10) +
-                      ", " + b.toString(10) + ")";
-    
-    // Set line width
-    rc.lineWidth = si.width;
-    
-    // Stroke the line
-    rc.stroke();
-  }
+  var m_cam = [0.0, 0.0, 0.0, 0.0, 0.0, 0.0];
   
   /*
-   * Draw a sphere.
-   * 
-   * rc is the rendering context to draw the sphere into.  (x, y) are
-   * the screen coordinates of the sphere, and r is the screen radius of
-   * the sphere.
+   * The 3D projection.
    * 
-   * fc is the fill color of the sphere, which is either 0xffff for no
-   * fill or a 15-bit HiColor value.
+   * The first number is the field of view angle of the vertical axis.
+   * It is normalized so that 0.0 means zero degrees/radians and 1.0
+   * means 180 degrees/PI radians.  Value must be greater than zero and
+   * less than one.
    * 
-   * si is the stroke style for the sphere outline, which is either
-   * 0xffff for no stroke outline or an index into the line style array.
+   * The second number is the near plane Z location.  It must be less
+   * than one divided by the tangent of half the field of view angle.
    * 
-   * CAUTION:  For speed, this function performs no checking of
-   * parameters or state.
+   * The third number is the far plane Z location.  It must be less than
+   * the near plane Z location.
    * 
-   * CAUTION: Fill style, stroke style, line width, and current path in
-   * the rendering context are altered.
+   * The fourth number selects the kind of projection.  If it is zero,
+   * the projection is a perspective projection through a pinhole at Z
+   * one divided by the tangent of half the field of view angle, and the
+   * plane at Z zero spans two units vertically.  If it is greater than
+   * zero, the projection is an orthographic projection straight down
+   * the negative Z axis, and the number is the height of the view in
+   * world units.  The field of view is kept in orthographic mode but
+   * not used, and the near plane may then have any Z location.
+   */
+  var m_proj = [0.25, 0.0, -100.0, 0.0];
+  
+  /*
+   * The directional light.
+   * 
+   * The first two numbers are the yaw and the pitch of the direction
+   * that the light shines in.  They are normalized in the same way as
+   * the yaw and pitch of the camera in m_cam, so that a light with zero
+   * yaw and pitch shines in the same direction as a level camera looks,
+   * towards negative infinity on the Z axis.  The valid range of the
+   * yaw is zero up to but excluding 1.0, and the valid range of the
+   * pitch is -1.0 to 1.0.
+   * 
+   * The third number is the intensity of the directional light, and the
+   * fourth number is the intensity of the ambient light.  Both must be
+   * in range [0.0, 1.0].
+   * 
+   * The default light shines down and to the right from behind the
+   * default camera.
+   */
+  var m_light = [0.9375, -0.25, 0.8, 0.2];
+  
+  /*
+   * Flag indicating whether lighting is enabled.
+   * 
+   * When lighting is disabled, triangles and spheres are filled with
+   * their fill colors exactly.  When lighting is enabled, the fill color
+   * of each triangle is multiplied by the ambient intensity plus the
+   * directional intensity times the cosine of the angle between the
+   * triangle normal and the direction towards the light, which is
+   * clamped to zero for triangles that face away from the light.
+   * Spheres are filled with a radial gradient from the brightest to the
+   * darkest color that the same rule gives on their surface, or in the
+   * exact rendering mode, each pixel of a sphere is shaded by the same
+   * rule from the surface normal there.  Lines, points, and triangle
+   * edges are never lit.
+   */
+  var m_lit = false;
+  
+  /*
+   * The depth fog.
+   * 
+   * The first element is the fog mode, which is one of the strings in
+   * FOG_MODES.  "none" means there is no fog.  Otherwise, the colors of
+   * all scene objects are blended towards the fog color depending on
+   * their distance from the near plane.
+   * 
+   * The second and third elements are the start and end of the fog, as
+   * fractions of the distance from the near plane to the far plane, so
+   * 0.0 is the near plane and 1.0 is the far plane.  The start must be
+   * less than the end, and both must be in range [0.0, 1.0].  Objects
+   * before the start have no fog, and objects after the end are fully
+   * hidden in the fog.
+   * 
+   * In between, the fog amount rises from zero to one.  With "linear",
+   * it rises in proportion to the distance.  With "exp" and "exp2", the
+   * part of the color that remains falls off exponentially with the
+   * distance or the square of the distance, in the same way as the
+   * exponential fog modes of OpenGL, with FOG_DENSITY chosen so that
+   * the fog is complete at the end.
+   * 
+   * The distance of each object is the same clamped centroid Z that the
+   * painting sort uses.
+   */
+  var m_fog = ["none", 0.0, 1.0];
+  
+  /*
+   * The fog color.
    * 
-   * CAUTION: Assumes settings for lineCap, lineJoin, and miterLimit are
-   * already set correctly.
+   * This is either null, which means that the fog has the background
+   * color from m_bgcolor, or an array of three integers in range
+   * [0, 255] that represent the R G B color channels.
+   */
+  var m_fogcolor = null;
+  
+  /*
+   * The rendering mode.
+   * 
+   * This is one of the strings in RENDER_MODES.  With "painter", the
+   * scene objects are sorted by the depth of their centroids and drawn
+   * whole from back to front with the path methods of the rendering
+   * context.  This is fast, but intersecting triangles, long lines that
+   * cross triangles, and large spheres may be drawn in the wrong order.
+   * 
+   * With "exact", the same objects are rasterized in the same order
+   * into an ImageData buffer with a depth for each pixel, so that every
+   * pixel shows the surface nearest to the camera there.  This is slower
+   * and is not anti-aliased, and it needs a rendering context with the
+   * createImageData() and putImageData() methods; other contexts, such
+   * as SvgContext, are always drawn with the painter's algorithm.
+   */
+  var m_mode = "painter";
+  
+  /*
+   * The error message from the last failure of loadScene(), or false
+   * if no error message stored.
+   */
+  var m_errmsg = false;
+  
+  /*
+   * Flag indicating whether a scene is loaded.
+   */
+  var m_loaded = false;
+  
+  /*
+   * The vertex buffer.
    * 
-   * Parameters:
+   * Only available if m_loaded.
    * 
-   *   rc : CanvasRenderingContext2D - the 2D rendering context
+   * This is a Float64Array with (n * 3) elements, where n is in the
+   * range [1, MAX_COUNT].  Each three elements is the (X, Y, Z) coordinate
+   * of a vertex.  Vertex n starts at index (n * 3), where vertex zero
+   * is the first vertex in the array.
+   */
+  var m_vtx;
+  
+  /*
+   * Transformed vertex buffer.
    * 
-   *   x : the X coordinate
+   * Only available if m_loaded.
    * 
-   *   y : the Y coordinate
+   * This is a Float64Array with the same number of elements as m_vtx,
+   * or as the vertex buffer of m_bsp if there is a BSP tree.  At the
+   * start of a rendering operation, all vertices in that buffer will be
+   * transformed according to the current view matrix and the
+   * transformed results will be stored in this array.  The
+   * transformation does NOT include projection, however.
+   */
+  var m_tvx;
+  
+  /*
+   * Projected vertex buffer.
    * 
-   *   r : the radius
+   * Only available if m_loaded.
+   * 
+   * This is a Float64Array with the same number of elements as m_tvx.
+   * During a rendering operation, this will be filled with projection
+   * transformed vertices.
+   */
+  var m_pvx;
+  
+  /*
+   * Vertex clip codes.
    * 
-   *   fc : the 15-bit HiColor fill color of the sphere or 0xffff
+   * Only available if m_loaded.
    * 
-   *   si : the line style index or 0xffff
+   * This is a Uint8Array with one element per vertex of m_tvx.  During
+   * a rendering operation, each element is set to the clip code of the
+   * vertex, in which bit k is set if the vertex is outside plane k of
+   * m_frustum.  A triangle or line whose vertices are all outside the
+   * same plane can't be seen, and one whose vertices are all inside
+   * every plane needs no clipping.
    */
-  function drawSphere(rc, x, y, r, fc, si) {
-    
-    var r, g, b, rgb;
-    
-    // Floor coordinates to integers to avoid forcing anti-aliasing
-    x = Math.floor(x);
-    y = Math.floor(y);
-    
-    // Floor radius to integer and then make at least one
-    r = Math.max(Math.floor(r), 1);
-    
-    // Begin new path and add the circle to it
-    rc.beginPath();
-    rc.arc(x, y, r, 0, 2 * Math.PI);
-    
-    // Fill sphere if requested
-    if (fc !== 0xffff) {
-      // Extract 5-bit channels
-      r = (fc >> 10);
-      g = (fc >> 5) & 0x1f;
-      b = fc & 0x1f;
-      
-      // Expand 5-bit channels to 8-bit by shifting left and duplicating
-      // three most significant bits in least significant
-      r = (r << 3) | (r >> 2);
-      g = (g << 3) | (g >> 2);
-      b = (b << 3) | (b >> 2);
-      
-      // Set fill color
-      rc.fillStyle = "rgb(" + r.toString(10) +
-                      ", " + g.toString(10) +
-                      ", " + b.toString(10) + ")";
-      
-      // Fill the circle
-      rc.fill();
-    }
-    
-    // Stroke sphere if requested
-    if (si !== 0xffff) {
-    
-      // Get line style object
-      si = m_lstyle[si];
-      
-      // Get color
-      rgb = si.color;
-      
-      // Extract 5-bit channels
-      r = (rgb >> 10);
-      g = (rgb >> 5) & 0x1f;
-      b = rgb & 0x1f;
-      
-      // Expand 5-bit channels to 8-bit by shifting left and duplicating
-      // three most significant bits in least significant
-      r = (r << 3) | (r >> 2);
-      g = (g << 3) | (g >> 2);
-      b = (b << 3) | (b >> 2);
-      
-      // Set stroke color
-      rc.strokeStyle = "rgb(" + r.toString(10) +
-                        ", " + g.toString(10) +
-                        ", " + b.toString(10) + ")";
-      
-      // Set line width
-      rc.lineWidth = si.width;
-      
-      // Stroke the circle
-      rc.stroke();
-    }
-  }
+  var m_pcode;
   
   /*
-   * Draw a point.
+   * The planes of the view frustum in camera space.
+   * 
+   * This is a Float64Array with four elements (a, b, c, e) for each of
+   * the CLIP_PLANES planes, which are the near, far, left, right,
+   * bottom, and top planes in that order.  A point (x, y, z) is inside
+   * a plane if ((a * x) + (b * y) + (c * z) + e) is zero or more.  The
+   * side planes are CLIP_MARGIN pixels outside the edges of the canvas.
+   * They are set by frustumPlanes() at the start of each rendering
+   * operation.
+   */
+  var m_frustum = new Float64Array(CLIP_PLANES * 4);
+  
+  /*
+   * The polygon buffers of clipping.
+   * 
+   * These are two Float64Arrays with room for CLIP_VERTICES vertices of
+   * four elements each, which are the X, Y, and Z coordinates of the
+   * vertex and the line style selector of the edge from the vertex to
+   * the next one, in the same format as the selectors of the triangle
+   * style word, with zero for edges that clipping made.  clipPolygon()
+   * clips the polygon in one buffer into the other.
+   */
+  var m_clipa = new Float64Array(CLIP_VERTICES * 4);
+  var m_clipb = new Float64Array(CLIP_VERTICES * 4);
+  
+  /*
+   * The radius buffer.
    * 
-   * rc is the rendering context to draw the point into.  (x, y) are the
-   * screen coordinates of the point.
+   * Only available if m_loaded.
    * 
-   * psi is the point style, which is an index into the point style
+   * This is a Float64Array with up to MAX_COUNT elements, or null if
+   * there are no radii.
+   * Each element must be a finite value that is greater than zero.
+   * Sphere objects reference elements in this array to declare their
+   * radius.
+   */
+  var m_rad;
+  
+  /*
+   * The scene object array.
+   * 
+   * Only available if m_loaded.
+   * 
+   * This is a Uint32Array with (n * SCENE_STRIDE) elements, where n is
+   * in the range [1, MAX_COUNT].  Each six elements define a 3D object
+   * in the scene, as described below.  Object n starts at index
+   * (n * SCENE_STRIDE), where object zero is the first object in the
    * array.
    * 
-   * CAUTION:  For speed, this function performs no checking of
-   * parameters or state.
+   * The six 32-bit words have the following meaning:
    * 
-   * CAUTION: Fill style, stroke style, line width, and current path in
-   * the rendering context are altered.
+   *   1 : object type, one of the SCENE_ constants
+   *   2 : vertex index of first vertex
+   *   3 : vertex index of second vertex, or radius index if sphere
+   *   4 : vertex index of third vertex
+   *   5 : fill color if triangle or sphere
+   *   6 : style (see below)
    * 
-   * CAUTION: Assumes settings for lineCap, lineJoin, and miterLimit are
-   * already set correctly.
+   * The object can be a point (one vertex), a line (two vertices), a
+   * sphere (one vertex and one radius) or a triangle (three vertices).
+   * Words that the object type doesn't use are zero.  All indices are
+   * indices into the vertex buffer, except the radius index for spheres
+   * is an index into the radius buffer.
    * 
-   * Parameters:
+   * Version 1 scene files, which determine the object type from special
+   * index values instead of storing it, are converted to this format
+   * when they are loaded.
    * 
-   *   rc : CanvasRenderingContext2D - the 2D rendering context
+   * The fill color for triangles is in 15-bit HiColor format with most
+   * significant bit zero, as follows:
    * 
-   *   x : the X coordinate
+   *   MSB ----------- LSB
+   *   0rrr rrgg gggb bbbb
    * 
-   *   y : the Y coordinate
+   * The fill color for spheres has the same format, except 0xffff is
+   * allowed as a special value indicating the sphere is transparent and
+   * has no fill.
    * 
-   *   psi : the point style index
+   * Instead of a HiColor value, the fill color of triangles and spheres
+   * may also be a palette color word, as described for m_palette.
+   * 
+   * For point objects, the style is an index into the point style
+   * array.
+   * 
+   * For line objects, the style is an index into the line style array.
+   * 
+   * For sphere objects, the style is an index into the line style array
+   * indicating how to stroke the circular outline of the sphere, or
+   * NO_STYLE indicating that the circular outline should not be
+   * stroked.
+   * 
+   * For triangle objects, the style encodes three five-bit selectors
+   * and the most significant bit is zero, as follows:
+   * 
+   *   MSB ----------- LSB
+   *   0iii iijj jjjk kkkk
+   * 
+   * Each selector is either zero, or it is one greater than the index
+   * of style in the line style array.  This allows each selector to
+   * select either one of the first 31 styles in the line style array,
+   * or the special value of zero.
+   * 
+   * The first selector is for the triangle edge between the first and
+   * second vertices.  The second selector is for the triangle edge
+   * between the second and third vertices.  The third selector is for
+   * the triangle edge between the third and first vertices.  If the
+   * selector is zero, the edge will not be specially rendered.
+   * Otherwise, the edge will be rendered using the selected line style.
    */
-  function drawPoint(rc, x, y, psi) {
-    
-    var func_name = "drawPoint";
-    var sz, sh, k, rgb, r, g, b;
-    
-    // Floor coordinates to integers to avoid forcing anti-aliasing
-    x = Math.floor(x);
-    y = Math.floor(y);
-    
-    // Get point style object
-    psi = m_pstyle[psi];
-    
-    // Get the size of the bounding box edge and half of it
-    sz = psi.size;
-    k = sz / 2.0;
-    
-    // Define new path and add the appropriate shape to the path
-    rc.beginPath();
-    sh = psi.shape;
-    if (sh === "c") {
-      // Circle
-      k = sz / 2.0;
-      rc.arc(x, y, k, 0, 2 * Math.PI);
-      
-    } else if (sh === "s") {
-      // Square
-      k = sz / 2.0;
-      rc.rect(x - k, y - k, sz, sz);
-      
-    } else if (sh === "m") {
-      // Diamond
-      rc.moveTo(x - k, y);
-      rc.lineTo(x, y - k);
-      rc.lineTo(x + k, y);
-      rc.lineTo(x, y + k);
-      rc.closePath();
-      
-    } else if (sh === "u") {
-      // Triangle-up
-      rc.moveTo(x - k, y + k);
-      rc.lineTo(x, y - k);
-      rc.lineTo(x + k, y + k);
-      rc.closePath();
-      
-    } else if (sh === "d") {
-      // Triangle-down
-      rc.moveTo(x - k, y - k);
-      rc.lineTo(x, y + k);
-      rc.lineTo(x + k, y - k);
-      rc.closePath();
-      
-    } else if (sh === "l") {
-      // Triangle-left
-      rc.moveTo(x - k, y);
-      rc.lineTo(x + k, y - k);
-      rc.lineTo(x + k, y + k);
-      rc.closePath();
-      
-    } else if (sh === "r") {
-      // Triangle-right
-      rc.moveTo(x + k, y);
-      rc.lineTo(x - k, y - k);
-      rc.lineTo(x - k, y + k);
-      rc.closePath();
-      
-    } else if (sh === "p") {
-      // Plus
-      rc.moveTo(x, y - k);
-      rc.lineTo(x, y + k);
-      rc.moveTo(x - k, y);
-      rc.lineTo(x + k, y);
-      
-    } else if (sh === "x") {
-      // X
-      rc.moveTo(x - k, y - k);
-      rc.lineTo(x + k, y + k);
-      rc.moveTo(x - k, y + k);
-      rc.lineTo(x + k, y - k);
-      
-    } else {
-      fault(func_name, 200);
-    }
-    
-    // If this is a fillable shape, do fill if requested by style
-    if (FILL_SHAPES.indexOf(sh) >= 0) {
-      rgb = psi.fill;
-      if (rgb !== 0xffff) {
-        // Extract 5-bit channels
-        r = (rgb >> 10);
-        g = (rgb >> 5) & 0x1f;
-        b = rgb & 0x1f;
-        
-        // Expand 5-bit channels to 8-bit by shifting left and
-        // duplicating three most significant bits in least significant
-        r = (r << 3) | (r >> 2);
-        g = (g << 3) | (g >> 2);
-        b = (b << 3) | (b >> 2);
-        
-        // Set fill color
-        rc.fillStyle = "rgb(" + r.toString(10) +
-                        ", " + g.toString(10) +
-                        ", " + b.toString(10) + ")";
-        
-        // Fill the shape
-        rc.fill();
-      }
-    }
-    
-    // If stroke width is greater than zero, stroke the shape
-    sz = psi.stroke;
-    if (sz > 0.0) {
-      // Get stroke color
-      rgb = psi.ink;
-      
-      // Extract 5-bit channels
-      r = (rgb >> 10);
-      g = (rgb >> 5) & 0x1f;
-      b = rgb & 0x1f;
-      
-      // Expand 5-bit channels to 8-bit by shifting left and duplicating
-      // three most significant bits in least significant
-      r = (r << 3) | (r >> 2);
-      g = (g << 3) | (g >> 2);
-      b = (b << 3) | (b >> 2);
-      
-      // Set stroke color
-      rc.strokeStyle = "rgb(" + r.toString(10) +
-                        ", " + g.toString(10) +
-                        ", " + b.toString(10) + ")";
-      
-      // Set line width
-      rc.lineWidth = sz;
-      
-      // Stroke the shape
-      rc.stroke();
-    }
-  }
+  var m_scene;
   
   /*
-   * Public functions
-   * ================
+   * The painting sort arrays.
+   * 
+   * Only available if m_loaded.
+   * 
+   * During a rendering operation, after vertex transformation, the
+   * index of each scene object that survives the backface cull and the
+   * view frustum cull is entered into m_pidx, and its quantized Z
+   * value into the same element of m_pkey.  The Z value is quantized so
+   * that zero is the far clipping plane and (PAINT_DEPTHS - 1) is the
+   * near clipping plane.
+   * 
+   * The surviving objects are then counting sorted by their Z values
+   * into m_paint, using m_phist to count the objects at each Z value, so
+   * that objects will be rendered back to front according to the
+   * painter's algorithm.  The sort is stable, so objects with the same
+   * Z value keep their order in the scene.  m_pcount is the number of
+   * surviving objects, which is the number of elements in use at the
+   * start of m_pidx, m_pkey, and m_paint.
+   * 
+   * This takes time in proportion to the number of scene objects, so
+   * it stays fast for scenes with millions of objects.
+   * 
+   * If there is a BSP tree in m_bsp, the objects are its objects, and
+   * bspOrder() fills m_paint in the order of the tree instead of the
+   * counting sort.
+   * 
+   * m_pidx and m_paint are Uint32Arrays and m_pkey is a Uint16Array,
+   * each with one element per scene object.  m_phist is a Uint32Array
+   * with PAINT_DEPTHS elements.
    */
+  var m_pidx;
+  var m_pkey;
+  var m_paint;
+  var m_phist;
+  var m_pcount = 0;
   
   /*
-   * Render the current scene using a 2D canvas rendering context.
+   * The shade factors of lit triangles.
    * 
-   * Both width and height must be at least two.
+   * Only available if m_loaded.
    * 
-   * Parameters:
+   * This is a Float32Array with one element per scene object.  When
+   * lighting is enabled, rendering stores the factor that the fill color
+   * of each triangle that survives the culling is multiplied by into the
+   * element for that triangle.  Other elements are not used.
+   */
+  var m_shade;
+  
+  /*
+   * The depth buffer of exact rendering.
    * 
-   *   rc : CanvasRenderingContext2D - the 2D rendering context
+   * This is null until the first exact render.  Then it is a
+   * Float32Array with one element per pixel of the render, which is
+   * kept for the next render of the same size.
+   */
+  var m_depth = null;
+  
+  /*
+   * Flag indicating whether scenes are drawn in the order of a BSP tree
+   * rather than by the painting sort.
+   */
+  var m_bspon = false;
+  
+  /*
+   * The BSP tree of the current scene.
    * 
-   *   w : integer - the width in pixels of the canvas
+   * This is null if m_bspon is false, if no scene is loaded, or if the
+   * scene has no triangles or is too large for a tree.  Otherwise, it is
+   * built by bspBuild() when the scene is installed or m_bspon is set.
    * 
-   *   h : integer - the height in pixels of the canvas
+   * The tree has its own vertex and scene buffers in the formats of
+   * m_vtx and m_scene, which renderScene() draws instead of the scene
+   * buffers.  They begin with copies of the scene buffers, but the tree
+   * splits triangles and lines that cross the planes of its nodes, which
+   * changes some of the objects and adds vertices and objects at the
+   * end.
+   * 
+   * The tree is an object with the following properties:
+   * 
+   *   "vtx" : Float64Array - the vertex buffer
+   * 
+   *   "scene" : Uint32Array - the scene buffer
+   * 
+   *   "plane" : Float64Array - four numbers for each node, which are
+   *   the unit normal and the distance of its plane, as returned by
+   *   bspPlane()
+   * 
+   *   "cell" : Uint8Array - for each node, one if it is a cell without
+   *   a plane or subtrees, zero otherwise
+   * 
+   *   "front" : Int32Array - for each node, the node of the subtree on
+   *   the side of the plane that its normal points to, or -1 if none
+   * 
+   *   "back" : Int32Array - for each node, the node of the subtree on
+   *   the other side, or -1 if none
+   * 
+   *   "first" : Uint32Array - for each node, the first element of
+   *   "items" that holds its objects
+   * 
+   *   "count" : Uint32Array - for each node, the number of its objects
+   * 
+   *   "items" : Uint32Array - the indices of the objects of every node,
+   *   where the objects of a node with a plane are the objects in that
+   *   plane, with triangles first
+   * 
+   *   "key" : Int32Array - the quantized Z value of each object during
+   *   rendering, or -1 if the object was culled
+   * 
+   *   "stack" : Int32Array - the stack of bspOrder()
+   * 
+   * Node zero is the root of the tree.
    */
-  function renderScene(rc, w, h) {
-    
-    var func_name = "renderScene";
-    var i, j, k, k_max, p, x, y, z, r;
-    var a, b, c, d, e, bi;
-    var z0, z1, z2, z3;
-    var x0, y0, x1, y1, x2, y2, x3, y3;
-    var t1, t2, t3;
-    var e1x, e1y, e1z, e2x, e2y, e2z;
-    var near, far, extent;
-    var proj_d, rad_mul;
-    var mtxCam, mtxProj;
-    
-    // Check parameters and convert to integers
-    if ((typeof rc !== "object") ||
-        (typeof w !== "number") ||
-        (typeof h !== "number")) {
-      fault(func_name, 100);
-    }
+  var m_bsp = null;
+  
+  /*
+   * The bounding volume hierarchy of the buffers that renderScene()
+   * draws.
+   * 
+   * This is null if no scene is loaded or if the buffers have fewer than
+   * BVH_MIN_OBJECTS scene objects.  Otherwise, it is built by bvhBuild()
+   * whenever the buffers change, and each render uses it to reject whole
+   * groups of objects that are outside the view frustum, without
+   * transforming their vertices.
+   * 
+   * The hierarchy is a binary tree of axis-aligned bounding boxes in
+   * world space.  Each leaf holds up to BVH_LEAF_SIZE objects, and the
+   * box of each node holds all the objects below it, including the radii
+   * of spheres.  It is an object with the following properties:
+   * 
+   *   "box" : Float64Array - six numbers for each node, which are the
+   *   least X, Y, and Z and then the greatest X, Y, and Z of its box
+   * 
+   *   "left" : Int32Array - for each node, its first child, or -1 if it
+   *   is a leaf
+   * 
+   *   "right" : Int32Array - for each node, its second child, or -1 if
+   *   it is a leaf
+   * 
+   *   "first" : Uint32Array - for each leaf, the first element of
+   *   "items" that holds its objects
+   * 
+   *   "count" : Uint32Array - for each leaf, the number of its objects
+   * 
+   *   "items" : Uint32Array - the indices of the objects of every leaf
+   * 
+   *   "vfirst" : Uint32Array - for each leaf, the first element of
+   *   "verts" that holds the vertices of its objects
+   * 
+   *   "vcount" : Uint32Array - for each leaf, the number of vertices of
+   *   its objects
+   * 
+   *   "verts" : Uint32Array - the indices of the vertices of the objects
+   *   of every leaf, without repeats within a leaf
+   * 
+   *   "plane" : Float64Array - the planes of the view frustum in world
+   *   space during rendering, in the format of m_frustum
+   * 
+   *   "stack" : Int32Array - the stack of bvhCull()
+   * 
+   *   "seen" : Uint32Array - for each object, the frame number of the
+   *   last render in which it was in a leaf that wasn't rejected
+   * 
+   *   "frame" : integer - the frame number of the current render
+   * 
+   *   "vis" : Uint32Array - the vertices of the leaves that weren't
+   *   rejected in the current render, which may repeat a vertex that is
+   *   used in several leaves
+   * 
+   *   "nvis" : integer - the number of vertices in "vis"
+   * 
+   * Node zero is the root of the hierarchy.
+   */
+  var m_bvh = null;
+  
+  /*
+   * The progressive render in progress, or null if there is none.
+   * 
+   * beginRender() sets this to the render returned by renderBegin(), and
+   * continueRender() draws the objects of that render until it is done,
+   * when this goes back to null.  Any other render, and installing a
+   * scene or building or dropping a BSP tree, also sets this back to
+   * null and so cancels the progressive render, since they overwrite the
+   * buffers that it draws from.
+   */
+  var m_progress = null;
+  
+  /*
+   * The objects and vertices of coarse renders.
+   * 
+   * This is null if the buffers that renderScene() draws have at most
+   * LOD_MAX_OBJECTS objects, in which case coarse renders look at all
+   * of the objects.  Otherwise, it is built by lodBuild() when the
+   * buffers are allocated, and it has the following properties:
+   * 
+   *   "keep" : Uint8Array - one element per scene object, which is one
+   *   for the LOD_MAX_OBJECTS objects that coarse renders look at, and
+   *   zero for the others
+   * 
+   *   "verts" : Uint32Array - the index of each vertex that those
+   *   objects use, which are the only vertices that coarse renders
+   *   transform
+   * 
+   * The objects are the largest ones, measured by the longest side of
+   * the box around a triangle or line, and by the diameter of a sphere,
+   * while points have no size.  Where objects of the same size are only
+   * partly needed, such as the points of a point cloud, an evenly spread
+   * share of them in the order of the scene is taken.
+   */
+  var m_lod = null;
+  
+  /*
+   * The point style array.
+   * 
+   * Only available if m_loaded.
+   * 
+   * This is a regular array, where each array element is an object.
+   * These style objects are referenced from the style words of scene
+   * objects of point type in m_scene.  There may be at most MAX_COUNT
+   * point styles, and the array may also be empty.
+   * 
+   * All point style objects have the following properties:
+   * 
+   *   "shape"  : string  - the shape to render at the given point
+   * 
+   *   "size"   : float   - edge length of bounding box
+   * 
+   *   "stroke" : float   - stroke width
+   * 
+   * The following shapes are supported:
+   * 
+   *    Property value |            Shape
+   *   ================+=============================
+   *          c        | Circle
+   *          s        | Square
+   *          m        | Diamond
+   *          u        | Triangle, pointing upwards
+   *          d        | Triangle, pointing downwards
+   *          l        | Triangle, pointing left
+   *          r        | Triangle, pointing right
+   *          p        | Plus sign +
+   *          x        | X
+   * 
+   * The size must be greater than 0.0.  It defines how large the
+   * rendered shape is.  This is the size when rendered in 2D,
+   * regardless of the Z distance.  If you want a 3D sphere, don't use
+   * the circle point shape, because its size doesn't change according
+   * to distance; instead, use a sphere object in the scene.
+   * 
+   * The stroke width must either be 0.0 or a value greater than 0.0.
+   * If it is 0.0, the outline of the shape is not stroked.  Otherwise,
+   * it is stroked with this width when rendered in 2D, regardless of
+   * the Z distance.
+   * 
+   * All point styles for shapes that have an interior area (that is,
+   * all shapes except plus sign "p" and X "x") also have the following
+   * property:
+   * 
+   *   "fill" : integer - fill color or 0xffff for no fill
+   * 
+   * Fill color is encoded in 15-bit HiColor with most significant bit
+   * zero, as follows:
+   * 
+   *   MSB ----------- LSB
+   *   0rrr rrgg gggb bbbb
+   * 
+   * If the special 0xffff value is given, then the interior of the
+   * shape is left transparent.
+   * 
+   * If the "stroke" property of the point style is greater than zero,
+   * then the following property is also present:
+   * 
+   *   "ink" : integer - color to use for stroking the outline
+   * 
+   * The ink color is encoded in 15-bit HiColor with most significant
+   * bit zero, as follows:
+   * 
+   *   MSB ----------- LSB
+   *   0rrr rrgg gggb bbbb
+   * 
+   * Both the fill and the ink color may also be palette color words, as
+   * described for m_palette.
+   */
+  var m_pstyle;
+  
+  /*
+   * The line style array.
+   * 
+   * Only available if m_loaded.
+   * 
+   * This is a regular array, where each array element is an object.
+   * These style objects are referenced from the style words of scene
+   * objects of line, sphere, or triangle type in m_scene.  Line and
+   * sphere objects may reference any of the line styles, while triangle
+   * styles are only able to reference the first 31 line styles.  There
+   * may be at most MAX_COUNT line styles, and the line style array may
+   * also be empty.
+   * 
+   * All line style objects have the following properties:
+   * 
+   *   "width" : float   - width of the line
+   * 
+   *   "color" : integer - color of the line
+   * 
+   * The width must be greater than zero.  It is the 2D rendered width
+   * of the line, regardless of the Z distance.
+   * 
+   * The color is encoded in 15-bit HiColor with most significant bit
+   * zero, as follows:
+   * 
+   *   MSB ----------- LSB
+   *   0rrr rrgg gggb bbbb
+   * 
+   * It may also be a palette color word, as described for m_palette.
+   */
+  var m_lstyle;
+  
+  /*
+   * The color palette.
+   * 
+   * Only available if m_loaded.
+   * 
+   * This is a regular array of up to MAX_PALETTE colors, and it may be
+   * empty.  Each color is an array of four integers in range [0, 255]
+   * holding the red, green, blue, and alpha channels, where an alpha of
+   * 255 is opaque and an alpha of zero is fully transparent.
+   * 
+   * Every color in the scene, which is the fill color of triangles and
+   * spheres, the color of line styles, and the fill and ink colors of
+   * point styles, is a 16-bit color word.  If the most significant bit
+   * of the word is zero, the rest of the word is a 15-bit HiColor value.
+   * Otherwise, the other 15 bits are an index into the palette:
+   * 
+   *   MSB ----------- LSB
+   *   1iii iiii iiii iiii
+   * 
+   * This gives scenes full 24-bit colors with alpha, while scenes
+   * without a palette use HiColor everywhere.  Translucent objects are
+   * blended over whatever was drawn before them, which the painter's
+   * algorithm makes everything behind them.
+   */
+  var m_palette;
+  
+  /*
+   * The viewpoints of the loaded scene.
+   * 
+   * This is a regular array, where each array element is an object for
+   * a camera that was defined in the loaded file.  Only glTF files
+   * define cameras, so for all other files the array is empty.  Each
+   * object has the following properties:
+   * 
+   *   "name" : string - the name of the camera
+   * 
+   *   "camera" : Array - the camera position, in the format returned by
+   *   getCamera()
+   * 
+   *   "projection" : Array - the projection, in the format returned by
+   *   getProjection()
+   */
+  var m_views = [];
+  
+  /*
+   * Local functions
+   * ===============
+   */
+  
+  /*
+   * Report an error to console and throw an exception for a fault
+   * occurring within this module.
+   *
+   * Parameters:
+   *
+   *   func_name : string - the name of the function in this module
+   *
+   *   loc : number(int) - the location within the function
+   */
+  function fault(func_name, loc) {
     
-    if (!(rc instanceof CanvasRenderingContext2D)) {
-      fault(func_name, 101);
+    // If parameters not valid, set to unknown:0
+    if ((typeof func_name !== "string") || (typeof loc !== "number")) {
+      func_name = "unknown";
+      loc = 0;
+    }
+    loc = Math.floor(loc);
+    if (!isFinite(loc)) {
+      loc = 0;
     }
     
-    w = Math.floor(w);
-    h = Math.floor(h);
+    // Report error to console
+    console.log("Fault at " + func_name + ":" + String(loc) +
+                  " in dla_main");
     
-    if ((!isFinite(w)) || (!isFinite(h))) {
-      fault(func_name, 102);
+    // Throw exception
+    throw ("dla_main:" + func_name + ":" + String(loc));
+  }
+  
+  /*
+   * Report a syntax error within a scene file and throw an exception.
+   * 
+   * The exception is always the string "dla_main:syntax_error".
+   * 
+   * If m_errmsg is false, then it will be set to reason if reason is a
+   * string, otherwise to "Unknown error" if reason is not a string.  If
+   * m_errmsg is not false, then it will not be changed by this
+   * function.
+   * 
+   * Parameters:
+   * 
+   *   reason : string - the syntax error reason
+   */
+  function syntax(reason) {
+    
+    // If reason not a string, set to "Unknown error"
+    if (typeof reason !== "string") {
+      reason = "Unknown error";
     }
     
-    if ((w < 2) || (h < 2)) {
-      fault(func_name, 103);
+    // Store reason if no reason stored yet
+    if (m_errmsg === false) {
+      m_errmsg = reason;
     }
     
-    // First thing is always to clear the canvas to the background color
-    rc.fillStyle = "rgb(" + m_bgcolor[0].toString(10) + 
-                    ", " + m_bgcolor[1].toString(10) +
-                    ", " + m_bgcolor[2].toString(10) + ")";
-    rc.fillRect(0, 0, w, h);
+    // Throw syntax error
+    throw ("dla_main:syntax_error");
+  }
+  
+  /*
+   * Replace the current scene with new scene buffers.
+   * 
+   * The buffers must already be fully checked.  See the documentation
+   * of the m_vtx, m_rad, m_scene, m_pstyle, m_lstyle, and m_palette
+   * variables for their formats.  The BSP tree is built if enabled, the
+   * transformed vertex buffers and the painting sort arrays are
+   * allocated to match, the viewpoints are cleared, and the loaded flag
+   * is set.
+   * 
+   * Parameters:
+   * 
+   *   vtx : Float64Array - the vertex buffer
+   * 
+   *   rbuf : Float64Array | null - the radius buffer, or null if none
+   * 
+   *   scene : Uint32Array - the scene buffer
+   * 
+   *   ps : array - the point styles
+   * 
+   *   ls : array - the line styles
+   * 
+   *   pal : array - the palette (optional, empty if not given)
+   */
+  function installScene(vtx, rbuf, scene, ps, ls, pal) {
     
-    // Only proceed further if scene is loaded
-    if (m_loaded) {
+    m_vtx = vtx;
+    m_rad = rbuf;
+    m_scene = scene;
+    m_pstyle = ps;
+    m_lstyle = ls;
+    m_palette = (pal !== undefined) ? pal : [];
+    m_views = [];
+    
+    m_bsp = m_bspon ? bspBuild() : null;
+    allocRender();
+    
+    m_loaded = true;
+  }
+  
+  /*
+   * Allocate the transformed vertex buffers and the painting sort
+   * arrays for the buffers that renderScene() draws, which are the
+   * buffers of the BSP tree if there is one, or else the scene buffers,
+   * and build the bounding volume hierarchy and the coarse render
+   * objects of those buffers.  This cancels any progressive render.
+   */
+  function allocRender() {
+    
+    var vn, n;
+    
+    if (m_bsp !== null) {
+      vn = m_bsp.vtx.length;
+      n = m_bsp.scene.length / SCENE_STRIDE;
+      m_bvh = bvhBuild(m_bsp.scene, m_bsp.vtx);
+      m_lod = lodBuild(m_bsp.scene, m_bsp.vtx);
+    } else {
+      vn = m_vtx.length;
+      n = m_scene.length / SCENE_STRIDE;
+      m_bvh = bvhBuild(m_scene, m_vtx);
+      m_lod = lodBuild(m_scene, m_vtx);
+    }
+    
+    m_tvx = new Float64Array(vn);
+    m_pvx = new Float64Array(vn);
+    m_pcode = new Uint8Array(vn / 3);
+    m_pidx = new Uint32Array(n);
+    m_pkey = new Uint16Array(n);
+    m_paint = new Uint32Array(n);
+    m_shade = new Float32Array(n);
+    if (!m_phist) {
+      m_phist = new Uint32Array(PAINT_DEPTHS);
+    }
+    m_pcount = 0;
+    m_progress = null;
+  }
+  
+  /*
+   * Check whether an integer is a valid color word.
+   * 
+   * See the documentation of m_palette for the format of color words.
+   * 
+   * Parameters:
+   * 
+   *   c : integer - the color word
+   * 
+   *   pcount : integer - the number of palette colors
+   * 
+   * Return:
+   * 
+   *   true if the color word is a HiColor value or selects one of the
+   *   palette colors, false otherwise
+   */
+  function isColor(c, pcount) {
+    
+    return ((c >= 0) && (c < PALETTE_BIT)) ||
+            ((c >= PALETTE_BIT) && (c - PALETTE_BIT < pcount));
+  }
+  
+  /*
+   * Check the data of a scene file and install it as the new scene.
+   * 
+   * The data is the parsed JSON of a scene file, or an object with the
+   * same properties decoded from a binary scene file, in which case the
+   * "vertex", "radius", and "scene" properties may be typed arrays.
+   * Problems with the data are reported with syntax(), and the current
+   * scene is only replaced if there are none.
+   * 
+   * Parameters:
+   * 
+   *   data : any - the scene data
+   */
+  function installData(data) {
+    
+    var i, j, t, a, b, c, x, y, o;
+    var ii, ij, ik;
+    var version, stride, limit;
+    
+    var pscount;
+    var lscount;
+    var rcount;
+    var vcount;
+    var scount;
+    
+    var vtx;
+    var scene;
+    var rbuf;
+    var ps;
+    var ls;
+    var pal;
+    
+    // Top-level JSON entity must be object
+    if ((typeof data !== "object") || (data instanceof Array)) {
+      syntax("Top-level entity must be object");
+    }
+    
+    // Get the format version, which is 1 if not given; version 1
+    // scene objects are five 16-bit integers, while version 2 scene
+    // objects are six integers and allow many more of everything
+    version = 1;
+    if ("version" in data) {
+      version = data.version;
+      if ((version !== 1) && (version !== 2)) {
+        syntax("Scene file version must be 1 or 2");
+      }
+    }
+    if (version === 1) {
+      stride = 5;
+      limit = 65535;
+    } else {
+      stride = SCENE_STRIDE;
+      limit = MAX_COUNT;
+    }
+    
+    // If the point styles member exists, it must be an array; store
+    // its length as the point styles count, else set point styles
+    // count to zero
+    if ("pstyle" in data) {
+      if ((typeof data.pstyle !== "object") ||
+            (!(data.pstyle instanceof Array))) {
+        syntax("pstyle property must be array");
+      }
+      pscount = data.pstyle.length;
       
-      // Set line cap and join to round for all lines that will be
-      // stroked during rendering
-      rc.lineCap  = "round";
-      rc.lineJoin = "round";
+    } else {
+      pscount = 0;
+    }
+    
+    // If the line styles member exists, it must be an array; store
+    // its length as the line styles count, else set line styles count
+    // to zero
+    if ("lstyle" in data) {
+      if ((typeof data.lstyle !== "object") ||
+            (!(data.lstyle instanceof Array))) {
+        syntax("lstyle property must be array");
+      }
+      lscount = data.lstyle.length;
       
-      // Define the matrix that will transform world space to camera
-      // space, where the camera is perfectly level at the origin
-      // looking exactly down towards negative Z infinity (right-handed)
-      mtxCam = new Matrix;
+    } else {
+      lscount = 0;
+    }
+    
+    // If the palette member exists, it must be an array of colors,
+    // each of which is an array of three or four integer channels in
+    // range [0, 255]; the alpha channel is opaque if it is not given
+    pal = [];
+    if ("palette" in data) {
+      if ((typeof data.palette !== "object") ||
+            (!(data.palette instanceof Array))) {
+        syntax("palette property must be array");
+      }
+      if (data.palette.length > MAX_PALETTE) {
+        syntax("At most " + String(MAX_PALETTE) +
+                " palette colors are allowed");
+      }
       
-      // First step is to translate so that camera is at origin
-      mtxCam.translate(-(m_cam[0]), -(m_cam[1]), -(m_cam[2]));
+      for(i = 0; i < data.palette.length; i++) {
+        o = data.palette[i];
+        if ((!(o instanceof Array)) || ((o.length !== 3) && (o.length !== 4))) {
+          syntax("Palette colors must be arrays of three or four channels");
+        }
+        for(j = 0; j < o.length; j++) {
+          if ((typeof o[j] !== "number") || (o[j] !== Math.floor(o[j])) ||
+              (o[j] < 0) || (o[j] > 255)) {
+            syntax("Palette channels must be integers in range [0, 255]");
+          }
+        }
+        pal.push([o[0], o[1], o[2], (o.length > 3) ? o[3] : 255]);
+      }
+    }
+    
+    // If the radius member exists, it must be an array; store its
+    // length as the radius count, else set radius count to zero
+    if ("radius" in data) {
+      if ((typeof data.radius !== "object") ||
+            (!((data.radius instanceof Array) ||
+            ArrayBuffer.isView(data.radius)))) {
+        syntax("radius property must be array");
+      }
+      rcount = data.radius.length;
       
-      // Next, undo the yaw by rotating around Y axis
-      mtxCam.rotateY(-(m_cam[3] * Math.PI * 2));
+    } else {
+      rcount = 0;
+    }
+    
+    // The vertex member must exist and be an array and have a number
+    // of elements that is greater than zero and divisible by three;
+    // set the vertex count
+    if (!("vertex" in data)) {
+      syntax("Missing vertex property");
+    }
+    if ((typeof data.vertex !== "object") ||
+          (!((data.vertex instanceof Array) ||
+            ArrayBuffer.isView(data.vertex)))) {
+      syntax("vertex property must be array");
+    }
+    if (data.vertex.length < 1) {
+      syntax("Vertex buffer may not be empty");
+    }
+    if ((data.vertex.length % 3) !== 0) {
+      syntax("Vertex buffer array must be a multiple of 3");
+    }
+    vcount = data.vertex.length / 3;
+    
+    // The scene member must exist and be an array and have a number
+    // of elements that is greater than zero and divisible by the
+    // object size of the version; set the scene count
+    if (!("scene" in data)) {
+      syntax("Missing scene property");
+    }
+    if ((typeof data.scene !== "object") ||
+          (!((data.scene instanceof Array) ||
+            ArrayBuffer.isView(data.scene)))) {
+      syntax("scene property must be array");
+    }
+    if (data.scene.length < 1) {
+      syntax("Scene graph may not be empty");
+    }
+    if ((data.scene.length % stride) !== 0) {
+      syntax("Scene graph array be a multiple of " + String(stride));
+    }
+    scount = data.scene.length / stride;
+    
+    // Check that all the array counts are in valid ranges
+    if (pscount > limit) {
+      syntax("At most " + String(limit) + " point styles are allowed");
+    }
+    if (lscount > limit) {
+      syntax("At most " + String(limit) + " line styles are allowed");
+    }
+    if (rcount > limit) {
+      syntax("At most " + String(limit) +
+              " radius definitions are allowed");
+    }
+    if (vcount > limit) {
+      syntax("At most " + String(limit) +
+              " vertex definitions are allowed");
+    }
+    if (scount > limit) {
+      syntax("At most " + String(limit) + " scene objects are allowed");
+    }
+    
+    // Create a new typed vertex array buffer and copy in all the
+    // vertices, checking along the way that everything is a finite
+    // number
+    vtx = new Float64Array(vcount * 3);
+    for(i = 0; i < vcount; i++) {
+      // Get each of the vertex elements
+      a = data.vertex[i * 3];
+      b = data.vertex[(i * 3) + 1];
+      c = data.vertex[(i * 3) + 2];
       
-      // Next, undo the pitch by rotating around the X axis
-      mtxCam.rotateX(-(m_cam[4] * Math.PI / 2));
+      // Check that everything is a number
+      if ((typeof a !== "number") ||
+          (typeof b !== "number") ||
+          (typeof c !== "number")) {
+        syntax("Vertex buffer may only contain numbers");
+      }
       
-      // Finally, undo the roll by rotating around the Z axis
-      mtxCam.rotateZ(-(m_cam[5] * Math.PI * 2));
+      // Check that everything is finite
+      if ((!isFinite(a)) ||
+          (!isFinite(b)) ||
+          (!isFinite(c))) {
+        syntax("Vertex buffer may only contain finite values");
+      }
       
-      // If matrix is not finite, stop
-      if (!mtxCam.checkFinite()) {
-        return;
+      // Store in the vertex buffer
+      vtx[ i * 3     ] = a;
+      vtx[(i * 3) + 1] = b;
+      vtx[(i * 3) + 2] = c;
+    }
+    
+    // Create a new typed scene object buffer and copy in all the
+    // scene objects, checking their formats and references along the
+    // way, and converting version 1 objects to the object layout of
+    // the scene buffer
+    scene = new Uint32Array(scount * SCENE_STRIDE);
+    for(i = 0; i < scount; i++) {
+      // Get each of the scene object elements, with the type only
+      // given in version 2
+      if (version === 1) {
+        t = 0;
+        a = data.scene[i * 5];
+        b = data.scene[(i * 5) + 1];
+        c = data.scene[(i * 5) + 2];
+        x = data.scene[(i * 5) + 3];
+        y = data.scene[(i * 5) + 4];
+      } else {
+        t = data.scene[i * 6];
+        a = data.scene[(i * 6) + 1];
+        b = data.scene[(i * 6) + 2];
+        c = data.scene[(i * 6) + 3];
+        x = data.scene[(i * 6) + 4];
+        y = data.scene[(i * 6) + 5];
       }
       
-      // Define the matrix that will transform camera space into
-      // projected screen space
-      mtxProj = new Matrix;
+      // Everything must be a number
+      if ((typeof t !== "number") ||
+          (typeof a !== "number") ||
+          (typeof b !== "number") ||
+          (typeof c !== "number") ||
+          (typeof x !== "number") ||
+          (typeof y !== "number")) {
+        syntax("Scene buffer may only contain numbers");
+      }
       
-      // First step is the projection matrix
-      mtxProj.project(1 / Math.tan(m_proj[0] * Math.PI / 2));
+      // Floor everything to integer value
+      t = Math.floor(t);
+      a = Math.floor(a);
+      b = Math.floor(b);
+      c = Math.floor(c);
+      x = Math.floor(x);
+      y = Math.floor(y);
       
-      // Next scale X and Y by half the height to get to screen
-      // dimensions, and also flip Y
-      mtxProj.scale(h / 2, -(h / 2), 1);
+      // Integer values must all be finite
+      if ((!isFinite(t)) ||
+          (!isFinite(a)) ||
+          (!isFinite(b)) ||
+          (!isFinite(c)) ||
+          (!isFinite(x)) ||
+          (!isFinite(y))) {
+        syntax("Scene buffer may only contain finite integers");
+      }
       
-      // Finally, adjust origin so origin is top-left of screen
-      mtxProj.translate(w / 2, h / 2, 0);
+      if (version === 1) {
+        // Integer values must all be in unsigned 16-bit range
+        if ((a < 0) || (a > 65535) ||
+            (b < 0) || (b > 65535) ||
+            (c < 0) || (c > 65535) ||
+            (x < 0) || (x > 65535) ||
+            (y < 0) || (y > 65535)) {
+          syntax("Scene buffer may only contain 16-bit integers");
+        }
+        
+        // The object type is determined by which of the second and
+        // third vertices have the special 65535 value; the radius
+        // index of spheres moves to the second vertex, and the
+        // special 65535 values for no sphere fill and no sphere
+        // stroke become -1 as in version 2
+        if ((b !== 65535) && (c !== 65535)) {
+          t = SCENE_TRIANGLE;
+          
+        } else if ((b === 65535) && (c !== 65535)) {
+          t = SCENE_SPHERE;
+          b = c;
+          if (x === 65535) {
+            x = -1;
+          }
+          if (y === 65535) {
+            y = -1;
+          }
+          
+        } else if ((b !== 65535) && (c === 65535)) {
+          t = SCENE_LINE;
+          
+        } else {
+          t = SCENE_POINT;
+        }
+      }
       
-      // Transform all vertices in the vertex buffer both into the
-      // camera-transformed buffer m_tvx and the projected buffer m_pvx
-      j = m_vtx.length;
-      p = new Array(3);
-      for(i = 0; i < j; i = i + 3) {
-        p[0] = m_vtx[i    ];
-        p[1] = m_vtx[i + 1];
-        p[2] = m_vtx[i + 2];
+      // First element must always be a valid vertex index
+      if ((a < 0) || (a >= vcount)) {
+        syntax("First vertex must always be valid index");
+      }
+      
+      // Rest of checking depends on object type
+      if (t === SCENE_TRIANGLE) {
+        // TRIANGLE -- begin by checking vertex ranges
+        if ((b < 0) || (b >= vcount) || (c < 0) || (c >= vcount)) {
+          syntax("Triangles must have three valid vertices");
+        }
         
-        mtxCam.process(p);
+        // Check that fill color is in HiColor range or selects a
+        // palette color
+        if (!isColor(x, pal.length)) {
+          syntax("Triangles must have 15-bit or palette fill color");
+        }
         
-        m_tvx[i    ] = p[0];
-        m_tvx[i + 1] = p[1];
-        m_tvx[i + 2] = p[2];
+        // Check that style word is in 15-bit range
+        if ((y < 0) || (y >= 0x8000)) {
+          syntax("Triangles must have 15-bit style");
+        }
         
-        mtxProj.process(p);
+        // Get the edge selector values
+        ii = (y >> 10);
+        ij = (y >> 5) & 0x1f;
+        ik = y & 0x1f;
         
-        m_pvx[i    ] = p[0];
-        m_pvx[i + 1] = p[1];
-        m_pvx[i + 2] = p[2];
+        // For edge selectors that are greater than zero, make sure
+        // that one less than their value is a valid line style
+        if (ii > 0) {
+          if (ii > lscount) {
+            syntax("Selectors must reference line style or none");
+          }
+        }
+        if (ij > 0) {
+          if (ij > lscount) {
+            syntax("Selectors must reference line style or none");
+          }
+        }
+        if (ik > 0) {
+          if (ik > lscount) {
+            syntax("Selectors must reference line style or none");
+          }
+        }
+        
+      } else if (t === SCENE_SPHERE) {
+        // SPHERE -- begin by checking radius range
+        if ((b < 0) || (b >= rcount)) {
+          syntax("Spheres must have valid radius indices");
+        }
+        
+        // Set third vertex to zero since it is not used
+        c = 0;
+        
+        // Check that fill color is in HiColor range, selects a palette
+        // color, or is the special -1 value indicating no fill
+        if ((!isColor(x, pal.length)) && (x !== -1)) {
+          syntax("Spheres must have 15-bit or palette fill or be " +
+                  "transparent");
+        }
+        
+        // Style must be index into line styles or special -1 value
+        // indicating no edge line
+        if (((y < 0) || (y >= lscount)) && (y !== -1)) {
+          syntax("Spheres must reference line style or transparent");
+        }
+        
+        // Spheres may not have both transparent fill and transparent
+        // stroke
+        if ((x === -1) && (y === -1)) {
+          syntax("Spheres may not be fully transparent");
+        }
+        
+        // Convert the special values to those of the scene buffer
+        if (x === -1) {
+          x = 0xffff;
+        }
+        if (y === -1) {
+          y = NO_STYLE;
+        }
+        
+      } else if (t === SCENE_LINE) {
+        // LINE -- begin by checking vertex range
+        if ((b < 0) || (b >= vcount)) {
+          syntax("Lines must have two valid vertices");
+        }
+        
+        // Set third vertex and fill to zero since they are not used
+        c = 0;
+        x = 0;
+        
+        // Check that style is index into line styles
+        if ((y < 0) || (y >= lscount)) {
+          syntax("Lines must reference defined line style");
+        }
+        
+      } else if (t === SCENE_POINT) {
+        // POINT -- begin by setting second and third vertices and
+        // fill to zero since they are not used
+        b = 0;
+        c = 0;
+        x = 0;
+        
+        // Check that style is index into point styles
+        if ((y < 0) || (y >= pscount)) {
+          syntax("Points must reference defined point style");
+        }
+        
+      } else {
+        // Unknown type, which can only happen in version 2
+        syntax("Scene object type must be in range [0, 3]");
       }
       
-      // Cache near and far clipping planes and distance between
-      near   = m_proj[1];
-      far    = m_proj[2];
-      extent = near - far;
-      
-      // Cache values used in calculating projected sphere radii
-      proj_d  = 1 / Math.tan(m_proj[0] * Math.PI / 2);
-      rad_mul = (proj_d * h) / 2.0;
-      
-      // Fill the paint sorting list by going through all scene objects,
-      // applying backface cull to triangles and then near/far full
-      // plane clipping to all objects, and either discarding each scene
-      // object by writing the special 0xffffffff to the m_paint list,
-      // or adding the object with the quantized centroid Z clamped to
-      // normalized range in the most significant word and the index of
-      // the object in the least significant word
-      j = m_scene.length / 5;
-      for(i = 0; i < j; i++) {
-        
-        // Get this scene object's vertices
-        bi = i * 5;
-        a = m_scene[bi    ];
-        b = m_scene[bi + 1];
-        c = m_scene[bi + 2];
+      // Store in the scene buffer
+      scene[ i * 6     ] = t;
+      scene[(i * 6) + 1] = a;
+      scene[(i * 6) + 2] = b;
+      scene[(i * 6) + 3] = c;
+      scene[(i * 6) + 4] = x;
+      scene[(i * 6) + 5] = y;
+    }
+    
+    // If there is at least one radius definition, define the radius
+    // table, checking that all radii are numbers that are finite and
+    // greater than zero; otherwise, set the radius table to null
+    rbuf = null;
+    if (rcount > 0) {
+      rbuf = new Float64Array(rcount);
+      for(i = 0; i < rcount; i++) {
+        // Get the radius
+        a = data.radius[i];
         
-        // Handle different types of objects
-        if ((b !== 0xffff) && (c !== 0xffff)) {
-          // Triangle -- get all three Z coordinates
-          z1 = m_tvx[(3 * a) + 2];
-          z2 = m_tvx[(3 * b) + 2];
-          z3 = m_tvx[(3 * c) + 2];
-          
-          // Also get X Y coordinates of first vertex
-          bi = 3 * a;
-          x1 = m_tvx[bi];
-          y1 = m_tvx[bi + 1];
-          
-          // Compute the vectors of the first edge (V1 -> V2) and also
-          // of second edge (V1 -> V3)
-          bi = 3 * b;
-          e1x = m_tvx[bi    ] - x1;
-          e1y = m_tvx[bi + 1] - y1;
-          e1z = m_tvx[bi + 2] - z1;
-          
-          bi = 3 * c;
-          e2x = m_tvx[bi    ] - x1;
-          e2y = m_tvx[bi + 1] - y1;
-          e2z = m_tvx[bi + 2] - z1;
-          
-          // Compute dot product of vector from camera to first vertex
-          // of the triangle, and the normal at the first vertex
-          p = (x1 * ((e1y * e2z) - (e1z * e2y))) +
-              (y1 * ((e1z * e2x) - (e1x * e2z))) +
-              (z1 * ((e1x * e2y) - (e1y * e2x)));
-          
-          // Check dot product first for backface culling
-          if (p < 0) {
-            // Not backface-culled, so next check whether all Z
-            // coordinates are greater than or equal to near plane
-            if ((z1 >= near) && (z2 >= near) && (z3 >= near)) {
-              // Everything is before near plane, so cull
-              m_paint[i] = 0xffffffff;
-              
-            } else {
-              // Not culled by near plane, so next check whether all Z
-              // coordinates are less than or equal to far plane
-              if ((z1 <= far) && (z2 <= far) && (z3 <= far)) {
-                // Everything is after far plane, so cull
-                m_paint[i] = 0xffffffff;
-                
-              } else {
-                // Triangle survived all culling, so we need to compute
-                // the Z centroid next
-                z = (z1 + z2 + z3) / 3.0;
-                
-                // Set to zero if not finite
-                if (!isFinite(z)) {
-                  z = 0.0;
-                }
-                
-                // Clamp Z centroid to near/far plane range
-                z = Math.min(Math.max(z, far), near);
-                
-                // Normalize centroid so that 1.0 is near plane and 0.0
-                // is far plane
-                z = (z - far) / extent;
-                
-                // Quantize to 16-bit integer space and clamp
-                z = Math.floor(z * 65535.0);
-                z = Math.min(Math.max(z, 0), 65535);
-                
-                // Write quantized Z and scene object index to paint
-                // sorter
-                m_paint[i] = (z << 16) | i;
-              }
-            }
-            
-          } else {
-            // Backface culled
-            m_paint[i] = 0xffffffff;
-          }
-        
-        } else if ((b !== 0xffff) && (c === 0xffff)) {
-          // Line -- get both Z coordinates
-          z1 = m_tvx[(3 * a) + 2];
-          z2 = m_tvx[(3 * b) + 2];
-          
-          // Check whether both Z coordinates are greater than or equal
-          // to near plane
-          if ((z1 >= near) && (z2 >= near)) {
-            // Everything in front of near plane, so cull
-            m_paint[i] = 0xffffffff;
-            
-          } else {
-            // Not culled by near plane, so next check whether both Z
-            // coordinates are less than or equal to far plane
-            if ((z1 <= far) && (z2 <= far)) {
-              // Everything behind far plane, so cull
-              m_paint[i] = 0xffffffff;
-              
-            } else {
-              // Line not culled, so we need to compute Z centroid next
-              z = (z1 + z2) / 2.0;
-              
-              // Set to zero if not finite
-              if (!isFinite(z)) {
-                z = 0.0;
-              }
-              
-              // Clamp Z centroid to near/far plane range
-              z = Math.min(Math.max(z, far), near);
-              
-              // Normalize centroid so that 1.0 is near plane and 0.0
-              // is far plane
-              z = (z - far) / extent;
-              
-              // Quantize to 16-bit integer space and clamp
-              z = Math.floor(z * 65535.0);
-              z = Math.min(Math.max(z, 0), 65535);
-              
-              // Write quantized Z and scene object index to paint
-              // sorter
-              m_paint[i] = (z << 16) | i;
-            }
-          }
-        
-        } else {
-          // Point or sphere -- get the origin Z coordinate
-          z = m_tvx[(3 * a) + 2];
-          
-          // Check whether origin Z coordinate is greater than or equal
-          // to near plane
-          if (z >= near) {
-            // Origin is in front of near plane, so cull
-            m_paint[i] = 0xffffffff;
-            
-          } else {
-            // Not culled by near plane, so next check whether it is
-            // behind far plane
-            if (z <= far) {
-              // Point/sphere origin is behind far plane, so cull
-              m_paint[i] = 0xffffffff;
-              
-            } else {
-              // Not culled; clamp Z origin to near/far plane range
-              z = Math.min(Math.max(z, far), near);
-              
-              // Normalize origin so that 1.0 is near plane and 0.0 is
-              // far plane
-              z = (z - far) / (extent);
-              
-              // Quantize to 16-bit integer space and clamp
-              z = Math.floor(z * 65535.0);
-              z = Math.min(Math.max(z, 0), 65535);
-              
-              // Write quantized Z and scene object index to paint
-              // sorter
-              m_paint[i] = (z << 16) | i;
-            }
-          }
+        // Check that it's a number, finite, and greater than zero
+        if (typeof a !== "number") {
+          syntax("Radii must be numbers");
+        }
+        if (!isFinite(a)) {
+          syntax("Radii must be finite");
         }
+        if (!(a > 0.0)) {
+          syntax("Radii must be greater than zero");
+        }
+        
+        // Store the radius
+        rbuf[i] = a;
+      }
+    }
+    
+    // If there is at least one point style defined, define the point
+    // style table, checking that point styles are valid; otherwise,
+    // set the point styles table to an empty array
+    ps = [];
+    for(i = 0; i < pscount; i++) {
+      // Get the current style object
+      o = data.pstyle[i];
+      
+      // Make sure style is an object
+      if ((typeof o != "object") || (o instanceof Array)) {
+        syntax("Point styles must be objects");
       }
       
-      // Sort paint buffer in ascending numerical order, which puts the
-      // scene elements from back to front by Z centroids, and the end
-      // of the paint array is filled in with 0xffffffff
-      m_paint.sort();
+      // Must have "shape" "size" and "stroke" properties
+      if (!("shape" in o)) {
+        syntax("All point styles must have shape property");
+      }
+      if (!("size" in o)) {
+        syntax("All point styles must have size property");
+      }
+      if (!("stroke" in o)) {
+        syntax("All point styles must have stroke property");
+      }
       
-      // Now render all scene objects in order of centroids from back to
-      // front; the variable k is used as a retry count for triangle
-      // clipping
-      k = 0;
-      k_max = 0;
-      j = m_paint.length;
-      for(i = 0; i < j; i++) {
+      // Get the core property values
+      a = o.shape;
+      b = o.size;
+      c = o.stroke;
+      
+      // Make sure that shape is a string with one character that is
+      // a valid shape code
+      if (typeof a !== "string") {
+        syntax("Point style shape code must be string");
+      }
+      if (a.length !== 1) {
+        syntax("Point style shape code must be one character");
+      }
+      if (VALID_SHAPES.indexOf(a) < 0) {
+        syntax("Invalid shape code '" + a + "' in point style");
+      }
+      
+      // Make sure size is a finite number that is greater than zero
+      if (typeof b !== "number") {
+        syntax("Point style size must be number");
+      }
+      if (!isFinite(b)) {
+        syntax("Point style size must be finite");
+      }
+      if (!(b > 0.0)) {
+        syntax("Point style size must be greater than zero");
+      }
+      
+      // Make sure stroke is a finite number that is greater than or
+      // equal to zero
+      if (typeof c !== "number") {
+        syntax("Point style stroke must be number");
+      }
+      if (!isFinite(c)) {
+        syntax("Point style stroke must be finite");
+      }
+      if (!(c >= 0.0)) {
+        syntax("Point style stroke must be zero or greater");
+      }
+      
+      // If this shape is a filled shape, there must be a "fill"
+      // property, which should be floored to a finite integer that is
+      // either 15-bit, a palette color, or 0xffff; if the shape is not
+      // a filled shape,
+      // there must not be a "fill" property
+      x = 0;
+      if (FILL_SHAPES.indexOf(a) >= 0) {
+        // Fill shape, so must have property
+        if (!("fill" in o)) {
+          syntax("Point style must have fill for filled shapes");
+        }
         
-        // Get the current paint index value
-        p = m_paint[i];
+        // Get the fill property
+        x = o.fill;
         
-        // If current paint index is 0xffffffff then we are done
-        if (p === 0xffffffff) {
-          break;
+        // Make sure it is a number
+        if (typeof x !== "number") {
+          syntax("Point style fill must be number");
         }
         
-        // If we got here, the index of the scene object to render is in
-        // the 16 least significant bits
-        p = p & 0xffff;
+        // Floor it
+        x = Math.floor(x);
         
-        // Convert to base address in scene array and get scene object
-        // values
-        p = p * 5;
-        a = m_scene[p];
-        b = m_scene[p + 1];
-        c = m_scene[p + 2];
-        d = m_scene[p + 3];
-        e = m_scene[p + 4];
+        // Make sure it is finite
+        if (!isFinite(x)) {
+          syntax("Point style fill must be finite integer");
+        }
         
-        // Render specific type of object
-        if ((b !== 0xffff) && (c !== 0xffff)) {
-          // Triangle -- get Z coordinates first
-          z1 = m_tvx[(3 * a) + 2];
-          z2 = m_tvx[(3 * b) + 2];
-          z3 = m_tvx[(3 * c) + 2];
-          
-          // Check whether all are within extent
-          if ((z1 <= near) && (z2 <= near) && (z3 <= near) &&
-              (z1 >= far) && (z2 >= far) && (z3 >= far)) {
-            // No clipping is needed, so get the coordinates from the
-            // projected vertices
-            bi = (3 * a);
-            x1 = m_pvx[bi];
-            y1 = m_pvx[bi + 1];
-            
-            bi = (3 * b);
-            x2 = m_pvx[bi];
-            y2 = m_pvx[bi + 1];
-            
-            bi = (3 * c);
-            x3 = m_pvx[bi];
-            y3 = m_pvx[bi + 1];
-            
-          } else {
-            // Clipping needed, and clipping may furthermore generate
-            // multiple triangles from one, so we may need to process
-            // the same triangle multiple times to render a different
-            // clipped sub-triangle each time; check k, which is the
-            // counter that keeps track of how many times this clipped
-            // triangle has been retried
-            if (k === 0) {
-              // k is zero, which means this is the first time we are
-              // handling this clipped triangle; begin by setting k_max
-              // to one and k to one
-              k_max = 1;
-              k = 1;
-              
-              // If exactly one Z coordinate is beyond the far plane,
-              // this will require two sub-triangles, so multiply k_max
-              // by two in that case
-              p = 0;
-              if (z1 < far) {
-                p++;
-              }
-              if (z2 < far) {
-                p++;
-              }
-              if (z3 < far) {
-                p++;
-              }
-              if (p === 1) {
-                k_max = k_max * 2;
-              }
-              
-              // If exactly one Z coordinate is before the near plane,
-              // this will require two sub-triangles, so multiply k_max
-              // by two in that case
-              p = 0;
-              if (z1 > near) {
-                p++;
-              }
-              if (z2 > near) {
-                p++;
-              }
-              if (z3 > near) {
-                p++;
-              }
-              if (p === 1) {
-                k_max = k_max * 2;
-              }
-              
-              // We now have k_max set to the total number of
-              // subtriangles we will need to render for clipping, which
-              // may be either 1, 2, or 4, and we have k set to 1 so
-              // that the next time around we will render the first
-              // subtriangle; decrement the shape index so that we
-              // process this triangle again and restart the loop
-              i--;
-              continue;
-              
-            } else if (k > k_max) {
-              // k has exceeded total number of subtriangles, so there
-              // is nothing left to render for this shape; reset k and
-              // k_max to zero and restart the loop to process the next
-              // shape
-              k_max = 0;
-              k = 0;
-              continue;
-              
-            } else {
-              // k is in range [1, k_max] so we are now rendering one
-              // of the subtriangles for this clipped triangle; get the
-              // rest of the camera coordinates
-              bi = (3 * a);
-              x1 = m_tvx[bi];
-              y1 = m_tvx[bi + 1];
-              
-              bi = (3 * b);
-              x2 = m_tvx[bi];
-              y2 = m_tvx[bi + 1];
-              
-              bi = (3 * c);
-              x3 = m_tvx[bi];
-              y3 = m_tvx[bi + 1];
-              
-              // Begin by doing a bubble sort to sort the vertices in
-              // descending Z coordinate order
-              if (z1 < z2) {
-                p = x1;
-                x1 = x2;
-                x2 = p;
-                
-                p = y1;
-                y1 = y2;
-                y2 = p;
-                
-                p = z1;
-                z1 = z2;
-                z2 = p;
-              }
-              
-              if (z2 < z3) {
-                p = x2;
-                x2 = x3;
-                x3 = p;
-                
-                p = y2;
-                y2 = y3;
-                y3 = p;
-                
-                p = z2;
-                z2 = z3;
-                z3 = p;
-              }
-              
-              if (z1 < z2) {
-                p = x1;
-                x1 = x2;
-                x2 = p;
-                
-                p = y1;
-                y1 = y2;
-                y2 = p;
-                
-                p = z1;
-                z1 = z2;
-                z2 = p;
-              }
-              
-              // Handle near plane clipping, if necessary
-              if ((z1 > near) && (z2 > near)) {
-                // The first two vertices are both before the near
-                // clipping plane, so we just need to adjust those two
-                // vertices so that they are on the near clipping plane
-                // while preserving the edge directions 1-3 and 2-3
-                t1 = (near - z3) / (z1 - z3);
-                t2 = (near - z3) / (z2 - z3);
-                
-                x1 = x3 + (t1 * (x1 - x3));
-                y1 = y3 + (t1 * (y1 - y3));
-                z1 = near;
-                
-                x2 = x3 + (t2 * (x2 - x3));
-                y2 = y3 + (t2 * (y2 - y3));
-                z2 = near;
-                
-              } else if (z1 > near) {
-                // Only the first vertex is before the near clipping
-                // plane, so we need two different subtriangles; when
-                // k_max is 4, we will clip first subtriangle on k=1,2
-                // and second subtriangle on k=3,4; when k_max is 2, we
-                // will clip first subtriangle on k=1 and second
-                // subtriangle on k=2; begin by storing original first
-                // vertex in (x0,y0,z0)
-                x0 = x1;
-                y0 = y1;
-                z0 = z1;
-                
-                // Adjust first vertex so that it is on edge 1->2 at the
-                // intersection with the near plane
-                t2 = (near - z2) / (z0 - z2);
-                x1 = x2 + (t2 * (x0 - x2));
-                y1 = y2 + (t2 * (y0 - y2));
-                z1 = near;
-                
-                // If this is second subtriangle, adjust second vertex
-                // so that it is on edge 1->3 at the intersection with
-                // the near plane
-                if (k > k_max / 2) {
-                  t3 = (near - z3) / (z0 - z3);
-                  x2 = x3 + (t3 * (x0 - x3));
-                  y2 = y3 + (t3 * (y0 - y3));
-                  z2 = near;
-                }
-              }
-              
-              // Handle far plane clipping, if necessary
-              if ((z2 < far) && (z3 < far)) {
-                // The second two vertices are both after the far
-                // clipping plane, so we just need to adjust those two
-                // vertices so that they are on the far clipping plane
-                // while preserving the edge directions 1-2 and 1-3
-                t2 = (far - z2) / (z1 - z2);
-                t3 = (far - z3) / (z1 - z3);
-                
-                x2 = x2 + (t2 * (x1 - x2));
-                y2 = y2 + (t2 * (y1 - y2));
-                z2 = far;
-                
-                x3 = x3 + (t3 * (x1 - x3));
-                y3 = y3 + (t3 * (y1 - y3));
-                z3 = far;
-                
-              } else if (z3 < far) {
-                // Only the third vertex is after the far clipping
-                // plane, so we need two different subtriangles; when
-                // k_max is 4, we will clip first subtriangle on k=1,3
-                // and second subtriangle on k=2,4; when k_max is 2, we
-                // will clip first subtriangle on k=1 and second
-                // subtriangle on k=2; begin by storing original third
-                // vertex in (x0,y0,z0)
-                x0 = x3;
-                y0 = y3;
-                z0 = z3;
-                
-                // Adjust third vertex so that it is on edge 1->3 at the
-                // intersection with the far plane
-                t1 = (far - z0) / (z1 - z0);
-                x3 = x0 + (t1 * (x1 - x0));
-                y3 = y0 + (t1 * (y1 - y0));
-                y3 = far;
-                
-                // If this is second subtriangle, adjust first vertex so
-                // that it is on edge 2->3 at the intersection with the
-                // far plane
-                if ((k % 2) === 0) {
-                  t2 = (far - z0) / (z2 - z0);
-                  x1 = x0 + (t2 * (x2 - x0));
-                  y1 = y0 + (t2 * (y2 - y0));
-                  z1 = far;
-                }
-              }
-              
-              // Increment k so that next subtriangle will be processed
-              // next time around and decrement shape index so we will
-              // process the same triangle shape again next loop
-              k++;
-              i--;
-            }
-            
-            // If we got here, then project the vertices of the clipped
-            // subtriangle into screen space
-            p = new Array(3);
-            
-            p[0] = x1;
-            p[1] = y1;
-            p[2] = z1;
-            
-            mtxProj.process(p);
-            
-            x1 = p[0];
-            y1 = p[1];
-            
-            p[0] = x2;
-            p[1] = y2;
-            p[2] = z2;
-            
-            mtxProj.process(p);
-            
-            x2 = p[0];
-            y2 = p[1];
-            
-            p[0] = x3;
-            p[1] = y3;
-            p[2] = z3;
-            
-            mtxProj.process(p);
-            
-            x3 = p[0];
-            y3 = p[1];
-          }
-          
-          // Draw triangle
-          drawTri(rc, x1, y1, x2, y2, x3, y3, d, e);
+        // Make sure 15-bit, a palette color, or 0xffff
+        if ((!isColor(x, pal.length)) && (x !== 0xffff)) {
+          syntax("Point style fill must be 15-bit, palette, or 65535");
+        }
         
-        } else if ((b !== 0xffff) && (c === 0xffff)) {
-          // Line -- get Z coordinates first
-          z1 = m_tvx[(3 * a) + 2];
-          z2 = m_tvx[(3 * b) + 2];
-          
-          // Check whether both are within extent
-          if ((z1 <= near) && (z2 <= near) &&
-              (z1 >= far) && (z2 >= far)) {
-            // No clipping is needed, so get the coordinates from the
-            // projected vertices
-            x1 = m_pvx[(3 * a)];
-            x2 = m_pvx[(3 * b)];
-            
-            y1 = m_pvx[(3 * a) + 1];
-            y2 = m_pvx[(3 * b) + 1];
-            
-          } else {
-            // At least one coordinate is outside extent; since we would
-            // have culled the line earlier if both coordinates were
-            // outside of extent, we know exactly one coordinate in
-            // extent and one is out; begin by getting camera X and Y
-            // coordinates
-            x1 = m_tvx[(3 * a)];
-            x2 = m_tvx[(3 * b)];
-            
-            y1 = m_tvx[(3 * a) + 1];
-            y2 = m_tvx[(3 * b) + 1];
-            
-            // Flip coordinates if necessary so that z1 greater than z2
-            if (!(z1 > z2)) {
-              p = x1;
-              x1 = x2;
-              x2 = p;
-              
-              p = y1;
-              y1 = y2;
-              y2 = p;
-              
-              p = z1;
-              z1 = z2;
-              z2 = p;
-            }
-            
-            // If the first Z coordinate is in front of the near plane,
-            // then compute the t1 value along the line at which point
-            // the line crosses the near plane; else, set t1 to zero so
-            // that the whole start of the line is rendered
-            if (z1 > near) {
-              t1 = (near - z1) / (z2 - z1);
-            } else {
-              t1 = 0.0;
-            }
-            
-            // If the second Z coordinate is behind the far plane, then
-            // compute the t2 value along the line at which point the
-            // line crosses the far plane; else, set t2 to 1.0 so that
-            // the whole end of the line is rendered
-            if (z2 < far) {
-              t2 = (far - z1) / (z2 - z1);
-            } else {
-              t2 = 1.0;
-            }
-            
-            // Recompute the endpoints of the line so that the clipped
-            // line lies within the extent between the near and far
-            // planes
-            e1x = x1 + ((x2 - x1) * t1);
-            e1y = y1 + ((y2 - y1) * t1);
-            e1z = z1 + ((z2 - z1) * t1);
-            
-            e2x = x1 + ((x2 - x1) * t2);
-            e2y = y1 + ((y2 - y1) * t2);
-            e2z = z1 + ((z2 - z1) * t2);
-            
-            // Project the new endpoints so they are in screen space
-            p = new Array(3);
-            
-            p[0] = e1x;
-            p[1] = e1y;
-            p[2] = e1z;
-            
-            mtxProj.process(p);
-            
-            x1 = p[0];
-            y1 = p[1];
-            
-            p[0] = e2x;
-            p[1] = e2y;
-            p[2] = e2z;
-            
-            mtxProj.process(p);
-            
-            x2 = p[0];
-            y2 = p[1];
-          }
-          
-          // Draw the line
-          drawLine(rc, x1, y1, x2, y2, e);
-          
-        } else if ((b === 0xffff) && (c !== 0xffff)) {
-          // Sphere -- begin by getting the radius in world/camera space
-          // and the Z coordinate of origin in camera space
-          bi = a * 3;
-          r  = m_rad[c];
-          z  = m_tvx[bi + 2];
-          
-          // Project the radius and scale so that it is in projected
-          // screen space
-          r = (r / (proj_d - z)) * rad_mul;
-          
-          // Get projected X and Y
-          x = m_pvx[bi];
-          y = m_pvx[bi + 1];
-          
-          // Only proceed if projected radius is finite and greater than
-          // zero
-          if (isFinite(r) && (r > 0.0)) {
-            
-            // Draw the sphere
-            drawSphere(rc, x, y, r, d, e);
-          }
+      } else {
+        // Not a fill shape, so must not have property
+        if ("fill" in o) {
+          syntax("Point style may not have fill for unfilled shapes");
+        }
+      }
+      
+      // If the stroke size is greater than zero, there must be an
+      // "ink" property, which should be floored to a finite integer
+      // that is 15-bit or a palette color; if the stroke size is zero,
+      // there must not be an "ink" property
+      y = 0;
+      if (c > 0.0) {
+        // Stroke, so must have property
+        if (!("ink" in o)) {
+          syntax("Point style with stroke must have ink");
+        }
         
-        } else {
-          // Point -- draw to screen
-          bi = a * 3;
-          drawPoint(rc, m_pvx[bi], m_pvx[bi + 1], e);
+        // Get the ink property
+        y = o.ink;
+        
+        // Make sure it is a number
+        if (typeof y !== "number") {
+          syntax("Point style ink must be number");
+        }
+        
+        // Floor it
+        y = Math.floor(y);
+        
+        // Make sure it is finite
+        if (!isFinite(y)) {
+          syntax("Point style ink must be finite integer");
+        }
+        
+        // Make sure 15-bit or a palette color
+        if (!isColor(y, pal.length)) {
+          syntax("Point style ink must be 15-bit or palette color");
+        }
+        
+      } else {
+        // No stroke, so must not have property
+        if ("ink" in o) {
+          syntax("Point style with zero stroke may not have ink");
         }
       }
+      
+      // Now create a new object and fill it with the checked and
+      // possibly adjusted properties
+      o = {};
+      
+      o.shape  = a;
+      o.size   = b;
+      o.stroke = c;
+      
+      if (FILL_SHAPES.indexOf(a) >= 0) {
+        o.fill = x;
+      }
+      if (c > 0.0) {
+        o.ink  = y;
+      }
+      
+      // Push the new style to the end of the point styles array
+      ps.push(o);
     }
-  }
-  
-  /*
-   * Retrieve error information about the last failed invocation of the
-   * loadScene() function.
+    
+    // If there is at least one line style defined, define the line
+    // style table, checking that line styles are valid; otherwise,
+    // set the line styles table to an empty array
+    ls = [];
+    for(i = 0; i < lscount; i++) {
+      // Get the current style object
+      o = data.lstyle[i];
+      
+      // Make sure style is an object
+      if ((typeof o != "object") || (o instanceof Array)) {
+        syntax("Line styles must be objects");
+      }
+      
+      // Must have "width" and "color" properties
+      if (!("width" in o)) {
+        syntax("All line styles must have width property");
+      }
+      if (!("color" in o)) {
+        syntax("All line styles must have color property");
+      }
+      
+      // Get the property values
+      a = o.width;
+      b = o.color;
+      
+      // Make sure both properties are numbers
+      if (typeof a !== "number") {
+        syntax("Line style width must be number");
+      }
+      if (typeof b !== "number") {
+        syntax("Line style color must be number");
+      }
+      
+      // Make sure width is a finite value that is greater than zero
+      if (!isFinite(a)) {
+        syntax("Line style width must be finite");
+      }
+      if (!(a > 0.0)) {
+        syntax("Line style width must be greater than zero");
+      }
+      
+      // Floor color and make sure it's finite
+      b = Math.floor(b);
+      if (!isFinite(b)) {
+        syntax("Line style color must be finite integer");
+      }
+      
+      // Make sure color is 15-bit or a palette color
+      if (!isColor(b, pal.length)) {
+        syntax("Line style color must be 15-bit HiColor or palette color");
+      }
+      
+      // Now create a new object and fill it with the checked and
+      // possibly adjusted properties
+      o = {};
+      
+      o.width = a;
+      o.color = b;
+      
+      // Push the new style to the end of the line styles array
+      ls.push(o);
+    }
+    
+    // If we got here without exception, everything has been loaded
+    // successfully, so store all the data in the module and set the
+    // loaded flag
+    installScene(vtx, rbuf, scene, ps, ls, pal);
+  }
+  
+  /*
+   * Convert an RGB color with floating-point channels to 15-bit
+   * Hicolor.
+   * 
+   * Each channel is clamped to range [0.0, 1.0] and then rounded to the
+   * nearest of the 32 levels of a 5-bit channel.
+   * 
+   * Parameters:
+   * 
+   *   r : number - the red channel
+   * 
+   *   g : number - the green channel
+   * 
+   *   b : number - the blue channel
+   * 
+   * Return:
+   * 
+   *   integer - the Hicolor value
+   */
+  function rgbToHicolor(r, g, b) {
+    
+    r = Math.round(Math.min(Math.max(r, 0.0), 1.0) * 31);
+    g = Math.round(Math.min(Math.max(g, 0.0), 1.0) * 31);
+    b = Math.round(Math.min(Math.max(b, 0.0), 1.0) * 31);
+    
+    return (r << 10) | (g << 5) | b;
+  }
+  
+  /*
+   * Convert a 15-bit Hicolor value to an RGB color.
+   * 
+   * Parameters:
+   * 
+   *   c : integer - the Hicolor value
+   * 
+   * Return:
+   * 
+   *   array(3) - the red, green, and blue channels in range [0.0, 1.0]
+   */
+  function hicolorToRGB(c) {
+    
+    return [(c >> 10) / 31, ((c >> 5) & 0x1f) / 31, (c & 0x1f) / 31];
+  }
+  
+  /*
+   * Convert a color word of the current scene to 8-bit channels.
+   * 
+   * HiColor channels are expanded from 5-bit to 8-bit by shifting left
+   * and duplicating the three most significant bits in the least
+   * significant bits, and HiColor values are always opaque.  If a shade
+   * factor is given, the red, green, and blue channels are multiplied by
+   * it, clamping them to 255.  If a fog amount is given, the shaded
+   * channels are then blended towards the fog color by that amount.
+   * The alpha channel is never shaded or fogged.
+   * 
+   * CAUTION:  For speed, this function performs no checking of
+   * parameters or state.
+   * 
+   * Parameters:
+   * 
+   *   c : integer - the color word
+   * 
+   *   f : number - the shade factor, zero or greater (optional)
+   * 
+   *   fg : number - the fog amount in range [0.0, 1.0] (optional)
+   * 
+   *   out : Array - the array to store the result in (optional)
+   * 
+   * Return:
+   * 
+   *   array(4) - the red, green, blue, and alpha channels as integers
+   *   in range [0, 255], which is out if it was given
+   */
+  function colorBytes(c, f, fg, out) {
+    
+    var r, g, b, a, p;
+    
+    if (c >= PALETTE_BIT) {
+      // Palette colors already have 8-bit channels
+      p = m_palette[c - PALETTE_BIT];
+      r = p[0];
+      g = p[1];
+      b = p[2];
+      a = p[3];
+      
+    } else {
+      // Extract 5-bit channels
+      r = (c >> 10);
+      g = (c >> 5) & 0x1f;
+      b = c & 0x1f;
+      
+      // Expand 5-bit channels to 8-bit
+      r = (r << 3) | (r >> 2);
+      g = (g << 3) | (g >> 2);
+      b = (b << 3) | (b >> 2);
+      a = 255;
+    }
+    
+    // Apply the shade factor, if given
+    if (f !== undefined) {
+      r = Math.min(Math.round(r * f), 255);
+      g = Math.min(Math.round(g * f), 255);
+      b = Math.min(Math.round(b * f), 255);
+    }
+    
+    // Blend towards the fog color, if there is any fog
+    if ((fg !== undefined) && (fg > 0.0)) {
+      p = (m_fogcolor !== null) ? m_fogcolor : m_bgcolor;
+      r = Math.round(r + ((p[0] - r) * fg));
+      g = Math.round(g + ((p[1] - g) * fg));
+      b = Math.round(b + ((p[2] - b) * fg));
+    }
+    
+    if (out === undefined) {
+      out = new Array(4);
+    }
+    out[0] = r;
+    out[1] = g;
+    out[2] = b;
+    out[3] = a;
+    
+    return out;
+  }
+  
+  /*
+   * Convert a color word of the current scene to a CSS color string.
+   * 
+   * HiColor values and opaque palette colors give an "rgb(r, g, b)"
+   * string, while translucent palette colors give "rgba(r, g, b, a)".
+   * The channels are computed by colorBytes(), which also describes the
+   * shade factor and the fog amount.
+   * 
+   * CAUTION:  For speed, this function performs no checking of
+   * parameters or state.
+   * 
+   * Parameters:
+   * 
+   *   c : integer - the color word
+   * 
+   *   f : number - the shade factor, zero or greater (optional)
+   * 
+   *   fg : number - the fog amount in range [0.0, 1.0] (optional)
+   * 
+   * Return:
+   * 
+   *   string - the CSS color
+   */
+  function colorCSS(c, f, fg) {
+    
+    var p;
+    
+    p = colorBytes(c, f, fg);
+    
+    if (p[3] < 255) {
+      return "rgba(" + p[0].toString(10) +
+                ", " + p[1].toString(10) +
+                ", " + p[2].toString(10) +
+                ", " + String(Math.round(p[3] / 2.55) / 100) + ")";
+    }
+    return "rgb(" + p[0].toString(10) +
+              ", " + p[1].toString(10) +
+              ", " + p[2].toString(10) + ")";
+  }
+  
+  /*
+   * Compute the fog amount at a quantized Z value of the painting sort.
+   * 
+   * See the documentation of m_fog for further information.
+   * 
+   * Parameters:
+   * 
+   *   z : integer - the quantized Z value
+   * 
+   * Return:
+   * 
+   *   number - the fog amount in range [0.0, 1.0]
+   */
+  function fogAmount(z) {
+    
+    var t;
+    
+    // No fog at all if disabled
+    if (m_fog[0] === "none") {
+      return 0.0;
+    }
+    
+    // Convert the Z value to the distance from the near plane, where
+    // 1.0 is the far plane, and then to the position within the fog
+    t = 1.0 - (z / (PAINT_DEPTHS - 1));
+    t = (t - m_fog[1]) / (m_fog[2] - m_fog[1]);
+    
+    // Clamp before the start and after the end of the fog
+    if (!(t > 0.0)) {
+      return 0.0;
+    } else if (t >= 1.0) {
+      return 1.0;
+    }
+    
+    // Apply the falloff
+    if (m_fog[0] === "exp") {
+      t = 1.0 - Math.exp(-(FOG_DENSITY * t));
+    } else if (m_fog[0] === "exp2") {
+      t = 1.0 - Math.exp(-((FOG_DENSITY * t) * (FOG_DENSITY * t)));
+    }
+    
+    return t;
+  }
+  
+  /*
+   * Convert a color word of the current scene to an RGBA color.
+   * 
+   * HiColor values are always opaque.
+   * 
+   * Parameters:
+   * 
+   *   c : integer - the color word
+   * 
+   * Return:
+   * 
+   *   array(4) - the red, green, blue, and alpha channels in range
+   *   [0.0, 1.0]
+   */
+  function colorRGBA(c) {
+    
+    var p;
+    
+    if (c >= PALETTE_BIT) {
+      p = m_palette[c - PALETTE_BIT];
+      return [p[0] / 255, p[1] / 255, p[2] / 255, p[3] / 255];
+    }
+    return hicolorToRGB(c).concat([1.0]);
+  }
+  
+  /*
+   * Convert a linear color channel to the sRGB channel that Hicolor
+   * colors use.
+   * 
+   * Parameters:
+   * 
+   *   v : number - the linear channel in range [0.0, 1.0]
+   * 
+   * Return:
+   * 
+   *   number - the sRGB channel
+   */
+  function linearToSRGB(v) {
+    
+    return (v <= 0.0031308) ? (v * 12.92) :
+            ((1.055 * Math.pow(v, 1 / 2.4)) - 0.055);
+  }
+  
+  /*
+   * Get the color that a point style is drawn in, for exports to
+   * formats that only have a single color for each point.
+   * 
+   * This is the fill color if the shape has a fill, or else the ink
+   * color if the shape is stroked, or else black.
+   * 
+   * Parameters:
+   * 
+   *   ps : object - the point style
+   * 
+   * Return:
+   * 
+   *   integer - the color as 15-bit Hicolor
+   */
+  function pointColor(ps) {
+    
+    if ((FILL_SHAPES.indexOf(ps.shape) >= 0) && (ps.fill !== 0xffff)) {
+      return ps.fill;
+    } else if (ps.stroke > 0.0) {
+      return ps.ink;
+    }
+    return 0;
+  }
+  
+  /*
+   * Split Wavefront OBJ or MTL text into records.
+   * 
+   * Comments are removed, lines ending with a backslash are joined to
+   * the next line, and each remaining non-blank line is split into
+   * fields around whitespace.
+   * 
+   * Parameters:
+   * 
+   *   str : string - the file text
+   * 
+   * Return:
+   * 
+   *   array of records, where each record is an object with a "line"
+   *   property holding the line number where the record begins and a
+   *   "field" property holding the array of field strings
+   */
+  function splitRecords(str) {
+    
+    var lines, recs, i, n, t;
+    
+    lines = str.split(/\r\n|\r|\n/);
+    recs = [];
+    
+    for(i = 0; i < lines.length; i++) {
+      // Remember where the record begins
+      n = i + 1;
+      t = lines[i];
+      
+      // Join continuation lines
+      while ((/\\\s*$/.test(t)) && (i + 1 < lines.length)) {
+        i++;
+        t = t.replace(/\\\s*$/, " ") + lines[i];
+      }
+      
+      // Drop comments
+      if (t.indexOf("#") >= 0) {
+        t = t.slice(0, t.indexOf("#"));
+      }
+      
+      // Split into fields, skipping blank lines
+      t = t.trim();
+      if (t.length > 0) {
+        recs.push({"line": n, "field": t.split(/\s+/)});
+      }
+    }
+    
+    return recs;
+  }
+  
+  /*
+   * Parse the diffuse colors of materials in Wavefront MTL text.
+   * 
+   * Each "newmtl" record begins a material, and its "Kd" record gives
+   * the diffuse color with floating-point channels in range [0.0, 1.0].
+   * Materials without a diffuse color are left out of the result.  All
+   * other records are ignored.
+   * 
+   * Errors are reported with syntax().
+   * 
+   * Parameters:
+   * 
+   *   str : string - the MTL text
+   * 
+   * Return:
+   * 
+   *   object mapping each material name to its Hicolor diffuse color
+   */
+  function parseMTL(str) {
+    
+    var recs, mats, name, f, i, r, g, b;
+    
+    recs = splitRecords(str);
+    mats = {};
+    name = null;
+    
+    for(i = 0; i < recs.length; i++) {
+      f = recs[i].field;
+      
+      if (f[0] === "newmtl") {
+        // Begin a new material
+        if (f.length < 2) {
+          syntax("MTL line " + String(recs[i].line) +
+                  ": Material must have a name");
+        }
+        name = f.slice(1).join(" ");
+        
+      } else if (f[0] === "Kd") {
+        // Diffuse color, which must follow a material name
+        if (name === null) {
+          syntax("MTL line " + String(recs[i].line) +
+                  ": Color before first material");
+        }
+        if (f.length < 4) {
+          syntax("MTL line " + String(recs[i].line) +
+                  ": Diffuse color must have three channels");
+        }
+        r = Number(f[1]);
+        g = Number(f[2]);
+        b = Number(f[3]);
+        if ((!isFinite(r)) || (!isFinite(g)) || (!isFinite(b))) {
+          syntax("MTL line " + String(recs[i].line) +
+                  ": Diffuse color channels must be finite numbers");
+        }
+        mats[name] = rgbToHicolor(r, g, b);
+      }
+    }
+    
+    return mats;
+  }
+  
+  /*
+   * Read the options shared by the mesh importers.
+   * 
+   * The options object may have a "fill" property with the default fill
+   * color as 15-bit Hicolor, and an "edges" property with a line style
+   * object in the same format as in scene files, or null for no edges.
+   * Errors are reported with syntax().
+   * 
+   * Parameters:
+   * 
+   *   opt : object - the options
+   * 
+   * Return:
+   * 
+   *   object with a "fill" property holding the default fill color, an
+   *   "lstyle" property holding an array of line styles, which holds
+   *   the edge style at index zero if edges were requested and is
+   *   otherwise empty, and a "sel" property holding the triangle edge
+   *   selector for the edge style, which is one if edges were requested
+   *   and otherwise zero
+   */
+  function meshOptions(opt) {
+    
+    var result, a;
+    
+    result = {
+      "fill": DEFAULT_FILL,
+      "lstyle": [],
+      "sel": 0
+    };
+    
+    // Get the default fill color
+    if ("fill" in opt) {
+      a = opt.fill;
+      if ((typeof a !== "number") || (a !== Math.floor(a)) ||
+          (a < 0) || (a > 0x7fff)) {
+        syntax("Default fill must be 15-bit HiColor");
+      }
+      result.fill = a;
+    }
+    
+    // If face edges are requested, their style is line style zero, so
+    // that triangle edge selectors select it with a value of one
+    if (("edges" in opt) && (opt.edges !== null)) {
+      a = opt.edges;
+      if ((typeof a !== "object") ||
+          (typeof a.width !== "number") || (!isFinite(a.width)) ||
+          (!(a.width > 0.0)) ||
+          (typeof a.color !== "number") ||
+          (a.color !== Math.floor(a.color)) ||
+          (a.color < 0) || (a.color > 0x7fff)) {
+        syntax("Edge style must have valid width and color");
+      }
+      result.lstyle.push({"width": a.width, "color": a.color});
+      result.sel = 1;
+    }
+    
+    return result;
+  }
+  
+  /*
+   * Add an STL facet to a mesh that is being built.
+   * 
+   * The mesh object has a "vmap" property holding an object that maps
+   * vertex coordinate keys to vertex indices, a "vlist" property holding
+   * the array of vertex coordinates, and an "slist" property holding the
+   * array of scene object elements.  Vertices with exactly the same
+   * coordinates as a vertex already in the mesh are welded to it, so
+   * that the facets share vertices.
+   * 
+   * If the facet normal points away from the side where the vertices go
+   * around counter-clockwise, the vertex order is reversed, so that the
+   * triangle is visible from the side the normal points to.  A zero
+   * normal leaves the vertex order unchanged.  Facets that collapse to
+   * fewer than three distinct vertices are skipped.
+   * 
+   * Errors are reported with syntax().
+   * 
+   * Parameters:
+   * 
+   *   mesh : object - the mesh being built
+   * 
+   *   nrm : array(3) - the facet normal
+   * 
+   *   tri : array(9) - the coordinates of the three facet vertices
+   * 
+   *   fc : integer - the fill color as 15-bit Hicolor
+   * 
+   *   sw : integer - the triangle style word
+   */
+  function stlFacet(mesh, nrm, tri, fc, sw) {
+    
+    var idx, i, key, x, y, z;
+    var e1x, e1y, e1z, e2x, e2y, e2z;
+    
+    // Check that all coordinates are finite
+    for(i = 0; i < 9; i++) {
+      if (!isFinite(tri[i])) {
+        syntax("STL vertex coordinates must be finite");
+      }
+    }
+    
+    // Reverse the vertex order if the normal disagrees with it
+    e1x = tri[3] - tri[0];
+    e1y = tri[4] - tri[1];
+    e1z = tri[5] - tri[2];
+    e2x = tri[6] - tri[0];
+    e2y = tri[7] - tri[1];
+    e2z = tri[8] - tri[2];
+    
+    if ((nrm[0] * ((e1y * e2z) - (e1z * e2y))) +
+        (nrm[1] * ((e1z * e2x) - (e1x * e2z))) +
+        (nrm[2] * ((e1x * e2y) - (e1y * e2x))) < 0.0) {
+      tri = tri.slice(0, 3).concat(tri.slice(6, 9), tri.slice(3, 6));
+    }
+    
+    // Find or add each vertex; adding zero turns negative zero into
+    // positive zero so that both weld together
+    idx = [];
+    for(i = 0; i < 3; i++) {
+      x = tri[ i * 3     ] + 0;
+      y = tri[(i * 3) + 1] + 0;
+      z = tri[(i * 3) + 2] + 0;
+      key = String(x) + " " + String(y) + " " + String(z);
+      
+      if (mesh.vmap.hasOwnProperty(key)) {
+        idx.push(mesh.vmap[key]);
+      } else {
+        if (mesh.vlist.length >= MAX_COUNT * 3) {
+          syntax("At most " + String(MAX_COUNT) +
+                  " distinct vertices are allowed");
+        }
+        mesh.vmap[key] = mesh.vlist.length / 3;
+        idx.push(mesh.vlist.length / 3);
+        mesh.vlist.push(x, y, z);
+      }
+    }
+    
+    // Skip facets that collapsed
+    if ((idx[0] === idx[1]) || (idx[1] === idx[2]) ||
+        (idx[2] === idx[0])) {
+      return;
+    }
+    
+    // Add the triangle
+    if (mesh.slist.length >= MAX_COUNT * SCENE_STRIDE) {
+      syntax("At most " + String(MAX_COUNT) + " facets are allowed");
+    }
+    mesh.slist.push(SCENE_TRIANGLE, idx[0], idx[1], idx[2], fc, sw);
+  }
+  
+  /*
+   * Convert bytes to a string, with each byte becoming one character.
+   * 
+   * Parameters:
+   * 
+   *   bytes : Uint8Array - the bytes
+   * 
+   * Return:
+   * 
+   *   string - the characters
+   */
+  function bytesToString(bytes) {
+    
+    var str, i;
+    
+    // Convert in chunks to stay within argument count limits
+    str = "";
+    for(i = 0; i < bytes.length; i += 8192) {
+      str = str + String.fromCharCode.apply(null,
+                bytes.subarray(i, Math.min(i + 8192, bytes.length)));
+    }
+    
+    return str;
+  }
+  
+  /*
+   * Decode UTF-8 bytes to a string.
+   * 
+   * If the platform has no TextDecoder, each byte becomes one character
+   * instead, which only decodes ASCII text correctly.
+   * 
+   * Parameters:
+   * 
+   *   bytes : Uint8Array - the bytes
+   * 
+   * Return:
+   * 
+   *   string - the decoded text
+   */
+  function utf8ToString(bytes) {
+    
+    if (typeof TextDecoder !== "undefined") {
+      return (new TextDecoder("utf-8")).decode(bytes);
+    }
+    return bytesToString(bytes);
+  }
+  
+  /*
+   * Parse the header of a PLY file.
+   * 
+   * Errors are reported with syntax().
+   * 
+   * Parameters:
+   * 
+   *   bytes : Uint8Array - the whole file
+   * 
+   * Return:
+   * 
+   *   object with a "format" property that is "ascii",
+   *   "binary_little_endian", or "binary_big_endian", an "offset"
+   *   property with the byte offset of the data after the header, and
+   *   an "element" property with an array of element objects; each
+   *   element object has "name" and "count" properties and a "prop"
+   *   array of property objects, and each property object has "name"
+   *   and "type" properties and, for list properties, a "count"
+   *   property with the type of the list length
+   */
+  function plyHeader(bytes) {
+    
+    var str, i, lines, f, hdr, el;
+    
+    // Find the end of the header
+    str = bytesToString(bytes.subarray(0, Math.min(bytes.length, 65536)));
+    i = str.search(/(^|\n)end_header[ \t\r]*\n/);
+    if ((str.slice(0, 3) !== "ply") || (i < 0)) {
+      syntax("Not a PLY file");
+    }
+    
+    hdr = {
+      "format": null,
+      "offset": str.indexOf("\n", i + 1) + 1,
+      "element": []
+    };
+    
+    // Go through the header lines
+    lines = str.slice(0, hdr.offset).split("\n");
+    el = null;
+    for(i = 1; i < lines.length; i++) {
+      f = lines[i].trim().split(/\s+/);
+      
+      if (f[0] === "format") {
+        if ((f.length < 3) || (f[2] !== "1.0") ||
+            ((f[1] !== "ascii") && (f[1] !== "binary_little_endian") &&
+              (f[1] !== "binary_big_endian"))) {
+          syntax("Unsupported PLY format");
+        }
+        hdr.format = f[1];
+        
+      } else if (f[0] === "element") {
+        if ((f.length < 3) || (!(/^[0-9]+$/.test(f[2])))) {
+          syntax("PLY element must have name and count");
+        }
+        el = {"name": f[1], "count": parseInt(f[2], 10), "prop": []};
+        hdr.element.push(el);
+        
+      } else if (f[0] === "property") {
+        if (el === null) {
+          syntax("PLY property before first element");
+        }
+        if (f[1] === "list") {
+          if ((f.length < 5) || (!PLY_TYPES.hasOwnProperty(f[2])) ||
+              (!PLY_TYPES.hasOwnProperty(f[3])) ||
+              (PLY_TYPES[f[2]][2] === 1)) {
+            syntax("Invalid PLY list property");
+          }
+          el.prop.push({"name": f[4], "type": f[3], "count": f[2]});
+        } else {
+          if ((f.length < 3) || (!PLY_TYPES.hasOwnProperty(f[1]))) {
+            syntax("Invalid PLY property");
+          }
+          el.prop.push({"name": f[2], "type": f[1]});
+        }
+      }
+    }
+    
+    if (hdr.format === null) {
+      syntax("PLY header has no format");
+    }
+    
+    return hdr;
+  }
+  
+  /*
+   * Read the next scalar value from the data of a PLY file.
+   * 
+   * The reader object has a "format" property with the format from the
+   * header, a "pos" property with the current byte offset for binary
+   * data, a "dv" property with a DataView of the whole file for binary
+   * data, and for ASCII data a "text" property with the data as a
+   * string and a "re" property with a global regular expression that
+   * matches each value and has its lastIndex at the next value.  The
+   * position is advanced past the value.  Errors are reported with
+   * syntax().
+   * 
+   * Parameters:
+   * 
+   *   rd : object - the reader
+   * 
+   *   type : string - the PLY type of the value
+   * 
+   * Return:
+   * 
+   *   number - the value
+   */
+  function plyValue(rd, type) {
+    
+    var t, m, v;
+    
+    t = PLY_TYPES[type];
+    
+    if (rd.format === "ascii") {
+      m = rd.re.exec(rd.text);
+      if (m === null) {
+        syntax("PLY data ends too soon");
+      }
+      v = Number(m[0]);
+      if (isNaN(v)) {
+        syntax("PLY data must be numbers");
+      }
+      
+    } else {
+      if (rd.pos + t[0] > rd.dv.byteLength) {
+        syntax("PLY data ends too soon");
+      }
+      v = rd.dv["get" + t[1]](rd.pos,
+                              rd.format === "binary_little_endian");
+      rd.pos = rd.pos + t[0];
+    }
+    
+    return v;
+  }
+  
+  /*
+   * Read the next element item from the data of a PLY file.
+   * 
+   * See plyValue() for the reader object.
+   * 
+   * Parameters:
+   * 
+   *   rd : object - the reader
+   * 
+   *   el : object - the element, from plyHeader()
+   * 
+   * Return:
+   * 
+   *   array with the value of each property of the element, in header
+   *   order, where the value of a list property is an array of numbers
+   */
+  function plyItem(rd, el) {
+    
+    var item, pr, i, j, n, a;
+    
+    item = [];
+    for(i = 0; i < el.prop.length; i++) {
+      pr = el.prop[i];
+      if ("count" in pr) {
+        n = plyValue(rd, pr.count);
+        if (!((n >= 0) && (n === Math.floor(n)))) {
+          syntax("PLY list length must be unsigned integer");
+        }
+        a = [];
+        for(j = 0; j < n; j++) {
+          a.push(plyValue(rd, pr.type));
+        }
+        item.push(a);
+      } else {
+        item.push(plyValue(rd, pr.type));
+      }
+    }
+    
+    return item;
+  }
+  
+  /*
+   * Check that the data left in a PLY file can hold all the items of
+   * the next element.
+   * 
+   * Each item has at least one value for each property, where a list
+   * property may be just its length, so an item count that needs more
+   * values than there is data for is rejected before anything is
+   * allocated for it.  See plyValue() for the reader object.  Errors
+   * are reported with syntax().
+   * 
+   * Parameters:
+   * 
+   *   rd : object - the reader
+   * 
+   *   el : object - the element, from plyHeader()
+   */
+  function plyCheckCount(rd, el) {
+    
+    var size, left, pr, i;
+    
+    // Get the smallest size of an item, in values for ASCII data and in
+    // bytes for binary data
+    size = 0;
+    for(i = 0; i < el.prop.length; i++) {
+      pr = el.prop[i];
+      if (rd.format === "ascii") {
+        size++;
+      } else {
+        size = size + PLY_TYPES[("count" in pr) ? pr.count : pr.type][0];
+      }
+    }
+    
+    // Get the size of the data left, where each ASCII value takes at
+    // least one character and the separator after it
+    if (rd.format === "ascii") {
+      left = Math.ceil((rd.text.length - rd.re.lastIndex) / 2);
+    } else {
+      left = rd.dv.byteLength - rd.pos;
+    }
+    
+    if (el.count * size > left) {
+      syntax("PLY element count is larger than the data");
+    }
+  }
+  
+  /*
+   * Find the properties with the given names in a PLY element.
+   * 
+   * Parameters:
+   * 
+   *   el : object - the element, from plyHeader()
+   * 
+   *   names : array of string - the property names
+   * 
+   * Return:
+   * 
+   *   array with the index in the element of each named property, or
+   *   null if any of them is missing or is a list property
+   */
+  function plyFind(el, names) {
+    
+    var result, i, j;
+    
+    result = [];
+    for(i = 0; i < names.length; i++) {
+      for(j = 0; j < el.prop.length; j++) {
+        if ((el.prop[j].name === names[i]) && (!("count" in el.prop[j]))) {
+          break;
+        }
+      }
+      if (j >= el.prop.length) {
+        return null;
+      }
+      result.push(j);
+    }
+    
+    return result;
+  }
+  
+  /*
+   * Get the color of a PLY element item as 15-bit Hicolor.
+   * 
+   * Parameters:
+   * 
+   *   el : object - the element, from plyHeader()
+   * 
+   *   ci : array(3) - the indices of the color properties
+   * 
+   *   item : array - the element item, from plyItem()
+   * 
+   * Return:
+   * 
+   *   integer - the Hicolor value
+   */
+  function plyColor(el, ci, item) {
+    
+    return rgbToHicolor(
+              item[ci[0]] / PLY_TYPES[el.prop[ci[0]].type][2],
+              item[ci[1]] / PLY_TYPES[el.prop[ci[1]].type][2],
+              item[ci[2]] / PLY_TYPES[el.prop[ci[2]].type][2]);
+  }
+  
+  /*
+   * Resolve a vertex reference in a Wavefront OBJ face or line record.
+   * 
+   * The reference may have texture and normal indices after slashes,
+   * which are ignored.  Positive indices count from one at the first
+   * vertex in the file, and negative indices count back from the most
+   * recently defined vertex.  Errors are reported with syntax().
+   * 
+   * Parameters:
+   * 
+   *   t : string - the vertex reference field
+   * 
+   *   vcount : integer - the number of vertices defined so far
+   * 
+   *   ln : integer - the line number, for error messages
+   * 
+   * Return:
+   * 
+   *   integer - the zero-based vertex index
+   */
+  function objIndex(t, vcount, ln) {
+    
+    var i;
+    
+    // Get the vertex index before any slash
+    t = t.split("/")[0];
+    if (!(/^-?[0-9]+$/.test(t))) {
+      syntax("OBJ line " + String(ln) + ": Invalid vertex reference");
+    }
+    i = parseInt(t, 10);
+    
+    // Convert to zero-based index
+    if (i > 0) {
+      i = i - 1;
+    } else if (i < 0) {
+      i = vcount + i;
+    } else {
+      syntax("OBJ line " + String(ln) + ": Vertex index may not be zero");
+    }
+    
+    // Must refer to a vertex that is already defined
+    if ((i < 0) || (i >= vcount)) {
+      syntax("OBJ line " + String(ln) + ": Vertex index out of range");
+    }
+    
+    return i;
+  }
+  
+  /*
+   * Round a byte offset in a binary scene file up to the start of the
+   * next block.
+   * 
+   * Parameters:
+   * 
+   *   off : integer - the byte offset
+   * 
+   * Return:
+   * 
+   *   integer - the offset rounded up to a multiple of BIN_ALIGN
+   */
+  function binAlign(off) {
+    
+    return Math.ceil(off / BIN_ALIGN) * BIN_ALIGN;
+  }
+  
+  /*
+   * Encode bytes in base64.
+   * 
+   * Parameters:
+   * 
+   *   bytes : Uint8Array - the bytes
+   * 
+   * Return:
+   * 
+   *   string - the base64 text, with padding
+   */
+  function base64(bytes) {
+    
+    var digits, str, i, n, v;
+    
+    digits = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz" +
+              "0123456789+/";
+    str = [];
+    for(i = 0; i < bytes.length; i += 3) {
+      // Pack up to three bytes into 24 bits
+      n = Math.min(bytes.length - i, 3);
+      v = bytes[i] << 16;
+      if (n > 1) {
+        v = v | (bytes[i + 1] << 8);
+      }
+      if (n > 2) {
+        v = v | bytes[i + 2];
+      }
+      
+      // Write four digits, padding where bytes are missing
+      str.push(digits.charAt(v >> 18) + digits.charAt((v >> 12) & 0x3f) +
+                ((n > 1) ? digits.charAt((v >> 6) & 0x3f) : "=") +
+                ((n > 2) ? digits.charAt(v & 0x3f) : "="));
+    }
+    
+    return str.join("");
+  }
+  
+  /*
+   * Decode base64 text into bytes.
+   * 
+   * Padding is optional, but no other characters are allowed.
+   * 
+   * Parameters:
+   * 
+   *   str : string - the base64 text
+   * 
+   * Return:
+   * 
+   *   Uint8Array - the bytes, or null if the text is not valid base64
+   */
+  function unbase64(str) {
+    
+    var digits, result, i, j, k, v, c;
+    
+    digits = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz" +
+              "0123456789+/";
+    
+    // Remove padding; a single leftover digit can't hold a byte
+    str = str.replace(/={1,2}$/, "");
+    if (str.length % 4 === 1) {
+      return null;
+    }
+    
+    result = new Uint8Array(Math.floor(str.length * 3 / 4));
+    j = 0;
+    v = 0;
+    for(i = 0; i < str.length; i++) {
+      // Accumulate six bits for each digit
+      c = digits.indexOf(str.charAt(i));
+      if (c < 0) {
+        return null;
+      }
+      v = (v << 6) | c;
+      
+      // Write out the bytes at the end of each group of four digits, or
+      // of the partial group at the end
+      if ((i % 4 === 3) || (i === str.length - 1)) {
+        k = ((i % 4) + 1) * 6;
+        v = v >> (k % 8);
+        for(k = Math.floor(k / 8) - 1; k >= 0; k--) {
+          result[j] = (v >> (k * 8)) & 0xff;
+          j++;
+        }
+        v = 0;
+      }
+    }
+    
+    return result;
+  }
+  
+  /*
+   * Format an array of numbers as JSON with a fixed number of elements
+   * on each line.
+   * 
+   * Parameters:
+   * 
+   *   a : array | typed array - the numbers
+   * 
+   *   n : integer - the number of elements on each line
+   * 
+   * Return:
+   * 
+   *   string - the JSON array, indented to be a top-level property value
+   */
+  function jsonRows(a, n) {
+    
+    var rows, i;
+    
+    if (a.length < 1) {
+      return "[]";
+    }
+    
+    rows = [];
+    for(i = 0; i < a.length; i += n) {
+      rows.push("    " + Array.prototype.slice.call(a, i, i + n).join(", "));
+    }
+    
+    return "[\n" + rows.join(",\n") + "\n  ]";
+  }
+  
+  /*
+   * Read a block of little-endian values from a binary scene file.
+   * 
+   * Parameters:
+   * 
+   *   bytes : Uint8Array - the file data
+   * 
+   *   off : integer - the byte offset of the block
+   * 
+   *   n : integer - the number of values in the block
+   * 
+   *   type : string - the type of the values, a key of BIN_TYPES
+   * 
+   * Return:
+   * 
+   *   a new typed array of the type holding the values
+   */
+  function binBlock(bytes, off, n, type) {
+    
+    var size, result, dv, i;
+    
+    // Make sure the whole block is in the file
+    size = BIN_TYPES[type][0];
+    if (off + (n * size) > bytes.length) {
+      syntax("Binary scene file is truncated");
+    }
+    
+    // On little-endian platforms, copy the bytes of the block; otherwise
+    // read each value
+    if (LITTLE_ENDIAN) {
+      result = new BIN_TYPES[type][1](bytes.buffer.slice(
+                  bytes.byteOffset + off,
+                  bytes.byteOffset + off + (n * size)));
+    } else {
+      result = new BIN_TYPES[type][1](n);
+      dv = new DataView(bytes.buffer, bytes.byteOffset + off, n * size);
+      for(i = 0; i < n; i++) {
+        result[i] = dv["get" + type](i * size, true);
+      }
+    }
+    
+    return result;
+  }
+  
+  /*
+   * Check whether a value is a glTF array of the given length where
+   * every element is a finite number.
+   * 
+   * Parameters:
+   * 
+   *   a : any - the value to check
+   * 
+   *   n : integer - the required length
+   * 
+   * Return:
+   * 
+   *   true if the value is such an array, false otherwise
+   */
+  function gltfNumbers(a, n) {
+    
+    var i;
+    
+    if ((!(a instanceof Array)) || (a.length !== n)) {
+      return false;
+    }
+    for(i = 0; i < n; i++) {
+      if ((typeof a[i] !== "number") || (!isFinite(a[i]))) {
+        return false;
+      }
+    }
+    return true;
+  }
+  
+  /*
+   * Get an optional non-negative integer property of a glTF object.
+   * 
+   * Errors are reported with syntax().
+   * 
+   * Parameters:
+   * 
+   *   v : any - the property value, or undefined if it is missing
+   * 
+   *   dflt : integer - the value to use if the property is missing
+   * 
+   *   what : string - the name of the property, for error messages
+   * 
+   * Return:
+   * 
+   *   integer - the property value
+   */
+  function gltfInt(v, dflt, what) {
+    
+    if (v === undefined) {
+      return dflt;
+    }
+    if ((typeof v !== "number") || (v !== Math.floor(v)) ||
+        (!(v >= 0)) || (!isFinite(v))) {
+      syntax("glTF " + what + " must be non-negative integer");
+    }
+    return v;
+  }
+  
+  /*
+   * Look up an object in one of the top-level arrays of a glTF
+   * document.
+   * 
+   * Errors are reported with syntax().
+   * 
+   * Parameters:
+   * 
+   *   doc : object - the glTF document
+   * 
+   *   key : string - the name of the top-level array, such as "nodes"
+   * 
+   *   i : any - the index of the object
+   * 
+   * Return:
+   * 
+   *   object - the object at the index
+   */
+  function gltfItem(doc, key, i) {
+    
+    var list;
+    
+    list = doc[key];
+    if ((!(list instanceof Array)) ||
+        (typeof i !== "number") || (i !== Math.floor(i)) ||
+        (!((i >= 0) && (i < list.length)))) {
+      syntax("glTF " + key + " index out of range");
+    }
+    if ((typeof list[i] !== "object") || (list[i] === null) ||
+        (list[i] instanceof Array)) {
+      syntax("glTF " + key + " must be objects");
+    }
+    
+    return list[i];
+  }
+  
+  /*
+   * Parse the container of a glTF file.
+   * 
+   * The file is either the JSON text of a .gltf file, given as a string
+   * or as bytes, or the bytes of a binary .glb file, which holds the
+   * JSON text and may also hold a binary buffer.  The JSON must be a
+   * glTF 2.0 document that requires no extensions.  Errors are reported
+   * with syntax().
+   * 
+   * Parameters:
+   * 
+   *   src : string | Uint8Array - the file contents
+   * 
+   * Return:
+   * 
+   *   object with a "doc" property holding the parsed JSON document and
+   *   a "bin" property holding the binary buffer of a GLB file as a
+   *   Uint8Array, or null if there is none
+   */
+  function gltfParse(src) {
+    
+    var dv, str, bin, doc, off, len, n, t;
+    
+    str = null;
+    bin = null;
+    
+    if (typeof src === "string") {
+      str = src;
+    
+    } else {
+      dv = new DataView(src.buffer, src.byteOffset, src.length);
+      
+      if ((src.length < 12) || (dv.getUint32(0, true) !== GLB_MAGIC)) {
+        // Not a GLB file, so the bytes are the JSON text
+        str = utf8ToString(src);
+      
+      } else {
+        // GLB header, with the magic, the version, and the total length
+        if (dv.getUint32(4, true) !== 2) {
+          syntax("GLB file must be version 2");
+        }
+        len = dv.getUint32(8, true);
+        if (len > src.length) {
+          syntax("GLB file is truncated");
+        }
+        
+        // Chunks, each with a length and a type; the first must be the
+        // JSON chunk and the first binary chunk after it is the buffer
+        for(off = 12; off + 8 <= len; off = off + 8 + n) {
+          n = dv.getUint32(off, true);
+          t = dv.getUint32(off + 4, true);
+          if (off + 8 + n > len) {
+            syntax("GLB file is truncated");
+          }
+          
+          if (str === null) {
+            if (t !== GLB_JSON) {
+              syntax("GLB file must begin with JSON chunk");
+            }
+            str = utf8ToString(src.subarray(off + 8, off + 8 + n));
+          } else if ((t === GLB_BIN) && (bin === null)) {
+            bin = src.subarray(off + 8, off + 8 + n);
+          }
+        }
+        if (str === null) {
+          syntax("GLB file has no JSON chunk");
+        }
+      }
+    }
+    
+    // Parse the JSON and check that it is a document we can read
+    try {
+      doc = JSON.parse(str.replace(/^\ufeff/, ""));
+    } catch (ex) {
+      syntax("glTF file is not valid JSON");
+    }
+    if ((typeof doc !== "object") || (doc === null) ||
+        (doc instanceof Array)) {
+      syntax("glTF file must be JSON object");
+    }
+    if ((typeof doc.asset !== "object") || (doc.asset === null) ||
+        (typeof doc.asset.version !== "string") ||
+        (!(/^2\./.test(doc.asset.version)))) {
+      syntax("glTF file must be version 2.0");
+    }
+    if ((doc.extensionsRequired instanceof Array) &&
+        (doc.extensionsRequired.length > 0)) {
+      syntax("glTF extension " + String(doc.extensionsRequired[0]) +
+              " is not supported");
+    }
+    
+    return {"doc": doc, "bin": bin};
+  }
+  
+  /*
+   * Get the data of every buffer of a glTF document.
+   * 
+   * The gl object holds the document in its "doc" property and the
+   * binary buffer of a GLB file in its "bin" property, as returned by
+   * gltfParse().  The buffer data is stored in a new "buf" property,
+   * which is an array holding a Uint8Array for each buffer.
+   * 
+   * A buffer without a URI is the binary buffer of the GLB file, a
+   * buffer with a data URI holds its data in base64, and any other
+   * buffer is looked up in the resource files, first by its URI and
+   * then by the decoded file name at the end of the URI.  Errors are
+   * reported with syntax().
+   * 
+   * Parameters:
+   * 
+   *   gl : object - the parsed glTF file
+   * 
+   *   res : object - maps file names to Uint8Arrays of their contents
+   */
+  function gltfBuffers(gl, res) {
+    
+    var list, i, b, uri, m, name, data;
+    
+    list = gl.doc.buffers;
+    if (list === undefined) {
+      list = [];
+    } else if (!(list instanceof Array)) {
+      syntax("glTF buffers must be array");
+    }
+    
+    gl.buf = [];
+    for(i = 0; i < list.length; i++) {
+      b = gltfItem(gl.doc, "buffers", i);
+      gltfInt(b.byteLength, undefined, "buffer byteLength");
+      uri = b.uri;
+      
+      if (uri === undefined) {
+        // The binary buffer of a GLB file, which must be the first
+        if ((i !== 0) || (gl.bin === null)) {
+          syntax("glTF buffer has no data");
+        }
+        data = gl.bin;
+      
+      } else if (typeof uri !== "string") {
+        syntax("glTF buffer URI must be string");
+      
+      } else if (/^data:/i.test(uri)) {
+        // Embedded data, which must be in base64
+        m = /^data:[^,]*;base64,(.*)$/i.exec(uri);
+        data = (m !== null) ? unbase64(m[1]) : null;
+        if (data === null) {
+          syntax("glTF buffer data URI must be base64");
+        }
+      
+      } else {
+        // External file
+        name = uri;
+        if (!res.hasOwnProperty(name)) {
+          try {
+            name = decodeURIComponent(uri.replace(/^.*\//, ""));
+          } catch (ex) {
+            syntax("glTF buffer URI is malformed");
+          }
+        }
+        if (!res.hasOwnProperty(name)) {
+          syntax("glTF buffer file " + name + " was not given");
+        }
+        data = res[name];
+      }
+      
+      if (data.length < b.byteLength) {
+        syntax("glTF buffer is shorter than its byteLength");
+      }
+      gl.buf.push(data);
+    }
+  }
+  
+  /*
+   * Read the values of a glTF accessor.
+   * 
+   * The gl object must already have its buffers from gltfBuffers().
+   * Every component type is accepted, and normalized integer components
+   * are converted to range [0.0, 1.0], or [-1.0, 1.0] for signed types.
+   * Accessors without a buffer view, sparse accessors, and matrix types
+   * are not supported.  Errors are reported with
+   * syntax().
+   * 
+   * Parameters:
+   * 
+   *   gl : object - the parsed glTF file
+   * 
+   *   i : any - the accessor index
+   * 
+   * Return:
+   * 
+   *   object with a "count" property holding the number of elements, a
+   *   "size" property holding the number of components of each element,
+   *   and a "data" property holding a Float64Array of all the components
+   */
+  function gltfAccessor(gl, i) {
+    
+    var acc, ct, size, count, view, buf, voff, vlen, off, stride;
+    var dv, data, j, k, v;
+    
+    acc = gltfItem(gl.doc, "accessors", i);
+    
+    // Get the component type, the element type, and the count
+    if (!GLTF_COMPONENTS.hasOwnProperty(String(acc.componentType))) {
+      syntax("glTF accessor component type not supported");
+    }
+    ct = GLTF_COMPONENTS[String(acc.componentType)];
+    
+    if (!GLTF_TYPES.hasOwnProperty(String(acc.type))) {
+      syntax("glTF accessor type not supported");
+    }
+    size = GLTF_TYPES[String(acc.type)];
+    
+    count = gltfInt(acc.count, undefined, "accessor count");
+    if (count > MAX_COUNT * 3) {
+      syntax("glTF accessor count is too large");
+    }
+    if ("sparse" in acc) {
+      syntax("glTF sparse accessors are not supported");
+    }
+    
+    // Without sparse accessors, an accessor without a buffer view would
+    // only hold zeros
+    if (acc.bufferView === undefined) {
+      syntax("glTF accessors without a buffer view are not supported");
+    }
+    
+    // Get the buffer view and make sure every element is inside it
+    view = gltfItem(gl.doc, "bufferViews", acc.bufferView);
+    k = gltfInt(view.buffer, undefined, "buffer view buffer");
+    if (k >= gl.buf.length) {
+      syntax("glTF buffers index out of range");
+    }
+    buf = gl.buf[k];
+    
+    voff = gltfInt(view.byteOffset, 0, "buffer view byteOffset");
+    vlen = gltfInt(view.byteLength, undefined, "buffer view byteLength");
+    off = gltfInt(acc.byteOffset, 0, "accessor byteOffset");
+    stride = gltfInt(view.byteStride, ct[0] * size,
+                      "buffer view byteStride");
+    
+    // Elements may not overlap, so that the count is limited by the
+    // length of the buffer view
+    if (stride < ct[0] * size) {
+      syntax("glTF buffer view byteStride is smaller than an element");
+    }
+    
+    if ((voff + vlen > buf.length) || ((count > 0) &&
+          (off + (stride * (count - 1)) + (ct[0] * size) > vlen))) {
+      syntax("glTF accessor is outside its buffer");
+    }
+    
+    // Read every component, allocating only now that the count is known
+    // to fit in the buffer
+    data = new Float64Array(count * size);
+    dv = new DataView(buf.buffer, buf.byteOffset + voff, vlen);
+    for(j = 0; j < count; j++) {
+      for(k = 0; k < size; k++) {
+        v = dv["get" + ct[1]](off + (j * stride) + (k * ct[0]), true);
+        if (acc.normalized === true) {
+          v = Math.max(v / ct[2], -1.0);
+        }
+        if (!isFinite(v)) {
+          syntax("glTF accessor values must be finite");
+        }
+        data[(j * size) + k] = v;
+      }
+    }
+    
+    return {"count": count, "size": size, "data": data};
+  }
+  
+  /*
+   * Build the local transform of a glTF node.
+   * 
+   * The transform is either the node matrix, or the node scale, then
+   * rotation, then translation.  Errors are reported with syntax().
+   * 
+   * Parameters:
+   * 
+   *   node : object - the glTF node
+   * 
+   * Return:
+   * 
+   *   a new Matrix
+   */
+  function gltfMatrix(node) {
+    
+    var m, a, n;
+    
+    m = new Matrix;
+    
+    if ("matrix" in node) {
+      if (!gltfNumbers(node.matrix, 16)) {
+        syntax("glTF node matrix must be 16 numbers");
+      }
+      m.multiply(node.matrix);
+      return m;
+    }
+    
+    if ("scale" in node) {
+      a = node.scale;
+      if (!gltfNumbers(a, 3)) {
+        syntax("glTF node scale must be three numbers");
+      }
+      m.scale(a[0], a[1], a[2]);
+    }
+    
+    if ("rotation" in node) {
+      a = node.rotation;
+      if (!gltfNumbers(a, 4)) {
+        syntax("glTF node rotation must be four numbers");
+      }
+      n = Math.sqrt((a[0] * a[0]) + (a[1] * a[1]) +
+                    (a[2] * a[2]) + (a[3] * a[3]));
+      if (!(n > 0.0)) {
+        syntax("glTF node rotation must not be zero");
+      }
+      m.rotateQuat(a[0] / n, a[1] / n, a[2] / n, a[3] / n);
+    }
+    
+    if ("translation" in node) {
+      a = node.translation;
+      if (!gltfNumbers(a, 3)) {
+        syntax("glTF node translation must be three numbers");
+      }
+      m.translate(a[0], a[1], a[2]);
+    }
+    
+    return m;
+  }
+  
+  /*
+   * Get the color of a scene object imported from a glTF primitive.
+   * 
+   * Parameters:
+   * 
+   *   vc : Float64Array | null - the linear RGB color of each vertex of
+   *   the primitive, or null if the primitive has a single color
+   * 
+   *   list : array - the indices of the vertices of the object
+   * 
+   *   fc : integer - the color as 15-bit Hicolor, if vc is null
+   * 
+   * Return:
+   * 
+   *   integer - the color as 15-bit Hicolor, which is the average of the
+   *   vertex colors if there are any
+   */
+  function gltfColor(vc, list, fc) {
+    
+    var r, g, b, i;
+    
+    if (vc === null) {
+      return fc;
+    }
+    
+    r = 0.0;
+    g = 0.0;
+    b = 0.0;
+    for(i = 0; i < list.length; i++) {
+      r = r + vc[ list[i] * 3     ];
+      g = g + vc[(list[i] * 3) + 1];
+      b = b + vc[(list[i] * 3) + 2];
+    }
+    
+    return rgbToHicolor(linearToSRGB(r / list.length),
+                        linearToSRGB(g / list.length),
+                        linearToSRGB(b / list.length));
+  }
+  
+  /*
+   * Add a glTF mesh primitive to a mesh that is being built.
+   * 
+   * The mesh object has "vlist" and "slist" properties holding the
+   * arrays of vertex coordinates and scene object elements, "ls" and
+   * "ps" properties holding the arrays of line and point styles, "lmap"
+   * and "pmap" properties holding objects that map colors to the line
+   * and point styles already defined for them, and "fill", "sel", "lw",
+   * and "psz" properties holding the default fill color, the triangle
+   * edge selector, the line width, and the point size.
+   * 
+   * Every vertex of the primitive is transformed into world space and
+   * added to the mesh.  Triangle modes become triangles, with every edge
+   * stroked if the edge selector is not zero, and with a second triangle
+   * facing the other way if the material is double-sided.  Line modes
+   * become lines, and the points mode becomes square points.  Objects
+   * that collapse onto a single vertex are skipped.
+   * 
+   * The color is the base color factor of the material times the
+   * vertex colors, if any, averaged over the vertices of each object.
+   * A primitive without a material or vertex colors gets the default
+   * fill color.  Errors are reported with syntax().
+   * 
+   * Parameters:
+   * 
+   *   gl : object - the parsed glTF file
+   * 
+   *   prim : any - the primitive
+   * 
+   *   m : Matrix - the world transform of the node
+   * 
+   *   flip : boolean - true if the transform is a mirror image, so the
+   *   vertex order of triangles must be reversed
+   * 
+   *   mesh : object - the mesh being built
+   */
+  function gltfPrimitive(gl, prim, m, flip, mesh) {
+    
+    var mode, pos, col, idx, mat, a, fac, two, fc, vc, base;
+    var list, n, k, i, j, v, obj, sw, key;
+    
+    if ((typeof prim !== "object") || (prim === null) ||
+        (typeof prim.attributes !== "object") ||
+        (prim.attributes === null)) {
+      syntax("glTF primitives must have attributes");
+    }
+    mode = gltfInt(prim.mode, 4, "primitive mode");
+    if (mode > 6) {
+      syntax("glTF primitive mode not supported");
+    }
+    
+    // Primitives without positions have nothing to draw
+    if (!("POSITION" in prim.attributes)) {
+      return;
+    }
+    pos = gltfAccessor(gl, prim.attributes.POSITION);
+    if (pos.size !== 3) {
+      syntax("glTF positions must be VEC3");
+    }
+    
+    // Get the vertex colors, if any
+    col = null;
+    if ("COLOR_0" in prim.attributes) {
+      col = gltfAccessor(gl, prim.attributes.COLOR_0);
+      if ((col.size < 3) || (col.count !== pos.count)) {
+        syntax("glTF colors must be VEC3 or VEC4 for each vertex");
+      }
+    }
+    
+    // Get the vertex indices, or use every vertex in order
+    if ("indices" in prim) {
+      a = gltfAccessor(gl, prim.indices);
+      if (a.size !== 1) {
+        syntax("glTF indices must be SCALAR");
+      }
+      idx = a.data;
+      for(i = 0; i < idx.length; i++) {
+        if (!((idx[i] >= 0) && (idx[i] < pos.count) &&
+              (idx[i] === Math.floor(idx[i])))) {
+          syntax("glTF vertex index out of range");
+        }
+      }
+    } else {
+      idx = new Float64Array(pos.count);
+      for(i = 0; i < idx.length; i++) {
+        idx[i] = i;
+      }
+    }
+    
+    // Get the base color factor of the material, leaving the factor
+    // null for the default fill color if there is neither a material
+    // nor vertex colors
+    fac = null;
+    two = false;
+    if ("material" in prim) {
+      mat = gltfItem(gl.doc, "materials", prim.material);
+      fac = [1.0, 1.0, 1.0];
+      a = mat.pbrMetallicRoughness;
+      if ((typeof a === "object") && (a !== null) &&
+          ("baseColorFactor" in a)) {
+        if (!gltfNumbers(a.baseColorFactor, 4)) {
+          syntax("glTF base color factor must be four numbers");
+        }
+        fac = a.baseColorFactor.slice(0, 3);
+      }
+      two = (mat.doubleSided === true);
+    } else if (col !== null) {
+      fac = [1.0, 1.0, 1.0];
+    }
+    
+    // Get the single color, or the linear color of every vertex
+    fc = mesh.fill;
+    vc = null;
+    if (col !== null) {
+      vc = new Float64Array(pos.count * 3);
+      for(i = 0; i < pos.count; i++) {
+        for(j = 0; j < 3; j++) {
+          vc[(i * 3) + j] = col.data[(i * col.size) + j] * fac[j];
+        }
+      }
+    } else if (fac !== null) {
+      fc = rgbToHicolor(linearToSRGB(fac[0]), linearToSRGB(fac[1]),
+                        linearToSRGB(fac[2]));
+    }
+    
+    // Transform the vertices into world space
+    base = mesh.vlist.length / 3;
+    for(i = 0; i < pos.count; i++) {
+      v = [pos.data[i * 3], pos.data[(i * 3) + 1], pos.data[(i * 3) + 2]];
+      m.process(v);
+      mesh.vlist.push(v[0], v[1], v[2]);
+    }
+    
+    // Gather the vertex indices of each object into a flat list, with k
+    // vertices for each object
+    n = idx.length;
+    list = [];
+    if (mode === 4) {
+      // Triangles
+      for(i = 0; i + 2 < n; i += 3) {
+        list.push(idx[i], idx[i + 1], idx[i + 2]);
+      }
+    } else if (mode === 5) {
+      // Triangle strip, where every other triangle is turned around to
+      // keep the winding
+      for(i = 0; i + 2 < n; i++) {
+        if (i % 2 === 0) {
+          list.push(idx[i], idx[i + 1], idx[i + 2]);
+        } else {
+          list.push(idx[i], idx[i + 2], idx[i + 1]);
+        }
+      }
+    } else if (mode === 6) {
+      // Triangle fan
+      for(i = 1; i + 1 < n; i++) {
+        list.push(idx[i], idx[i + 1], idx[0]);
+      }
+    } else if (mode === 1) {
+      // Lines
+      for(i = 0; i + 1 < n; i += 2) {
+        list.push(idx[i], idx[i + 1]);
+      }
+    } else if ((mode === 2) || (mode === 3)) {
+      // Line loop or line strip
+      for(i = 0; i + 1 < n; i++) {
+        list.push(idx[i], idx[i + 1]);
+      }
+      if ((mode === 2) && (n > 2)) {
+        list.push(idx[n - 1], idx[0]);
+      }
+    } else {
+      // Points
+      for(i = 0; i < n; i++) {
+        list.push(idx[i]);
+      }
+    }
+    k = (mode >= 4) ? 3 : ((mode >= 1) ? 2 : 1);
+    
+    // Add the objects
+    sw = (mesh.sel << 10) | (mesh.sel << 5) | mesh.sel;
+    for(i = 0; i < list.length; i += k) {
+      obj = list.slice(i, i + k);
+      fc = gltfColor(vc, obj, fc);
+      
+      if (k === 3) {
+        if ((obj[0] === obj[1]) || (obj[1] === obj[2]) ||
+            (obj[2] === obj[0])) {
+          continue;
+        }
+        if (flip) {
+          obj = [obj[0], obj[2], obj[1]];
+        }
+        mesh.slist.push(SCENE_TRIANGLE, base + obj[0], base + obj[1],
+                        base + obj[2], fc, sw);
+        if (two) {
+          mesh.slist.push(SCENE_TRIANGLE, base + obj[0], base + obj[2],
+                          base + obj[1], fc, sw);
+        }
+      
+      } else if (k === 2) {
+        if (obj[0] === obj[1]) {
+          continue;
+        }
+        key = String(fc);
+        if (!mesh.lmap.hasOwnProperty(key)) {
+          mesh.lmap[key] = mesh.ls.length;
+          mesh.ls.push({"width": mesh.lw, "color": fc});
+        }
+        mesh.slist.push(SCENE_LINE, base + obj[0], base + obj[1], 0, 0,
+                        mesh.lmap[key]);
+      
+      } else {
+        key = String(fc);
+        if (!mesh.pmap.hasOwnProperty(key)) {
+          mesh.pmap[key] = mesh.ps.length;
+          mesh.ps.push({"shape": "s", "size": mesh.psz, "stroke": 0.0,
+                        "fill": fc});
+        }
+        mesh.slist.push(SCENE_POINT, base + obj[0], 0, 0, 0,
+                        mesh.pmap[key]);
+      }
+    }
+  }
+  
+  /*
+   * Convert a glTF camera to a viewpoint.
+   * 
+   * The glTF camera looks down its local negative Z axis from its
+   * origin.  For a perspective camera, the origin becomes the projection
+   * point, so the Delilah camera is placed in front of it at the
+   * projection distance.  An orthographic camera becomes an orthographic
+   * projection with the Delilah camera at the origin, and the view
+   * height is twice the vertical magnification, while the field of view
+   * is the current one.  The near and far planes keep their distances
+   * from the projection point.  A camera without a far plane gets one
+   * just beyond the vertex farthest from it.  Errors in the camera are
+   * reported with syntax().
+   * 
+   * Parameters:
+   * 
+   *   cam : object - the glTF camera
+   * 
+   *   m : Matrix - the world transform of the camera node
+   * 
+   *   name : string - the name of the viewpoint
+   * 
+   *   vtx : array - the vertex coordinates of the scene
+   * 
+   * Return:
+   * 
+   *   object - the viewpoint, in the format of the m_views elements, or
+   *   null if the camera can't be converted
+   */
+  function gltfView(cam, m, name, vtx) {
+    
+    var p, o, ax, f, r, u, i, n, d, e, near, far, x, y, z, fov, ht;
+    
+    // Check the camera of either type
+    if (cam.type === "perspective") {
+      p = cam.perspective;
+      if ((typeof p !== "object") || (p === null) ||
+          (typeof p.yfov !== "number") ||
+          (!((p.yfov > 0.0) && (p.yfov < Math.PI))) ||
+          (typeof p.znear !== "number") ||
+          (!((p.znear > 0.0) && isFinite(p.znear))) ||
+          (("zfar" in p) && (!((typeof p.zfar === "number") &&
+              (p.zfar > p.znear) && isFinite(p.zfar))))) {
+        syntax("glTF perspective camera is not valid");
+      }
+      
+    } else if (cam.type === "orthographic") {
+      p = cam.orthographic;
+      if ((typeof p !== "object") || (p === null) ||
+          (typeof p.ymag !== "number") ||
+          (!((p.ymag > 0.0) && isFinite(p.ymag))) ||
+          (typeof p.znear !== "number") ||
+          (!((p.znear >= 0.0) && isFinite(p.znear))) ||
+          (typeof p.zfar !== "number") ||
+          (!((p.zfar > p.znear) && isFinite(p.zfar)))) {
+        syntax("glTF orthographic camera is not valid");
+      }
+      
+    } else {
+      return null;
+    }
+    
+    // Transform the camera origin and its forward, right, and up unit
+    // vectors into world space
+    o = [0, 0, 0];
+    m.process(o);
+    
+    f = [0, 0, -1];
+    r = [1, 0, 0];
+    u = [0, 1, 0];
+    ax = [f, r, u];
+    for(i = 0; i < ax.length; i++) {
+      m.process(ax[i]);
+      ax[i][0] = ax[i][0] - o[0];
+      ax[i][1] = ax[i][1] - o[1];
+      ax[i][2] = ax[i][2] - o[2];
+      n = Math.sqrt((ax[i][0] * ax[i][0]) + (ax[i][1] * ax[i][1]) +
+                    (ax[i][2] * ax[i][2]));
+      if (!(n > 0.0)) {
+        return null;
+      }
+      ax[i][0] = ax[i][0] / n;
+      ax[i][1] = ax[i][1] / n;
+      ax[i][2] = ax[i][2] / n;
+    }
+    e = normAngles(axesToEuler(f, r, u));
+    
+    // Get the projection distance, the field of view, the view height,
+    // and the near and far planes
+    if (cam.type === "orthographic") {
+      d = 0.0;
+      fov = m_proj[0];
+      ht = p.ymag * 2;
+    } else {
+      d = 1 / Math.tan(p.yfov / 2);
+      fov = p.yfov / Math.PI;
+      ht = 0.0;
+    }
+    near = d - p.znear;
+    
+    if ("zfar" in p) {
+      far = d - p.zfar;
+    } else {
+      n = p.znear * 2;
+      for(i = 0; i < vtx.length; i += 3) {
+        x = vtx[i] - o[0];
+        y = vtx[i + 1] - o[1];
+        z = vtx[i + 2] - o[2];
+        n = Math.max(n, Math.sqrt((x * x) + (y * y) + (z * z)) * 1.01);
+      }
+      far = d - n;
+    }
+    
+    // Planes that are too close together for the precision of the
+    // numbers can't be used
+    if (((!(near < d)) && (!(ht > 0.0))) || (!(far < near))) {
+      return null;
+    }
+    
+    return {
+      "name": name,
+      "camera": [o[0] + (f[0] * d), o[1] + (f[1] * d), o[2] + (f[2] * d),
+                  e[0], e[1], e[2]],
+      "projection": [fov, near, far, ht]
+    };
+  }
+  
+  /*
+   * Draw a triangle.
+   * 
+   * rc is the rendering context to draw the triangle into.  The
+   * triangle vertices are (x1, y1), (x2, y2), and (x3, y3) in screen
+   * coordinates.
+   * 
+   * fc is the fill color of the triangle, which is a color word as
+   * described for m_palette.  sf is the shade factor that lighting
+   * multiplies the fill color by, which is 1.0 when lighting is off.
+   * 
+   * sw is the style word, which has three 5-bit selectors for edge
+   * styles.  See m_scene documentation for further information.
+   * 
+   * ss is the stroke scale, which multiplies all edge widths.
+   * 
+   * fg is the fog amount that the fill and edge colors are blended
+   * towards the fog color by, which is 0.0 when fog is off.
+   * 
+   * CAUTION:  For speed, this function performs no checking of
+   * parameters or state.
+   * 
+   * CAUTION: Fill style, stroke style, line width, and current path in
+   * the rendering context are altered.
+   * 
+   * CAUTION: Assumes settings for lineCap, lineJoin, and miterLimit are
+   * already set correctly.
+   * 
+   * Parameters:
+   * 
+   *   rc : CanvasRenderingContext2D - the 2D rendering context
+   * 
+   *   x1 : the X coordinate of the first vertex
+   * 
+   *   y1 : the Y coordinate of the first vertex
+   * 
+   *   x2 : the X coordinate of the second vertex
+   * 
+   *   y2 : the Y coordinate of the second vertex
+   * 
+   *   x3 : the X coordinate of the third vertex
+   * 
+   *   y3 : the Y coordinate of the third vertex
+   * 
+   *   fc : the fill color
+   * 
+   *   sf : the shade factor
+   * 
+   *   sw : the triangle style word
+   * 
+   *   ss : the stroke scale
+   * 
+   *   fg : the fog amount
+   */
+  function drawTri(rc, x1, y1, x2, y2, x3, y3, fc, sf, sw, ss, fg) {
+    
+    var s1, s2, s3, si;
+    
+    // Floor coordinates to integers to avoid forcing anti-aliasing
+    x1 = Math.floor(x1);
+    y1 = Math.floor(y1);
+    x2 = Math.floor(x2);
+    y2 = Math.floor(y2);
+    x3 = Math.floor(x3);
+    y3 = Math.floor(y3);
+    
+    // Draw the full triangle shape in a new path
+    rc.beginPath();
+    rc.moveTo(x1, y1);
+    rc.lineTo(x2, y2);
+    rc.lineTo(x3, y3);
+    rc.closePath();
+    
+    // Set fill color
+    rc.fillStyle = colorCSS(fc, sf, fg);
+    
+    // Fill the triangle
+    rc.fill();
+    
+    // If style word is not zero, do edge rendering
+    if (sw > 0) {
+    
+      // Extract the three selectors from the style word
+      s1 = (sw >> 10);
+      s2 = (sw >> 5) & 0x1f;
+      s3 = sw & 0x1f;
+    
+      // Render first edge if non-zero
+      if (s1 > 0) {
+        // Get style object
+        si = m_lstyle[s1 - 1];
+        
+        // Begin a new path with just the edge
+        rc.beginPath();
+        rc.moveTo(x1, y1);
+        rc.lineTo(x2, y2);
+        
+        // Set line color
+        rc.strokeStyle = colorCSS(si.color, 1.0, fg);
+        
+        // Set line width
+        rc.lineWidth = si.width * ss;
+        
+        // Stroke the line
+        rc.stroke();
+      }
+      
+      // Render second edge if non-zero
+      if (s2 > 0) {
+        // Get style object
+        si = m_lstyle[s2 - 1];
+        
+        // Begin a new path with just the edge
+        rc.beginPath();
+        rc.moveTo(x2, y2);
+        rc.lineTo(x3, y3);
+        
+        // Set line color
+        rc.strokeStyle = colorCSS(si.color, 1.0, fg);
+        
+        // Set line width
+        rc.lineWidth = si.width * ss;
+        
+        // Stroke the line
+        rc.stroke();
+      }
+      
+      // Render third edge if non-zero
+      if (s3 > 0) {
+        // Get style object
+        si = m_lstyle[s3 - 1];
+        
+        // Begin a new path with just the edge
+        rc.beginPath();
+        rc.moveTo(x3, y3);
+        rc.lineTo(x1, y1);
+        
+        // Set line color
+        rc.strokeStyle = colorCSS(si.color, 1.0, fg);
+        
+        // Set line width
+        rc.lineWidth = si.width * ss;
+        
+        // Stroke the line
+        rc.stroke();
+      }
+    }
+  }
+  
+  /*
+   * Draw a triangle that was clipped by the view frustum.
+   * 
+   * This is the same as drawTri(), except that the clipped triangle is
+   * a convex polygon given by cp, in the format described for m_clipa,
+   * with n vertices whose X and Y coordinates have been projected into
+   * screen coordinates.  Each edge is stroked with its own line style
+   * selector, so the parts of the triangle edges that are left are
+   * stroked as before, and the edges made by clipping are not.  The
+   * coordinates in cp are floored.
+   * 
+   * CAUTION:  For speed, this function performs no checking of
+   * parameters or state.
+   * 
+   * CAUTION: Fill style, stroke style, line width, and current path in
+   * the rendering context are altered.
+   * 
+   * Parameters:
+   * 
+   *   rc : CanvasRenderingContext2D - the 2D rendering context
+   * 
+   *   cp : Float64Array - the clipped polygon
+   * 
+   *   n : the number of vertices of the polygon
+   * 
+   *   fc : the fill color
+   * 
+   *   sf : the shade factor
+   * 
+   *   ss : the stroke scale
+   * 
+   *   fg : the fog amount
+   */
+  function drawClipped(rc, cp, n, fc, sf, ss, fg) {
+    
+    var i, j, s, si;
+    
+    // Floor coordinates to integers to avoid forcing anti-aliasing
+    for(i = 0; i < n; i++) {
+      cp[i * 4] = Math.floor(cp[i * 4]);
+      cp[(i * 4) + 1] = Math.floor(cp[(i * 4) + 1]);
+    }
+    
+    // Draw the full polygon shape in a new path and fill it
+    rc.beginPath();
+    rc.moveTo(cp[0], cp[1]);
+    for(i = 1; i < n; i++) {
+      rc.lineTo(cp[i * 4], cp[(i * 4) + 1]);
+    }
+    rc.closePath();
+    
+    rc.fillStyle = colorCSS(fc, sf, fg);
+    rc.fill();
+    
+    // Render each edge whose selector is not zero
+    for(i = 0; i < n; i++) {
+      s = cp[(i * 4) + 3];
+      if (s > 0) {
+        si = m_lstyle[s - 1];
+        j = ((i + 1) % n) * 4;
+        
+        rc.beginPath();
+        rc.moveTo(cp[i * 4], cp[(i * 4) + 1]);
+        rc.lineTo(cp[j], cp[j + 1]);
+        
+        rc.strokeStyle = colorCSS(si.color, 1.0, fg);
+        rc.lineWidth = si.width * ss;
+        rc.stroke();
+      }
+    }
+  }
+  
+  /*
+   * Draw a line.
+   * 
+   * rc is the rendering context to draw the line into.  The line goes
+   * from (x1, y1) to (x2, y2) in screen coordinates.
+   * 
+   * si is an index into the line style array.
+   * 
+   * ss is the stroke scale, which multiplies the line width.
+   * 
+   * fg is the fog amount that the line color is blended towards the fog
+   * color by.
+   * 
+   * CAUTION:  For speed, this function performs no checking of
+   * parameters or state.
+   * 
+   * CAUTION: Stroke style, line width, and current path in the
+   * rendering context are altered.
+   * 
+   * CAUTION: Assumes settings for lineCap, lineJoin, and miterLimit are
+   * already set correctly.
+   * 
+   * Parameters:
+   * 
+   *   rc : CanvasRenderingContext2D - the 2D rendering context
+   * 
+   *   x1 : the X coordinate of the start point
+   * 
+   *   y1 : the Y coordinate of the start point
+   * 
+   *   x2 : the X coordinate of the end point
+   * 
+   *   y2 : the Y coordinate of the end point
+   * 
+   *   si : the line style index
+   * 
+   *   ss : the stroke scale
+   * 
+   *   fg : the fog amount
+   */
+  function drawLine(rc, x1, y1, x2, y2, si, ss, fg) {
+    
+    // Floor coordinates to integers to avoid forcing anti-aliasing
+    x1 = Math.floor(x1);
+    y1 = Math.floor(y1);
+    x2 = Math.floor(x2);
+    y2 = Math.floor(y2);
+    
+    // Get line style object
+    si = m_lstyle[si];
+    
+    // Define new path and add the line to the path
+    rc.beginPath();
+    rc.moveTo(x1, y1);
+    rc.lineTo(x2, y2);
+    
+    // Set line color
+    rc.strokeStyle = colorCSS(si.color, 1.0, fg);
+    
+    // Set line width
+    rc.lineWidth = si.width * ss;
+    
+    // Stroke the line
+    rc.stroke();
+  }
+  
+  /*
+   * Draw a sphere.
+   * 
+   * rc is the rendering context to draw the sphere into.  (x, y) are
+   * the screen coordinates of the sphere, and r is the screen radius of
+   * the sphere.
+   * 
+   * fc is the fill color of the sphere, which is either 0xffff for no
+   * fill or a color word as described for m_palette.
+   * 
+   * si is the stroke style for the sphere outline, which is either
+   * NO_STYLE for no stroke outline or an index into the line style
+   * array.
+   * 
+   * ss is the stroke scale, which multiplies the outline width.
+   * 
+   * lv is null when lighting is off.  Otherwise, it is the unit vector
+   * pointing towards the light in camera space, and the fill is a
+   * radial gradient from the point of the sphere that faces the light
+   * most directly out to the outline.  If the rendering context can't
+   * make radial gradients, the sphere is filled with its flat color.
+   * 
+   * fg is the fog amount that the fill and outline colors are blended
+   * towards the fog color by.
+   * 
+   * CAUTION:  For speed, this function performs no checking of
+   * parameters or state.
+   * 
+   * CAUTION: Fill style, stroke style, line width, and current path in
+   * the rendering context are altered.
+   * 
+   * CAUTION: Assumes settings for lineCap, lineJoin, and miterLimit are
+   * already set correctly.
+   * 
+   * Parameters:
+   * 
+   *   rc : CanvasRenderingContext2D - the 2D rendering context
+   * 
+   *   x : the X coordinate
+   * 
+   *   y : the Y coordinate
+   * 
+   *   r : the radius
+   * 
+   *   fc : the fill color word of the sphere or 0xffff
+   * 
+   *   si : the line style index or NO_STYLE
+   * 
+   *   ss : the stroke scale
+   * 
+   *   lv : the light vector or null
+   * 
+   *   fg : the fog amount
+   */
+  function drawSphere(rc, x, y, r, fc, si, ss, lv, fg) {
+    
+    var hx, hy, hf, d, grad;
+    
+    // Floor coordinates to integers to avoid forcing anti-aliasing
+    x = Math.floor(x);
+    y = Math.floor(y);
+    
+    // Floor radius to integer and then make at least one
+    r = Math.max(Math.floor(r), 1);
+    
+    // Begin new path and add the circle to it
+    rc.beginPath();
+    rc.arc(x, y, r, 0, 2 * Math.PI);
+    
+    // Fill sphere if requested
+    if (fc !== 0xffff) {
+      if ((lv !== null) && (typeof rc.createRadialGradient === "function")) {
+        // Find the screen offset of the brightest visible point as a
+        // fraction of the radius, along with the cosine of its angle to
+        // the light; if the light is in front of the sphere, this is
+        // the point facing the light, and otherwise it is the point on
+        // the outline closest to the light
+        d = Math.sqrt((lv[0] * lv[0]) + (lv[1] * lv[1]));
+        if (lv[2] >= 0.0) {
+          hx = lv[0];
+          hy = -(lv[1]);
+          hf = 1.0;
+        } else if (d > 0.0) {
+          hx = lv[0] / d;
+          hy = -(lv[1]) / d;
+          hf = d;
+        } else {
+          hx = 0.0;
+          hy = 0.0;
+          hf = 0.0;
+        }
+        
+        // Shade from the brightest point out to the outline, which gets
+        // only the ambient light; this is exact on the side away from
+        // the light and approximates the falloff everywhere else
+        grad = rc.createRadialGradient(x + (hx * r), y + (hy * r), 0,
+                                        x, y, r);
+        grad.addColorStop(0,
+                colorCSS(fc, m_light[3] + (m_light[2] * hf), fg));
+        grad.addColorStop(1, colorCSS(fc, m_light[3], fg));
+        rc.fillStyle = grad;
+        
+      } else {
+        // Set fill color
+        rc.fillStyle = colorCSS(fc, 1.0, fg);
+      }
+      
+      // Fill the circle
+      rc.fill();
+    }
+    
+    // Stroke sphere if requested
+    if (si !== NO_STYLE) {
+    
+      // Get line style object
+      si = m_lstyle[si];
+      
+      // Set stroke color
+      rc.strokeStyle = colorCSS(si.color, 1.0, fg);
+      
+      // Set line width
+      rc.lineWidth = si.width * ss;
+      
+      // Stroke the circle
+      rc.stroke();
+    }
+  }
+  
+  /*
+   * Draw a point.
+   * 
+   * rc is the rendering context to draw the point into.  (x, y) are the
+   * screen coordinates of the point.
+   * 
+   * psi is the point style, which is an index into the point style
+   * array.
+   * 
+   * ss is the stroke scale, which multiplies both the size of the
+   * point and the width of its outline.
+   * 
+   * fg is the fog amount that the fill and ink colors are blended
+   * towards the fog color by.
+   * 
+   * CAUTION:  For speed, this function performs no checking of
+   * parameters or state.
+   * 
+   * CAUTION: Fill style, stroke style, line width, and current path in
+   * the rendering context are altered.
+   * 
+   * CAUTION: Assumes settings for lineCap, lineJoin, and miterLimit are
+   * already set correctly.
+   * 
+   * Parameters:
+   * 
+   *   rc : CanvasRenderingContext2D - the 2D rendering context
+   * 
+   *   x : the X coordinate
+   * 
+   *   y : the Y coordinate
+   * 
+   *   psi : the point style index
+   * 
+   *   ss : the stroke scale
+   * 
+   *   fg : the fog amount
+   */
+  function drawPoint(rc, x, y, psi, ss, fg) {
+    
+    var func_name = "drawPoint";
+    var sz, sh, k;
+    
+    // Floor coordinates to integers to avoid forcing anti-aliasing
+    x = Math.floor(x);
+    y = Math.floor(y);
+    
+    // Get point style object
+    psi = m_pstyle[psi];
+    
+    // Get the size of the bounding box edge and half of it
+    sz = psi.size * ss;
+    k = sz / 2.0;
+    
+    // Define new path and add the appropriate shape to the path
+    rc.beginPath();
+    sh = psi.shape;
+    if (sh === "c") {
+      // Circle
+      k = sz / 2.0;
+      rc.arc(x, y, k, 0, 2 * Math.PI);
+      
+    } else if (sh === "s") {
+      // Square
+      k = sz / 2.0;
+      rc.rect(x - k, y - k, sz, sz);
+      
+    } else if (sh === "m") {
+      // Diamond
+      rc.moveTo(x - k, y);
+      rc.lineTo(x, y - k);
+      rc.lineTo(x + k, y);
+      rc.lineTo(x, y + k);
+      rc.closePath();
+      
+    } else if (sh === "u") {
+      // Triangle-up
+      rc.moveTo(x - k, y + k);
+      rc.lineTo(x, y - k);
+      rc.lineTo(x + k, y + k);
+      rc.closePath();
+      
+    } else if (sh === "d") {
+      // Triangle-down
+      rc.moveTo(x - k, y - k);
+      rc.lineTo(x, y + k);
+      rc.lineTo(x + k, y - k);
+      rc.closePath();
+      
+    } else if (sh === "l") {
+      // Triangle-left
+      rc.moveTo(x - k, y);
+      rc.lineTo(x + k, y - k);
+      rc.lineTo(x + k, y + k);
+      rc.closePath();
+      
+    } else if (sh === "r") {
+      // Triangle-right
+      rc.moveTo(x + k, y);
+      rc.lineTo(x - k, y - k);
+      rc.lineTo(x - k, y + k);
+      rc.closePath();
+      
+    } else if (sh === "p") {
+      // Plus
+      rc.moveTo(x, y - k);
+      rc.lineTo(x, y + k);
+      rc.moveTo(x - k, y);
+      rc.lineTo(x + k, y);
+      
+    } else if (sh === "x") {
+      // X
+      rc.moveTo(x - k, y - k);
+      rc.lineTo(x + k, y + k);
+      rc.moveTo(x - k, y + k);
+      rc.lineTo(x + k, y - k);
+      
+    } else {
+      fault(func_name, 200);
+    }
+    
+    // If this is a fillable shape, do fill if requested by style
+    if (FILL_SHAPES.indexOf(sh) >= 0) {
+      if (psi.fill !== 0xffff) {
+        // Set fill color
+        rc.fillStyle = colorCSS(psi.fill, 1.0, fg);
+        
+        // Fill the shape
+        rc.fill();
+      }
+    }
+    
+    // If stroke width is greater than zero, stroke the shape
+    sz = psi.stroke * ss;
+    if (sz > 0.0) {
+      // Set stroke color
+      rc.strokeStyle = colorCSS(psi.ink, 1.0, fg);
+      
+      // Set line width
+      rc.lineWidth = sz;
+      
+      // Stroke the shape
+      rc.stroke();
+    }
+  }
+  
+  /*
+   * Multiply two quaternions.
+   * 
+   * Quaternions are arrays of four numbers (x, y, z, w), where w is the
+   * scalar part.  The result represents the rotation q followed by the
+   * rotation p.
+   * 
+   * Parameters:
+   * 
+   *   p : Array - the first quaternion
+   * 
+   *   q : Array - the second quaternion
+   * 
+   * Return:
+   * 
+   *   a new array holding the product p * q
+   */
+  function quatMul(p, q) {
+    
+    return [
+      (p[3] * q[0]) + (p[0] * q[3]) + (p[1] * q[2]) - (p[2] * q[1]),
+      (p[3] * q[1]) - (p[0] * q[2]) + (p[1] * q[3]) + (p[2] * q[0]),
+      (p[3] * q[2]) + (p[0] * q[1]) - (p[1] * q[0]) + (p[2] * q[3]),
+      (p[3] * q[3]) - (p[0] * q[0]) - (p[1] * q[1]) - (p[2] * q[2])
+    ];
+  }
+  
+  /*
+   * Convert camera rotation angles to a unit quaternion.
+   * 
+   * The angles are in radians, with the same meaning as the yaw, pitch,
+   * and roll of m_cam.  The quaternion rotates camera space into world
+   * space, applying the roll first, then the pitch, then the yaw.
+   * 
+   * Parameters:
+   * 
+   *   yaw : number - the yaw angle in radians
+   * 
+   *   pitch : number - the pitch angle in radians
+   * 
+   *   roll : number - the roll angle in radians
+   * 
+   * Return:
+   * 
+   *   a new array (x, y, z, w) holding the quaternion
+   */
+  function eulerToQuat(yaw, pitch, roll) {
+    
+    var qy, qx, qz;
+    
+    qy = [0, Math.sin(yaw / 2), 0, Math.cos(yaw / 2)];
+    qx = [Math.sin(pitch / 2), 0, 0, Math.cos(pitch / 2)];
+    qz = [0, 0, Math.sin(roll / 2), Math.cos(roll / 2)];
+    
+    return quatMul(qy, quatMul(qx, qz));
+  }
+  
+  /*
+   * Rotate a vector by a unit quaternion.
+   * 
+   * Parameters:
+   * 
+   *   q : Array - the quaternion (x, y, z, w)
+   * 
+   *   v : Array - the vector (X, Y, Z)
+   * 
+   * Return:
+   * 
+   *   a new array holding the rotated vector
+   */
+  function quatRotate(q, v) {
+    
+    var r;
+    
+    r = quatMul(quatMul(q, [v[0], v[1], v[2], 0]),
+                [-(q[0]), -(q[1]), -(q[2]), q[3]]);
+    
+    return [r[0], r[1], r[2]];
+  }
+  
+  /*
+   * Convert the axes of a camera to camera rotation angles.
+   * 
+   * The axes are the unit vectors in world space that point forward,
+   * right, and up from the camera.  The result is an array of the yaw,
+   * pitch, and roll in radians.  Pitch is in range [-PI/2, PI/2], while
+   * yaw and roll are in range [-PI, PI].  When the camera is looking
+   * straight up or down, the roll is always zero and the yaw absorbs
+   * the whole rotation around the view direction.
+   * 
+   * Parameters:
+   * 
+   *   f : Array - the forward vector
+   * 
+   *   r : Array - the right vector
+   * 
+   *   u : Array - the up vector
+   * 
+   * Return:
+   * 
+   *   a new array holding the yaw, pitch, and roll
+   */
+  function axesToEuler(f, r, u) {
+    
+    var yaw, pitch, roll;
+    
+    // The forward vector is (-sin(yaw) cos(pitch), sin(pitch),
+    // -cos(yaw) cos(pitch))
+    pitch = Math.asin(Math.min(Math.max(f[1], -1.0), 1.0));
+    
+    if (Math.sqrt((f[0] * f[0]) + (f[2] * f[2])) > 1e-9) {
+      // Not looking straight up or down; the Y components of the right
+      // and up vectors are sin(roll) cos(pitch) and cos(roll)
+      // cos(pitch)
+      yaw = Math.atan2(-(f[0]), -(f[2]));
+      roll = Math.atan2(r[1], u[1]);
+      
+    } else {
+      // Looking straight up or down with zero roll, the up vector is
+      // (sin(yaw), 0, cos(yaw)) times the sign of the pitch
+      if (f[1] > 0) {
+        yaw = Math.atan2(u[0], u[2]);
+      } else {
+        yaw = Math.atan2(-(u[0]), -(u[2]));
+      }
+      roll = 0.0;
+    }
+    
+    return [yaw, pitch, roll];
+  }
+  
+  /*
+   * Convert a unit quaternion to camera rotation angles.
+   * 
+   * This is the inverse of eulerToQuat().  See axesToEuler() for the
+   * result.
+   * 
+   * Parameters:
+   * 
+   *   q : Array - the quaternion (x, y, z, w)
+   * 
+   * Return:
+   * 
+   *   a new array holding the yaw, pitch, and roll
+   */
+  function quatToEuler(q) {
+    
+    return axesToEuler(quatRotate(q, [0, 0, -1]),
+                        quatRotate(q, [1, 0, 0]),
+                        quatRotate(q, [0, 1, 0]));
+  }
+  
+  /*
+   * Convert camera rotation angles in radians to the normalized angles
+   * of m_cam.
+   * 
+   * Yaw and roll are wrapped into range [0.0, 1.0) and pitch is clamped
+   * to range [-1.0, 1.0].
+   * 
+   * Parameters:
+   * 
+   *   e : Array - the yaw, pitch, and roll in radians
+   * 
+   * Return:
+   * 
+   *   a new array holding the normalized yaw, pitch, and roll
+   */
+  function normAngles(e) {
+    
+    var yaw, pitch, roll;
+    
+    yaw = e[0] / (Math.PI * 2);
+    yaw = yaw - Math.floor(yaw);
+    if (!(yaw < 1.0)) {
+      yaw = 0.0;
+    }
+    
+    pitch = Math.min(Math.max(e[1] / (Math.PI / 2), -1.0), 1.0);
+    
+    roll = e[2] / (Math.PI * 2);
+    roll = roll - Math.floor(roll);
+    if (!(roll < 1.0)) {
+      roll = 0.0;
+    }
+    
+    return [yaw, pitch, roll];
+  }
+  
+  /*
+   * Spherical linear interpolation between two unit quaternions.
+   * 
+   * The interpolation always takes the shorter path around the sphere
+   * of rotations.
+   * 
+   * Parameters:
+   * 
+   *   p : Array - the quaternion at t=0
+   * 
+   *   q : Array - the quaternion at t=1
+   * 
+   *   t : number - the interpolation parameter in range [0, 1]
+   * 
+   * Return:
+   * 
+   *   a new array holding the interpolated quaternion
+   */
+  function quatSlerp(p, q, t) {
+    
+    var c, a, s, kp, kq, n, r;
+    
+    // Flip the second quaternion if needed to take the shorter path
+    c = (p[0] * q[0]) + (p[1] * q[1]) + (p[2] * q[2]) + (p[3] * q[3]);
+    if (c < 0) {
+      q = [-(q[0]), -(q[1]), -(q[2]), -(q[3])];
+      c = -c;
+    }
+    
+    // Compute the weights, using linear interpolation when the
+    // quaternions are so close that the angle is unreliable
+    if (c > 0.9995) {
+      kp = 1 - t;
+      kq = t;
+      
+    } else {
+      a = Math.acos(c);
+      s = Math.sin(a);
+      kp = Math.sin((1 - t) * a) / s;
+      kq = Math.sin(t * a) / s;
+    }
+    
+    // Blend and renormalize
+    r = [
+      (p[0] * kp) + (q[0] * kq),
+      (p[1] * kp) + (q[1] * kq),
+      (p[2] * kp) + (q[2] * kq),
+      (p[3] * kp) + (q[3] * kq)
+    ];
+    n = Math.sqrt((r[0] * r[0]) + (r[1] * r[1]) +
+                  (r[2] * r[2]) + (r[3] * r[3]));
+    
+    return [r[0] / n, r[1] / n, r[2] / n, r[3] / n];
+  }
+  
+  /*
+   * Set up exact rendering for a render.
+   * 
+   * This creates an ImageData buffer with rendering context rc, fills it
+   * with the background color, and clears the depth buffer in m_depth,
+   * allocating a new one if the size changed.  The depth of every pixel
+   * starts at negative infinity, so that anything drawn there passes the
+   * depth test.
+   * 
+   * The result is the raster object that the other raster functions
+   * draw into, which has the following properties:
+   * 
+   *   "img" : ImageData - the image buffer
+   * 
+   *   "data" : Uint8ClampedArray - the pixels of the image buffer
+   * 
+   *   "depth" : Float32Array - the depth of each pixel
+   * 
+   *   "w" : integer - the width in pixels
+   * 
+   *   "h" : integer - the height in pixels
+   * 
+   *   "ortho" : boolean - true if the projection is orthographic
+   * 
+   *   "d" : number - the Z coordinate of the pinhole in perspective
+   *   mode
+   * 
+   *   "qa" : number - the scale that rasterDepth() applies
+   * 
+   *   "qb" : number - the offset that rasterDepth() applies
+   * 
+   * CAUTION:  For speed, this function performs no checking of
+   * parameters or state.
+   * 
+   * Parameters:
+   * 
+   *   rc : object - the 2D rendering context
+   * 
+   *   w : integer - the width in pixels of the canvas
+   * 
+   *   h : integer - the height in pixels of the canvas
+   * 
+   *   ortho : boolean - true if the projection is orthographic
+   * 
+   *   d : number - the Z coordinate of the pinhole in perspective mode
+   * 
+   *   near : number - the Z coordinate of the near plane
+   * 
+   *   far : number - the Z coordinate of the far plane
+   * 
+   * Return:
+   * 
+   *   object - the raster object
+   */
+  function rasterBegin(rc, w, h, ortho, d, near, far) {
+    
+    var zb, dt, i;
+    
+    zb = {
+      "img": rc.createImageData(w, h),
+      "w": w,
+      "h": h,
+      "ortho": ortho,
+      "d": d,
+      "qa": 0.0,
+      "qb": 0.0
+    };
+    zb.data = zb.img.data;
+    
+    // Get the scale and offset that map the far plane to depth 0.0 and
+    // the near plane to depth 1.0
+    if (ortho) {
+      zb.qa = 1 / (near - far);
+      zb.qb = -(far * zb.qa);
+    } else {
+      zb.qa = 1 / ((1 / (d - near)) - (1 / (d - far)));
+      zb.qb = -(zb.qa / (d - far));
+    }
+    
+    // Fill the image with the background color
+    dt = zb.data;
+    for(i = 0; i < dt.length; i = i + 4) {
+      dt[i    ] = m_bgcolor[0];
+      dt[i + 1] = m_bgcolor[1];
+      dt[i + 2] = m_bgcolor[2];
+      dt[i + 3] = 255;
+    }
+    
+    // Clear the depth buffer, allocating it if the size changed
+    if ((m_depth === null) || (m_depth.length !== w * h)) {
+      m_depth = new Float32Array(w * h);
+    }
+    m_depth.fill(-Infinity);
+    zb.depth = m_depth;
+    
+    return zb;
+  }
+  
+  /*
+   * Convert a camera-space Z coordinate to a depth of exact rendering.
+   * 
+   * zb is the raster object of the render, as described for
+   * rasterBegin().  Depths are normalized so that the far plane is 0.0
+   * and the near plane is 1.0, so nearer surfaces have greater depths.
+   * In perspective mode, the depth follows the reciprocal of the
+   * distance from the pinhole rather than the distance itself, which
+   * makes it change linearly across the screen within each triangle
+   * and line, so it can be interpolated between projected vertices.
+   * 
+   * CAUTION:  For speed, this function performs no checking of
+   * parameters or state.
+   * 
+   * Parameters:
+   * 
+   *   zb : object - the raster object
+   * 
+   *   z : number - the camera-space Z coordinate
+   * 
+   * Return:
+   * 
+   *   number - the depth
+   */
+  function rasterDepth(zb, z) {
+    
+    if (zb.ortho) {
+      return (z * zb.qa) + zb.qb;
+    }
+    return (zb.qa / (zb.d - z)) + zb.qb;
+  }
+  
+  /*
+   * Restrict the span of a pixel row to where a linear function of the
+   * X coordinate is zero or greater.
+   * 
+   * The function is (a * x + c).  span is an array of two numbers, the
+   * lowest and highest X coordinate of the span, which is updated in
+   * place.  When no X coordinate qualifies, the span is made empty by
+   * setting its highest X coordinate to negative infinity.
+   * 
+   * CAUTION:  For speed, this function performs no checking of
+   * parameters or state.
+   * 
+   * Parameters:
+   * 
+   *   span : Array - the span to restrict
+   * 
+   *   a : number - the slope of the function
+   * 
+   *   c : number - the value of the function where X is zero
+   */
+  function rasterClip(span, a, c) {
+    
+    if (a > 0.0) {
+      span[0] = Math.max(span[0], -(c / a));
+    } else if (a < 0.0) {
+      span[1] = Math.min(span[1], -(c / a));
+    } else if (!(c >= 0.0)) {
+      span[1] = -Infinity;
+    }
+  }
+  
+  /*
+   * Write a color into a pixel of exact rendering, if it passes the
+   * depth test.
+   * 
+   * zb is the raster object of the render, as described for
+   * rasterBegin(), and i is the index of the pixel.  The pixel passes
+   * the depth test if depth q is at least as near as the depth already
+   * stored for the pixel, so that among surfaces at exactly the same
+   * depth, the one drawn last wins, as with the painter's algorithm.
+   * 
+   * col holds the red, green, blue, and alpha channels in range
+   * [0, 255].  Opaque colors replace the pixel and store the new depth.
+   * Translucent colors are blended over the pixel but leave its depth
+   * unchanged, so that surfaces behind them still show through if they
+   * are drawn later.
+   * 
+   * CAUTION:  For speed, this function performs no checking of
+   * parameters or state.
+   * 
+   * Parameters:
+   * 
+   *   zb : object - the raster object
+   * 
+   *   i : integer - the pixel index
+   * 
+   *   q : number - the depth
+   * 
+   *   col : Array - the color channels
+   */
+  function rasterPixel(zb, i, q, col) {
+    
+    var dt, a, j;
+    
+    // Skip pixels that fail the depth test
+    if (!(q >= zb.depth[i])) {
+      return;
+    }
+    
+    dt = zb.data;
+    j = i * 4;
+    
+    if (col[3] >= 255) {
+      // Opaque, so replace the pixel and its depth
+      dt[j    ] = col[0];
+      dt[j + 1] = col[1];
+      dt[j + 2] = col[2];
+      dt[j + 3] = 255;
+      zb.depth[i] = q;
+      
+    } else if (col[3] > 0) {
+      // Translucent, so blend over the pixel
+      a = col[3] / 255;
+      dt[j    ] = dt[j    ] + ((col[0] - dt[j    ]) * a);
+      dt[j + 1] = dt[j + 1] + ((col[1] - dt[j + 1]) * a);
+      dt[j + 2] = dt[j + 2] + ((col[2] - dt[j + 2]) * a);
+    }
+  }
+  
+  /*
+   * Rasterize a filled triangle for exact rendering.
+   * 
+   * zb is the raster object of the render, as described for
+   * rasterBegin().  The triangle vertices are (x1, y1), (x2, y2), and
+   * (x3, y3) in screen coordinates, with depths q1, q2, and q3, which
+   * are interpolated across the triangle.  Every pixel whose center is
+   * inside the triangle or on its edges is drawn with color col.
+   * 
+   * Each pixel row is clipped to the triangle by its three edges, so
+   * the work is in proportion to the area of the triangle rather than
+   * the area of its bounding box.
+   * 
+   * CAUTION:  For speed, this function performs no checking of
+   * parameters or state.
+   * 
+   * Parameters:
+   * 
+   *   zb : object - the raster object
+   * 
+   *   x1 : the X coordinate of the first vertex
+   * 
+   *   y1 : the Y coordinate of the first vertex
+   * 
+   *   q1 : the depth of the first vertex
+   * 
+   *   x2 : the X coordinate of the second vertex
+   * 
+   *   y2 : the Y coordinate of the second vertex
+   * 
+   *   q2 : the depth of the second vertex
+   * 
+   *   x3 : the X coordinate of the third vertex
+   * 
+   *   y3 : the Y coordinate of the third vertex
+   * 
+   *   q3 : the depth of the third vertex
+   * 
+   *   col : the color channels
+   */
+  function rasterFill(zb, x1, y1, q1, x2, y2, q2, x3, y3, q3, col) {
+    
+    var area, sg, a1, b1, c1, a2, b2, c2, a3, b3, c3;
+    var span, x, y, x0, x9, y0, y9, px, py, e1, e2, e3;
+    
+    // Get twice the signed area, and stop if the triangle is degenerate
+    // or not finite
+    area = ((x2 - x1) * (y3 - y1)) - ((x3 - x1) * (y2 - y1));
+    if (!((area !== 0.0) && isFinite(area))) {
+      return;
+    }
+    sg = (area > 0.0) ? 1.0 : -1.0;
+    
+    // Get the edge functions, where the function of each edge is twice
+    // the signed area of the triangle with that edge and the pixel
+    // center, so the three of them add up to the area and each one
+    // divided by the area is the weight of the opposite vertex
+    a1 = y2 - y3;
+    b1 = x3 - x2;
+    c1 = (x2 * y3) - (x3 * y2);
+    
+    a2 = y3 - y1;
+    b2 = x1 - x3;
+    c2 = (x3 * y1) - (x1 * y3);
+    
+    a3 = y1 - y2;
+    b3 = x2 - x1;
+    c3 = (x1 * y2) - (x2 * y1);
+    
+    // Get the range of pixel rows whose centers may be inside
+    y0 = Math.max(Math.ceil(Math.min(y1, y2, y3) - 0.5), 0);
+    y9 = Math.min(Math.floor(Math.max(y1, y2, y3) - 0.5), zb.h - 1);
+    
+    span = [0.0, 0.0];
+    for(y = y0; y <= y9; y++) {
+      py = y + 0.5;
+      
+      // Clip the row to the inside of each edge
+      span[0] = -Infinity;
+      span[1] = Infinity;
+      rasterClip(span, a1 * sg, ((b1 * py) + c1) * sg);
+      rasterClip(span, a2 * sg, ((b2 * py) + c2) * sg);
+      rasterClip(span, a3 * sg, ((b3 * py) + c3) * sg);
+      
+      x0 = Math.max(Math.ceil(span[0] - 0.5), 0);
+      x9 = Math.min(Math.floor(span[1] - 0.5), zb.w - 1);
+      
+      // Draw the pixels of the row with interpolated depths
+      for(x = x0; x <= x9; x++) {
+        px = x + 0.5;
+        e1 = (a1 * px) + (b1 * py) + c1;
+        e2 = (a2 * px) + (b2 * py) + c2;
+        e3 = (a3 * px) + (b3 * py) + c3;
+        rasterPixel(zb, (y * zb.w) + x,
+                    ((e1 * q1) + (e2 * q2) + (e3 * q3)) / area, col);
+      }
+    }
+  }
+  
+  /*
+   * Rasterize a convex polygon at a single depth for exact rendering.
+   * 
+   * zb is the raster object of the render, as described for
+   * rasterBegin().  pts is an array of the X and Y screen coordinates of
+   * the polygon vertices, in either winding order.  Every pixel whose
+   * center is inside the polygon or on its edges is drawn with depth q
+   * and color col.
+   * 
+   * CAUTION:  For speed, this function performs no checking of
+   * parameters or state.
+   * 
+   * Parameters:
+   * 
+   *   zb : object - the raster object
+   * 
+   *   pts : Array - the vertex coordinates
+   * 
+   *   q : number - the depth
+   * 
+   *   col : Array - the color channels
+   */
+  function rasterPoly(zb, pts, q, col) {
+    
+    var n, area, sg, span, i, j, x, y, x0, x9, y0, y9, py;
+    var ymin, ymax;
+    
+    n = pts.length;
+    
+    // Get twice the signed area to find the winding order, and the
+    // vertical extent
+    area = 0.0;
+    ymin = Infinity;
+    ymax = -Infinity;
+    for(i = 0; i < n; i = i + 2) {
+      j = (i + 2) % n;
+      area = area + ((pts[i] * pts[j + 1]) - (pts[j] * pts[i + 1]));
+      ymin = Math.min(ymin, pts[i + 1]);
+      ymax = Math.max(ymax, pts[i + 1]);
+    }
+    if (!((area !== 0.0) && isFinite(area))) {
+      return;
+    }
+    sg = (area > 0.0) ? 1.0 : -1.0;
+    
+    y0 = Math.max(Math.ceil(ymin - 0.5), 0);
+    y9 = Math.min(Math.floor(ymax - 0.5), zb.h - 1);
+    
+    span = [0.0, 0.0];
+    for(y = y0; y <= y9; y++) {
+      py = y + 0.5;
+      
+      // Clip the row to the inside of each edge, using the same edge
+      // functions as rasterFill()
+      span[0] = -Infinity;
+      span[1] = Infinity;
+      for(i = 0; i < n; i = i + 2) {
+        j = (i + 2) % n;
+        rasterClip(span, (pts[i + 1] - pts[j + 1]) * sg,
+                    (((pts[j] - pts[i]) * py) +
+                      ((pts[i] * pts[j + 1]) - (pts[j] * pts[i + 1]))) * sg);
+      }
+      
+      x0 = Math.max(Math.ceil(span[0] - 0.5), 0);
+      x9 = Math.min(Math.floor(span[1] - 0.5), zb.w - 1);
+      
+      for(x = x0; x <= x9; x++) {
+        rasterPixel(zb, (y * zb.w) + x, q, col);
+      }
+    }
+  }
+  
+  /*
+   * Rasterize a thick line segment for exact rendering.
+   * 
+   * zb is the raster object of the render, as described for
+   * rasterBegin().  The line goes from (x1, y1) at depth q1 to (x2, y2)
+   * at depth q2 in screen coordinates.  Every pixel whose center is
+   * within half width hw of the line is drawn with color col, which
+   * gives the line round caps like the round line caps that
+   * renderScene() sets for the painter's algorithm.  The depth of each
+   * pixel is interpolated at the closest point of the line.  The half
+   * width is at least half a pixel, so that thin lines don't vanish.
+   * 
+   * CAUTION:  For speed, this function performs no checking of
+   * parameters or state.
+   * 
+   * Parameters:
+   * 
+   *   zb : object - the raster object
+   * 
+   *   x1 : the X coordinate of the start point
+   * 
+   *   y1 : the Y coordinate of the start point
+   * 
+   *   q1 : the depth of the start point
+   * 
+   *   x2 : the X coordinate of the end point
+   * 
+   *   y2 : the Y coordinate of the end point
+   * 
+   *   q2 : the depth of the end point
+   * 
+   *   hw : the half width
+   * 
+   *   col : the color channels
+   */
+  function rasterSegment(zb, x1, y1, q1, x2, y2, q2, hw, col) {
+    
+    var dx, dy, len, lw, span, lo, hi, k;
+    var x, y, x0, x9, y0, y9, px, py, t;
+    
+    hw = Math.max(hw, 0.5);
+    
+    dx = x2 - x1;
+    dy = y2 - y1;
+    len = (dx * dx) + (dy * dy);
+    if (!isFinite(len)) {
+      return;
+    }
+    lw = hw * Math.sqrt(len);
+    
+    y0 = Math.max(Math.ceil(Math.min(y1, y2) - hw - 0.5), 0);
+    y9 = Math.min(Math.floor(Math.max(y1, y2) + hw - 0.5), zb.h - 1);
+    
+    span = [0.0, 0.0];
+    for(y = y0; y <= y9; y++) {
+      py = y + 0.5;
+      
+      // The line is a convex shape, so its intersection with the row is
+      // the single span that covers the intersections of the round cap
+      // at each end and of the straight body in between; begin with the
+      // caps
+      lo = Infinity;
+      hi = -Infinity;
+      
+      k = hw * hw - ((py - y1) * (py - y1));
+      if (k >= 0.0) {
+        k = Math.sqrt(k);
+        lo = Math.min(lo, x1 - k);
+        hi = Math.max(hi, x1 + k);
+      }
+      
+      k = hw * hw - ((py - y2) * (py - y2));
+      if (k >= 0.0) {
+        k = Math.sqrt(k);
+        lo = Math.min(lo, x2 - k);
+        hi = Math.max(hi, x2 + k);
+      }
+      
+      // The body is where the projection onto the line is between the
+      // two ends and the distance from the line is within the half
+      // width, which are all linear conditions on the X coordinate
+      if (len > 0.0) {
+        span[0] = -Infinity;
+        span[1] = Infinity;
+        rasterClip(span, dx, ((py - y1) * dy) - (x1 * dx));
+        rasterClip(span, -dx, len - ((py - y1) * dy) + (x1 * dx));
+        rasterClip(span, dy, lw - ((py - y1) * dx) - (x1 * dy));
+        rasterClip(span, -dy, lw + ((py - y1) * dx) + (x1 * dy));
+        if (span[0] <= span[1]) {
+          lo = Math.min(lo, span[0]);
+          hi = Math.max(hi, span[1]);
+        }
+      }
+      
+      x0 = Math.max(Math.ceil(lo - 0.5), 0);
+      x9 = Math.min(Math.floor(hi - 0.5), zb.w - 1);
+      
+      // Draw the pixels of the row with the depth at the closest point
+      for(x = x0; x <= x9; x++) {
+        px = x + 0.5;
+        t = 0.0;
+        if (len > 0.0) {
+          t = (((px - x1) * dx) + ((py - y1) * dy)) / len;
+          t = Math.min(Math.max(t, 0.0), 1.0);
+        }
+        rasterPixel(zb, (y * zb.w) + x, q1 + ((q2 - q1) * t), col);
+      }
+    }
+  }
+  
+  /*
+   * Rasterize a disk or a ring at a single depth for exact rendering.
+   * 
+   * zb is the raster object of the render, as described for
+   * rasterBegin().  (x, y) is the center of the disk in screen
+   * coordinates.  Every pixel whose center is within distance ro of the
+   * center and not closer than distance ri is drawn with depth q and
+   * color col, so ri is zero for a full disk.
+   * 
+   * CAUTION:  For speed, this function performs no checking of
+   * parameters or state.
+   * 
+   * Parameters:
+   * 
+   *   zb : object - the raster object
+   * 
+   *   x : number - the X coordinate of the center
+   * 
+   *   y : number - the Y coordinate of the center
+   * 
+   *   ri : number - the inner radius
+   * 
+   *   ro : number - the outer radius
+   * 
+   *   q : number - the depth
+   * 
+   *   col : Array - the color channels
+   */
+  function rasterDisk(zb, x, y, ri, ro, q, col) {
+    
+    var i, j, i0, i9, j0, j9, px, py, k, d;
+    
+    j0 = Math.max(Math.ceil(y - ro - 0.5), 0);
+    j9 = Math.min(Math.floor(y + ro - 0.5), zb.h - 1);
+    
+    for(j = j0; j <= j9; j++) {
+      py = (j + 0.5) - y;
+      k = (ro * ro) - (py * py);
+      if (!(k >= 0.0)) {
+        continue;
+      }
+      k = Math.sqrt(k);
+      
+      i0 = Math.max(Math.ceil(x - k - 0.5), 0);
+      i9 = Math.min(Math.floor(x + k - 0.5), zb.w - 1);
+      
+      for(i = i0; i <= i9; i++) {
+        px = (i + 0.5) - x;
+        d = (px * px) + (py * py);
+        if ((ri > 0.0) && (d < ri * ri)) {
+          continue;
+        }
+        rasterPixel(zb, (j * zb.w) + i, q, col);
+      }
+    }
+  }
+  
+  /*
+   * Rasterize a triangle scene object for exact rendering.
+   * 
+   * This is the exact rendering counterpart of drawTri().  zb is the
+   * raster object of the render, as described for rasterBegin().  The
+   * triangle vertices are (x1, y1), (x2, y2), and (x3, y3) in screen
+   * coordinates, with camera-space Z coordinates z1, z2, and z3.  fc,
+   * sf, sw, ss, and fg are the same as for drawTri().  The edges are at
+   * the depths of the triangle but pulled slightly nearer, so that they
+   * are drawn over the fill of the triangle and of its neighbors.
+   * 
+   * CAUTION:  For speed, this function performs no checking of
+   * parameters or state.
+   * 
+   * Parameters:
+   * 
+   *   zb : object - the raster object
+   * 
+   *   x1 : the X coordinate of the first vertex
+   * 
+   *   y1 : the Y coordinate of the first vertex
+   * 
+   *   z1 : the Z coordinate of the first vertex
+   * 
+   *   x2 : the X coordinate of the second vertex
+   * 
+   *   y2 : the Y coordinate of the second vertex
+   * 
+   *   z2 : the Z coordinate of the second vertex
+   * 
+   *   x3 : the X coordinate of the third vertex
+   * 
+   *   y3 : the Y coordinate of the third vertex
+   * 
+   *   z3 : the Z coordinate of the third vertex
+   * 
+   *   fc : the fill color
+   * 
+   *   sf : the shade factor
+   * 
+   *   sw : the triangle style word
+   * 
+   *   ss : the stroke scale
+   * 
+   *   fg : the fog amount
+   */
+  function rasterTri(zb, x1, y1, z1, x2, y2, z2, x3, y3, z3,
+                      fc, sf, sw, ss, fg) {
+    
+    var q1, q2, q3, s, si;
+    
+    // Get the depths of the vertices
+    q1 = rasterDepth(zb, z1);
+    q2 = rasterDepth(zb, z2);
+    q3 = rasterDepth(zb, z3);
+    
+    // Fill the triangle
+    rasterFill(zb, x1, y1, q1, x2, y2, q2, x3, y3, q3,
+                colorBytes(fc, sf, fg));
+    
+    // If style word is not zero, do edge rendering with each of the
+    // three selectors that is not zero
+    if (sw > 0) {
+      q1 = q1 + DEPTH_BIAS;
+      q2 = q2 + DEPTH_BIAS;
+      q3 = q3 + DEPTH_BIAS;
+      
+      s = (sw >> 10);
+      if (s > 0) {
+        si = m_lstyle[s - 1];
+        rasterSegment(zb, x1, y1, q1, x2, y2, q2, (si.width * ss) / 2.0,
+                      colorBytes(si.color, 1.0, fg));
+      }
+      
+      s = (sw >> 5) & 0x1f;
+      if (s > 0) {
+        si = m_lstyle[s - 1];
+        rasterSegment(zb, x2, y2, q2, x3, y3, q3, (si.width * ss) / 2.0,
+                      colorBytes(si.color, 1.0, fg));
+      }
+      
+      s = sw & 0x1f;
+      if (s > 0) {
+        si = m_lstyle[s - 1];
+        rasterSegment(zb, x3, y3, q3, x1, y1, q1, (si.width * ss) / 2.0,
+                      colorBytes(si.color, 1.0, fg));
+      }
+    }
+  }
+  
+  /*
+   * Rasterize a triangle that was clipped by the view frustum for exact
+   * rendering.
+   * 
+   * This is the exact rendering counterpart of drawClipped().  zb is the
+   * raster object of the render, as described for rasterBegin().  cp is
+   * the clipped polygon with n vertices, whose X and Y coordinates have
+   * been projected into screen coordinates while the Z coordinates are
+   * still in camera space.  The polygon is filled as a fan of triangles
+   * from its first vertex.  The Z coordinates in cp are replaced by
+   * depths.
+   * 
+   * CAUTION:  For speed, this function performs no checking of
+   * parameters or state.
+   * 
+   * Parameters:
+   * 
+   *   zb : object - the raster object
+   * 
+   *   cp : Float64Array - the clipped polygon
+   * 
+   *   n : the number of vertices of the polygon
+   * 
+   *   fc : the fill color
+   * 
+   *   sf : the shade factor
+   * 
+   *   ss : the stroke scale
+   * 
+   *   fg : the fog amount
+   */
+  function rasterClipped(zb, cp, n, fc, sf, ss, fg) {
+    
+    var col, i, j, s, si;
+    
+    // Get the depths of the vertices
+    for(i = 0; i < n; i++) {
+      cp[(i * 4) + 2] = rasterDepth(zb, cp[(i * 4) + 2]);
+    }
+    
+    // Fill the polygon
+    col = colorBytes(fc, sf, fg);
+    for(i = 1; i < n - 1; i++) {
+      j = i * 4;
+      rasterFill(zb, cp[0], cp[1], cp[2],
+                  cp[j], cp[j + 1], cp[j + 2],
+                  cp[j + 4], cp[j + 5], cp[j + 6], col);
+    }
+    
+    // Render each edge whose selector is not zero
+    for(i = 0; i < n; i++) {
+      s = cp[(i * 4) + 3];
+      if (s > 0) {
+        si = m_lstyle[s - 1];
+        j = ((i + 1) % n) * 4;
+        rasterSegment(zb, cp[i * 4], cp[(i * 4) + 1],
+                      cp[(i * 4) + 2] + DEPTH_BIAS,
+                      cp[j], cp[j + 1], cp[j + 2] + DEPTH_BIAS,
+                      (si.width * ss) / 2.0, colorBytes(si.color, 1.0, fg));
+      }
+    }
+  }
+  
+  /*
+   * Rasterize a line scene object for exact rendering.
+   * 
+   * This is the exact rendering counterpart of drawLine().  zb is the
+   * raster object of the render, as described for rasterBegin().  The
+   * line goes from (x1, y1) to (x2, y2) in screen coordinates, with
+   * camera-space Z coordinates z1 and z2.  si, ss, and fg are the same
+   * as for drawLine().  The line is pulled slightly nearer, so that a
+   * line along the edge of a triangle is drawn over the triangle.
+   * 
+   * CAUTION:  For speed, this function performs no checking of
+   * parameters or state.
+   * 
+   * Parameters:
+   * 
+   *   zb : object - the raster object
+   * 
+   *   x1 : the X coordinate of the start point
+   * 
+   *   y1 : the Y coordinate of the start point
+   * 
+   *   z1 : the Z coordinate of the start point
+   * 
+   *   x2 : the X coordinate of the end point
+   * 
+   *   y2 : the Y coordinate of the end point
+   * 
+   *   z2 : the Z coordinate of the end point
+   * 
+   *   si : the line style index
+   * 
+   *   ss : the stroke scale
+   * 
+   *   fg : the fog amount
+   */
+  function rasterLine(zb, x1, y1, z1, x2, y2, z2, si, ss, fg) {
+    
+    si = m_lstyle[si];
+    rasterSegment(zb, x1, y1, rasterDepth(zb, z1) + DEPTH_BIAS,
+                  x2, y2, rasterDepth(zb, z2) + DEPTH_BIAS,
+                  (si.width * ss) / 2.0, colorBytes(si.color, 1.0, fg));
+  }
+  
+  /*
+   * Rasterize a sphere for exact rendering.
+   * 
+   * zb is the raster object of the render, as described for
+   * rasterBegin().  (x, y) are the screen coordinates of the sphere, r
+   * is its screen radius, z is the camera-space Z coordinate of its
+   * center, and rw is its radius in camera space.  The depth of each
+   * pixel of the disk is the depth of the sphere surface in front of
+   * it, so spheres intersect each other and triangles correctly.
+   * 
+   * fc, si, ss, lv, and fg are the same as for drawSphere(), except that
+   * with lighting, each pixel is shaded from the surface normal there,
+   * which gives the exact shading rather than a radial gradient.
+   * 
+   * CAUTION:  For speed, this function performs no checking of
+   * parameters or state.
+   * 
+   * Parameters:
+   * 
+   *   zb : object - the raster object
+   * 
+   *   x : the X coordinate
+   * 
+   *   y : the Y coordinate
+   * 
+   *   r : the screen radius
+   * 
+   *   z : the Z coordinate of the center
+   * 
+   *   rw : the camera-space radius
+   * 
+   *   fc : the fill color word of the sphere or 0xffff
+   * 
+   *   si : the line style index or NO_STYLE
+   * 
+   *   ss : the stroke scale
+   * 
+   *   lv : the light vector or null
+   * 
+   *   fg : the fog amount
+   */
+  function rasterSphere(zb, x, y, r, z, rw, fc, si, ss, lv, fg) {
+    
+    var i, j, i0, i9, j0, j9, px, py, d, k, n, q, f, hw, ro, col, ink;
+    
+    // Make the radius at least one, as drawSphere() does
+    r = Math.max(r, 1);
+    
+    // Get the fill color, if there is a fill
+    col = null;
+    if (fc !== 0xffff) {
+      col = colorBytes(fc, 1.0, fg);
+    }
+    
+    // Get the ink color and half width of the outline, if there is one,
+    // and the outer radius of everything that is drawn
+    ink = null;
+    hw = 0.0;
+    if (si !== NO_STYLE) {
+      si = m_lstyle[si];
+      ink = colorBytes(si.color, 1.0, fg);
+      hw = Math.max((si.width * ss) / 2.0, 0.5);
+    }
+    ro = r + hw;
+    
+    j0 = Math.max(Math.ceil(y - ro - 0.5), 0);
+    j9 = Math.min(Math.floor(y + ro - 0.5), zb.h - 1);
+    
+    for(j = j0; j <= j9; j++) {
+      py = (j + 0.5) - y;
+      k = (ro * ro) - (py * py);
+      if (!(k >= 0.0)) {
+        continue;
+      }
+      k = Math.sqrt(k);
+      
+      i0 = Math.max(Math.ceil(x - k - 0.5), 0);
+      i9 = Math.min(Math.floor(x + k - 0.5), zb.w - 1);
+      
+      for(i = i0; i <= i9; i++) {
+        px = (i + 0.5) - x;
+        d = Math.sqrt((px * px) + (py * py));
+        
+        // Get the Z of the surface normal, which is also how far the
+        // surface comes out in front of the center as a fraction of the
+        // radius, and which is zero on and outside of the outline
+        n = Math.sqrt(Math.max(1.0 - ((d / r) * (d / r)), 0.0));
+        q = rasterDepth(zb, z + (rw * n));
+        
+        // Fill pixels inside the outline, shading each one from the
+        // normal if lighting is enabled, flipping Y since screen Y
+        // points down
+        if ((col !== null) && (d <= r)) {
+          if (lv !== null) {
+            f = (((px * lv[0]) - (py * lv[1])) / r) + (n * lv[2]);
+            if (!(f > 0.0)) {
+              f = 0.0;
+            }
+            colorBytes(fc, m_light[3] + (m_light[2] * f), fg, col);
+          }
+          rasterPixel(zb, (j * zb.w) + i, q, col);
+        }
+        
+        // Stroke pixels within the half width of the outline, at the
+        // depth of the surface under them so that the outline is drawn
+        // over the fill
+        if ((ink !== null) && (Math.abs(d - r) <= hw)) {
+          rasterPixel(zb, (j * zb.w) + i, q + DEPTH_BIAS, ink);
+        }
+      }
+    }
+  }
+  
+  /*
+   * Rasterize a point for exact rendering.
+   * 
+   * zb is the raster object of the render, as described for
+   * rasterBegin().  (x, y) are the screen coordinates of the point and z
+   * is its camera-space Z coordinate.  psi, ss, and fg are the same as
+   * for drawPoint(), and the shapes have the same geometry.  The whole
+   * point is at the same depth, with its stroke pulled slightly nearer
+   * so that it is drawn over its fill.
+   * 
+   * CAUTION:  For speed, this function performs no checking of
+   * parameters or state.
+   * 
+   * Parameters:
+   * 
+   *   zb : object - the raster object
+   * 
+   *   x : the X coordinate
+   * 
+   *   y : the Y coordinate
+   * 
+   *   z : the Z coordinate
+   * 
+   *   psi : the point style index
+   * 
+   *   ss : the stroke scale
+   * 
+   *   fg : the fog amount
+   */
+  function rasterPoint(zb, x, y, z, psi, ss, fg) {
+    
+    var func_name = "rasterPoint";
+    var sz, sh, k, hw, q, pts, col, i, j;
+    
+    // Get the depth of the point
+    q = rasterDepth(zb, z);
+    
+    // Get point style object
+    psi = m_pstyle[psi];
+    
+    // Get the size of the bounding box edge and half of it, and half of
+    // the stroke width
+    sz = psi.size * ss;
+    k = sz / 2.0;
+    hw = (psi.stroke * ss) / 2.0;
+    
+    // Handle the circle, and get the vertices of the other shapes,
+    // where the plus and X shapes are pairs of separate segments
+    sh = psi.shape;
+    pts = null;
+    if (sh === "c") {
+      // Circle
+      if (psi.fill !== 0xffff) {
+        rasterDisk(zb, x, y, 0.0, k, q, colorBytes(psi.fill, 1.0, fg));
+      }
+      if (hw > 0.0) {
+        hw = Math.max(hw, 0.5);
+        rasterDisk(zb, x, y, k - hw, k + hw, q + DEPTH_BIAS,
+                    colorBytes(psi.ink, 1.0, fg));
+      }
+      return;
+      
+    } else if (sh === "s") {
+      // Square
+      pts = [x - k, y - k, x + k, y - k, x + k, y + k, x - k, y + k];
+      
+    } else if (sh === "m") {
+      // Diamond
+      pts = [x - k, y, x, y - k, x + k, y, x, y + k];
+      
+    } else if (sh === "u") {
+      // Triangle-up
+      pts = [x - k, y + k, x, y - k, x + k, y + k];
+      
+    } else if (sh === "d") {
+      // Triangle-down
+      pts = [x - k, y - k, x, y + k, x + k, y - k];
+      
+    } else if (sh === "l") {
+      // Triangle-left
+      pts = [x - k, y, x + k, y - k, x + k, y + k];
+      
+    } else if (sh === "r") {
+      // Triangle-right
+      pts = [x + k, y, x - k, y - k, x - k, y + k];
+      
+    } else if (sh === "p") {
+      // Plus
+      pts = [x, y - k, x, y + k, x - k, y, x + k, y];
+      
+    } else if (sh === "x") {
+      // X
+      pts = [x - k, y - k, x + k, y + k, x - k, y + k, x + k, y - k];
+      
+    } else {
+      fault(func_name, 200);
+    }
+    
+    // If this is a fillable shape, do fill if requested by style
+    if (FILL_SHAPES.indexOf(sh) >= 0) {
+      if (psi.fill !== 0xffff) {
+        rasterPoly(zb, pts, q, colorBytes(psi.fill, 1.0, fg));
+      }
+    }
+    
+    // If stroke width is greater than zero, stroke the outline of a
+    // fillable shape or the segments of the other shapes
+    if (hw > 0.0) {
+      col = colorBytes(psi.ink, 1.0, fg);
+      q = q + DEPTH_BIAS;
+      
+      if (FILL_SHAPES.indexOf(sh) >= 0) {
+        for(i = 0; i < pts.length; i = i + 2) {
+          j = (i + 2) % pts.length;
+          rasterSegment(zb, pts[i], pts[i + 1], q, pts[j], pts[j + 1], q,
+                      hw, col);
+        }
+        
+      } else {
+        for(i = 0; i < pts.length; i = i + 4) {
+          rasterSegment(zb, pts[i], pts[i + 1], q, pts[i + 2], pts[i + 3], q,
+                      hw, col);
+        }
+      }
+    }
+  }
+  
+  /*
+   * Build the matrix that transforms camera space into world space for
+   * the current camera position.
+   * 
+   * This is the inverse of the camera matrix used in renderScene().
+   * Note that the projection point is not at the camera space origin;
+   * see the documentation of renderScene() for further information.
+   * 
+   * Return:
+   * 
+   *   a new Matrix
+   */
+  function cameraMatrix() {
+    
+    var m;
+    
+    m = new Matrix;
+    m.rotateZ(m_cam[5] * Math.PI * 2);
+    m.rotateX(m_cam[4] * Math.PI / 2);
+    m.rotateY(m_cam[3] * Math.PI * 2);
+    m.translate(m_cam[0], m_cam[1], m_cam[2]);
+    
+    return m;
+  }
+  
+  /*
+   * Build the matrix that transforms world space into camera space for
+   * the current camera position.
+   * 
+   * In camera space, the camera is perfectly level at the origin looking
+   * exactly down towards negative Z infinity (right-handed).  This is
+   * the inverse of cameraMatrix().
+   * 
+   * Return:
+   * 
+   *   a new Matrix
+   */
+  function viewMatrix() {
+    
+    var m;
+    
+    m = new Matrix;
+    
+    // First step is to translate so that camera is at origin
+    m.translate(-(m_cam[0]), -(m_cam[1]), -(m_cam[2]));
+    
+    // Next, undo the yaw by rotating around Y axis
+    m.rotateY(-(m_cam[3] * Math.PI * 2));
+    
+    // Next, undo the pitch by rotating around the X axis
+    m.rotateX(-(m_cam[4] * Math.PI / 2));
+    
+    // Finally, undo the roll by rotating around the Z axis
+    m.rotateZ(-(m_cam[5] * Math.PI * 2));
+    
+    return m;
+  }
+  
+  /*
+   * Get the vertices and the radius of a scene object.
+   * 
+   * Points have one vertex, lines two, and triangles three, all with a
+   * radius of zero.  Spheres have their center vertex and their radius.
+   * 
+   * Parameters:
+   * 
+   *   i : integer - the index of the scene object
+   * 
+   * Return:
+   * 
+   *   array of the vertex indices followed by the radius
+   */
+  function objectVertices(i) {
+    
+    var bi, t;
+    
+    bi = i * SCENE_STRIDE;
+    t = m_scene[bi];
+    
+    if (t === SCENE_TRIANGLE) {
+      return [m_scene[bi + 1], m_scene[bi + 2], m_scene[bi + 3], 0.0];
+    } else if (t === SCENE_LINE) {
+      return [m_scene[bi + 1], m_scene[bi + 2], 0.0];
+    } else if (t === SCENE_SPHERE) {
+      return [m_scene[bi + 1], m_rad[m_scene[bi + 2]]];
+    }
+    return [m_scene[bi + 1], 0.0];
+  }
+  
+  /*
+   * Format a number for use in exported text.
+   * 
+   * The number is rounded to six decimal places and trailing zeros are
+   * removed.  Non-finite values are written as zero.
+   * 
+   * Parameters:
+   * 
+   *   x : number - the number to format
+   * 
+   * Return:
+   * 
+   *   the formatted string
+   */
+  function numStr(x) {
+    
+    x = parseFloat(x.toFixed(6));
+    if ((!isFinite(x)) || (x === 0)) {
+      x = 0;
+    }
+    return String(x);
+  }
+  
+  /*
+   * Format an array of numbers for use in exported text.
+   * 
+   * Parameters:
+   * 
+   *   a : Array - the numbers to format
+   * 
+   *   sep : string - the separator to place between numbers
+   * 
+   * Return:
+   * 
+   *   the formatted string
+   */
+  function vecStr(a, sep) {
+    
+    var i;
+    var str = "";
+    
+    for(i = 0; i < a.length; i++) {
+      if (i > 0) {
+        str = str + sep;
+      }
+      str = str + numStr(a[i]);
+    }
+    
+    return str;
+  }
+  
+  /*
+   * Get the plane of a triangle in the BSP tree under construction.
+   * 
+   * bs is the build state of bspBuild(), and f is the index of the
+   * triangle among its objects.  The plane is returned as an array of
+   * four numbers (nx, ny, nz, d), where (nx, ny, nz) is the unit normal
+   * on the side that the vertices of the triangle go around
+   * counter-clockwise, and d is the dot product of the normal with the
+   * points of the plane.
+   * 
+   * Parameters:
+   * 
+   *   bs : object - the build state
+   * 
+   *   f : integer - the triangle index
+   * 
+   * Return:
+   * 
+   *   array(4) - the plane, or null if the triangle is degenerate
+   */
+  function bspPlane(bs, f) {
+    
+    var vl, a, b, c, e1x, e1y, e1z, e2x, e2y, e2z, e3x, e3y, e3z;
+    var nx, ny, nz, k, m;
+    
+    vl = bs.vl;
+    a = 3 * bs.ob[(f * SCENE_STRIDE) + 1];
+    b = 3 * bs.ob[(f * SCENE_STRIDE) + 2];
+    c = 3 * bs.ob[(f * SCENE_STRIDE) + 3];
+    
+    e1x = vl[b    ] - vl[a    ];
+    e1y = vl[b + 1] - vl[a + 1];
+    e1z = vl[b + 2] - vl[a + 2];
+    
+    e2x = vl[c    ] - vl[a    ];
+    e2y = vl[c + 1] - vl[a + 1];
+    e2z = vl[c + 2] - vl[a + 2];
+    
+    e3x = vl[c    ] - vl[b    ];
+    e3y = vl[c + 1] - vl[b + 1];
+    e3z = vl[c + 2] - vl[b + 2];
+    
+    nx = (e1y * e2z) - (e1z * e2y);
+    ny = (e1z * e2x) - (e1x * e2z);
+    nz = (e1x * e2y) - (e1y * e2x);
+    
+    // Triangles too thin to give a reliable normal can't split the
+    // space; k is twice the area, so dividing it by the longest edge
+    // gives the height of the triangle across that edge, which must be
+    // larger than the tolerance
+    k = Math.sqrt((nx * nx) + (ny * ny) + (nz * nz));
+    m = Math.sqrt(Math.max((e1x * e1x) + (e1y * e1y) + (e1z * e1z),
+                           (e2x * e2x) + (e2y * e2y) + (e2z * e2z),
+                           (e3x * e3x) + (e3y * e3y) + (e3z * e3z)));
+    if (!(k > bs.eps * m)) {
+      return null;
+    }
+    
+    nx = nx / k;
+    ny = ny / k;
+    nz = nz / k;
+    return [nx, ny, nz, (nx * vl[a]) + (ny * vl[a + 1]) + (nz * vl[a + 2])];
+  }
+  
+  /*
+   * Classify a vertex against a plane in the BSP tree under
+   * construction.
+   * 
+   * Parameters:
+   * 
+   *   bs : object - the build state of bspBuild()
+   * 
+   *   pl : array(4) - the plane, as returned by bspPlane()
+   * 
+   *   v : integer - the vertex index
+   * 
+   * Return:
+   * 
+   *   number - the signed distance of the vertex from the plane, where
+   *   distances within the tolerance of the build are made zero
+   */
+  function bspSide(bs, pl, v) {
+    
+    var d;
+    
+    v = v * 3;
+    d = (pl[0] * bs.vl[v]) + (pl[1] * bs.vl[v + 1]) +
+          (pl[2] * bs.vl[v + 2]) - pl[3];
+    if (Math.abs(d) <= bs.eps) {
+      d = 0.0;
+    }
+    return d;
+  }
+  
+  /*
+   * Add a vertex where a plane cuts the edge between two vertices in
+   * the BSP tree under construction.
+   * 
+   * If an earlier cut of the same edge is within the tolerance of the
+   * build, its vertex is returned instead, so that triangles sharing
+   * the edge share the cut and splitting doesn't leave slivers between
+   * vertices that are nearly the same.
+   * 
+   * Parameters:
+   * 
+   *   bs : object - the build state of bspBuild()
+   * 
+   *   a : integer - the index of the first vertex
+   * 
+   *   da : number - the distance of the first vertex from the plane
+   * 
+   *   b : integer - the index of the second vertex
+   * 
+   *   db : number - the distance of the second vertex from the plane
+   * 
+   * Return:
+   * 
+   *   integer - the index of the vertex at the cut
+   */
+  function bspCut(bs, a, da, b, db) {
+    
+    var vl, t, key, cl, x, y, z, i, v;
+    
+    // Get the list of earlier cuts of the edge, in either direction
+    key = String(Math.min(a, b)) + " " + String(Math.max(a, b));
+    if (!bs.cuts.hasOwnProperty(key)) {
+      bs.cuts[key] = [];
+    }
+    cl = bs.cuts[key];
+    
+    vl = bs.vl;
+    t = da / (da - db);
+    a = a * 3;
+    b = b * 3;
+    x = vl[a    ] + (t * (vl[b    ] - vl[a    ]));
+    y = vl[a + 1] + (t * (vl[b + 1] - vl[a + 1]));
+    z = vl[a + 2] + (t * (vl[b + 2] - vl[a + 2]));
+    
+    for(i = 0; i < cl.length; i++) {
+      v = cl[i] * 3;
+      if (Math.sqrt(((vl[v    ] - x) * (vl[v    ] - x)) +
+                    ((vl[v + 1] - y) * (vl[v + 1] - y)) +
+                    ((vl[v + 2] - z) * (vl[v + 2] - z))) <= bs.eps) {
+        return cl[i];
+      }
+    }
+    
+    vl.push(x);
+    vl.push(y);
+    vl.push(z);
+    cl.push((vl.length / 3) - 1);
+    
+    return (vl.length / 3) - 1;
+  }
+  
+  /*
+   * Store a triangle in the BSP tree under construction.
+   * 
+   * If f is negative, the triangle is added as a new object; otherwise
+   * it replaces object f.  The fill color is copied from object src.
+   * s1, s2, and s3 are the edge style selectors of the edges from the
+   * first to the second vertex, the second to the third vertex, and the
+   * third to the first vertex.
+   * 
+   * Parameters:
+   * 
+   *   bs : object - the build state of bspBuild()
+   * 
+   *   f : integer - the object to replace, or -1
+   * 
+   *   src : integer - the object to copy the fill color from
+   * 
+   *   a : integer - the first vertex
+   * 
+   *   b : integer - the second vertex
+   * 
+   *   c : integer - the third vertex
+   * 
+   *   s1 : integer - the first edge style selector
+   * 
+   *   s2 : integer - the second edge style selector
+   * 
+   *   s3 : integer - the third edge style selector
+   * 
+   * Return:
+   * 
+   *   integer - the index of the triangle among the objects
+   */
+  function bspTri(bs, f, src, a, b, c, s1, s2, s3) {
+    
+    var ob, i;
+    
+    ob = bs.ob;
+    if (f < 0) {
+      f = ob.length / SCENE_STRIDE;
+      for(i = 0; i < SCENE_STRIDE; i++) {
+        ob.push(0);
+      }
+    }
+    
+    i = f * SCENE_STRIDE;
+    ob[i    ] = SCENE_TRIANGLE;
+    ob[i + 1] = a;
+    ob[i + 2] = b;
+    ob[i + 3] = c;
+    ob[i + 4] = ob[(src * SCENE_STRIDE) + 4];
+    ob[i + 5] = (s1 << 10) | (s2 << 5) | s3;
+    
+    return f;
+  }
+  
+  /*
+   * Split a triangle that a plane cuts through in the BSP tree under
+   * construction.
+   * 
+   * The triangle is split along the plane into two or three smaller
+   * triangles, which are added to the front and back lists depending on
+   * their side of the plane.  The first piece replaces the triangle and
+   * the others are added as new objects.  Each piece keeps the edge
+   * styles of the parts of the original edges it has, while the edges
+   * along the cut and across the pieces get no stroke, so that the
+   * pieces look exactly like the original triangle.
+   * 
+   * Parameters:
+   * 
+   *   bs : object - the build state of bspBuild()
+   * 
+   *   f : integer - the triangle index
+   * 
+   *   d : array(3) - the distances of the vertices from the plane
+   * 
+   *   fl : array - the front list
+   * 
+   *   bl : array - the back list
+   */
+  function bspSplit(bs, f, d, fl, bl) {
+    
+    var ob, i, r, v, s, sw, p, q, g;
+    
+    ob = bs.ob;
+    i = f * SCENE_STRIDE;
+    sw = ob[i + 5];
+    
+    // Find the vertex that is on the plane, or else the vertex that is
+    // alone on its side, and rotate it into the first place along with
+    // the vertex distances and edge styles
+    r = 0;
+    if ((d[0] !== 0.0) && (d[1] !== 0.0) && (d[2] !== 0.0)) {
+      if ((d[1] > 0.0) !== (d[2] > 0.0)) {
+        r = ((d[0] > 0.0) === (d[1] > 0.0)) ? 2 : 1;
+      }
+    } else {
+      r = (d[0] === 0.0) ? 0 : ((d[1] === 0.0) ? 1 : 2);
+    }
+    
+    v = [ob[i + 1 + r], ob[i + 1 + ((r + 1) % 3)], ob[i + 1 + ((r + 2) % 3)]];
+    d = [d[r], d[(r + 1) % 3], d[(r + 2) % 3]];
+    s = [sw >> 10, (sw >> 5) & 0x1f, sw & 0x1f];
+    s = [s[r], s[(r + 1) % 3], s[(r + 2) % 3]];
+    
+    if (d[0] === 0.0) {
+      // The first vertex is on the plane, and the plane cuts the
+      // opposite edge, so there are two pieces that share the cut
+      p = bspCut(bs, v[1], d[1], v[2], d[2]);
+      
+      g = bspTri(bs, f, f, v[0], v[1], p, s[0], s[1], 0);
+      ((d[1] > 0.0) ? fl : bl).push(g);
+      
+      g = bspTri(bs, -1, f, v[0], p, v[2], 0, s[1], s[2]);
+      ((d[2] > 0.0) ? fl : bl).push(g);
+      
+    } else {
+      // The first vertex is alone on its side, so there is a triangle
+      // on its side and a quadrilateral on the other side, which is
+      // split into two triangles
+      p = bspCut(bs, v[0], d[0], v[1], d[1]);
+      q = bspCut(bs, v[2], d[2], v[0], d[0]);
+      
+      g = bspTri(bs, -1, f, p, v[1], v[2], s[0], s[1], 0);
+      ((d[1] > 0.0) ? fl : bl).push(g);
+      
+      g = bspTri(bs, -1, f, p, v[2], q, 0, s[2], 0);
+      ((d[1] > 0.0) ? fl : bl).push(g);
+      
+      g = bspTri(bs, f, f, v[0], p, q, s[0], 0, s[2]);
+      ((d[0] > 0.0) ? fl : bl).push(g);
+    }
+  }
+  
+  /*
+   * Add a node to the BSP tree under construction.
+   * 
+   * Parameters:
+   * 
+   *   bs : object - the build state of bspBuild()
+   * 
+   *   pl : array(4) | null - the plane of the node, or null for a cell
+   * 
+   * Return:
+   * 
+   *   integer - the index of the new node
+   */
+  function bspNode(bs, pl) {
+    
+    bs.plane.push(pl);
+    bs.front.push(-1);
+    bs.back.push(-1);
+    bs.items.push([]);
+    return bs.items.length - 1;
+  }
+  
+  /*
+   * Build a BSP tree for the current scene.
+   * 
+   * See the documentation of m_bsp for the format of the result.
+   * 
+   * The triangles are built into the tree first.  Each node takes the
+   * plane of one of its triangles, chosen from a few candidates as the
+   * one that cuts through the fewest of a sample of the other
+   * triangles.  The triangles in the plane stay at the node, while the
+   * others go to the front or back subtree, and triangles that the plane
+   * cuts through are split into pieces on each side.
+   * 
+   * Lines, spheres, and points are then dropped down the tree in their
+   * scene order.  Lines that a plane cuts through are split there.
+   * Lines and points in a plane and spheres centered in it stay at its
+   * node, after the triangles.  Everything else ends up in a cell at
+   * the bottom of the tree, which is created wherever a subtree is
+   * missing.  Each cell only holds lines, spheres, and points.
+   * 
+   * Parameters:
+   * 
+   *   none
+   * 
+   * Return:
+   * 
+   *   object - the BSP tree, or null if the scene has no triangles or
+   *   is too large for a tree
+   */
+  function bspBuild() {
+    
+    var n, nt, i, j, k, f, t, bs, lo, hi, eps, work, it, node, list;
+    var best, bcount, bi, pl, cand, d, fl, bl, a, b, p, v, ob, result;
+    var cut;
+    
+    // Count the triangles, and stop if there are none or too many
+    n = m_scene.length / SCENE_STRIDE;
+    nt = 0;
+    for(i = 0; i < n; i++) {
+      if (m_scene[i * SCENE_STRIDE] === SCENE_TRIANGLE) {
+        nt++;
+      }
+    }
+    if ((nt < 1) || (nt > BSP_MAX_TRIANGLES)) {
+      return null;
+    }
+    
+    // Get the tolerance for vertices on a plane from the size of the
+    // bounding box of the vertices
+    lo = [Infinity, Infinity, Infinity];
+    hi = [-Infinity, -Infinity, -Infinity];
+    for(i = 0; i < m_vtx.length; i++) {
+      lo[i % 3] = Math.min(lo[i % 3], m_vtx[i]);
+      hi[i % 3] = Math.max(hi[i % 3], m_vtx[i]);
+    }
+    eps = BSP_EPSILON * Math.sqrt(
+                          ((hi[0] - lo[0]) * (hi[0] - lo[0])) +
+                          ((hi[1] - lo[1]) * (hi[1] - lo[1])) +
+                          ((hi[2] - lo[2]) * (hi[2] - lo[2])));
+    if (!(eps > 0.0)) {
+      eps = BSP_EPSILON;
+    }
+    
+    // Set up the build state with copies of the vertices and objects
+    // that splitting can add to, and the root node
+    bs = {
+      "vl": Array.prototype.slice.call(m_vtx),
+      "ob": Array.prototype.slice.call(m_scene),
+      "eps": eps,
+      "cuts": {},
+      "plane": [],
+      "front": [],
+      "back": [],
+      "items": []
+    };
+    ob = bs.ob;
+    
+    // Build the tree of triangles, with a stack of nodes and the lists
+    // of triangles that go into them
+    list = [];
+    for(i = 0; i < n; i++) {
+      if (m_scene[i * SCENE_STRIDE] === SCENE_TRIANGLE) {
+        list.push(i);
+      }
+    }
+    work = [[bspNode(bs, null), list]];
+    
+    while (work.length > 0) {
+      it = work.pop();
+      node = it[0];
+      list = it[1];
+      
+      // Choose the plane of the node among a few candidates spread
+      // evenly through the list, counting the triangles of a sample of
+      // the list that each one cuts through
+      best = null;
+      bcount = Infinity;
+      bi = -1;
+      k = Math.max(Math.floor(list.length / BSP_CANDIDATES), 1);
+      for(i = 0; (i < list.length) && (bcount > 0); i = i + k) {
+        cand = bspPlane(bs, list[i]);
+        if (cand === null) {
+          continue;
+        }
+        
+        j = 0;
+        t = Math.max(Math.floor(list.length / BSP_SAMPLE), 1);
+        for(f = 0; f < list.length; f = f + t) {
+          p = list[f] * SCENE_STRIDE;
+          d = [bspSide(bs, cand, ob[p + 1]),
+                bspSide(bs, cand, ob[p + 2]),
+                bspSide(bs, cand, ob[p + 3])];
+          if (((d[0] > 0.0) || (d[1] > 0.0) || (d[2] > 0.0)) &&
+              ((d[0] < 0.0) || (d[1] < 0.0) || (d[2] < 0.0))) {
+            j++;
+          }
+        }
+        
+        if (j < bcount) {
+          best = cand;
+          bcount = j;
+          bi = i;
+        }
+      }
+      
+      // If only degenerate triangles are left, they have no plane to
+      // order them by, so the node becomes a cell that holds them
+      if (best === null) {
+        bs.items[node] = list;
+        continue;
+      }
+      bs.plane[node] = best;
+      
+      // Sort the triangles into the plane, the front list, and the back
+      // list, splitting those that the plane cuts through; the triangle
+      // of the plane always stays at the node, even if rounding puts its
+      // vertices off the plane, so that every node takes at least one
+      // triangle out of the list
+      fl = [];
+      bl = [];
+      cut = false;
+      for(i = 0; i < list.length; i++) {
+        p = list[i] * SCENE_STRIDE;
+        d = [bspSide(bs, best, ob[p + 1]),
+              bspSide(bs, best, ob[p + 2]),
+              bspSide(bs, best, ob[p + 3])];
+        
+        if ((i === bi) ||
+            ((d[0] === 0.0) && (d[1] === 0.0) && (d[2] === 0.0))) {
+          bs.items[node].push(list[i]);
+        } else if ((d[0] >= 0.0) && (d[1] >= 0.0) && (d[2] >= 0.0)) {
+          fl.push(list[i]);
+        } else if ((d[0] <= 0.0) && (d[1] <= 0.0) && (d[2] <= 0.0)) {
+          bl.push(list[i]);
+        } else {
+          bspSplit(bs, list[i], d, fl, bl);
+          cut = true;
+        }
+      }
+      
+      // Give up if splitting has made too many objects, or if a side got
+      // back the whole list, which would build the same subtree forever
+      if (ob.length > BSP_MAX_GROWTH * m_scene.length) {
+        return null;
+      }
+      if ((!cut) &&
+          ((fl.length === list.length) || (bl.length === list.length))) {
+        return null;
+      }
+      
+      // Build the subtrees that have triangles
+      if (fl.length > 0) {
+        bs.front[node] = bspNode(bs, null);
+        work.push([bs.front[node], fl]);
+      }
+      if (bl.length > 0) {
+        bs.back[node] = bspNode(bs, null);
+        work.push([bs.back[node], bl]);
+      }
+    }
+    
+    // Drop the other objects down the tree, with a stack of the objects
+    // and the nodes they have reached, splitting lines where a plane
+    // cuts through them
+    for(i = 0; i < n; i++) {
+      t = m_scene[i * SCENE_STRIDE];
+      if (t === SCENE_TRIANGLE) {
+        continue;
+      }
+      
+      work = [[0, i]];
+      while (work.length > 0) {
+        it = work.pop();
+        node = it[0];
+        f = it[1];
+        pl = bs.plane[node];
+        
+        // Objects that reach a cell stay there
+        if (pl === null) {
+          bs.items[node].push(f);
+          continue;
+        }
+        
+        // Get the sides of the vertices, where points and spheres only
+        // have the one vertex at their center
+        p = f * SCENE_STRIDE;
+        a = bspSide(bs, pl, ob[p + 1]);
+        b = (t === SCENE_LINE) ? bspSide(bs, pl, ob[p + 2]) : a;
+        
+        if ((a === 0.0) && (b === 0.0)) {
+          // In the plane, so stay at the node
+          bs.items[node].push(f);
+          continue;
+        }
+        
+        if (((a > 0.0) && (b < 0.0)) || ((a < 0.0) && (b > 0.0))) {
+          // A line that the plane cuts through is split at the cut, with
+          // the second half added as a new line
+          v = bspCut(bs, ob[p + 1], a, ob[p + 2], b);
+          j = ob.length / SCENE_STRIDE;
+          for(k = 0; k < SCENE_STRIDE; k++) {
+            ob.push(ob[p + k]);
+          }
+          ob[p + 2] = v;
+          ob[(j * SCENE_STRIDE) + 1] = v;
+          
+          work.push([node, j]);
+          work.push([node, f]);
+          continue;
+        }
+        
+        // Go down the side of the plane that the object is on, adding a
+        // cell there if there is no subtree
+        if ((a > 0.0) || (b > 0.0)) {
+          if (bs.front[node] < 0) {
+            bs.front[node] = bspNode(bs, null);
+          }
+          work.push([bs.front[node], f]);
+        } else {
+          if (bs.back[node] < 0) {
+            bs.back[node] = bspNode(bs, null);
+          }
+          work.push([bs.back[node], f]);
+        }
+      }
+      
+      if (ob.length > BSP_MAX_GROWTH * m_scene.length) {
+        return null;
+      }
+    }
+    
+    // Pack the tree into typed arrays
+    k = bs.items.length;
+    result = {
+      "vtx": new Float64Array(bs.vl),
+      "scene": new Uint32Array(ob),
+      "plane": new Float64Array(k * 4),
+      "cell": new Uint8Array(k),
+      "front": new Int32Array(bs.front),
+      "back": new Int32Array(bs.back),
+      "first": new Uint32Array(k),
+      "count": new Uint32Array(k),
+      "items": new Uint32Array(ob.length / SCENE_STRIDE),
+      "key": new Int32Array(ob.length / SCENE_STRIDE),
+      "stack": new Int32Array((k * 2) + 1)
+    };
+    
+    j = 0;
+    for(i = 0; i < k; i++) {
+      pl = bs.plane[i];
+      if (pl !== null) {
+        result.plane[(i * 4)    ] = pl[0];
+        result.plane[(i * 4) + 1] = pl[1];
+        result.plane[(i * 4) + 2] = pl[2];
+        result.plane[(i * 4) + 3] = pl[3];
+      } else {
+        result.cell[i] = 1;
+      }
+      
+      result.first[i] = j;
+      result.count[i] = bs.items[i].length;
+      for(f = 0; f < bs.items[i].length; f++) {
+        result.items[j] = bs.items[i][f];
+        j++;
+      }
+    }
+    
+    return result;
+  }
+  
+  /*
+   * Put the objects of the BSP tree that survived culling into painting
+   * order for the current camera.
+   * 
+   * The tree is walked from back to front as seen from the eye, which is
+   * the pinhole of the camera in perspective mode.  At each node, the
+   * subtree on the far side of the plane from the eye comes first, then
+   * the objects in the plane, and then the subtree on the near side.  In
+   * orthographic mode, the eye is infinitely far back along the view
+   * direction, so only the direction counts.  The objects of each cell
+   * are sorted by their quantized Z values, the same way as the painting
+   * sort.
+   * 
+   * Objects are added to m_paint if their element of the key array of
+   * the tree is not negative, and m_pcount is set to the number added.
+   * 
+   * Parameters:
+   * 
+   *   bt : object - the BSP tree
+   * 
+   *   eye : array(3) - the position of the eye in world space, or the
+   *   unit vector pointing back towards the eye in orthographic mode
+   * 
+   *   ortho : boolean - true if the projection is orthographic
+   */
+  function bspOrder(bt, eye, ortho) {
+    
+    var st, sp, node, i, i0, s, k, k0, a, b;
+    
+    st = bt.stack;
+    sp = 0;
+    st[sp++] = 0;
+    k = 0;
+    
+    while (sp > 0) {
+      node = st[--sp];
+      
+      if (node < 0) {
+        // Marker for the objects in the plane of a node whose far
+        // subtree is done
+        node = -(node + 1);
+        i0 = bt.first[node];
+        for(i = i0; i < i0 + bt.count[node]; i++) {
+          if (bt.key[bt.items[i]] >= 0) {
+            m_paint[k++] = bt.items[i];
+          }
+        }
+        
+      } else if (bt.cell[node]) {
+        // A cell, whose objects are sorted by their Z values
+        k0 = k;
+        i0 = bt.first[node];
+        for(i = i0; i < i0 + bt.count[node]; i++) {
+          if (bt.key[bt.items[i]] >= 0) {
+            m_paint[k++] = bt.items[i];
+          }
+        }
+        if (k - k0 > 1) {
+          m_paint.subarray(k0, k).sort(function(p, q) {
+            return bt.key[p] - bt.key[q];
+          });
+        }
+        
+      } else {
+        // A node with a plane, so find the side of the eye and push the
+        // near subtree, the marker, and the far subtree, so that they
+        // are taken off in the reverse order
+        i = node * 4;
+        s = (bt.plane[i] * eye[0]) + (bt.plane[i + 1] * eye[1]) +
+              (bt.plane[i + 2] * eye[2]);
+        if (!ortho) {
+          s = s - bt.plane[i + 3];
+        }
+        
+        a = (s >= 0.0) ? bt.front[node] : bt.back[node];
+        b = (s >= 0.0) ? bt.back[node] : bt.front[node];
+        
+        if (a >= 0) {
+          st[sp++] = a;
+        }
+        st[sp++] = -(node + 1);
+        if (b >= 0) {
+          st[sp++] = b;
+        }
+      }
+    }
+    
+    m_pcount = k;
+  }
+  
+  /*
+   * Build the bounding volume hierarchy of a vertex buffer and a scene
+   * buffer.
+   * 
+   * The hierarchy is built from the top down.  The objects of each node
+   * are split in two at the middle of the longest side of the box around
+   * their centers, until a node has at most BVH_LEAF_SIZE objects or the
+   * centers of all its objects are the same.  See m_bvh for the format
+   * of the result.
+   * 
+   * Parameters:
+   * 
+   *   sc : Uint32Array - the scene buffer, in the format of m_scene
+   * 
+   *   vx : Float64Array - the vertex buffer, in the format of m_vtx
+   * 
+   * Return:
+   * 
+   *   object - the hierarchy, or null if there are fewer than
+   *   BVH_MIN_OBJECTS objects
+   */
+  function bvhBuild(sc, vx) {
+    
+    var n, i, j, k, m, bi, t, r, v, ob, cen, ord, bx, cb, work, node;
+    var lo, hi, ax, mid, nb, nl, nr, nf, nc, vl, vf, vc, stamp, result;
+    
+    // Stop if there are too few objects
+    n = sc.length / SCENE_STRIDE;
+    if (n < BVH_MIN_OBJECTS) {
+      return null;
+    }
+    
+    // Get the box of each object from its vertices, grown by the radius
+    // for spheres, and the center of the box
+    ob = new Float64Array(n * 6);
+    cen = new Float64Array(n * 3);
+    for(i = 0; i < n; i++) {
+      bi = i * SCENE_STRIDE;
+      t = sc[bi];
+      if (t === SCENE_TRIANGLE) {
+        k = 3;
+      } else if (t === SCENE_LINE) {
+        k = 2;
+      } else {
+        k = 1;
+      }
+      r = (t === SCENE_SPHERE) ? m_rad[sc[bi + 2]] : 0.0;
+      
+      for(j = 0; j < 3; j++) {
+        ob[(i * 6) + j] = Infinity;
+        ob[(i * 6) + 3 + j] = -Infinity;
+      }
+      for(m = 0; m < k; m++) {
+        v = sc[bi + 1 + m] * 3;
+        for(j = 0; j < 3; j++) {
+          ob[(i * 6) + j] = Math.min(ob[(i * 6) + j], vx[v + j] - r);
+          ob[(i * 6) + 3 + j] = Math.max(ob[(i * 6) + 3 + j],
+                                          vx[v + j] + r);
+        }
+      }
+      for(j = 0; j < 3; j++) {
+        cen[(i * 3) + j] = (ob[(i * 6) + j] + ob[(i * 6) + 3 + j]) / 2.0;
+      }
+    }
+    
+    // Build the tree with a stack of nodes to split, where each node
+    // starts out as a leaf with a range of the object order
+    ord = new Uint32Array(n);
+    for(i = 0; i < n; i++) {
+      ord[i] = i;
+    }
+    
+    nb = [];
+    nl = [-1];
+    nr = [-1];
+    nf = [0];
+    nc = [n];
+    work = [0];
+    
+    while (work.length > 0) {
+      node = work.pop();
+      lo = nf[node];
+      hi = lo + nc[node];
+      
+      // Get the box of the objects and the box of their centers
+      bx = [Infinity, Infinity, Infinity, -Infinity, -Infinity, -Infinity];
+      cb = [Infinity, Infinity, Infinity, -Infinity, -Infinity, -Infinity];
+      for(i = lo; i < hi; i++) {
+        k = ord[i];
+        for(j = 0; j < 3; j++) {
+          bx[j] = Math.min(bx[j], ob[(k * 6) + j]);
+          bx[j + 3] = Math.max(bx[j + 3], ob[(k * 6) + 3 + j]);
+          cb[j] = Math.min(cb[j], cen[(k * 3) + j]);
+          cb[j + 3] = Math.max(cb[j + 3], cen[(k * 3) + j]);
+        }
+      }
+      for(j = 0; j < 6; j++) {
+        nb[(node * 6) + j] = bx[j];
+      }
+      
+      // Leave the node as a leaf if it has few enough objects, or if
+      // their centers are all the same
+      if (hi - lo <= BVH_LEAF_SIZE) {
+        continue;
+      }
+      
+      ax = 0;
+      for(j = 1; j < 3; j++) {
+        if ((cb[j + 3] - cb[j]) > (cb[ax + 3] - cb[ax])) {
+          ax = j;
+        }
+      }
+      if (!((cb[ax + 3] - cb[ax]) > 0.0)) {
+        continue;
+      }
+      
+      // Move the objects whose centers are before the middle of the
+      // longest side to the start of the range
+      mid = (cb[ax] + cb[ax + 3]) / 2.0;
+      i = lo;
+      j = hi - 1;
+      while (i <= j) {
+        if (cen[(ord[i] * 3) + ax] < mid) {
+          i++;
+        } else {
+          k = ord[i];
+          ord[i] = ord[j];
+          ord[j] = k;
+          j--;
+        }
+      }
+      if ((i <= lo) || (i >= hi)) {
+        continue;
+      }
+      
+      // Add the two halves as new leaves to split further
+      nl[node] = nl.length;
+      nl.push(-1);
+      nr.push(-1);
+      nf.push(lo);
+      nc.push(i - lo);
+      
+      nr[node] = nl.length;
+      nl.push(-1);
+      nr.push(-1);
+      nf.push(i);
+      nc.push(hi - i);
+      
+      work.push(nl[node]);
+      work.push(nr[node]);
+    }
+    
+    // Collect the vertices of the objects of each leaf, stamping each
+    // vertex with the leaf so that it is only added once per leaf
+    vl = [];
+    vf = [];
+    vc = [];
+    stamp = new Int32Array(vx.length / 3);
+    for(node = 0; node < nl.length; node++) {
+      vf.push(vl.length);
+      if (nl[node] < 0) {
+        for(i = nf[node]; i < nf[node] + nc[node]; i++) {
+          bi = ord[i] * SCENE_STRIDE;
+          t = sc[bi];
+          if (t === SCENE_TRIANGLE) {
+            k = 3;
+          } else if (t === SCENE_LINE) {
+            k = 2;
+          } else {
+            k = 1;
+          }
+          for(m = 0; m < k; m++) {
+            v = sc[bi + 1 + m];
+            if (stamp[v] !== node + 1) {
+              stamp[v] = node + 1;
+              vl.push(v);
+            }
+          }
+        }
+      }
+      vc.push(vl.length - vf[node]);
+    }
+    
+    // Pack the hierarchy into typed arrays
+    result = {
+      "box": new Float64Array(nb),
+      "left": new Int32Array(nl),
+      "right": new Int32Array(nr),
+      "first": new Uint32Array(nf),
+      "count": new Uint32Array(nc),
+      "items": ord,
+      "vfirst": new Uint32Array(vf),
+      "vcount": new Uint32Array(vc),
+      "verts": new Uint32Array(vl),
+      "plane": new Float64Array(CLIP_PLANES * 4),
+      "stack": new Int32Array(nl.length),
+      "seen": new Uint32Array(n),
+      "frame": 0,
+      "vis": new Uint32Array(vl.length),
+      "nvis": 0
+    };
+    
+    return result;
+  }
+  
+  /*
+   * Find the objects and vertices of the bounding volume hierarchy that
+   * may be in view.
+   * 
+   * The planes of m_frustum, which must already be set up for the
+   * render, are turned into world space with the view matrix.  Then the
+   * hierarchy is walked from the root, rejecting each node whose box is
+   * entirely outside one of the planes, along with everything below it.
+   * Below a node whose box is entirely inside every plane, the boxes
+   * are not tested any more.  Each object in a leaf that isn't rejected
+   * gets the new frame number in "seen", and the vertices of the leaf
+   * are added to "vis".  See m_bvh for the properties of the hierarchy.
+   * 
+   * Parameters:
+   * 
+   *   bv : object - the hierarchy
+   * 
+   *   mtxCam : Matrix - the view matrix from world space to camera space
+   */
+  function bvhCull(bv, mtxCam) {
+    
+    var o, ex, ey, ez, pl, bx, st, sp, it, node, inside, k, j, i, m;
+    var a, b, c, e, pmax, pmin;
+    
+    // Get the origin and the axes of world space in camera space, so that
+    // the value of each plane at a world point is the value of the plane
+    // at the origin plus the value of each axis times the coordinate
+    o = [0.0, 0.0, 0.0];
+    ex = [1.0, 0.0, 0.0];
+    ey = [0.0, 1.0, 0.0];
+    ez = [0.0, 0.0, 1.0];
+    mtxCam.process(o);
+    mtxCam.process(ex);
+    mtxCam.process(ey);
+    mtxCam.process(ez);
+    
+    pl = bv.plane;
+    for(k = 0; k < CLIP_PLANES; k++) {
+      i = k * 4;
+      a = m_frustum[i];
+      b = m_frustum[i + 1];
+      c = m_frustum[i + 2];
+      e = (a * o[0]) + (b * o[1]) + (c * o[2]);
+      
+      pl[i] = (a * ex[0]) + (b * ex[1]) + (c * ex[2]) - e;
+      pl[i + 1] = (a * ey[0]) + (b * ey[1]) + (c * ey[2]) - e;
+      pl[i + 2] = (a * ez[0]) + (b * ez[1]) + (c * ez[2]) - e;
+      pl[i + 3] = e + m_frustum[i + 3];
+    }
+    
+    // Start a new frame, clearing the frame numbers when they run out
+    if (bv.frame >= 0xffffffff) {
+      for(i = 0; i < bv.seen.length; i++) {
+        bv.seen[i] = 0;
+      }
+      bv.frame = 0;
+    }
+    bv.frame++;
+    bv.nvis = 0;
+    
+    // Walk the hierarchy with a stack of nodes, each stored as twice the
+    // node index plus one if its box is known to be inside every plane
+    bx = bv.box;
+    st = bv.stack;
+    sp = 0;
+    st[sp++] = 0;
+    
+    while (sp > 0) {
+      it = st[--sp];
+      node = it >> 1;
+      inside = it & 1;
+      
+      // Test the box against each plane with the corner furthest along
+      // the normal of the plane and the corner furthest against it
+      if (inside === 0) {
+        inside = 1;
+        j = node * 6;
+        for(k = 0; k < CLIP_PLANES; k++) {
+          i = k * 4;
+          pmax = pl[i + 3];
+          pmin = pl[i + 3];
+          for(m = 0; m < 3; m++) {
+            if (pl[i + m] >= 0.0) {
+              pmax = pmax + (pl[i + m] * bx[j + 3 + m]);
+              pmin = pmin + (pl[i + m] * bx[j + m]);
+            } else {
+              pmax = pmax + (pl[i + m] * bx[j + m]);
+              pmin = pmin + (pl[i + m] * bx[j + 3 + m]);
+            }
+          }
+          
+          if (pmax < 0.0) {
+            inside = -1;
+            break;
+          } else if (!(pmin >= 0.0)) {
+            inside = 0;
+          }
+        }
+        
+        // Reject the node if it is outside a plane
+        if (inside < 0) {
+          continue;
+        }
+      }
+      
+      if (bv.left[node] >= 0) {
+        // Visit the children of the node
+        st[sp++] = (bv.left[node] * 2) + inside;
+        st[sp++] = (bv.right[node] * 2) + inside;
+        
+      } else {
+        // A leaf, so mark its objects and add its vertices
+        for(i = bv.first[node]; i < bv.first[node] + bv.count[node]; i++) {
+          bv.seen[bv.items[i]] = bv.frame;
+        }
+        for(i = bv.vfirst[node]; i < bv.vfirst[node] + bv.vcount[node];
+            i++) {
+          bv.vis[bv.nvis++] = bv.verts[i];
+        }
+      }
+    }
+  }
+  
+  /*
+   * Find the objects and vertices of coarse renders of a scene buffer.
+   * 
+   * See m_lod for the format of the result.
+   * 
+   * Parameters:
+   * 
+   *   sc : Uint32Array - the scene buffer, in the format of m_scene
+   * 
+   *   vx : Float64Array - the vertex buffer, in the format of m_vtx
+   * 
+   * Return:
+   * 
+   *   object - the coarse render objects, or null if there are at most
+   *   LOD_MAX_OBJECTS objects
+   */
+  function lodBuild(sc, vx) {
+    
+    var n, vn, sz, st, keep, used, verts;
+    var i, j, k, m, q, bi, t, v, cut, ties;
+    var lo, hi;
+    
+    // Nothing to do unless there are too many objects
+    n = sc.length / SCENE_STRIDE;
+    if (n <= LOD_MAX_OBJECTS) {
+      return null;
+    }
+    
+    // Get the size of each object, which is the longest side of the box
+    // around the vertices of a triangle or line, the diameter of a
+    // sphere, or zero for a point
+    sz = new Float64Array(n);
+    lo = [0.0, 0.0, 0.0];
+    hi = [0.0, 0.0, 0.0];
+    for(i = 0; i < n; i++) {
+      bi = i * SCENE_STRIDE;
+      t = sc[bi];
+      
+      if (t === SCENE_SPHERE) {
+        sz[i] = m_rad[sc[bi + 2]] * 2.0;
+        
+      } else if (t !== SCENE_POINT) {
+        m = (t === SCENE_TRIANGLE) ? 3 : 2;
+        for(k = 0; k < 3; k++) {
+          lo[k] = vx[(sc[bi + 1] * 3) + k];
+          hi[k] = lo[k];
+        }
+        for(j = 1; j < m; j++) {
+          v = sc[bi + 1 + j] * 3;
+          for(k = 0; k < 3; k++) {
+            lo[k] = Math.min(lo[k], vx[v + k]);
+            hi[k] = Math.max(hi[k], vx[v + k]);
+          }
+        }
+        sz[i] = Math.max(hi[0] - lo[0], hi[1] - lo[1], hi[2] - lo[2]);
+      }
+    }
+    
+    // The cut is the size of the smallest object that is kept, found by
+    // sorting a copy of the sizes; every object larger than the cut is
+    // kept, and the rest of the LOD_MAX_OBJECTS places are shared out
+    // evenly among the objects of the same size as the cut
+    st = new Float64Array(sz);
+    st.sort();
+    cut = st[n - LOD_MAX_OBJECTS];
+    
+    k = 0;
+    ties = 0;
+    for(i = 0; i < n; i++) {
+      if (sz[i] > cut) {
+        k++;
+      } else if (sz[i] === cut) {
+        ties++;
+      }
+    }
+    m = LOD_MAX_OBJECTS - k;
+    
+    // Mark the kept objects, where the tie with tie number q is kept if
+    // the share of places up to and including it rounds down to more
+    // than the share before it, and mark the vertices that they use,
+    // which are one for points and spheres, two for lines, and three for
+    // triangles
+    keep = new Uint8Array(n);
+    vn = vx.length / 3;
+    used = new Uint8Array(vn);
+    q = 0;
+    for(i = 0; i < n; i++) {
+      if (sz[i] > cut) {
+        keep[i] = 1;
+      } else if (sz[i] === cut) {
+        if (Math.floor(((q + 1) * m) / ties) > Math.floor((q * m) / ties)) {
+          keep[i] = 1;
+        }
+        q++;
+      }
+      
+      if (keep[i] !== 0) {
+        bi = i * SCENE_STRIDE;
+        t = sc[bi];
+        used[sc[bi + 1]] = 1;
+        if ((t === SCENE_LINE) || (t === SCENE_TRIANGLE)) {
+          used[sc[bi + 2]] = 1;
+        }
+        if (t === SCENE_TRIANGLE) {
+          used[sc[bi + 3]] = 1;
+        }
+      }
+    }
+    
+    // Gather the marked vertices
+    k = 0;
+    for(i = 0; i < vn; i++) {
+      k = k + used[i];
+    }
+    
+    verts = new Uint32Array(k);
+    k = 0;
+    for(i = 0; i < vn; i++) {
+      if (used[i] !== 0) {
+        verts[k++] = i;
+      }
+    }
+    
+    return {
+      "keep": keep,
+      "verts": verts
+    };
+  }
+  
+  /*
+   * Set up the planes of the view frustum for rendering the current
+   * projection onto a canvas.
+   * 
+   * The near and far planes come from m_proj.  In perspective mode, the
+   * side planes pass through the pinhole, and in orthographic mode they
+   * are parallel to the view direction.  Either way, they meet the
+   * screen CLIP_MARGIN pixels outside the edges of the canvas.  See
+   * m_frustum for the format of the planes.
+   * 
+   * Parameters:
+   * 
+   *   w : integer - the width in pixels of the canvas
+   * 
+   *   h : integer - the height in pixels of the canvas
+   */
+  function frustumPlanes(w, h) {
+    
+    var gx, gy, d, i;
+    
+    // Get the ratios of the half width and half height of the clipping
+    // rectangle to the half height of the canvas
+    gx = (w + (2 * CLIP_MARGIN)) / h;
+    gy = (h + (2 * CLIP_MARGIN)) / h;
+    
+    // The near plane keeps Z at most near, and the far plane keeps Z at
+    // least far
+    for(i = 0; i < m_frustum.length; i++) {
+      m_frustum[i] = 0.0;
+    }
+    m_frustum[2] = -1.0;
+    m_frustum[3] = m_proj[1];
+    m_frustum[6] = 1.0;
+    m_frustum[7] = -(m_proj[2]);
+    
+    // In perspective mode, a point is inside the left plane if its X
+    // coordinate projected by the pinhole at Z = d is at least -gx, which
+    // is when ((d * X) + (gx * (d - Z))) is at least zero, and the other
+    // side planes follow in the same way; in orthographic mode, the X
+    // coordinate itself must be at least -gx times half the view height
+    if (m_proj[3] > 0.0) {
+      m_frustum[8] = 1.0;
+      m_frustum[11] = gx * (m_proj[3] / 2.0);
+      m_frustum[12] = -1.0;
+      m_frustum[15] = gx * (m_proj[3] / 2.0);
+      m_frustum[17] = 1.0;
+      m_frustum[19] = gy * (m_proj[3] / 2.0);
+      m_frustum[21] = -1.0;
+      m_frustum[23] = gy * (m_proj[3] / 2.0);
+      
+    } else {
+      d = 1 / Math.tan(m_proj[0] * Math.PI / 2);
+      m_frustum[8] = d;
+      m_frustum[10] = -gx;
+      m_frustum[11] = gx * d;
+      m_frustum[12] = -d;
+      m_frustum[14] = -gx;
+      m_frustum[15] = gx * d;
+      m_frustum[17] = d;
+      m_frustum[18] = -gy;
+      m_frustum[19] = gy * d;
+      m_frustum[21] = -d;
+      m_frustum[22] = -gy;
+      m_frustum[23] = gy * d;
+    }
+  }
+  
+  /*
+   * Get the clip code of a point in camera space.
+   * 
+   * Bit k of the clip code is set if the point is outside plane k of
+   * m_frustum.
+   * 
+   * Parameters:
+   * 
+   *   x : number - the X coordinate
+   * 
+   *   y : number - the Y coordinate
+   * 
+   *   z : number - the Z coordinate
+   * 
+   * Return:
+   * 
+   *   integer - the clip code
+   */
+  function clipCode(x, y, z) {
+    
+    var f, result;
+    
+    // Only the near and far planes depend on Z alone, and only the side
+    // planes depend on X or Y, so each plane is tested with just the
+    // terms it has
+    f = m_frustum;
+    result = 0;
+    if (z > f[3]) {
+      result = result | 1;
+    }
+    if (z < -(f[7])) {
+      result = result | 2;
+    }
+    if ((f[8] * x) + (f[10] * z) + f[11] < 0.0) {
+      result = result | 4;
+    }
+    if ((f[12] * x) + (f[14] * z) + f[15] < 0.0) {
+      result = result | 8;
+    }
+    if ((f[17] * y) + (f[18] * z) + f[19] < 0.0) {
+      result = result | 16;
+    }
+    if ((f[21] * y) + (f[22] * z) + f[23] < 0.0) {
+      result = result | 32;
+    }
+    
+    return result;
+  }
+  
+  /*
+   * Clip a convex polygon by one plane of the view frustum.
+   * 
+   * src holds the n vertices of the polygon, in the format described
+   * for m_clipa, and the part of the polygon inside plane k of
+   * m_frustum is written to dst in the same format.  Edges that are
+   * partly clipped keep their line style selectors, while the new edge
+   * along the plane gets a selector of zero, so that it isn't stroked.
+   * 
+   * At most CLIP_VERTICES vertices are written.  Clipping a triangle by
+   * each plane only once never makes more, so this only drops vertices
+   * of polygons that rounding has made slightly concave.
+   * 
+   * Parameters:
+   * 
+   *   src : Float64Array - the polygon to clip
+   * 
+   *   n : integer - the number of vertices of the polygon
+   * 
+   *   dst : Float64Array - receives the clipped polygon
+   * 
+   *   k : integer - the index of the plane
+   * 
+   * Return:
+   * 
+   *   integer - the number of vertices of the clipped polygon, which
+   *   is less than three if nothing is left
+   */
+  function clipPolygon(src, n, dst, k) {
+    
+    var a, b, c, e, m, i, p, q, dp, dq, t, j;
+    
+    // Get the plane
+    a = m_frustum[k * 4];
+    b = m_frustum[(k * 4) + 1];
+    c = m_frustum[(k * 4) + 2];
+    e = m_frustum[(k * 4) + 3];
+    
+    // Go through the edges, keeping each vertex inside the plane, and
+    // adding a vertex wherever an edge crosses the plane
+    m = 0;
+    for(i = 0; i < n; i++) {
+      p = i * 4;
+      q = ((i + 1) % n) * 4;
+      dp = (a * src[p]) + (b * src[p + 1]) + (c * src[p + 2]) + e;
+      dq = (a * src[q]) + (b * src[q + 1]) + (c * src[q + 2]) + e;
+      
+      if ((dp >= 0.0) && (m < CLIP_VERTICES)) {
+        // The edge starts inside, so keep its start with its selector
+        for(j = 0; j < 4; j++) {
+          dst[(m * 4) + j] = src[p + j];
+        }
+        m++;
+      }
+      
+      if (((dp >= 0.0) !== (dq >= 0.0)) && (m < CLIP_VERTICES)) {
+        // The edge crosses the plane, so add the crossing, followed by
+        // the rest of the edge if the edge comes in, or by an edge along
+        // the plane if it goes out
+        t = dp / (dp - dq);
+        for(j = 0; j < 3; j++) {
+          dst[(m * 4) + j] = src[p + j] + (t * (src[q + j] - src[p + j]));
+        }
+        dst[(m * 4) + 3] = (dp >= 0.0) ? 0 : src[p + 3];
+        m++;
+      }
+    }
+    
+    return m;
+  }
+  
+  /*
+   * Check whether an object can be used as a rendering context by
+   * renderScene().
+   * 
+   * Rather than requiring a CanvasRenderingContext2D, which only exists
+   * in browsers, this checks that the object has all of the methods of
+   * the 2D canvas interface that the renderer calls: beginPath(),
+   * moveTo(), lineTo(), closePath(), arc(), rect(), fill(), stroke(),
+   * and fillRect().  The renderer also assigns the fillStyle,
+   * strokeStyle, lineWidth, lineCap, and lineJoin properties.
+   * 
+   * Parameters:
+   * 
+   *   rc : any - the object to check
+   * 
+   * Return:
+   * 
+   *   true if the object can be rendered into, false otherwise
+   */
+  function isContext(rc) {
+    
+    var m, i;
+    
+    // Must be an object
+    if ((typeof rc !== "object") || (rc === null)) {
+      return false;
+    }
+    
+    // Must have each of the drawing methods
+    m = ["beginPath", "moveTo", "lineTo", "closePath", "arc", "rect",
+          "fill", "stroke", "fillRect"];
+    for(i = 0; i < m.length; i++) {
+      if (typeof rc[m[i]] !== "function") {
+        return false;
+      }
+    }
+    
+    return true;
+  }
+  
+  /*
+   * Begin rendering the current scene to a 2D canvas rendering context.
+   * 
+   * The context is cleared to the background color, and then the scene
+   * objects are transformed, culled, and sorted into m_paint in the
+   * order they are drawn, but not drawn yet.  renderPaint() draws them
+   * from the returned render.  Any progressive render is cancelled,
+   * since this overwrites the buffers that it draws from.
+   * 
+   * A coarse render of a large scene only looks at the objects that
+   * m_lod keeps, and a coarse render always uses the painter's
+   * algorithm.
+   * 
+   * The parameters must already be checked.
+   * 
+   * Parameters:
+   * 
+   *   rc : object - the 2D rendering context
+   * 
+   *   w : integer - the width in pixels of the canvas
+   * 
+   *   h : integer - the height in pixels of the canvas
+   * 
+   *   ss : number - the stroke scale, greater than zero
+   * 
+   *   coarse : boolean - true for a coarse render
+   * 
+   * Return:
+   * 
+   *   object - the render
+   * 
+   * The render has the following properties:
+   * 
+   *   "rc" : object - the 2D rendering context
+   * 
+   *   "ss" : number - the stroke scale
+   * 
+   *   "count" : integer - the number of objects in m_paint to draw,
+   *   which is zero if there is no scene to draw
+   * 
+   *   "next" : integer - the index in m_paint of the next object to
+   *   draw
+   * 
+   *   "zb" : object - the buffers from rasterBegin(), or null to draw
+   *   with the painter's algorithm
+   * 
+   *   "lv" : Array - the unit vector towards the light in camera space,
+   *   or null if lighting is disabled
+   * 
+   *   "ortho" : boolean - true for an orthographic projection
+   * 
+   *   "proj_d" : number - the distance of the pinhole from the camera
+   *   in perspective, or zero in orthographic mode
+   * 
+   *   "rad_mul" : number - the factor that projects sphere radii
+   * 
+   *   "mtxProj" : Matrix - the matrix from camera space to screen space
+   * 
+   *   "sc" : Uint32Array - the scene buffer that is drawn
+   * 
+   *   "bt" : object - the BSP tree that is drawn, or null
+   * 
+   *   "zc" : integer - the quantized Z value of the objects being drawn
+   * 
+   *   "fg" : number - the fog amount at zc
+   */
+  function renderBegin(rc, w, h, ss, coarse) {
+    
+    var i, j, k, p, x, y, z, r;
+    var t, a, b, c, e, bi;
+    var z1, z2, z3;
+    var x1, y1;
+    var e1x, e1y, e1z, e2x, e2y, e2z;
+    var nx, ny, nz, lv, sf;
+    var near, far, extent;
+    var ortho, proj_d, rad_mul, zb;
+    var sc, vx, vl, bt, bv, lod, eye, rd;
+    var mtxCam, mtxProj, mtxLight, mtxEye;
+    
+    // Cancel any progressive render, since this overwrites the buffers it
+    // draws from, and start with a render that has nothing to draw
+    m_progress = null;
+    rd = {
+      "rc": rc,
+      "ss": ss,
+      "count": 0,
+      "next": 0,
+      "zb": null,
+      "lv": null,
+      "ortho": false,
+      "proj_d": 0.0,
+      "rad_mul": 0.0,
+      "mtxProj": null,
+      "sc": null,
+      "bt": null,
+      "zc": 0,
+      "fg": 0.0
+    };
+    
+    // First thing is always to clear the canvas to the background color
+    rc.fillStyle = "rgb(" + m_bgcolor[0].toString(10) + 
+                    ", " + m_bgcolor[1].toString(10) +
+                    ", " + m_bgcolor[2].toString(10) + ")";
+    rc.fillRect(0, 0, w, h);
+    
+    // Only proceed further if scene is loaded
+    if (m_loaded) {
+      
+      // Set line cap and join to round for all lines that will be
+      // stroked during rendering
+      rc.lineCap  = "round";
+      rc.lineJoin = "round";
+      
+      // Draw the buffers of the BSP tree if there is one, or else the
+      // scene buffers
+      bt = m_bsp;
+      if (bt !== null) {
+        sc = bt.scene;
+        vx = bt.vtx;
+      } else {
+        sc = m_scene;
+        vx = m_vtx;
+      }
+      
+      // Define the matrix that will transform world space to camera
+      // space, where the camera is perfectly level at the origin
+      // looking exactly down towards negative Z infinity (right-handed)
+      mtxCam = viewMatrix();
+      
+      // If matrix is not finite, stop
+      if (!mtxCam.checkFinite()) {
+        return rd;
+      }
+      
+      // If lighting is enabled, get the unit vector pointing towards the
+      // light in camera space by turning the direction the light shines
+      // in from the direction a level camera looks into world space, the
+      // same way as a camera, and then undoing the camera rotation
+      lv = null;
+      if (m_lit) {
+        mtxLight = new Matrix;
+        mtxLight.rotateX(m_light[1] * Math.PI / 2);
+        mtxLight.rotateY(m_light[0] * Math.PI * 2);
+        mtxLight.rotateY(-(m_cam[3] * Math.PI * 2));
+        mtxLight.rotateX(-(m_cam[4] * Math.PI / 2));
+        mtxLight.rotateZ(-(m_cam[5] * Math.PI * 2));
+        
+        lv = [0.0, 0.0, 1.0];
+        mtxLight.process(lv);
+      }
+      
+      // Define the matrix that will transform camera space into
+      // projected screen space
+      ortho = (m_proj[3] > 0.0);
+      mtxProj = new Matrix;
+      
+      if (ortho) {
+        // Orthographic projection only needs to scale X and Y so that
+        // the view height fills the screen height, and to flip Y
+        mtxProj.scale(h / m_proj[3], -(h / m_proj[3]), 1);
+        
+      } else {
+        // First step is the projection matrix
+        mtxProj.project(1 / Math.tan(m_proj[0] * Math.PI / 2));
+        
+        // Next scale X and Y by half the height to get to screen
+        // dimensions, and also flip Y
+        mtxProj.scale(h / 2, -(h / 2), 1);
+      }
+      
+      // Finally, adjust origin so origin is top-left of screen
+      mtxProj.translate(w / 2, h / 2, 0);
+      
+      // Set up the planes of the view frustum, and if there is a
+      // bounding volume hierarchy, reject the parts of it that are
+      // outside the view frustum
+      frustumPlanes(w, h);
+      
+      bv = m_bvh;
+      if (bv !== null) {
+        bvhCull(bv, mtxCam);
+      }
+      
+      // Transform all vertices in the vertex buffer both into the
+      // camera-transformed buffer m_tvx and the projected buffer m_pvx,
+      // and get the clip code of each in m_pcode; a coarse render of a
+      // large scene only needs the vertices of the objects it looks at,
+      // and otherwise, with a bounding volume hierarchy, only the
+      // vertices of the leaves that weren't rejected are needed
+      lod = coarse ? m_lod : null;
+      if (lod !== null) {
+        vl = lod.verts;
+        j = vl.length;
+      } else if (bv !== null) {
+        vl = bv.vis;
+        j = bv.nvis;
+      } else {
+        vl = null;
+        j = vx.length / 3;
+      }
+      
+      p = new Array(3);
+      for(k = 0; k < j; k++) {
+        i = (vl !== null) ? (vl[k] * 3) : (k * 3);
+        
+        p[0] = vx[i    ];
+        p[1] = vx[i + 1];
+        p[2] = vx[i + 2];
+        
+        mtxCam.process(p);
+        
+        m_tvx[i    ] = p[0];
+        m_tvx[i + 1] = p[1];
+        m_tvx[i + 2] = p[2];
+        
+        m_pcode[i / 3] = clipCode(p[0], p[1], p[2]);
+        
+        mtxProj.process(p);
+        
+        m_pvx[i    ] = p[0];
+        m_pvx[i + 1] = p[1];
+        m_pvx[i + 2] = p[2];
+      }
+      
+      // Cache near and far clipping planes and distance between
+      near   = m_proj[1];
+      far    = m_proj[2];
+      extent = near - far;
+      
+      // Cache values used in calculating projected sphere radii; in
+      // orthographic mode, radii are just scaled to screen space
+      if (ortho) {
+        proj_d  = 0.0;
+        rad_mul = h / m_proj[3];
+      } else {
+        proj_d  = 1 / Math.tan(m_proj[0] * Math.PI / 2);
+        rad_mul = (proj_d * h) / 2.0;
+      }
+      
+      // In exact mode, set up the image and depth buffers that the scene
+      // objects are rasterized into, if the rendering context can take
+      // image data and this isn't a coarse render; otherwise zb stays
+      // null and the scene objects are drawn with the painter's
+      // algorithm
+      zb = null;
+      if ((!coarse) && (m_mode === "exact") &&
+          (typeof rc.createImageData === "function") &&
+          (typeof rc.putImageData === "function")) {
+        zb = rasterBegin(rc, w, h, ortho, proj_d, near, far);
+      }
+      
+      // Fill the painting sort arrays by going through all scene
+      // objects, skipping those that a coarse render doesn't look at,
+      // culling those that the bounding volume hierarchy rejected,
+      // applying backface cull to triangles, then culling the
+      // triangles and lines that are entirely outside a plane of the
+      // view frustum and the points and spheres that are in front of
+      // the near plane, behind the far plane, or off the canvas, and
+      // either discarding each scene object by setting its Z to -1, or
+      // adding the object index to m_pidx with the quantized centroid Z
+      // clamped to normalized range in m_pkey; the variable k counts the
+      // added objects
+      j = sc.length / SCENE_STRIDE;
+      k = 0;
+      for(i = 0; i < j; i++) {
+        
+        // Get this scene object's type and vertices
+        bi = i * SCENE_STRIDE;
+        t = sc[bi    ];
+        a = sc[bi + 1];
+        b = sc[bi + 2];
+        c = sc[bi + 3];
+        
+        // Handle different types of objects
+        if ((lod !== null) && (lod.keep[i] === 0)) {
+          // Not looked at by a coarse render, so skip
+          z = -1;
+          
+        } else if ((bv !== null) && (bv.seen[i] !== bv.frame)) {
+          // Rejected by the bounding volume hierarchy, so cull
+          z = -1;
+          
+        } else if (t === SCENE_TRIANGLE) {
+          // Triangle -- get all three Z coordinates
+          z1 = m_tvx[(3 * a) + 2];
+          z2 = m_tvx[(3 * b) + 2];
+          z3 = m_tvx[(3 * c) + 2];
+          
+          // Also get X Y coordinates of first vertex
+          bi = 3 * a;
+          x1 = m_tvx[bi];
+          y1 = m_tvx[bi + 1];
+          
+          // Compute the vectors of the first edge (V1 -> V2) and also
+          // of second edge (V1 -> V3)
+          bi = 3 * b;
+          e1x = m_tvx[bi    ] - x1;
+          e1y = m_tvx[bi + 1] - y1;
+          e1z = m_tvx[bi + 2] - z1;
+          
+          bi = 3 * c;
+          e2x = m_tvx[bi    ] - x1;
+          e2y = m_tvx[bi + 1] - y1;
+          e2z = m_tvx[bi + 2] - z1;
+          
+          // Compute dot product of vector from camera to first vertex
+          // of the triangle, and the normal at the first vertex; in
+          // orthographic mode, every vertex is viewed straight down the
+          // negative Z axis, so only the Z of the normal matters
+          if (ortho) {
+            p = -((e1x * e2y) - (e1y * e2x));
+          } else {
+            p = (x1 * ((e1y * e2z) - (e1z * e2y))) +
+                (y1 * ((e1z * e2x) - (e1x * e2z))) +
+                (z1 * ((e1x * e2y) - (e1y * e2x)));
+          }
+          
+          // Check dot product first for backface culling
+          if (p < 0) {
+            // Not backface-culled, so next check whether all three
+            // vertices are outside the same plane of the view frustum
+            if ((m_pcode[a] & m_pcode[b] & m_pcode[c]) !== 0) {
+              // Everything is outside that plane, so cull
+              z = -1;
+              
+            } else {
+              // Triangle survived all culling, so we need to compute
+              // the Z centroid next
+              z = (z1 + z2 + z3) / 3.0;
+              
+              // Set to zero if not finite
+              if (!isFinite(z)) {
+                z = 0.0;
+              }
+              
+              // Clamp Z centroid to near/far plane range
+              z = Math.min(Math.max(z, far), near);
+              
+              // Normalize centroid so that 1.0 is near plane and 0.0
+              // is far plane
+              z = (z - far) / extent;
+              
+              // Quantize to the painting sort depths and clamp
+              z = Math.floor(z * (PAINT_DEPTHS - 1));
+              z = Math.min(Math.max(z, 0), PAINT_DEPTHS - 1);
+              
+              // If lighting is enabled, compute the shade factor from
+              // the cosine of the angle between the normal, which
+              // faces the camera since the triangle wasn't culled, and
+              // the light vector
+              if (lv !== null) {
+                nx = (e1y * e2z) - (e1z * e2y);
+                ny = (e1z * e2x) - (e1x * e2z);
+                nz = (e1x * e2y) - (e1y * e2x);
+                
+                sf = ((nx * lv[0]) + (ny * lv[1]) + (nz * lv[2])) /
+                      Math.sqrt((nx * nx) + (ny * ny) + (nz * nz));
+                if (!(sf > 0.0)) {
+                  sf = 0.0;
+                }
+                
+                m_shade[i] = m_light[3] + (m_light[2] * sf);
+              }
+            }
+            
+          } else {
+            // Backface culled
+            z = -1;
+          }
+        
+        } else if (t === SCENE_LINE) {
+          // Line -- get both Z coordinates
+          z1 = m_tvx[(3 * a) + 2];
+          z2 = m_tvx[(3 * b) + 2];
+          
+          // Check whether both vertices are outside the same plane of
+          // the view frustum
+          if ((m_pcode[a] & m_pcode[b]) !== 0) {
+            // Everything is outside that plane, so cull
+            z = -1;
+            
+          } else {
+            // Line not culled, so we need to compute Z centroid next
+            z = (z1 + z2) / 2.0;
+            
+            // Set to zero if not finite
+            if (!isFinite(z)) {
+              z = 0.0;
+            }
+            
+            // Clamp Z centroid to near/far plane range
+            z = Math.min(Math.max(z, far), near);
+            
+            // Normalize centroid so that 1.0 is near plane and 0.0 is
+            // far plane
+            z = (z - far) / extent;
+            
+            // Quantize to the painting sort depths and clamp
+            z = Math.floor(z * (PAINT_DEPTHS - 1));
+            z = Math.min(Math.max(z, 0), PAINT_DEPTHS - 1);
+          }
+        
+        } else {
+          // Point or sphere -- get the origin Z coordinate
+          z = m_tvx[(3 * a) + 2];
+          
+          // Check whether origin Z coordinate is greater than or equal
+          // to near plane
+          if (z >= near) {
+            // Origin is in front of near plane, so cull
+            z = -1;
+            
+          } else {
+            // Not culled by near plane, so next check whether it is
+            // behind far plane
+            if (z <= far) {
+              // Point/sphere origin is behind far plane, so cull
+              z = -1;
+              
+            } else {
+              // Not culled by far plane, so get the half size of the
+              // screen footprint, which is the square around the
+              // projected origin that holds the whole shape and its
+              // outline, with a pixel to spare for flooring; spheres
+              // are at least one pixel in radius when drawn
+              e = sc[bi + 5];
+              if (t === SCENE_SPHERE) {
+                if (ortho) {
+                  r = m_rad[b] * rad_mul;
+                } else {
+                  r = (m_rad[b] / (proj_d - z)) * rad_mul;
+                }
+                r = Math.max(r, 1.0);
+                if (e !== NO_STYLE) {
+                  r = r + ((m_lstyle[e].width * ss) / 2.0);
+                }
+              } else {
+                r = ((m_pstyle[e].size + m_pstyle[e].stroke) * ss) / 2.0;
+              }
+              r = r + 1.0;
+              
+              // Check whether the footprint is entirely off the canvas
+              x = m_pvx[3 * a];
+              y = m_pvx[(3 * a) + 1];
+              if (!((x + r >= 0.0) && (x - r <= w) &&
+                    (y + r >= 0.0) && (y - r <= h))) {
+                // Nothing of the point/sphere can be seen, so cull
+                z = -1;
+                
+              } else {
+                // Not culled; clamp Z origin to near/far plane range
+                z = Math.min(Math.max(z, far), near);
+                
+                // Normalize origin so that 1.0 is near plane and 0.0 is
+                // far plane
+                z = (z - far) / (extent);
+                
+                // Quantize to the painting sort depths and clamp
+                z = Math.floor(z * (PAINT_DEPTHS - 1));
+                z = Math.min(Math.max(z, 0), PAINT_DEPTHS - 1);
+              }
+            }
+          }
+        }
+        
+        // Add the object to the painting sort unless it was discarded,
+        // and keep its Z value for the order of the BSP tree
+        if (z >= 0) {
+          m_pidx[k] = i;
+          m_pkey[k] = z;
+          k++;
+        }
+        if (bt !== null) {
+          bt.key[i] = z;
+        }
+      }
+      m_pcount = k;
+      
+      // With a BSP tree, put the objects in the order of the tree from
+      // the eye at the pinhole, or from infinitely far back along the
+      // view direction in orthographic mode; the eye is found by turning
+      // camera space back into world space
+      if (bt !== null) {
+        mtxEye = cameraMatrix();
+        if (ortho) {
+          eye = [0.0, 0.0, 1.0];
+          p = [0.0, 0.0, 0.0];
+          mtxEye.process(eye);
+          mtxEye.process(p);
+          eye = [eye[0] - p[0], eye[1] - p[1], eye[2] - p[2]];
+        } else {
+          eye = [0.0, 0.0, proj_d];
+          mtxEye.process(eye);
+        }
+        bspOrder(bt, eye, ortho);
+        
+      } else {
+        // Otherwise, counting sort the added objects into m_paint in
+        // ascending order of Z, which puts the scene elements from back
+        // to front by Z centroids; first count the objects at each Z,
+        // then turn the counts into the position of the first object at
+        // each Z, and then place each object at the next position for
+        // its Z
+        for(i = 0; i < PAINT_DEPTHS; i++) {
+          m_phist[i] = 0;
+        }
+        for(i = 0; i < m_pcount; i++) {
+          m_phist[m_pkey[i]]++;
+        }
+        
+        p = 0;
+        for(i = 0; i < PAINT_DEPTHS; i++) {
+          x = m_phist[i];
+          m_phist[i] = p;
+          p = p + x;
+        }
+        
+        for(i = 0; i < m_pcount; i++) {
+          m_paint[m_phist[m_pkey[i]]] = m_pidx[i];
+          m_phist[m_pkey[i]]++;
+        }
+      }
+      
+      // Keep everything that drawing the objects needs in the render
+      rd.count   = m_pcount;
+      rd.zb      = zb;
+      rd.lv      = lv;
+      rd.ortho   = ortho;
+      rd.proj_d  = proj_d;
+      rd.rad_mul = rad_mul;
+      rd.mtxProj = mtxProj;
+      rd.sc      = sc;
+      rd.bt      = bt;
+      rd.fg      = fogAmount(0);
+    }
+    
+    return rd;
+  }
+  
+  /*
+   * Draw the scene objects of a render from renderBegin().
+   * 
+   * Drawing carries on from the next object of the render.  If a time
+   * limit is given, drawing stops once the time has passed, checking
+   * the time only after each RENDER_CHUNK objects, and the render keeps
+   * where drawing got to so that another call can carry on from there.
+   * Otherwise, all of the remaining objects are drawn.  Once the last
+   * object has been drawn, the image of exact rendering is copied to
+   * the rendering context.
+   * 
+   * The buffers that renderBegin() filled must not have been changed
+   * since, which means that no other render may have begun in the
+   * meantime, and the scene may not have been installed again.
+   * 
+   * Parameters:
+   * 
+   *   rd : object - the render
+   * 
+   *   limit : number - the value of Date.now() at which drawing stops,
+   *   or zero to draw everything
+   * 
+   * Return:
+   * 
+   *   boolean - true if the render is finished, false if objects are
+   *   left to draw
+   */
+  function renderPaint(rd, limit) {
+    
+    var i, j, n, p, x, y, z, r;
+    var t, a, b, c, d, e, bi, cc, cpa, cpb;
+    var z1, z2, z3;
+    var x1, y1, x2, y2, x3, y3;
+    var t1, t2, v1, v2;
+    var e1x, e1y, e1z, e2x, e2y, e2z;
+    var sf, zc, fg, lv, rc, ss, zb;
+    var ortho, proj_d, rad_mul, mtxProj, sc, bt;
+    
+    // Unpack the render
+    rc      = rd.rc;
+    ss      = rd.ss;
+    zb      = rd.zb;
+    lv      = rd.lv;
+    ortho   = rd.ortho;
+    proj_d  = rd.proj_d;
+    rad_mul = rd.rad_mul;
+    mtxProj = rd.mtxProj;
+    sc      = rd.sc;
+    bt      = rd.bt;
+    zc      = rd.zc;
+    fg      = rd.fg;
+    
+    // Now render the rest of the scene objects in painting order from
+    // back to front; zc is the quantized Z value of the objects being
+    // rendered, with fg the fog amount there
+    for(i = rd.next; i < rd.count; i++) {
+      
+      // With a time limit, check the time after each RENDER_CHUNK
+      // objects, and if the limit has passed, keep where drawing got
+      // to in the render and stop
+      if ((limit > 0) && (i > rd.next) &&
+          (((i - rd.next) % RENDER_CHUNK) === 0) &&
+          (Date.now() >= limit)) {
+        rd.next = i;
+        rd.zc   = zc;
+        rd.fg   = fg;
+        return false;
+      }
+      
+      // With a BSP tree, the Z values are in no particular order, so
+      // get the fog amount whenever the Z value changes; after the
+      // counting sort, each element of m_phist is the end of the
+      // objects at its Z value in m_paint, so advance zc past any Z
+      // values that end at or before this object, and get the new fog
+      // amount if it changed
+      if (bt !== null) {
+        if (bt.key[m_paint[i]] !== zc) {
+          zc = bt.key[m_paint[i]];
+          fg = fogAmount(zc);
+        }
+      } else if (m_phist[zc] <= i) {
+        while (m_phist[zc] <= i) {
+          zc++;
+        }
+        fg = fogAmount(zc);
+      }
+      
+      // Convert the index of the scene object to render to its base
+      // address in the scene array and get scene object values
+      p = m_paint[i] * SCENE_STRIDE;
+      t = sc[p];
+      a = sc[p + 1];
+      b = sc[p + 2];
+      c = sc[p + 3];
+      d = sc[p + 4];
+      e = sc[p + 5];
+      
+      // Render specific type of object
+      if (t === SCENE_TRIANGLE) {
+        // Triangle -- get the shade factor, which is 1.0 if lighting
+        // is disabled
+        sf = (lv !== null) ? m_shade[m_paint[i]] : 1.0;
+        
+        // Check whether all three vertices are inside the view
+        // frustum
+        if ((m_pcode[a] | m_pcode[b] | m_pcode[c]) === 0) {
+          // No clipping is needed, so get the coordinates from the
+          // projected vertices and draw the triangle
+          bi = (3 * a);
+          x1 = m_pvx[bi];
+          y1 = m_pvx[bi + 1];
+          z1 = m_tvx[bi + 2];
+          
+          bi = (3 * b);
+          x2 = m_pvx[bi];
+          y2 = m_pvx[bi + 1];
+          z2 = m_tvx[bi + 2];
+          
+          bi = (3 * c);
+          x3 = m_pvx[bi];
+          y3 = m_pvx[bi + 1];
+          z3 = m_tvx[bi + 2];
+          
+          if (zb !== null) {
+            rasterTri(zb, x1, y1, z1, x2, y2, z2, x3, y3, z3,
+                      d, sf, e, ss, fg);
+          } else {
+            drawTri(rc, x1, y1, x2, y2, x3, y3, d, sf, e, ss, fg);
+          }
+          
+        } else {
+          // Clipping needed, so put the camera coordinates of the
+          // triangle into a polygon with the line style selectors of
+          // its edges, and clip the polygon by each plane of the view
+          // frustum that any vertex is outside, going back and forth
+          // between the two polygon buffers
+          cpa = m_clipa;
+          cpb = m_clipb;
+          
+          bi = (3 * a);
+          cpa[0] = m_tvx[bi];
+          cpa[1] = m_tvx[bi + 1];
+          cpa[2] = m_tvx[bi + 2];
+          cpa[3] = (e >> 10);
+          
+          bi = (3 * b);
+          cpa[4] = m_tvx[bi];
+          cpa[5] = m_tvx[bi + 1];
+          cpa[6] = m_tvx[bi + 2];
+          cpa[7] = (e >> 5) & 0x1f;
+          
+          bi = (3 * c);
+          cpa[8] = m_tvx[bi];
+          cpa[9] = m_tvx[bi + 1];
+          cpa[10] = m_tvx[bi + 2];
+          cpa[11] = e & 0x1f;
+          
+          n = 3;
+          cc = m_pcode[a] | m_pcode[b] | m_pcode[c];
+          for(j = 0; (j < CLIP_PLANES) && (n >= 3); j++) {
+            if ((cc & (1 << j)) !== 0) {
+              n = clipPolygon(cpa, n, cpb, j);
+              p = cpa;
+              cpa = cpb;
+              cpb = p;
+            }
+          }
+          
+          // If anything is left, project the vertices of the clipped
+          // polygon into screen space, keeping their camera Z
+          // coordinates, and draw it
+          if (n >= 3) {
+            p = new Array(3);
+            for(j = 0; j < n; j++) {
+              p[0] = cpa[j * 4];
+              p[1] = cpa[(j * 4) + 1];
+              p[2] = cpa[(j * 4) + 2];
+              
+              mtxProj.process(p);
+              
+              cpa[j * 4] = p[0];
+              cpa[(j * 4) + 1] = p[1];
+            }
+            
+            if (zb !== null) {
+              rasterClipped(zb, cpa, n, d, sf, ss, fg);
+            } else {
+              drawClipped(rc, cpa, n, d, sf, ss, fg);
+            }
+          }
+        }
+      
+      } else if (t === SCENE_LINE) {
+        // Line -- get Z coordinates first
+        z1 = m_tvx[(3 * a) + 2];
+        z2 = m_tvx[(3 * b) + 2];
+        
+        // Check whether both vertices are inside the view frustum
+        if ((m_pcode[a] | m_pcode[b]) === 0) {
+          // No clipping is needed, so get the coordinates from the
+          // projected vertices
+          x1 = m_pvx[(3 * a)];
+          x2 = m_pvx[(3 * b)];
+          
+          y1 = m_pvx[(3 * a) + 1];
+          y2 = m_pvx[(3 * b) + 1];
+          
+        } else {
+          // At least one vertex is outside a plane of the view
+          // frustum; begin by getting camera X and Y coordinates
+          x1 = m_tvx[(3 * a)];
+          x2 = m_tvx[(3 * b)];
+          
+          y1 = m_tvx[(3 * a) + 1];
+          y2 = m_tvx[(3 * b) + 1];
+          
+          // Narrow the range [t1, t2] of the line that is rendered by
+          // each plane that either vertex is outside, moving the end
+          // of the range that is outside the plane to where the line
+          // crosses the plane
+          t1 = 0.0;
+          t2 = 1.0;
+          cc = m_pcode[a] | m_pcode[b];
+          for(j = 0; j < CLIP_PLANES; j++) {
+            if ((cc & (1 << j)) !== 0) {
+              bi = j * 4;
+              v1 = (m_frustum[bi] * x1) + (m_frustum[bi + 1] * y1) +
+                    (m_frustum[bi + 2] * z1) + m_frustum[bi + 3];
+              v2 = (m_frustum[bi] * x2) + (m_frustum[bi + 1] * y2) +
+                    (m_frustum[bi + 2] * z2) + m_frustum[bi + 3];
+              if (v1 < 0.0) {
+                t1 = Math.max(t1, v1 / (v1 - v2));
+              } else if (v2 < 0.0) {
+                t2 = Math.min(t2, v1 / (v1 - v2));
+              }
+            }
+          }
+          
+          // If nothing is left, which happens when the line passes
+          // outside a corner of the view frustum, skip the line
+          if (!(t1 <= t2)) {
+            continue;
+          }
+          
+          // Recompute the endpoints of the line so that the clipped
+          // line lies within the view frustum
+          e1x = x1 + ((x2 - x1) * t1);
+          e1y = y1 + ((y2 - y1) * t1);
+          e1z = z1 + ((z2 - z1) * t1);
+          
+          e2x = x1 + ((x2 - x1) * t2);
+          e2y = y1 + ((y2 - y1) * t2);
+          e2z = z1 + ((z2 - z1) * t2);
+          
+          // Project the new endpoints so they are in screen space
+          p = new Array(3);
+          
+          p[0] = e1x;
+          p[1] = e1y;
+          p[2] = e1z;
+          
+          mtxProj.process(p);
+          
+          x1 = p[0];
+          y1 = p[1];
+          
+          p[0] = e2x;
+          p[1] = e2y;
+          p[2] = e2z;
+          
+          mtxProj.process(p);
+          
+          x2 = p[0];
+          y2 = p[1];
+          
+          // Keep the Z coordinates of the new endpoints for the depth
+          // buffer
+          z1 = e1z;
+          z2 = e2z;
+        }
+        
+        // Draw the line
+        if (zb !== null) {
+          rasterLine(zb, x1, y1, z1, x2, y2, z2, e, ss, fg);
+        } else {
+          drawLine(rc, x1, y1, x2, y2, e, ss, fg);
+        }
+        
+      } else if (t === SCENE_SPHERE) {
+        // Sphere -- begin by getting the radius in world/camera space
+        // and the Z coordinate of origin in camera space
+        bi = a * 3;
+        r  = m_rad[b];
+        z  = m_tvx[bi + 2];
+        
+        // Project the radius and scale so that it is in projected
+        // screen space, which in orthographic mode doesn't depend on
+        // the distance
+        if (ortho) {
+          r = r * rad_mul;
+        } else {
+          r = (r / (proj_d - z)) * rad_mul;
+        }
+        
+        // Get projected X and Y
+        x = m_pvx[bi];
+        y = m_pvx[bi + 1];
+        
+        // Only proceed if projected radius is finite and greater than
+        // zero
+        if (isFinite(r) && (r > 0.0)) {
+          
+          // Draw the sphere
+          if (zb !== null) {
+            rasterSphere(zb, x, y, r, z, m_rad[b], d, e, ss, lv, fg);
+          } else {
+            drawSphere(rc, x, y, r, d, e, ss, lv, fg);
+          }
+        }
+      
+      } else {
+        // Point -- draw to screen
+        bi = a * 3;
+        if (zb !== null) {
+          rasterPoint(zb, m_pvx[bi], m_pvx[bi + 1], m_tvx[bi + 2],
+                      e, ss, fg);
+        } else {
+          drawPoint(rc, m_pvx[bi], m_pvx[bi + 1], e, ss, fg);
+        }
+      }
+    }
+    
+    // In exact mode, copy the finished image to the rendering context
+    if (zb !== null) {
+      rc.putImageData(zb.img, 0, 0);
+    }
+    
+    return true;
+  }
+  
+  /*
+   * Public functions
+   * ================
+   */
+  
+  /*
+   * Render the current scene using a 2D canvas rendering context.
+   * 
+   * The rendering context does not have to be a browser canvas context.
+   * Any object that has the drawing methods and properties listed for
+   * isContext() is accepted, such as an SvgContext or a 2D context from
+   * a Node.js canvas library.
+   * 
+   * Both width and height must be at least two.
+   * 
+   * The optional stroke scale multiplies the line widths of all line
+   * styles and the sizes and outline widths of all point styles.  This
+   * allows a render at a higher resolution to keep lines and points at
+   * the same size relative to the rest of the image.  If not given, it
+   * defaults to 1.0, which draws lines and points at exactly the pixel
+   * sizes given in the scene file.
+   * 
+   * The rendering mode chooses between the painter's algorithm and
+   * exact rendering with a depth buffer; see the documentation of
+   * m_mode.  Exact rendering also uses the createImageData() and
+   * putImageData() methods of the rendering context, and contexts that
+   * don't have them are drawn with the painter's algorithm instead.
+   * 
+   * A coarse render is much faster for large scenes, which makes it
+   * suitable while the camera is moving.  In scenes with very many
+   * objects, it only draws the largest of them, leaving out the small
+   * details, and it always uses the painter's algorithm.
+   * 
+   * Parameters:
+   * 
+   *   rc : object - the 2D rendering context
+   * 
+   *   w : integer - the width in pixels of the canvas
+   * 
+   *   h : integer - the height in pixels of the canvas
+   * 
+   *   ss : number - the stroke scale, greater than zero (optional)
+   * 
+   *   coarse : boolean - true for a coarse render (optional)
+   */
+  function renderScene(rc, w, h, ss, coarse) {
+    
+    var func_name = "renderScene";
+    var rd;
+    
+    // Check parameters and convert to integers
+    if ((typeof rc !== "object") ||
+        (typeof w !== "number") ||
+        (typeof h !== "number")) {
+      fault(func_name, 100);
+    }
+    
+    if (!isContext(rc)) {
+      fault(func_name, 101);
+    }
+    
+    w = Math.floor(w);
+    h = Math.floor(h);
+    
+    if ((!isFinite(w)) || (!isFinite(h))) {
+      fault(func_name, 102);
+    }
+    
+    if ((w < 2) || (h < 2)) {
+      fault(func_name, 103);
+    }
+    
+    if (ss === undefined) {
+      ss = 1.0;
+    }
+    
+    if ((typeof ss !== "number") || (!isFinite(ss)) || (!(ss > 0.0))) {
+      fault(func_name, 104);
+    }
+    
+    if (coarse === undefined) {
+      coarse = false;
+    }
+    
+    if (typeof coarse !== "boolean") {
+      fault(func_name, 105);
+    }
+    
+    // Render the scene and draw all of its objects
+    rd = renderBegin(rc, w, h, ss, coarse);
+    renderPaint(rd, 0);
+  }
+  
+  /*
+   * Begin a progressive render of the current scene using a 2D canvas
+   * rendering context.
+   * 
+   * This renders the same image as renderScene() does without the
+   * coarse option, but it only clears the rendering context and works
+   * out the order of the scene objects.  continueRender() then draws the
+   * scene objects a part at a time, so that a large scene can be drawn
+   * over several animation frames without holding up input until the
+   * whole scene is drawn.  The rendering context shows the partly drawn
+   * image in the meantime, so it is usually an offscreen canvas that is
+   * copied to the visible canvas once the render is finished.
+   * 
+   * Only one progressive render is in progress at a time, and beginning
+   * another replaces it.  Any other render, loading a scene, and turning
+   * the BSP tree on or off cancel it, since they overwrite the buffers
+   * it draws from.  Other changes, such as moving the camera, don't
+   * cancel it, and may or may not show in the rest of the render, so a
+   * new render should begin after them.
+   * 
+   * Parameters:
+   * 
+   *   rc : object - the 2D rendering context
+   * 
+   *   w : integer - the width in pixels of the canvas
+   * 
+   *   h : integer - the height in pixels of the canvas
+   * 
+   *   ss : number - the stroke scale, greater than zero (optional)
+   */
+  function beginRender(rc, w, h, ss) {
+    
+    var func_name = "beginRender";
+    
+    // Check parameters and convert to integers
+    if ((typeof rc !== "object") ||
+        (typeof w !== "number") ||
+        (typeof h !== "number")) {
+      fault(func_name, 100);
+    }
+    
+    if (!isContext(rc)) {
+      fault(func_name, 101);
+    }
+    
+    w = Math.floor(w);
+    h = Math.floor(h);
+    
+    if ((!isFinite(w)) || (!isFinite(h))) {
+      fault(func_name, 102);
+    }
+    
+    if ((w < 2) || (h < 2)) {
+      fault(func_name, 103);
+    }
+    
+    if (ss === undefined) {
+      ss = 1.0;
+    }
+    
+    if ((typeof ss !== "number") || (!isFinite(ss)) || (!(ss > 0.0))) {
+      fault(func_name, 104);
+    }
+    
+    // Begin the render and keep it in progress
+    m_progress = renderBegin(rc, w, h, ss, false);
+  }
+  
+  /*
+   * Carry on drawing the progressive render from beginRender().
+   * 
+   * Scene objects are drawn until all of them are drawn or the given
+   * number of milliseconds has passed.  The time is only checked after
+   * every few dozen objects, so drawing may run a little over.  When the
+   * last object is drawn, the render is finished and is no longer in
+   * progress.
+   * 
+   * If no progressive render is in progress, because the last one
+   * already finished or was cancelled, nothing is drawn.  isRendering()
+   * tells whether a progressive render is in progress.
+   * 
+   * Parameters:
+   * 
+   *   ms : number - the time to draw for in milliseconds, greater than
+   *   zero
+   * 
+   * Return:
+   * 
+   *   boolean - true if this call finished the render, false if objects
+   *   are left to draw or no render is in progress
+   */
+  function continueRender(ms) {
+    
+    var func_name = "continueRender";
+    
+    // Check parameter
+    if ((typeof ms !== "number") || (!isFinite(ms)) || (!(ms > 0.0))) {
+      fault(func_name, 100);
+    }
+    
+    // Nothing to do if no render is in progress
+    if (m_progress === null) {
+      return false;
+    }
+    
+    // Draw until the time has passed, and stop the render if it finished
+    if (renderPaint(m_progress, Date.now() + ms)) {
+      m_progress = null;
+      return true;
+    }
+    
+    return false;
+  }
+  
+  /*
+   * Check whether a progressive render is in progress.
+   * 
+   * See beginRender() and continueRender() for further information.
+   * 
+   * Return:
+   * 
+   *   boolean - true if a progressive render is in progress
+   */
+  function isRendering() {
+    
+    return (m_progress !== null);
+  }
+  
+  /*
+   * Render the current scene as an SVG document.
+   * 
+   * This renders exactly as renderScene() would on a canvas of the same
+   * size, with the same culling, clipping, and drawing order, but each
+   * filled or stroked shape becomes an SVG element.  The background
+   * color fills the whole document first.  SVG documents are always
+   * drawn with the painter's algorithm, whatever the rendering mode.
+   * 
+   * Parameters:
+   * 
+   *   w : integer - the width in pixels of the document
+   * 
+   *   h : integer - the height in pixels of the document
+   * 
+   *   ss : number - the stroke scale, greater than zero (optional)
+   * 
+   * Return:
+   * 
+   *   string - the SVG document
+   */
+  function exportSVG(w, h, ss) {
+    
+    var func_name = "exportSVG";
+    var rc;
+    
+    // Check parameters
+    if ((typeof w !== "number") || (typeof h !== "number")) {
+      fault(func_name, 100);
+    }
+    
+    w = Math.floor(w);
+    h = Math.floor(h);
+    
+    if ((!isFinite(w)) || (!isFinite(h)) || (w < 2) || (h < 2)) {
+      fault(func_name, 101);
+    }
+    
+    // Render into an SVG context and return the document
+    rc = new SvgContext(w, h);
+    renderScene(rc, w, h, ss);
+    return rc.getDocument();
+  }
+  
+  /*
+   * Get the current rendering mode.
+   * 
+   * This is either "painter" or "exact".  See the documentation of
+   * m_mode for further information.
+   * 
+   * Return:
+   * 
+   *   string - the rendering mode
+   */
+  function getRenderMode() {
+    
+    return m_mode;
+  }
+  
+  /*
+   * Set the rendering mode.
+   * 
+   * See the documentation of m_mode for further information.
+   * 
+   * Parameters:
+   * 
+   *   mode : string - the rendering mode, "painter" or "exact"
+   */
+  function setRenderMode(mode) {
+    
+    var func_name = "setRenderMode";
+    
+    // Check parameter
+    if (typeof mode !== "string") {
+      fault(func_name, 100);
+    }
+    
+    if (RENDER_MODES.indexOf(mode) < 0) {
+      fault(func_name, 110);
+    }
+    
+    // Update mode
+    m_mode = mode;
+  }
+  
+  /*
+   * Check whether BSP tree ordering is enabled.
+   * 
+   * Return:
+   * 
+   *   true if BSP tree ordering is enabled, false if not
+   */
+  function getBSP() {
+    
+    return m_bspon;
+  }
+  
+  /*
+   * Enable or disable BSP tree ordering.
+   * 
+   * When enabled, a BSP tree is built for each scene as it is loaded,
+   * and for the current scene right away, and renderScene() draws the
+   * scene objects in the order of the tree rather than sorting them by
+   * their centroids.  This draws intersecting and overlapping triangles
+   * in the right order, at the cost of the time to build the tree and
+   * of the extra objects made by splitting.  See the documentation of
+   * m_bsp and bspBuild() for further information.  Use hasBSPTree() to
+   * check whether a tree could be built for the current scene.
+   * 
+   * Parameters:
+   * 
+   *   on : boolean - true to enable BSP tree ordering, false to disable
+   *   it
+   */
+  function setBSP(on) {
+    
+    var func_name = "setBSP";
+    
+    // Check parameter
+    if (typeof on !== "boolean") {
+      fault(func_name, 100);
+    }
+    
+    // Update flag, and build or drop the tree of the current scene
+    m_bspon = on;
+    if (m_loaded) {
+      if (!on) {
+        m_bsp = null;
+        allocRender();
+      } else if (m_bsp === null) {
+        m_bsp = bspBuild();
+        allocRender();
+      }
+    }
+  }
+  
+  /*
+   * Check whether the current scene is drawn in the order of a BSP tree.
+   * 
+   * This is only the case if BSP tree ordering is enabled, a scene is
+   * loaded, and the scene has triangles but is not too large for a tree.
+   * 
+   * Return:
+   * 
+   *   true if the current scene has a BSP tree, false if not
+   */
+  function hasBSPTree() {
+    
+    return (m_bsp !== null);
+  }
+  
+  /*
+   * Retrieve error information about the last failed invocation of the
+   * loadScene() function.
+   * 
+   * If the last invocation of loadScene() didn't fail, or it has never
+   * been called, then this function returns the string "No error".
+   * Otherwise, it returns an error message string.  The error message
+   * string begins with a capital letter but has no punctuation or line
+   * break at the end.
+   * 
+   * Return:
+   * 
+   *   string - the error message from the last failed loadScene()
+   *   operation, or "No error"
+   */
+  function loadError() {
+    
+    if (m_errmsg === false) {
+      return "No error";
+    } else {
+      return m_errmsg;
+    }
+  }
+  
+  /*
+   * Get the current background color.
+   * 
+   * This returns an array of three values R G B each in range [0, 255].
+   * 
+   * Return:
+   * 
+   *   a new array copy of the current background color
+   */
+  function getBGColor() {
+    
+    var result = [];
+    
+    result.push(m_bgcolor[0]);
+    result.push(m_bgcolor[1]);
+    result.push(m_bgcolor[2]);
+    
+    return result;
+  }
+  
+  /*
+   * Set the background color.
+   * 
+   * The given values are integer R G B color channel values, each of
+   * which must be in range [0, 255].
+   * 
+   * Parameters:
+   * 
+   *   r : integer - the red channel
+   * 
+   *   g : integer - the green channel
+   * 
+   *   b : integer - the blue channel
+   */
+  function setBGColor(r, g, b) {
+    
+    var func_name = "setBGColor";
+    
+    // Check parameters and convert to integer
+    if ((typeof r !== "number") ||
+        (typeof g !== "number") ||
+        (typeof b !== "number")) {
+      fault(func_name, 100);
+    }
+    
+    r = Math.floor(r);
+    g = Math.floor(g);
+    b = Math.floor(b);
+    
+    if ((!isFinite(r)) ||
+        (!isFinite(g)) ||
+        (!isFinite(b))) {
+      fault(func_name, 110);
+    }
+    
+    if (!((r >= 0) && (r <= 255))) {
+      fault(func_name, 120);
+    }
+    if (!((g >= 0) && (g <= 255))) {
+      fault(func_name, 121);
+    }
+    if (!((b >= 0) && (b <= 255))) {
+      fault(func_name, 122);
+    }
+    
+    // Update projection
+    m_bgcolor[0] = r;
+    m_bgcolor[1] = g;
+    m_bgcolor[2] = b;
+  }
+  
+  /*
+   * Get the current projection.
+   * 
+   * This returns an array of four values [fov, near, far, height] where
+   * fov is the normalized field-of-view angle, near is the near plane Z,
+   * far is the far plane Z, and height is the view height of the
+   * orthographic projection, or zero for perspective projection.  See
+   * the documentation of m_proj for further information. 
+   * 
+   * Return:
+   * 
+   *   a new array copy of the current projection
+   */
+  function getProjection() {
+    
+    var result = [];
+    
+    result.push(m_proj[0]);
+    result.push(m_proj[1]);
+    result.push(m_proj[2]);
+    result.push(m_proj[3]);
+    
+    return result;
+  }
+  
+  /*
+   * Set the projection.
+   * 
+   * fov is the normalized field-of-view angle.  near and far are the Z
+   * locations of the near and far planes.  height is the view height in
+   * world units for orthographic projection, or zero for perspective
+   * projection, which is also used if height is not given.  The field
+   * of view must be valid even in orthographic mode, but the near plane
+   * limit only applies to perspective projection.  See the
+   * documentation of m_proj for further information.
+   * 
+   * Parameters:
+   * 
+   *   fov : number - the field of view
+   * 
+   *   near : number - the near plane Z
+   * 
+   *   far : number - the far plane Z
+   * 
+   *   height : number - the orthographic view height (optional)
+   */
+  function setProjection(fov, near, far, height) {
+    
+    var func_name = "setProjection";
+    
+    // Check parameters
+    if (height === undefined) {
+      height = 0.0;
+    }
+    
+    if ((typeof fov !== "number") ||
+        (typeof near !== "number") ||
+        (typeof far !== "number") ||
+        (typeof height !== "number")) {
+      fault(func_name, 100);
+    }
+    
+    if ((!isFinite(fov)) ||
+        (!isFinite(near)) ||
+        (!isFinite(far)) ||
+        (!isFinite(height))) {
+      fault(func_name, 110);
+    }
+    
+    if (!((fov > 0.0) && (fov < 1.0))) {
+      fault(func_name, 120);
+    }
+    if (!(height >= 0.0)) {
+      fault(func_name, 125);
+    }
+    if ((!(height > 0.0)) && (!(near < 1 / Math.tan(fov * Math.PI / 2)))) {
+      fault(func_name, 130);
+    }
+    if (!(far < near)) {
+      fault(func_name, 140);
+    }
+    
+    // Update projection
+    m_proj[0] = fov;
+    m_proj[1] = near;
+    m_proj[2] = far;
+    m_proj[3] = height;
+  }
+  
+  /*
+   * Move the camera so that the whole scene fits in the view.
+   * 
+   * The bounding sphere of the scene is centered on the bounding box of
+   * the vertices of all scene objects, including the full extent of
+   * spheres, and reaches out to the farthest of them.  The camera keeps
+   * its direction and moves along it until the bounding sphere, enlarged
+   * by FRAME_MARGIN, fits inside the field of view both vertically and
+   * horizontally, for an image of the given width and height.  In
+   * orthographic mode, the view height is changed to fit the sphere
+   * instead, and the camera is placed at the edge of the sphere nearest
+   * to it.  A scene without any extent is framed as if its bounding
+   * sphere had a radius of one.
+   * 
+   * The near and far planes are not changed, so it is usually a good
+   * idea to call fitPlanes() afterwards.
+   * 
+   * Parameters:
+   * 
+   *   w : integer - the width of the image in pixels
+   * 
+   *   h : integer - the height of the image in pixels
+   * 
+   * Return:
+   * 
+   *   a new array holding the (X, Y, Z) center and the radius of the
+   *   bounding sphere, or null if no scene is loaded
+   */
+  function frameScene(w, h) {
+    
+    var func_name = "frameScene";
+    var n, i, j, k, v, r, p, lo, hi, c, rad, result;
+    var m, o, f, aspect, a, d, dist;
+    
+    // Check parameters
+    if ((typeof w !== "number") ||
+        (typeof h !== "number")) {
+      fault(func_name, 100);
+    }
+    
+    w = Math.floor(w);
+    h = Math.floor(h);
+    
+    if ((!isFinite(w)) || (!isFinite(h))) {
+      fault(func_name, 101);
+    }
+    
+    if ((w < 2) || (h < 2)) {
+      fault(func_name, 102);
+    }
+    
+    // Nothing to frame unless a scene is loaded
+    if (!m_loaded) {
+      return null;
+    }
+    
+    // Get the bounding box of the scene objects
+    lo = [Infinity, Infinity, Infinity];
+    hi = [-Infinity, -Infinity, -Infinity];
+    n = m_scene.length / SCENE_STRIDE;
+    for(i = 0; i < n; i++) {
+      v = objectVertices(i);
+      r = v[v.length - 1];
+      for(j = 0; j < v.length - 1; j++) {
+        p = v[j] * 3;
+        for(k = 0; k < 3; k++) {
+          lo[k] = Math.min(lo[k], m_vtx[p + k] - r);
+          hi[k] = Math.max(hi[k], m_vtx[p + k] + r);
+        }
+      }
+    }
+    
+    // Center the bounding sphere on the box and find the radius that
+    // reaches the farthest point
+    c = [(lo[0] + hi[0]) / 2, (lo[1] + hi[1]) / 2, (lo[2] + hi[2]) / 2];
+    rad = 0.0;
+    for(i = 0; i < n; i++) {
+      v = objectVertices(i);
+      r = v[v.length - 1];
+      for(j = 0; j < v.length - 1; j++) {
+        p = v[j] * 3;
+        rad = Math.max(rad, Math.sqrt(
+                ((m_vtx[p    ] - c[0]) * (m_vtx[p    ] - c[0])) +
+                ((m_vtx[p + 1] - c[1]) * (m_vtx[p + 1] - c[1])) +
+                ((m_vtx[p + 2] - c[2]) * (m_vtx[p + 2] - c[2]))) + r);
+      }
+    }
+    result = [c[0], c[1], c[2], rad];
+    
+    // Enlarge the sphere by the margin, giving a sphere without extent
+    // a radius of one
+    if (!(rad > 0.0)) {
+      rad = 1.0;
+    }
+    rad = rad * FRAME_MARGIN;
+    
+    // Get the forward direction of the camera in world space
+    m = cameraMatrix();
+    
+    o = [0, 0, 0];
+    m.process(o);
+    
+    f = [0, 0, -1];
+    m.process(f);
+    f = [f[0] - o[0], f[1] - o[1], f[2] - o[2]];
+    
+    aspect = w / h;
+    
+    if (m_proj[3] > 0.0) {
+      // Orthographic views just need to be large enough, with the
+      // camera in front of the sphere
+      m_proj[3] = 2 * rad * Math.max(1.0, 1.0 / aspect);
+      dist = rad;
+      
+    } else {
+      // The sphere fits when the projection point is far enough away
+      // that the sphere stays within the narrower of the vertical and
+      // horizontal half angles; the camera is in front of the
+      // projection point by the projection distance
+      a = m_proj[0] * Math.PI / 2;
+      d = 1 / Math.tan(a);
+      a = Math.min(a, Math.atan(aspect * Math.tan(a)));
+      dist = (rad / Math.sin(a)) - d;
+    }
+    
+    // Move the camera back from the center
+    m_cam[0] = c[0] - (f[0] * dist);
+    m_cam[1] = c[1] - (f[1] * dist);
+    m_cam[2] = c[2] - (f[2] * dist);
+    
+    return result;
+  }
+  
+  /*
+   * Move the near and far planes as close together as possible while
+   * keeping every visible scene object unclipped.
+   * 
+   * A scene object is visible unless it lies entirely beyond one of the
+   * sides of the view for an image of the given width and height, or,
+   * in perspective mode, entirely behind the projection point.  The near
+   * plane is placed in front of the nearest point of the visible
+   * objects and the far plane behind the farthest point, each leaving a
+   * gap of FIT_MARGIN times the depth between those points.  In
+   * perspective mode, the near plane must stay in front of the
+   * projection point, so objects that reach behind it are still
+   * clipped.
+   * 
+   * Nothing changes if no scene is loaded or no object is visible.
+   * 
+   * Parameters:
+   * 
+   *   w : integer - the width of the image in pixels
+   * 
+   *   h : integer - the height of the image in pixels
+   * 
+   * Return:
+   * 
+   *   true if the planes were moved, false if not
+   */
+  function fitPlanes(w, h) {
+    
+    var func_name = "fitPlanes";
+    var mtx, tvx, n, i, j, v, r, p, x, y, z, t, out;
+    var ortho, d, kx, ky, ex, ey, sx, sy, zn, zf, pad, near, far;
+    
+    // Check parameters
+    if ((typeof w !== "number") ||
+        (typeof h !== "number")) {
+      fault(func_name, 100);
+    }
+    
+    w = Math.floor(w);
+    h = Math.floor(h);
+    
+    if ((!isFinite(w)) || (!isFinite(h))) {
+      fault(func_name, 101);
+    }
+    
+    if ((w < 2) || (h < 2)) {
+      fault(func_name, 102);
+    }
+    
+    // Nothing to fit unless a scene is loaded
+    if (!m_loaded) {
+      return false;
+    }
+    
+    // Transform all vertices into camera space
+    mtx = viewMatrix();
+    tvx = new Float64Array(m_vtx.length);
+    p = new Array(3);
+    for(i = 0; i < m_vtx.length; i = i + 3) {
+      p[0] = m_vtx[i    ];
+      p[1] = m_vtx[i + 1];
+      p[2] = m_vtx[i + 2];
+      
+      mtx.process(p);
+      
+      tvx[i    ] = p[0];
+      tvx[i + 1] = p[1];
+      tvx[i + 2] = p[2];
+    }
+    
+    // Get the half width and half height of the view, which in
+    // perspective mode are per unit of distance in front of the
+    // projection point, along with the factors that turn a radius into
+    // the offset along X or Y that clears the slanted side planes
+    ortho = (m_proj[3] > 0.0);
+    if (ortho) {
+      d = 0.0;
+      ky = m_proj[3] / 2;
+      kx = ky * (w / h);
+      ex = 1.0;
+      ey = 1.0;
+    } else {
+      d = 1 / Math.tan(m_proj[0] * Math.PI / 2);
+      ky = 1 / d;
+      kx = ky * (w / h);
+      ex = Math.sqrt(1 + (kx * kx));
+      ey = Math.sqrt(1 + (ky * ky));
+    }
+    
+    // Find the Z range of the visible objects; out holds a flag for
+    // each of the right, left, top, and bottom sides and for the
+    // projection point that is cleared when any vertex of the object
+    // isn't beyond it
+    zn = -Infinity;
+    zf = Infinity;
+    n = m_scene.length / SCENE_STRIDE;
+    for(i = 0; i < n; i++) {
+      v = objectVertices(i);
+      r = v[v.length - 1];
+      
+      out = [true, true, true, true, true];
+      for(j = 0; j < v.length - 1; j++) {
+        p = v[j] * 3;
+        x = tvx[p    ];
+        y = tvx[p + 1];
+        z = tvx[p + 2];
+        
+        if (ortho) {
+          sx = kx;
+          sy = ky;
+        } else {
+          t = d - z;
+          sx = kx * t;
+          sy = ky * t;
+        }
+        
+        if (!(x - sx > r * ex)) {
+          out[0] = false;
+        }
+        if (!(-x - sx > r * ex)) {
+          out[1] = false;
+        }
+        if (!(y - sy > r * ey)) {
+          out[2] = false;
+        }
+        if (!(-y - sy > r * ey)) {
+          out[3] = false;
+        }
+        if (ortho || (!(z - r >= d))) {
+          out[4] = false;
+        }
+      }
+      
+      if (out[0] || out[1] || out[2] || out[3] || out[4]) {
+        continue;
+      }
+      
+      for(j = 0; j < v.length - 1; j++) {
+        z = tvx[(v[j] * 3) + 2];
+        zn = Math.max(zn, z + r);
+        zf = Math.min(zf, z - r);
+      }
+    }
+    
+    // Leave everything unchanged if nothing is visible
+    if (!(zf <= zn)) {
+      return false;
+    }
+    
+    // Add the margins, which must not vanish even for a flat scene
+    pad = Math.max((zn - zf) * FIT_MARGIN,
+            1e-6 * Math.max(1.0, Math.abs(zn), Math.abs(zf)));
+    near = zn + pad;
+    far = zf - pad;
+    
+    // Keep the near plane in front of the projection point
+    if (!ortho) {
+      near = Math.min(near, d * (1 - FIT_MARGIN));
+      far = Math.min(far, near - pad);
+    }
+    
+    // Update projection
+    m_proj[1] = near;
+    m_proj[2] = far;
+    
+    return true;
+  }
+  
+  /*
+   * Get the current light.
+   * 
+   * This returns an array of four values [yaw, pitch, intensity,
+   * ambient] where yaw and pitch are the normalized angles of the
+   * direction the light shines in, intensity is the intensity of the
+   * directional light, and ambient is the intensity of the ambient
+   * light.  See the documentation of m_light for further information.
+   * 
+   * Return:
+   * 
+   *   a new array copy of the current light
+   */
+  function getLight() {
+    
+    return m_light.slice(0);
+  }
+  
+  /*
+   * Set the light.
+   * 
+   * This does not enable lighting; use setLighting() for that.  See the
+   * documentation of m_light for further information.
+   * 
+   * Parameters:
+   * 
+   *   yaw : number - the normalized yaw angle of the light direction
+   * 
+   *   pitch : number - the normalized pitch angle of the light direction
+   * 
+   *   intensity : number - the directional light intensity
+   * 
+   *   ambient : number - the ambient light intensity
+   */
+  function setLight(yaw, pitch, intensity, ambient) {
+    
+    var func_name = "setLight";
+    
+    // Check parameters
+    if ((typeof yaw !== "number") ||
+        (typeof pitch !== "number") ||
+        (typeof intensity !== "number") ||
+        (typeof ambient !== "number")) {
+      fault(func_name, 100);
+    }
+    
+    if ((!isFinite(yaw)) ||
+        (!isFinite(pitch)) ||
+        (!isFinite(intensity)) ||
+        (!isFinite(ambient))) {
+      fault(func_name, 110);
+    }
+    
+    if (!((yaw >= 0.0) && (yaw < 1.0))) {
+      fault(func_name, 120);
+    }
+    if (!((pitch >= -1.0) && (pitch <= 1.0))) {
+      fault(func_name, 121);
+    }
+    if (!((intensity >= 0.0) && (intensity <= 1.0))) {
+      fault(func_name, 130);
+    }
+    if (!((ambient >= 0.0) && (ambient <= 1.0))) {
+      fault(func_name, 131);
+    }
+    
+    // Update light
+    m_light[0] = yaw;
+    m_light[1] = pitch;
+    m_light[2] = intensity;
+    m_light[3] = ambient;
+  }
+  
+  /*
+   * Check whether lighting is enabled.
+   * 
+   * Return:
+   * 
+   *   true if lighting is enabled, false if not
+   */
+  function getLighting() {
+    
+    return m_lit;
+  }
+  
+  /*
+   * Enable or disable lighting.
+   * 
+   * See the documentation of m_lit for further information.
+   * 
+   * Parameters:
+   * 
+   *   lit : boolean - true to enable lighting, false to disable it
+   */
+  function setLighting(lit) {
+    
+    var func_name = "setLighting";
+    
+    // Check parameter
+    if (typeof lit !== "boolean") {
+      fault(func_name, 100);
+    }
+    
+    // Update flag
+    m_lit = lit;
+  }
+  
+  /*
+   * Get the current depth fog.
+   * 
+   * This returns an array of three values [mode, start, end] where mode
+   * is one of "none", "linear", "exp", or "exp2", and start and end are
+   * fractions of the distance from the near plane to the far plane.  See
+   * the documentation of m_fog for further information.
+   * 
+   * Return:
+   * 
+   *   a new array copy of the current fog
+   */
+  function getFog() {
+    
+    return m_fog.slice(0);
+  }
+  
+  /*
+   * Set the depth fog.
+   * 
+   * See the documentation of m_fog for further information.
+   * 
+   * Parameters:
+   * 
+   *   mode : string - the fog mode, "none", "linear", "exp", or "exp2"
+   * 
+   *   start : number - where the fog starts
+   * 
+   *   end : number - where the fog is complete
+   */
+  function setFog(mode, start, end) {
+    
+    var func_name = "setFog";
+    
+    // Check parameters
+    if ((typeof mode !== "string") ||
+        (typeof start !== "number") ||
+        (typeof end !== "number")) {
+      fault(func_name, 100);
+    }
+    
+    if (FOG_MODES.indexOf(mode) < 0) {
+      fault(func_name, 110);
+    }
+    
+    if (!((start >= 0.0) && (start <= 1.0))) {
+      fault(func_name, 120);
+    }
+    if (!((end >= 0.0) && (end <= 1.0))) {
+      fault(func_name, 121);
+    }
+    if (!(start < end)) {
+      fault(func_name, 130);
+    }
+    
+    // Update fog
+    m_fog[0] = mode;
+    m_fog[1] = start;
+    m_fog[2] = end;
+  }
+  
+  /*
+   * Get the current fog color.
+   * 
+   * Return:
+   * 
+   *   null if the fog has the background color, or else a new array of
+   *   three integers in range [0, 255] that represent the R G B color
+   *   channels
+   */
+  function getFogColor() {
+    
+    return (m_fogcolor !== null) ? m_fogcolor.slice(0) : null;
+  }
+  
+  /*
+   * Set the fog color.
+   * 
+   * The color may be null to make the fog follow the background color,
+   * or an array of three R G B channels.  Channel values are floored to
+   * integers.
+   * 
+   * Parameters:
+   * 
+   *   rgb : Array | null - the fog color
+   */
+  function setFogColor(rgb) {
+    
+    var func_name = "setFogColor";
+    var c, i;
+    
+    // Null selects the background color
+    if (rgb === null) {
+      m_fogcolor = null;
+      return;
+    }
+    
+    // Check parameter and convert to integers
+    if ((!(rgb instanceof Array)) || (rgb.length !== 3)) {
+      fault(func_name, 100);
+    }
+    
+    c = [];
+    for(i = 0; i < 3; i++) {
+      if (typeof rgb[i] !== "number") {
+        fault(func_name, 110);
+      }
+      c.push(Math.floor(rgb[i]));
+      if (!((c[i] >= 0) && (c[i] <= 255))) {
+        fault(func_name, 120);
+      }
+    }
+    
+    // Update fog color
+    m_fogcolor = c;
+  }
+  
+  /*
+   * Get the current camera position.
+   * 
+   * This returns an array of six values [x, y, z, yaw, pitch, roll]
+   * where (X, Y, Z) are the camera position in worldspace, yaw and roll
+   * are normalized angles in range [0.0, 1.0), and pitch is a
+   * normalized angle in range [-1.0, 1.0].  See the documentation of
+   * m_cam for further information.
+   * 
+   * Return:
+   * 
+   *   a new array copy of the current camera position
+   */
+  function getCamera() {
+    
+    var result = [];
+    
+    result.push(m_cam[0]);
+    result.push(m_cam[1]);
+    result.push(m_cam[2]);
+    result.push(m_cam[3]);
+    result.push(m_cam[4]);
+    result.push(m_cam[5]);
+    
+    return result;
+  }
+  
+  /*
+   * Set the camera position.
+   * 
+   * (X, Y, Z) are the coordinates of the camera in worldspace.  The
+   * coordinates can be any finite values.
+   * 
+   * yaw and roll are normalized angles in range [0.0, 1.0) (not
+   * including 1.0), while pitch is a normalized angle in the range
+   * [-1.0, 1.0].  See the documentation of m_cam for further
+   * information.
+   * 
+   * Parameters:
+   * 
+   *   x : number - the X coordinate
+   * 
+   *   y : number - the Y coordinate
+   * 
+   *   z : number - the Z coordinate
+   * 
+   *   yaw : number - the normalized yaw angle
+   * 
+   *   pitch : number - the normalized pitch angle
+   * 
+   *   roll : number - the normalized roll angle
+   */
+  function setCamera(x, y, z, yaw, pitch, roll) {
+    
+    var func_name = "setCamera";
+    
+    // Check parameters
+    if ((typeof x !== "number") ||
+        (typeof y !== "number") ||
+        (typeof z !== "number") ||
+        (typeof yaw !== "number") ||
+        (typeof pitch !== "number") ||
+        (typeof roll !== "number")) {
+      fault(func_name, 100);
+    }
+    
+    if ((!isFinite(x)) ||
+        (!isFinite(y)) ||
+        (!isFinite(z)) ||
+        (!isFinite(yaw)) ||
+        (!isFinite(pitch)) ||
+        (!isFinite(roll))) {
+      fault(func_name, 110);
+    }
+    
+    if ((!((yaw >= 0.0) && (yaw < 1.0))) ||
+        (!((pitch >= -1.0) && (pitch <= 1.0))) ||
+        (!((roll >= 0.0) && (roll < 1.0)))) {
+      fault(func_name, 120);
+    }
+    
+    // Update camera position
+    m_cam[0] = x;
+    m_cam[1] = y;
+    m_cam[2] = z;
+    m_cam[3] = yaw;
+    m_cam[4] = pitch;
+    m_cam[5] = roll;
+  }
+  
+  /*
+   * Export the current camera and projection for use in another
+   * renderer.
+   * 
+   * The w and h parameters give the pixel dimensions of the image the
+   * other renderer should produce, which determine the aspect ratio.
+   * Both must be at least two.
+   * 
+   * Delilah places the projection point one over the tangent of half
+   * the field of view behind the camera position, looking down the
+   * negative Z axis of camera space (see renderScene()).  All exports
+   * use this projection point as the camera location, so that the
+   * exported camera sees exactly the same view.  The near and far
+   * planes are converted into distances from the projection point.
+   * 
+   * In orthographic mode, the camera location is the camera position,
+   * or the near plane if that is behind the camera position, so that
+   * the near plane distance is never negative.  The exported camera is
+   * then an orthographic camera with the same view height.
+   * 
+   * The following formats are supported:
+   * 
+   *   "povray"  : a POV-Ray camera block, using explicit direction,
+   *               right, and up vectors in Delilah's right-handed
+   *               coordinates so that the scene does not need to be
+   *               mirrored
+   * 
+   *   "blender" : a Blender Python snippet that creates a camera
+   *               object, converting from Delilah's Y-up coordinates
+   *               to Blender's Z-up coordinates with (x, y, z) mapped
+   *               to (x, -z, y)
+   * 
+   *   "gltf"    : a glTF 2.0 document holding a single camera node;
+   *               glTF uses the same axes as Delilah
+   * 
+   *   "matrix"  : the eye, target, and up vectors and the 4x4 look-at
+   *               view matrix that transforms world space into the
+   *               space of the projection point, written in row-major
+   *               order for column vectors
+   * 
+   * Parameters:
+   * 
+   *   fmt : string - the export format
+   * 
+   *   w : integer - the width of the image in pixels
+   * 
+   *   h : integer - the height of the image in pixels
+   * 
+   * Return:
+   * 
+   *   the exported text
+   */
+  function exportCamera(fmt, w, h) {
+    
+    var func_name = "exportCamera";
+    var m, o, eye, rx, up, fw, bk, d, fov, ht, aspect, zn, zf, q;
+    var str, t, cam;
+    
+    // Check parameters
+    if ((typeof fmt !== "string") ||
+        (typeof w !== "number") ||
+        (typeof h !== "number")) {
+      fault(func_name, 100);
+    }
+    
+    w = Math.floor(w);
+    h = Math.floor(h);
+    
+    if ((!isFinite(w)) || (!isFinite(h))) {
+      fault(func_name, 101);
+    }
+    
+    if ((w < 2) || (h < 2)) {
+      fault(func_name, 102);
+    }
+    
+    // Compute the field of view in radians, the orthographic view
+    // height, the distance of the projection point behind the camera,
+    // and the aspect ratio
+    fov = m_proj[0] * Math.PI;
+    ht = m_proj[3];
+    if (ht > 0.0) {
+      d = Math.max(m_proj[1], 0.0);
+    } else {
+      d = 1 / Math.tan(fov / 2);
+    }
+    aspect = w / h;
+    
+    // Compute the distances from the projection point to the near and
+    // far planes
+    zn = d - m_proj[1];
+    zf = d - m_proj[2];
+    
+    // Get the camera-to-world matrix and transform the origin, the
+    // projection point, and the axis unit vectors into world space
+    m = cameraMatrix();
+    
+    o = [0, 0, 0];
+    m.process(o);
+    
+    eye = [0, 0, d];
+    m.process(eye);
+    
+    rx = [1, 0, 0];
+    m.process(rx);
+    rx = [rx[0] - o[0], rx[1] - o[1], rx[2] - o[2]];
+    
+    up = [0, 1, 0];
+    m.process(up);
+    up = [up[0] - o[0], up[1] - o[1], up[2] - o[2]];
+    
+    bk = [0, 0, 1];
+    m.process(bk);
+    bk = [bk[0] - o[0], bk[1] - o[1], bk[2] - o[2]];
+    
+    fw = [-(bk[0]), -(bk[1]), -(bk[2])];
+    
+    // Generate the requested format
+    if (fmt === "povray") {
+      // POV-Ray traces the ray direction + u * right + v * up with u
+      // and v in [-0.5, 0.5], so the direction length is half the
+      // projection distance; orthographic cameras instead trace
+      // parallel rays from the area spanned by the right and up vectors
+      if (ht > 0.0) {
+        cam = "  orthographic\n" +
+              "  location  <" + vecStr(eye, ", ") + ">\n" +
+              "  direction <" + vecStr(fw, ", ") + ">\n" +
+              "  right     <" + vecStr([
+                rx[0] * ht * aspect, rx[1] * ht * aspect,
+                rx[2] * ht * aspect], ", ") + ">\n" +
+              "  up        <" + vecStr([
+                up[0] * ht, up[1] * ht, up[2] * ht], ", ") + ">\n";
+      } else {
+        cam = "  perspective\n" +
+              "  location  <" + vecStr(eye, ", ") + ">\n" +
+              "  direction <" + vecStr([
+                fw[0] * d / 2, fw[1] * d / 2, fw[2] * d / 2], ", ") +
+              ">\n" +
+              "  right     <" + vecStr([
+                rx[0] * aspect, rx[1] * aspect, rx[2] * aspect], ", ") +
+              ">\n" +
+              "  up        <" + vecStr(up, ", ") + ">\n";
+      }
+      
+      str = "// Delilah camera, " + String(w) + "x" + String(h) + "\n" +
+            "// Coordinates are Delilah's right-handed, Y-up axes;" +
+            " no look_at is\n" +
+            "// used, so the vectors are taken as-is.  POV-Ray has" +
+            " no near or\n" +
+            "// far planes.\n" +
+            "camera {\n" +
+            cam +
+            "}\n";
+      
+    } else if (fmt === "blender") {
+      // Blender cameras look down their local negative Z axis with
+      // positive Y up, like Delilah; convert each vector to Z-up
+      t = function(v) {
+        return [v[0], -(v[2]), v[1]];
+      };
+      eye = t(eye);
+      rx = t(rx);
+      up = t(up);
+      bk = t(bk);
+      
+      // The vertical sensor fit makes the field of view or the
+      // orthographic scale apply to the height of the image
+      if (ht > 0.0) {
+        cam = "cam.type = 'ORTHO'\n" +
+              "cam.sensor_fit = 'VERTICAL'\n" +
+              "cam.ortho_scale = " + numStr(ht) + "\n";
+      } else {
+        cam = "cam.type = 'PERSP'\n" +
+              "cam.sensor_fit = 'VERTICAL'\n" +
+              "cam.angle_y = " + numStr(fov) + "\n";
+      }
+      
+      str = "# Delilah camera, " + String(w) + "x" + String(h) + "\n" +
+            "# Delilah Y-up (x, y, z) is Blender Z-up (x, -z, y)\n" +
+            "import bpy\n" +
+            "from mathutils import Matrix\n" +
+            "\n" +
+            "scene = bpy.context.scene\n" +
+            "cam = bpy.data.cameras.new(\"Delilah\")\n" +
+            cam +
+            "cam.clip_start = " + numStr(zn) + "\n" +
+            "cam.clip_end = " + numStr(zf) + "\n" +
+            "obj = bpy.data.objects.new(\"Delilah\", cam)\n" +
+            "scene.collection.objects.link(obj)\n" +
+            "obj.matrix_world = Matrix((\n" +
+            "    (" + vecStr([rx[0], up[0], bk[0], eye[0]], ", ") +
+            "),\n" +
+            "    (" + vecStr([rx[1], up[1], bk[1], eye[1]], ", ") +
+            "),\n" +
+            "    (" + vecStr([rx[2], up[2], bk[2], eye[2]], ", ") +
+            "),\n" +
+            "    (0, 0, 0, 1)))\n" +
+            "scene.camera = obj\n" +
+            "scene.render.resolution_x = " + String(w) + "\n" +
+            "scene.render.resolution_y = " + String(h) + "\n";
+      
+    } else if (fmt === "gltf") {
+      // The node rotation is the camera rotation, since glTF cameras
+      // look down their local negative Z axis with positive Y up
+      q = eulerToQuat(m_cam[3] * Math.PI * 2,
+                      m_cam[4] * Math.PI / 2,
+                      m_cam[5] * Math.PI * 2);
+      
+      // Orthographic cameras give half the width and height of the view
+      if (ht > 0.0) {
+        cam = {
+          "name": "Delilah",
+          "type": "orthographic",
+          "orthographic": {
+            "xmag": parseFloat(numStr(ht * aspect / 2)),
+            "ymag": parseFloat(numStr(ht / 2)),
+            "znear": parseFloat(numStr(zn)),
+            "zfar": parseFloat(numStr(zf))
+          }
+        };
+      } else {
+        cam = {
+          "name": "Delilah",
+          "type": "perspective",
+          "perspective": {
+            "aspectRatio": parseFloat(numStr(aspect)),
+            "yfov": parseFloat(numStr(fov)),
+            "znear": parseFloat(numStr(zn)),
+            "zfar": parseFloat(numStr(zf))
+          }
+        };
+      }
+      
+      str = JSON.stringify({
+        "asset": {
+          "version": "2.0",
+          "generator": "Delilah Viewer"
+        },
+        "scene": 0,
+        "scenes": [{"nodes": [0]}],
+        "nodes": [{
+          "name": "Delilah",
+          "camera": 0,
+          "translation": [
+            parseFloat(numStr(eye[0])),
+            parseFloat(numStr(eye[1])),
+            parseFloat(numStr(eye[2]))
+          ],
+          "rotation": [
+            parseFloat(numStr(q[0])),
+            parseFloat(numStr(q[1])),
+            parseFloat(numStr(q[2])),
+            parseFloat(numStr(q[3]))
+          ]
+        }],
+        "cameras": [cam]
+      }, null, 2) + "\n";
+      
+    } else if (fmt === "matrix") {
+      // The rows of the rotation part of a look-at matrix are the
+      // camera axes, and the translation moves the eye to the origin
+      t = function(v) {
+        return -((v[0] * eye[0]) + (v[1] * eye[1]) + (v[2] * eye[2]));
+      };
+      
+      str = "# Delilah view matrix, " + String(w) + "x" + String(h) +
+              "\n" +
+            "# World space to eye space; the eye looks down -Z with" +
+              " +Y up\n" +
+            "# Row-major order, for column vectors\n" +
+            "eye    " + vecStr(eye, " ") + "\n" +
+            "target " + vecStr([
+              eye[0] + fw[0], eye[1] + fw[1], eye[2] + fw[2]], " ") +
+              "\n" +
+            "up     " + vecStr(up, " ") + "\n" +
+            ((ht > 0.0) ? ("height " + numStr(ht)) :
+              ("fovy   " + numStr(fov))) + "\n" +
+            "aspect " + numStr(aspect) + "\n" +
+            "znear  " + numStr(zn) + "\n" +
+            "zfar   " + numStr(zf) + "\n" +
+            vecStr([rx[0], rx[1], rx[2], t(rx)], " ") + "\n" +
+            vecStr([up[0], up[1], up[2], t(up)], " ") + "\n" +
+            vecStr([bk[0], bk[1], bk[2], t(bk)], " ") + "\n" +
+            "0 0 0 1\n";
+      
+    } else {
+      fault(func_name, 200);
+    }
+    
+    return str;
+  }
+  
+  /*
+   * Interpolate a camera path at a given time.
+   * 
+   * keys is an array of one or more keyframe objects, sorted by time.
+   * Each keyframe object has the following properties:
+   * 
+   *   "time"   : number - the time of the keyframe
+   * 
+   *   "camera" : Array  - the camera position, in the format returned
+   *                       by getCamera()
+   * 
+   *   "fov"    : number - the normalized field of view, in the format
+   *                       of the first element returned by
+   *                       getProjection()
+   * 
+   * Times must be finite and never decrease from one keyframe to the
+   * next.  t is clamped to the range of the keyframe times.
+   * 
+   * The camera position and field of view follow a cubic Hermite spline
+   * through the keyframes, with Catmull-Rom tangents scaled by the
+   * spacing of the keyframe times.  The field of view is kept between
+   * the values at the surrounding keyframes, so it never overshoots.
+   * The camera direction is interpolated with spherical linear
+   * interpolation between the surrounding keyframes, which always turns
+   * the shorter way and never passes through gimbal lock.
+   * 
+   * The result is an object with "camera" and "fov" properties in the
+   * same format as a keyframe.
+   * 
+   * Parameters:
+   * 
+   *   keys : Array - the keyframes
+   * 
+   *   t : number - the time
+   * 
+   * Return:
+   * 
+   *   the interpolated camera and field of view
+   */
+  function interpolateCamera(keys, t) {
+    
+    var func_name = "interpolateCamera";
+    var i, j, n, k, u, u2, u3;
+    var h00, h10, h01, h11, dt;
+    var ka, kb, kp, kn, va, vb, vp, vn;
+    var m0, m1, p, q, e, c;
+    var result;
+    
+    // Check parameters
+    if ((typeof keys !== "object") || (!(keys instanceof Array)) ||
+        (typeof t !== "number")) {
+      fault(func_name, 100);
+    }
+    if (keys.length < 1) {
+      fault(func_name, 101);
+    }
+    if (!isFinite(t)) {
+      fault(func_name, 102);
+    }
+    
+    n = keys.length;
+    for(i = 0; i < n; i++) {
+      k = keys[i];
+      if ((typeof k !== "object") || (k === null) ||
+          (typeof k.time !== "number") ||
+          (typeof k.fov !== "number") ||
+          (!(k.camera instanceof Array))) {
+        fault(func_name, 110);
+      }
+      if ((!isFinite(k.time)) || (k.camera.length !== 6) ||
+          (!((k.fov > 0.0) && (k.fov < 1.0)))) {
+        fault(func_name, 111);
+      }
+      for(j = 0; j < 6; j++) {
+        if ((typeof k.camera[j] !== "number") ||
+            (!isFinite(k.camera[j]))) {
+          fault(func_name, 112);
+        }
+      }
+      if ((i > 0) && (!(k.time >= keys[i - 1].time))) {
+        fault(func_name, 113);
+      }
+    }
+    
+    // Clamp the time to the keyframe range, then find the segment from
+    // keyframe i to keyframe i + 1 that contains it
+    t = Math.min(Math.max(t, keys[0].time), keys[n - 1].time);
+    
+    i = 0;
+    while ((i < n - 2) && (t >= keys[i + 1].time)) {
+      i++;
+    }
+    
+    // With a single keyframe, or an empty segment, just return the
+    // keyframe
+    if ((n < 2) || (!(keys[i + 1].time > keys[i].time))) {
+      if ((n >= 2) && (t >= keys[i + 1].time)) {
+        i++;
+      }
+      return {
+        "camera": keys[i].camera.slice(0),
+        "fov": keys[i].fov
+      };
+    }
+    
+    ka = keys[i];
+    kb = keys[i + 1];
+    
+    // Get the normalized parameter within the segment and the Hermite
+    // basis functions
+    dt = kb.time - ka.time;
+    u = (t - ka.time) / dt;
+    u2 = u * u;
+    u3 = u2 * u;
+    
+    h00 = (2 * u3) - (3 * u2) + 1;
+    h10 = u3 - (2 * u2) + u;
+    h01 = (3 * u2) - (2 * u3);
+    h11 = u3 - u2;
+    
+    // Get the keyframes on either side of the segment for computing
+    // tangents, which are the slopes between the neighbors of each
+    // segment end, or one-sided at the ends of the path
+    kp = (i > 0) ? keys[i - 1] : ka;
+    kn = (i + 2 < n) ? keys[i + 2] : kb;
+    
+    // Interpolate the position and field of view; channels 0 to 2 are
+    // the coordinates and channel 3 is the field of view
+    result = {"camera": [0, 0, 0, 0, 0, 0], "fov": 0};
+    for(j = 0; j < 4; j++) {
+      if (j < 3) {
+        va = ka.camera[j];
+        vb = kb.camera[j];
+        vp = kp.camera[j];
+        vn = kn.camera[j];
+      } else {
+        va = ka.fov;
+        vb = kb.fov;
+        vp = kp.fov;
+        vn = kn.fov;
+      }
+      
+      m0 = 0.0;
+      if (kb.time > kp.time) {
+        m0 = ((vb - vp) / (kb.time - kp.time)) * dt;
+      }
+      
+      m1 = 0.0;
+      if (kn.time > ka.time) {
+        m1 = ((vn - va) / (kn.time - ka.time)) * dt;
+      }
+      
+      c = (h00 * va) + (h10 * m0) + (h01 * vb) + (h11 * m1);
+      
+      if (j < 3) {
+        result.camera[j] = c;
+      } else {
+        // Keep the field of view between the values at the two
+        // keyframes
+        result.fov = Math.min(Math.max(c, Math.min(va, vb)),
+                              Math.max(va, vb));
+      }
+    }
+    
+    // Interpolate the direction
+    p = eulerToQuat(ka.camera[3] * Math.PI * 2,
+                    ka.camera[4] * Math.PI / 2,
+                    ka.camera[5] * Math.PI * 2);
+    q = eulerToQuat(kb.camera[3] * Math.PI * 2,
+                    kb.camera[4] * Math.PI / 2,
+                    kb.camera[5] * Math.PI * 2);
+    e = normAngles(quatToEuler(quatSlerp(p, q, u)));
+    
+    result.camera[3] = e[0];
+    result.camera[4] = e[1];
+    result.camera[5] = e[2];
+    
+    return result;
+  }
+  
+  /*
+   * Load a scene from a given string.
+   * 
+   * Both version 1 scene files, which have no "version" property and
+   * use 16-bit indices with special values, and version 2 scene files,
+   * which have a "version" property of 2 and use 32-bit indices with an
+   * explicit object type, are accepted.  See the README for the
+   * formats.
+   * 
+   * If false is returned, the current scene is unmodified.  You can use
+   * the loadError() function to get detail about what went wrong.
    * 
-   * If the last invocation of loadScene() didn't fail, or it has never
-   * been called, then this function returns the string "No error".
-   * Otherwise, it returns an error message string.  The error message
-   * string begins with a capital letter but has no punctuation or line
-   * break at the end.
+   * Parameters:
+   * 
+   *   str : string - the scene file contents to load
    * 
    * Return:
    * 
-   *   string - the error message from the last failed loadScene()
-   *   operation, or "No error"
+   *   true if successful, false if scene text has syntax error
    */
-  function loadError() {
+  function loadScene(str) {
     
-    if (m_errmsg === false) {
-      return "No error";
-    } else {
-      return m_errmsg;
+    var func_name = "loadScene";
+    var result;
+    var data;
+    
+    // Check parameter
+    if (typeof str !== "string") {
+      fault(func_name, 100);
+    }
+    
+    // Begin by clearing the error message and setting result to true
+    m_errmsg = false;
+    result = true;
+    
+    // Wrap everything in an exception handler which in case of syntax
+    // error sets the result to false and in case of any other kind of
+    // exception rethrows the exception
+    try {
+      
+      // Parse the string as JSON
+      try {
+        data = JSON.parse(str);
+      } catch (ex) {
+        syntax("Not a valid JSON file");
+      }
+      if (data == null) {
+        syntax("Not a valid JSON file");
+      }
+      
+      // Check the data and install it
+      installData(data);
+      
+    } catch (ex) {
+      // Check whether this was a syntax error
+      if ((typeof ex === "string") &&
+            (ex === "dla_main:syntax_error")) {
+        // Syntax error, so just set result to false
+        result = false;
+      
+      } else {
+        // Other kinds of exceptions are rethrown
+        throw(ex);
+      }
     }
+    
+    // Return result
+    return result;
   }
   
   /*
-   * Get the current background color.
+   * Load a scene from a binary scene file.
    * 
-   * This returns an array of three values R G B each in range [0, 255].
+   * Binary scene files hold the same scene as a version 2 scene file,
+   * with the vertices, radii, and scene objects stored as blocks of
+   * little-endian numbers that are read straight into typed arrays
+   * instead of being parsed from text.  This makes large scenes much
+   * faster to load.  See exportBinaryScene() for writing them and the
+   * README for the format.
+   * 
+   * Like loadScene(), this returns false and leaves the current scene
+   * unchanged if the file can't be loaded, and the reason is available
+   * from loadError().
+   * 
+   * Parameters:
+   * 
+   *   buf : ArrayBuffer | ArrayBufferView - the file data
    * 
    * Return:
    * 
-   *   a new array copy of the current background color
+   *   true if successful, false if the file couldn't be loaded
    */
-  function getBGColor() {
+  function loadBinaryScene(buf) {
     
-    var result = [];
+    var func_name = "loadBinaryScene";
+    var result;
+    var bytes, dv, flags, ftype, itype, off, none, i;
+    var vcount, rcount, scount, slen;
+    var vtx, rbuf, sbuf, scene, st, data;
     
-    result.push(m_bgcolor[0]);
-    result.push(m_bgcolor[1]);
-    result.push(m_bgcolor[2]);
+    // Check parameter
+    if (buf instanceof ArrayBuffer) {
+      bytes = new Uint8Array(buf);
+    } else if (ArrayBuffer.isView(buf)) {
+      bytes = new Uint8Array(buf.buffer, buf.byteOffset, buf.byteLength);
+    } else {
+      fault(func_name, 100);
+    }
+    
+    // Begin by clearing the error message and setting result to true
+    m_errmsg = false;
+    result = true;
+    
+    // Wrap everything in an exception handler which in case of syntax
+    // error sets the result to false and in case of any other kind of
+    // exception rethrows the exception
+    try {
+      
+      // Check the signature and version of the header
+      if ((bytes.length < BIN_HEADER) ||
+          (bytesToString(bytes.subarray(0, 4)) !== BIN_MAGIC)) {
+        syntax("Not a binary scene file");
+      }
+      
+      dv = new DataView(bytes.buffer, bytes.byteOffset, bytes.length);
+      if (dv.getUint32(4, true) !== BIN_VERSION) {
+        syntax("Unsupported binary scene file version");
+      }
+      
+      // Get the flags and the counts
+      flags  = dv.getUint32( 8, true);
+      vcount = dv.getUint32(12, true);
+      rcount = dv.getUint32(16, true);
+      scount = dv.getUint32(20, true);
+      slen   = dv.getUint32(24, true);
+      
+      if ((flags & ~(BIN_FLOAT64 | BIN_UINT32)) !== 0) {
+        syntax("Unknown flags in binary scene file");
+      }
+      
+      ftype = ((flags & BIN_FLOAT64) !== 0) ? "Float64" : "Float32";
+      itype = ((flags & BIN_UINT32) !== 0) ? "Uint32" : "Uint16";
+      
+      // Read the vertex, radius, and scene blocks
+      off = BIN_HEADER;
+      vtx = binBlock(bytes, off, vcount * 3, ftype);
+      
+      off = binAlign(off + vtx.byteLength);
+      rbuf = binBlock(bytes, off, rcount, ftype);
+      
+      off = binAlign(off + rbuf.byteLength);
+      sbuf = binBlock(bytes, off, scount * SCENE_STRIDE, itype);
+      
+      off = binAlign(off + sbuf.byteLength);
+      
+      // The scene block is in the same layout as a version 2 scene
+      // array, except that the special -1 value for no sphere fill and
+      // no sphere stroke is stored with all bits set, so convert it
+      // back
+      none = (itype === "Uint32") ? 0xffffffff : 0xffff;
+      scene = new Float64Array(sbuf.length);
+      for(i = 0; i < sbuf.length; i++) {
+        if ((sbuf[i] === none) && ((i % SCENE_STRIDE) >= 4)) {
+          scene[i] = -1;
+        } else {
+          scene[i] = sbuf[i];
+        }
+      }
+      
+      // Read the style table, which is an ASCII JSON object
+      if (off + slen > bytes.length) {
+        syntax("Binary scene file is truncated");
+      }
+      try {
+        st = JSON.parse(bytesToString(bytes.subarray(off, off + slen)));
+      } catch (ex) {
+        syntax("Binary scene style table is not valid JSON");
+      }
+      if ((typeof st !== "object") || (st === null) ||
+          (st instanceof Array)) {
+        syntax("Binary scene style table must be object");
+      }
+      
+      // Check the scene and install it in the same way as a version 2
+      // scene file
+      data = {"version": 2, "vertex": vtx, "scene": scene};
+      if (rcount > 0) {
+        data.radius = rbuf;
+      }
+      if ("pstyle" in st) {
+        data.pstyle = st.pstyle;
+      }
+      if ("lstyle" in st) {
+        data.lstyle = st.lstyle;
+      }
+      if ("palette" in st) {
+        data.palette = st.palette;
+      }
+      
+      installData(data);
+      
+    } catch (ex) {
+      // Check whether this was a syntax error
+      if ((typeof ex === "string") &&
+            (ex === "dla_main:syntax_error")) {
+        // Syntax error, so just set result to false
+        result = false;
+      
+      } else {
+        // Other kinds of exceptions are rethrown
+        throw(ex);
+      }
+    }
     
+    // Return result
     return result;
   }
   
   /*
-   * Set the background color.
+   * Write the current scene as a binary scene file.
    * 
-   * The given values are integer R G B color channel values, each of
-   * which must be in range [0, 255].
+   * The file can be loaded with loadBinaryScene().  Scene objects are
+   * written as 16-bit integers if the scene has few enough vertices,
+   * radii, and styles for all indices to fit, and as 32-bit integers
+   * otherwise.  Vertices and radii are written as 64-bit floating point
+   * so nothing is lost, unless single precision is requested, which
+   * makes the file smaller.
    * 
    * Parameters:
    * 
-   *   r : integer - the red channel
+   *   single : boolean - true to write vertices and radii as 32-bit
+   *   floating point (optional, default false)
    * 
-   *   g : integer - the green channel
+   * Return:
    * 
-   *   b : integer - the blue channel
+   *   ArrayBuffer - the file data, or null if no scene is loaded
    */
-  function setBGColor(r, g, b) {
+  function exportBinaryScene(single) {
     
-    var func_name = "setBGColor";
+    var func_name = "exportBinaryScene";
+    var vcount, rcount, scount, wide, str;
+    var fsize, isize, fset, iset, flags;
+    var roff, soff, toff, buf, dv, i, v;
     
-    // Check parameters and convert to integer
-    if ((typeof r !== "number") ||
-        (typeof g !== "number") ||
-        (typeof b !== "number")) {
+    // Check parameter
+    if (single === undefined) {
+      single = false;
+    }
+    if (typeof single !== "boolean") {
       fault(func_name, 100);
     }
     
-    r = Math.floor(r);
-    g = Math.floor(g);
-    b = Math.floor(b);
+    // Nothing to write if no scene loaded
+    if (!m_loaded) {
+      return null;
+    }
     
-    if ((!isFinite(r)) ||
-        (!isFinite(g)) ||
-        (!isFinite(b))) {
-      fault(func_name, 110);
+    // Get the counts, and use 32-bit scene objects if any index might
+    // not fit in 16 bits without reaching the special 0xffff value
+    vcount = m_vtx.length / 3;
+    rcount = (m_rad !== null) ? m_rad.length : 0;
+    scount = m_scene.length / SCENE_STRIDE;
+    wide = (vcount > 65535) || (rcount > 65535) ||
+            (m_pstyle.length > 65535) || (m_lstyle.length > 65535);
+    
+    // Write the style table as JSON, with the palette only if there is
+    // one, escaping anything that is not ASCII so that each character
+    // is one byte
+    str = {"pstyle": m_pstyle, "lstyle": m_lstyle};
+    if (m_palette.length > 0) {
+      str.palette = m_palette;
     }
+    str = JSON.stringify(str);
+    str = str.replace(/[\u0080-\uffff]/g, function(ch) {
+      return "\\u" + ("000" + ch.charCodeAt(0).toString(16)).slice(-4);
+    });
     
-    if (!((r >= 0) && (r <= 255))) {
-      fault(func_name, 120);
+    // Choose the block types and compute the block offsets
+    flags = 0;
+    fsize = 4;
+    fset = "setFloat32";
+    if (!single) {
+      flags = flags | BIN_FLOAT64;
+      fsize = 8;
+      fset = "setFloat64";
     }
-    if (!((g >= 0) && (g <= 255))) {
-      fault(func_name, 121);
+    
+    isize = 2;
+    iset = "setUint16";
+    if (wide) {
+      flags = flags | BIN_UINT32;
+      isize = 4;
+      iset = "setUint32";
     }
-    if (!((b >= 0) && (b <= 255))) {
-      fault(func_name, 122);
+    
+    roff = binAlign(BIN_HEADER + (vcount * 3 * fsize));
+    soff = binAlign(roff + (rcount * fsize));
+    toff = binAlign(soff + (scount * SCENE_STRIDE * isize));
+    
+    buf = new ArrayBuffer(toff + str.length);
+    dv = new DataView(buf);
+    
+    // Write the header
+    for(i = 0; i < 4; i++) {
+      dv.setUint8(i, BIN_MAGIC.charCodeAt(i));
+    }
+    dv.setUint32( 4, BIN_VERSION, true);
+    dv.setUint32( 8, flags, true);
+    dv.setUint32(12, vcount, true);
+    dv.setUint32(16, rcount, true);
+    dv.setUint32(20, scount, true);
+    dv.setUint32(24, str.length, true);
+    
+    // Write the vertex and radius blocks
+    for(i = 0; i < m_vtx.length; i++) {
+      dv[fset](BIN_HEADER + (i * fsize), m_vtx[i], true);
+    }
+    for(i = 0; i < rcount; i++) {
+      dv[fset](roff + (i * fsize), m_rad[i], true);
     }
     
-    // Update projection
-    m_bgcolor[0] = r;
-    m_bgcolor[1] = g;
-    m_bgcolor[2] = b;
+    // Write the scene block, where the sphere fill and style values
+    // that mean none become all bits set
+    for(i = 0; i < m_scene.length; i++) {
+      v = m_scene[i];
+      if ((m_scene[i - (i % SCENE_STRIDE)] === SCENE_SPHERE) &&
+          ((((i % SCENE_STRIDE) === 4) && (v === 0xffff)) ||
+            (((i % SCENE_STRIDE) === 5) && (v === NO_STYLE)))) {
+        v = wide ? 0xffffffff : 0xffff;
+      }
+      dv[iset](soff + (i * isize), v, true);
+    }
+    
+    // Write the style table
+    for(i = 0; i < str.length; i++) {
+      dv.setUint8(toff + i, str.charCodeAt(i));
+    }
+    
+    return buf;
   }
   
   /*
-   * Get the current projection.
+   * Write the current scene in another file format.
    * 
-   * This returns an array of three values [fov, near, far] where fov
-   * is the normalized field-of-view angle, near is the near plane Z and
-   * far is the far plane Z.  See the documentation of m_proj for
-   * further information. 
+   * The following formats are supported:
+   * 
+   *   "json" - a Delilah scene file, in version 1 of the format if the
+   *   scene is small enough, and in version 2 otherwise
+   * 
+   *   "obj" - a Wavefront OBJ file with triangles as faces, lines as
+   *   polylines, and points as point records, and an MTL file with a
+   *   material for each color, whose diffuse color is the fill color
+   *   of triangles, the color of lines, and the fill or ink color of
+   *   points, and whose dissolve is the alpha of translucent palette
+   *   colors
+   * 
+   *   "gltf" - a glTF 2.0 file with the triangles, lines, and points as
+   *   three primitives of a single mesh, colored with vertex colors,
+   *   and the binary buffer embedded as a data URI
+   * 
+   * The JSON format keeps everything.  OBJ and glTF files have no
+   * spheres, line widths, point shapes, or stroked triangle edges, so
+   * these are left out.  In glTF files, each triangle, line, and point
+   * gets its own vertices so that it can have its own flat color, and
+   * the alpha of palette colors is left out.
+   * 
+   * The result is an object whose property names are the file names,
+   * which are the base name with the extension of each file, and whose
+   * property values are the file contents as strings.  The OBJ file
+   * refers to the MTL file by its name.
+   * 
+   * Parameters:
+   * 
+   *   fmt : string - the format, "json", "obj", or "gltf"
+   * 
+   *   name : string - the base name of the files (optional, default
+   *   "scene")
    * 
    * Return:
    * 
-   *   a new array copy of the current projection
+   *   object - the files, or null if no scene is loaded
    */
-  function getProjection() {
+  function exportScene(fmt, name) {
     
-    var result = [];
+    var func_name = "exportScene";
+    var result;
+    var vcount, rcount, scount, v1, rows, list;
+    var i, j, bi, t, a, b, c, x, y, col;
+    var lines, mtl, mats, cur;
+    var prims, pr, buf, dv, off, views, accs, mesh, mn, mx, k;
     
-    result.push(m_proj[0]);
-    result.push(m_proj[1]);
-    result.push(m_proj[2]);
+    // Check parameters
+    if ((fmt !== "json") && (fmt !== "obj") && (fmt !== "gltf")) {
+      fault(func_name, 100);
+    }
+    if (name === undefined) {
+      name = "scene";
+    }
+    if ((typeof name !== "string") || (name.length < 1)) {
+      fault(func_name, 101);
+    }
+    
+    // Nothing to write if no scene loaded
+    if (!m_loaded) {
+      return null;
+    }
+    
+    vcount = m_vtx.length / 3;
+    rcount = (m_rad !== null) ? m_rad.length : 0;
+    scount = m_scene.length / SCENE_STRIDE;
+    result = {};
+    
+    if (fmt === "json") {
+      // Use version 1 if all the counts fit, so that every index is
+      // below the special 65535 value
+      v1 = (vcount <= 65535) && (rcount <= 65535) && (scount <= 65535) &&
+            (m_pstyle.length <= 65535) && (m_lstyle.length <= 65535);
+      
+      // Convert the scene objects to the layout of the version
+      list = [];
+      for(i = 0; i < scount; i++) {
+        bi = i * SCENE_STRIDE;
+        t = m_scene[bi];
+        a = m_scene[bi + 1];
+        b = m_scene[bi + 2];
+        c = m_scene[bi + 3];
+        x = m_scene[bi + 4];
+        y = m_scene[bi + 5];
+        
+        if (v1) {
+          if (t === SCENE_TRIANGLE) {
+            list.push(a, b, c, x, y);
+          } else if (t === SCENE_SPHERE) {
+            list.push(a, 65535, b, x, (y === NO_STYLE) ? 65535 : y);
+          } else if (t === SCENE_LINE) {
+            list.push(a, b, 65535, 0, y);
+          } else {
+            list.push(a, 65535, 65535, 0, y);
+          }
+          
+        } else {
+          if (t === SCENE_SPHERE) {
+            list.push(t, a, b, c, (x === 0xffff) ? -1 : x,
+                      (y === NO_STYLE) ? -1 : y);
+          } else {
+            list.push(t, a, b, c, x, y);
+          }
+        }
+      }
+      
+      // Write each property on its own lines
+      rows = [];
+      if (!v1) {
+        rows.push("  \"version\": 2");
+      }
+      rows.push("  \"vertex\": " + jsonRows(m_vtx, 3));
+      if (rcount > 0) {
+        rows.push("  \"radius\": " + jsonRows(m_rad, 1));
+      }
+      rows.push("  \"pstyle\": [" + m_pstyle.map(function(o) {
+        return "\n    " + JSON.stringify(o);
+      }).join(",") + ((m_pstyle.length > 0) ? "\n  ]" : "]"));
+      rows.push("  \"lstyle\": [" + m_lstyle.map(function(o) {
+        return "\n    " + JSON.stringify(o);
+      }).join(",") + ((m_lstyle.length > 0) ? "\n  ]" : "]"));
+      if (m_palette.length > 0) {
+        rows.push("  \"palette\": [" + m_palette.map(function(p) {
+          return "\n    " + JSON.stringify((p[3] < 255) ? p : p.slice(0, 3));
+        }).join(",") + "\n  ]");
+      }
+      rows.push("  \"scene\": " + jsonRows(list, v1 ? 5 : 6));
+      
+      result[name + ".json"] = "{\n" + rows.join(",\n") + "\n}\n";
+      
+    } else if (fmt === "obj") {
+      // Write the vertices
+      lines = ["# Delilah Viewer scene", "mtllib " + name + ".mtl",
+                "o " + name];
+      for(i = 0; i < vcount; i++) {
+        lines.push("v " + String(m_vtx[i * 3]) + " " +
+                    String(m_vtx[(i * 3) + 1]) + " " +
+                    String(m_vtx[(i * 3) + 2]));
+      }
+      
+      // Write the objects, selecting a material for each color; OBJ
+      // vertex indices start at one
+      mats = [];
+      cur = -1;
+      j = 0;
+      for(i = 0; i < scount; i++) {
+        bi = i * SCENE_STRIDE;
+        t = m_scene[bi];
+        a = m_scene[bi + 1] + 1;
+        b = m_scene[bi + 2] + 1;
+        c = m_scene[bi + 3] + 1;
+        
+        if (t === SCENE_SPHERE) {
+          j++;
+          continue;
+        } else if (t === SCENE_TRIANGLE) {
+          col = m_scene[bi + 4];
+        } else if (t === SCENE_LINE) {
+          col = m_lstyle[m_scene[bi + 5]].color;
+        } else {
+          col = pointColor(m_pstyle[m_scene[bi + 5]]);
+        }
+        
+        if (col !== cur) {
+          if (mats.indexOf(col) < 0) {
+            mats.push(col);
+          }
+          lines.push("usemtl c" + ("000" + col.toString(16)).slice(-4));
+          cur = col;
+        }
+        
+        if (t === SCENE_TRIANGLE) {
+          lines.push("f " + String(a) + " " + String(b) + " " + String(c));
+        } else if (t === SCENE_LINE) {
+          lines.push("l " + String(a) + " " + String(b));
+        } else {
+          lines.push("p " + String(a));
+        }
+      }
+      if (j > 0) {
+        lines.push("# " + String(j) + " spheres left out");
+      }
+      
+      // Write a material for each color
+      mtl = ["# Delilah Viewer materials"];
+      for(i = 0; i < mats.length; i++) {
+        col = colorRGBA(mats[i]);
+        mtl.push("newmtl c" + ("000" + mats[i].toString(16)).slice(-4));
+        mtl.push("Kd " + vecStr(col.slice(0, 3), " "));
+        if (col[3] < 1.0) {
+          mtl.push("d " + numStr(col[3]));
+        }
+      }
+      
+      result[name + ".obj"] = lines.join("\n") + "\n";
+      result[name + ".mtl"] = mtl.join("\n") + "\n";
+      
+    } else {
+      // Gather the positions and colors of the triangles, lines, and
+      // points into a primitive for each, with glTF mode numbers;
+      // colors are converted from sRGB to the linear values of glTF
+      prims = [
+        {"mode": 4, "pos": [], "col": []},
+        {"mode": 1, "pos": [], "col": []},
+        {"mode": 0, "pos": [], "col": []}
+      ];
+      for(i = 0; i < scount; i++) {
+        bi = i * SCENE_STRIDE;
+        t = m_scene[bi];
+        
+        if (t === SCENE_TRIANGLE) {
+          pr = prims[0];
+          list = [m_scene[bi + 1], m_scene[bi + 2], m_scene[bi + 3]];
+          col = m_scene[bi + 4];
+        } else if (t === SCENE_LINE) {
+          pr = prims[1];
+          list = [m_scene[bi + 1], m_scene[bi + 2]];
+          col = m_lstyle[m_scene[bi + 5]].color;
+        } else if (t === SCENE_POINT) {
+          pr = prims[2];
+          list = [m_scene[bi + 1]];
+          col = pointColor(m_pstyle[m_scene[bi + 5]]);
+        } else {
+          continue;
+        }
+        
+        col = colorRGBA(col).slice(0, 3).map(function(v) {
+          return (v <= 0.04045) ? (v / 12.92) :
+                  Math.pow((v + 0.055) / 1.055, 2.4);
+        });
+        
+        for(j = 0; j < list.length; j++) {
+          pr.pos.push(m_vtx[list[j] * 3], m_vtx[(list[j] * 3) + 1],
+                      m_vtx[(list[j] * 3) + 2]);
+          pr.col.push(col[0], col[1], col[2]);
+        }
+      }
+      prims = prims.filter(function(q) {
+        return q.pos.length > 0;
+      });
+      
+      // Write the positions and then the colors of each primitive into
+      // the buffer as 32-bit floats, with a buffer view and an accessor
+      // for each
+      k = 0;
+      for(i = 0; i < prims.length; i++) {
+        k = k + (prims[i].pos.length * 8);
+      }
+      buf = new Uint8Array(k);
+      dv = new DataView(buf.buffer);
+      
+      off = 0;
+      views = [];
+      accs = [];
+      mesh = [];
+      for(i = 0; i < prims.length; i++) {
+        pr = prims[i];
+        
+        // Positions, which need their bounds
+        mn = [Infinity, Infinity, Infinity];
+        mx = [-Infinity, -Infinity, -Infinity];
+        for(j = 0; j < pr.pos.length; j++) {
+          dv.setFloat32(off + (j * 4), pr.pos[j], true);
+          mn[j % 3] = Math.min(mn[j % 3], Math.fround(pr.pos[j]));
+          mx[j % 3] = Math.max(mx[j % 3], Math.fround(pr.pos[j]));
+        }
+        views.push({"buffer": 0, "byteOffset": off,
+                    "byteLength": pr.pos.length * 4, "target": 34962});
+        accs.push({"bufferView": views.length - 1, "componentType": 5126,
+                    "count": pr.pos.length / 3, "type": "VEC3",
+                    "min": mn, "max": mx});
+        off = off + (pr.pos.length * 4);
+        
+        // Colors
+        for(j = 0; j < pr.col.length; j++) {
+          dv.setFloat32(off + (j * 4), pr.col[j], true);
+        }
+        views.push({"buffer": 0, "byteOffset": off,
+                    "byteLength": pr.col.length * 4, "target": 34962});
+        accs.push({"bufferView": views.length - 1, "componentType": 5126,
+                    "count": pr.col.length / 3, "type": "VEC3"});
+        off = off + (pr.col.length * 4);
+        
+        mesh.push({"attributes": {"POSITION": accs.length - 2,
+                                  "COLOR_0": accs.length - 1},
+                    "mode": pr.mode});
+      }
+      
+      // Put the document together, leaving out the mesh if there is
+      // nothing in it
+      t = {
+        "asset": {"version": "2.0", "generator": "Delilah Viewer"},
+        "scene": 0,
+        "scenes": [{"nodes": [0]}],
+        "nodes": [{"name": name}]
+      };
+      if (mesh.length > 0) {
+        t.nodes[0].mesh = 0;
+        t.meshes = [{"name": name, "primitives": mesh}];
+        t.buffers = [{"byteLength": buf.length,
+                      "uri": "data:application/octet-stream;base64," +
+                              base64(buf)}];
+        t.bufferViews = views;
+        t.accessors = accs;
+      }
+      
+      result[name + ".gltf"] = JSON.stringify(t) + "\n";
+    }
     
     return result;
   }
   
   /*
-   * Set the projection.
-   * 
-   * fov is the normalized field-of-view angle.  near and far are the Z
-   * locations of the near and far planes.  See the documentation of
-   * m_proj for further information.
+   * Load a new scene from a Wavefront OBJ file.
+   * 
+   * Vertex records ("v") become scene vertices, face records ("f")
+   * become triangles, and polyline records ("l") become lines between
+   * each pair of consecutive vertices.  Faces with more than three
+   * vertices are split into a fan of triangles around their first
+   * vertex, so they should be convex.  Faces keep their vertex order,
+   * so faces that are counter-clockwise in the OBJ file are visible
+   * from the same side in Delilah.  All other records, including
+   * texture coordinates, normals, groups, and points, are ignored.
+   * 
+   * If MTL text is given, the diffuse color ("Kd") of the material
+   * selected with "usemtl" becomes the fill color of faces and the
+   * color of polylines.  Faces without a material, or with a material
+   * that has no diffuse color, use the default fill color.  The MTL
+   * text may hold any number of materials, so the text of several MTL
+   * files can be joined together.
+   * 
+   * The optional options object may have the following properties:
+   * 
+   *   "fill" : integer - the default fill color as 15-bit Hicolor,
+   *   which is a mid gray if not given
+   * 
+   *   "edges" : object - a line style object with "width" and "color"
+   *   properties, in the same format as in scene files; if given, the
+   *   edges of every face are stroked with this style, leaving out the
+   *   diagonals added when splitting faces into triangles
+   * 
+   *   "lineWidth" : number - the width of polylines, which is 1.0 if
+   *   not given
+   * 
+   * Like loadScene(), this returns false and leaves the current scene
+   * unchanged if the file can't be loaded, and the reason is available
+   * from loadError().  The file may have at most MAX_COUNT vertices,
+   * and the faces and polylines may produce at most MAX_COUNT scene
+   * objects.
    * 
    * Parameters:
    * 
-   *   fov : number - the field of view
+   *   str : string - the OBJ text
    * 
-   *   near : number - the near plane Z
+   *   mtl : string | null - the MTL text (optional)
    * 
-   *   far : number - the far plane Z
+   *   opt : object - the options (optional)
+   * 
+   * Return:
+   * 
+   *   true if successful, false if the OBJ file couldn't be loaded
    */
-  function setProjection(fov, near, far) {
+  function loadOBJ(str, mtl, opt) {
     
-    var func_name = "setProjection";
+    var func_name = "loadOBJ";
+    var result;
+    var recs, f, ln, i, j, n, a, b, c;
+    var mo, mats, fill, fc, lw, sel, sw, lsi;
+    var vlist, slist, ls, lmap;
+    var vtx, scene;
     
     // Check parameters
-    if ((typeof fov !== "number") ||
-        (typeof near !== "number") ||
-        (typeof far !== "number")) {
+    if (typeof str !== "string") {
       fault(func_name, 100);
     }
     
-    if ((!isFinite(fov)) ||
-        (!isFinite(near)) ||
-        (!isFinite(far))) {
-      fault(func_name, 110);
+    if ((mtl === undefined) || (mtl === null)) {
+      mtl = null;
+    } else if (typeof mtl !== "string") {
+      fault(func_name, 101);
     }
     
-    if (!((fov > 0.0) && (fov < 1.0))) {
-      fault(func_name, 120);
-    }
-    if (!(near < 1 / Math.tan(fov * Math.PI / 2))) {
-      fault(func_name, 130);
+    if ((opt === undefined) || (opt === null)) {
+      opt = {};
+    } else if ((typeof opt !== "object") || (opt instanceof Array)) {
+      fault(func_name, 102);
     }
-    if (!(far < near)) {
-      fault(func_name, 140);
+    
+    // Begin by clearing the error message and setting result to true
+    m_errmsg = false;
+    result = true;
+    
+    // Wrap everything in an exception handler which in case of syntax
+    // error sets the result to false and in case of any other kind of
+    // exception rethrows the exception
+    try {
+      
+      // Get the default fill color and the face edge style
+      mo = meshOptions(opt);
+      fill = mo.fill;
+      ls = mo.lstyle;
+      sel = mo.sel;
+      
+      // Get the polyline width
+      lw = 1.0;
+      if ("lineWidth" in opt) {
+        lw = opt.lineWidth;
+        if ((typeof lw !== "number") || (!isFinite(lw)) || (!(lw > 0.0))) {
+          syntax("Line width must be finite and greater than zero");
+        }
+      }
+      
+      // Get the material colors
+      mats = {};
+      if (mtl !== null) {
+        mats = parseMTL(mtl);
+      }
+      
+      // Go through all the OBJ records, gathering vertices into vlist
+      // and scene objects into slist; lmap maps polyline colors to the
+      // line styles that have already been defined for them
+      recs = splitRecords(str);
+      vlist = [];
+      slist = [];
+      lmap = {};
+      fc = fill;
+      
+      for(i = 0; i < recs.length; i++) {
+        f = recs[i].field;
+        ln = recs[i].line;
+        
+        if (f[0] === "v") {
+          // Vertex, ignoring any weight or vertex color after X Y Z
+          if (f.length < 4) {
+            syntax("OBJ line " + String(ln) +
+                    ": Vertex must have three coordinates");
+          }
+          a = Number(f[1]);
+          b = Number(f[2]);
+          c = Number(f[3]);
+          if ((!isFinite(a)) || (!isFinite(b)) || (!isFinite(c))) {
+            syntax("OBJ line " + String(ln) +
+                    ": Vertex coordinates must be finite numbers");
+          }
+          if (vlist.length >= MAX_COUNT * 3) {
+            syntax("OBJ line " + String(ln) + ": At most " +
+                    String(MAX_COUNT) + " vertices are allowed");
+          }
+          vlist.push(a, b, c);
+          
+        } else if (f[0] === "f") {
+          // Face, split into a fan of triangles around the first vertex
+          n = f.length - 1;
+          if (n < 3) {
+            syntax("OBJ line " + String(ln) +
+                    ": Face must have at least three vertices");
+          }
+          if (slist.length + ((n - 2) * SCENE_STRIDE) >
+                MAX_COUNT * SCENE_STRIDE) {
+            syntax("OBJ line " + String(ln) + ": At most " +
+                    String(MAX_COUNT) + " scene objects are allowed");
+          }
+          
+          a = objIndex(f[1], vlist.length / 3, ln);
+          c = objIndex(f[2], vlist.length / 3, ln);
+          for(j = 2; j < n; j++) {
+            b = c;
+            c = objIndex(f[j + 1], vlist.length / 3, ln);
+            
+            // Stroke the edges that are edges of the original face; the
+            // first edge is only on the face for the first triangle and
+            // the third edge only for the last triangle
+            sw = sel << 5;
+            if (j === 2) {
+              sw = sw | (sel << 10);
+            }
+            if (j === n - 1) {
+              sw = sw | sel;
+            }
+            
+            slist.push(SCENE_TRIANGLE, a, b, c, fc, sw);
+          }
+          
+        } else if (f[0] === "l") {
+          // Polyline, made of a line for each pair of vertices
+          n = f.length - 1;
+          if (n < 2) {
+            syntax("OBJ line " + String(ln) +
+                    ": Polyline must have at least two vertices");
+          }
+          if (slist.length + ((n - 1) * SCENE_STRIDE) >
+                MAX_COUNT * SCENE_STRIDE) {
+            syntax("OBJ line " + String(ln) + ": At most " +
+                    String(MAX_COUNT) + " scene objects are allowed");
+          }
+          
+          // Get the line style for the current color, defining it if
+          // needed
+          if (lmap.hasOwnProperty(String(fc))) {
+            lsi = lmap[String(fc)];
+          } else {
+            lsi = ls.length;
+            ls.push({"width": lw, "color": fc});
+            lmap[String(fc)] = lsi;
+          }
+          
+          b = objIndex(f[1], vlist.length / 3, ln);
+          for(j = 1; j < n; j++) {
+            a = b;
+            b = objIndex(f[j + 1], vlist.length / 3, ln);
+            slist.push(SCENE_LINE, a, b, 0, 0, lsi);
+          }
+          
+        } else if (f[0] === "usemtl") {
+          // Select material color, or the default if it has none
+          a = f.slice(1).join(" ");
+          if (mats.hasOwnProperty(a)) {
+            fc = mats[a];
+          } else {
+            fc = fill;
+          }
+        }
+      }
+      
+      // Must have at least one vertex and one scene object
+      if (vlist.length < 1) {
+        syntax("OBJ file has no vertices");
+      }
+      if (slist.length < 1) {
+        syntax("OBJ file has no faces or polylines");
+      }
+      
+      // Copy into typed buffers and install the new scene
+      vtx = new Float64Array(vlist);
+      scene = new Uint32Array(slist);
+      installScene(vtx, null, scene, [], ls);
+      
+    } catch (ex) {
+      // Check whether this was a syntax error
+      if ((typeof ex === "string") &&
+            (ex === "dla_main:syntax_error")) {
+        // Syntax error, so just set result to false
+        result = false;
+      
+      } else {
+        // Other kinds of exceptions are rethrown
+        throw(ex);
+      }
     }
     
-    // Update projection
-    m_proj[0] = fov;
-    m_proj[1] = near;
-    m_proj[2] = far;
+    // Return result
+    return result;
   }
   
   /*
-   * Get the current camera position.
+   * Load a new scene from an STL file.
    * 
-   * This returns an array of six values [x, y, z, yaw, pitch, roll]
-   * where (X, Y, Z) are the camera position in worldspace, yaw and roll
-   * are normalized angles in range [0.0, 1.0), and pitch is a
-   * normalized angle in range [-1.0, 1.0].  See the documentation of
-   * m_cam for further information.
+   * Both binary and ASCII STL files are accepted.  The file is taken to
+   * be binary if its size matches the facet count in the binary header,
+   * and otherwise it must be ASCII text beginning with "solid".
    * 
-   * Return:
+   * Each facet becomes a triangle.  Vertices that have exactly the same
+   * coordinates are welded together, so a closed mesh needs far fewer
+   * vertices than three per facet.  The vertex order of each facet is
+   * checked against its normal and reversed if needed, so triangles are
+   * always visible from the side their normal points to.  Facets with a
+   * zero normal keep their vertex order.
    * 
-   *   a new array copy of the current camera position
-   */
-  function getCamera() {
-    
-    var result = [];
-    
-    result.push(m_cam[0]);
-    result.push(m_cam[1]);
-    result.push(m_cam[2]);
-    result.push(m_cam[3]);
-    result.push(m_cam[4]);
-    result.push(m_cam[5]);
-    
-    return result;
-  }
-  
-  /*
-   * Set the camera position.
+   * Binary facets that have bit 15 of their attribute set are filled
+   * with the 15-bit color in the other bits of the attribute, which is
+   * the color convention of VisCAM and SolidView and is the same as
+   * Hicolor.  All other facets are filled with the default fill color.
    * 
-   * (X, Y, Z) are the coordinates of the camera in worldspace.  The
-   * coordinates can be any finite values.
+   * The optional options object may have the following properties:
    * 
-   * yaw and roll are normalized angles in range [0.0, 1.0) (not
-   * including 1.0), while pitch is a normalized angle in the range
-   * [-1.0, 1.0].  See the documentation of m_cam for further
-   * information.
+   *   "fill" : integer - the default fill color as 15-bit Hicolor,
+   *   which is a mid gray if not given
    * 
-   * Parameters:
+   *   "edges" : object - a line style object with "width" and "color"
+   *   properties, in the same format as in scene files; if given, all
+   *   three edges of every facet are stroked with this style
    * 
-   *   x : number - the X coordinate
+   * Like loadScene(), this returns false and leaves the current scene
+   * unchanged if the file can't be loaded, and the reason is available
+   * from loadError().  The file may have at most MAX_COUNT distinct
+   * vertices after welding and at most MAX_COUNT facets.
    * 
-   *   y : number - the Y coordinate
+   * Parameters:
    * 
-   *   z : number - the Z coordinate
+   *   buf : ArrayBuffer | ArrayBufferView - the file data
    * 
-   *   yaw : number - the normalized yaw angle
+   *   opt : object - the options (optional)
    * 
-   *   pitch : number - the normalized pitch angle
+   * Return:
    * 
-   *   roll : number - the normalized roll angle
+   *   true if successful, false if the STL file couldn't be loaded
    */
-  function setCamera(x, y, z, yaw, pitch, roll) {
+  function loadSTL(buf, opt) {
     
-    var func_name = "setCamera";
+    var func_name = "loadSTL";
+    var result;
+    var bytes, dv, n, i, j, a, fc, sw, mo;
+    var recs, f, ln, nrm, tri;
+    var mesh;
     
     // Check parameters
-    if ((typeof x !== "number") ||
-        (typeof y !== "number") ||
-        (typeof z !== "number") ||
-        (typeof yaw !== "number") ||
-        (typeof pitch !== "number") ||
-        (typeof roll !== "number")) {
+    if (buf instanceof ArrayBuffer) {
+      bytes = new Uint8Array(buf);
+    } else if (ArrayBuffer.isView(buf)) {
+      bytes = new Uint8Array(buf.buffer, buf.byteOffset, buf.byteLength);
+    } else {
       fault(func_name, 100);
     }
     
-    if ((!isFinite(x)) ||
-        (!isFinite(y)) ||
-        (!isFinite(z)) ||
-        (!isFinite(yaw)) ||
-        (!isFinite(pitch)) ||
-        (!isFinite(roll))) {
-      fault(func_name, 110);
+    if ((opt === undefined) || (opt === null)) {
+      opt = {};
+    } else if ((typeof opt !== "object") || (opt instanceof Array)) {
+      fault(func_name, 101);
     }
     
-    if ((!((yaw >= 0.0) && (yaw < 1.0))) ||
-        (!((pitch >= -1.0) && (pitch <= 1.0))) ||
-        (!((roll >= 0.0) && (roll < 1.0)))) {
-      fault(func_name, 120);
+    // Begin by clearing the error message and setting result to true
+    m_errmsg = false;
+    result = true;
+    
+    // Wrap everything in an exception handler which in case of syntax
+    // error sets the result to false and in case of any other kind of
+    // exception rethrows the exception
+    try {
+      
+      // Get the default fill color and the edge style; the style word
+      // strokes all three edges when edges are requested
+      mo = meshOptions(opt);
+      sw = (mo.sel << 10) | (mo.sel << 5) | mo.sel;
+      
+      // Define the mesh that facets are added to
+      mesh = {
+        "vmap": {},
+        "vlist": [],
+        "slist": []
+      };
+      
+      // The file is binary if its size matches the facet count in the
+      // header, which is an 80-byte comment followed by the count
+      n = -1;
+      if (bytes.length >= 84) {
+        dv = new DataView(bytes.buffer, bytes.byteOffset, bytes.length);
+        n = dv.getUint32(80, true);
+        if (84 + (n * 50) !== bytes.length) {
+          n = -1;
+        }
+      }
+      
+      if (n >= 0) {
+        // Binary, where each facet has a normal, three vertices, and a
+        // 16-bit attribute
+        for(i = 0; i < n; i++) {
+          a = 84 + (i * 50);
+          
+          nrm = [];
+          for(j = 0; j < 3; j++) {
+            nrm.push(dv.getFloat32(a + (j * 4), true));
+          }
+          
+          tri = [];
+          for(j = 0; j < 9; j++) {
+            tri.push(dv.getFloat32(a + 12 + (j * 4), true));
+          }
+          
+          fc = dv.getUint16(a + 48, true);
+          if ((fc & 0x8000) !== 0) {
+            fc = fc & 0x7fff;
+          } else {
+            fc = mo.fill;
+          }
+          
+          stlFacet(mesh, nrm, tri, fc, sw);
+        }
+        
+      } else {
+        // ASCII, so convert the bytes to a string and split it
+        recs = splitRecords(bytesToString(bytes));
+        if ((recs.length < 1) || (recs[0].field[0] !== "solid")) {
+          syntax("Not a binary or ASCII STL file");
+        }
+        
+        // Go through the records, where nrm is null outside of facets
+        nrm = null;
+        tri = null;
+        for(i = 0; i < recs.length; i++) {
+          f = recs[i].field;
+          ln = recs[i].line;
+          
+          if (f[0] === "facet") {
+            // Begin a facet and get its normal
+            if (nrm !== null) {
+              syntax("STL line " + String(ln) + ": Facet within facet");
+            }
+            if ((f.length < 5) || (f[1] !== "normal")) {
+              syntax("STL line " + String(ln) + ": Facet must have normal");
+            }
+            nrm = [Number(f[2]), Number(f[3]), Number(f[4])];
+            if ((!isFinite(nrm[0])) || (!isFinite(nrm[1])) ||
+                (!isFinite(nrm[2]))) {
+              syntax("STL line " + String(ln) +
+                      ": Normal must have three finite numbers");
+            }
+            tri = [];
+            
+          } else if (f[0] === "vertex") {
+            // Add a vertex to the facet
+            if (nrm === null) {
+              syntax("STL line " + String(ln) + ": Vertex outside facet");
+            }
+            if ((f.length < 4) || (tri.length >= 9)) {
+              syntax("STL line " + String(ln) +
+                      ": Facet must have three vertices of three numbers");
+            }
+            tri.push(Number(f[1]), Number(f[2]), Number(f[3]));
+            
+          } else if (f[0] === "endfacet") {
+            // Finish the facet
+            if ((nrm === null) || (tri.length !== 9)) {
+              syntax("STL line " + String(ln) +
+                      ": Facet must have three vertices");
+            }
+            stlFacet(mesh, nrm, tri, mo.fill, sw);
+            nrm = null;
+          }
+        }
+        
+        if (nrm !== null) {
+          syntax("STL file ends within facet");
+        }
+      }
+      
+      // Must have at least one triangle
+      if (mesh.slist.length < 1) {
+        syntax("STL file has no facets");
+      }
+      
+      // Copy into typed buffers and install the new scene
+      installScene(new Float64Array(mesh.vlist), null,
+                    new Uint32Array(mesh.slist), [], mo.lstyle);
+      
+    } catch (ex) {
+      // Check whether this was a syntax error
+      if ((typeof ex === "string") &&
+            (ex === "dla_main:syntax_error")) {
+        // Syntax error, so just set result to false
+        result = false;
+      
+      } else {
+        // Other kinds of exceptions are rethrown
+        throw(ex);
+      }
     }
     
-    // Update camera position
-    m_cam[0] = x;
-    m_cam[1] = y;
-    m_cam[2] = z;
-    m_cam[3] = yaw;
-    m_cam[4] = pitch;
-    m_cam[5] = roll;
+    // Return result
+    return result;
   }
   
   /*
-   * Load a scene from a given string.
-   * 
-   * If false is returned, the current scene is unmodified.  You can use
-   * the loadError() function to get detail about what went wrong.
+   * Load a new scene from a PLY file.
+   * 
+   * ASCII, binary little endian, and binary big endian PLY files are
+   * accepted.  The "vertex" element must have "x", "y", and "z"
+   * properties.  If it also has "red", "green", and "blue" properties,
+   * or "diffuse_red", "diffuse_green", and "diffuse_blue" properties,
+   * these give the vertex colors.  Integer color channels are scaled so
+   * their full range is full intensity, and floating-point channels are
+   * taken to be in range [0.0, 1.0].
+   * 
+   * Each "face" element item, with a "vertex_indices" or "vertex_index"
+   * list property, becomes triangles in the same way as faces of OBJ
+   * files, keeping the vertex order.  A face is filled with its own
+   * color if the face element has color properties, or else with the
+   * average color of its vertices if they have colors, or else with the
+   * default fill color.
+   * 
+   * Each vertex that is not used by any face becomes a point, so a
+   * point cloud without faces becomes a point for every vertex.  Points
+   * are filled squares in the vertex color, or in the default fill
+   * color if vertices have no colors.  Colors are rounded to the nearest
+   * Hicolor and each distinct color gets a single point style.
+   * 
+   * If a point cloud without faces has more than MAX_COUNT vertices, it
+   * is subsampled to MAX_COUNT vertices spread evenly through the file.
+   * Files with faces can't be subsampled, so they may have at most
+   * MAX_COUNT vertices.  All other elements and properties are ignored.
+   * 
+   * The optional options object may have the following properties:
+   * 
+   *   "fill" : integer - the default fill color as 15-bit Hicolor,
+   *   which is a mid gray if not given
+   * 
+   *   "edges" : object - a line style object with "width" and "color"
+   *   properties, in the same format as in scene files; if given, the
+   *   edges of every face are stroked with this style
+   * 
+   *   "pointSize" : number - the size of points, which is 2.0 if not
+   *   given
+   * 
+   * Like loadScene(), this returns false and leaves the current scene
+   * unchanged if the file can't be loaded, and the reason is available
+   * from loadError().
    * 
    * Parameters:
    * 
-   *   str : string - the scene file contents to load
+   *   buf : ArrayBuffer | ArrayBufferView - the file data
+   * 
+   *   opt : object - the options (optional)
    * 
    * Return:
    * 
-   *   true if successful, false if scene text has syntax error
+   *   true if successful, false if the PLY file couldn't be loaded
    */
-  function loadScene(str) {
+  function loadPLY(buf, opt) {
     
-    var func_name = "loadScene";
+    var func_name = "loadPLY";
     var result;
-    var data;
-    var i, a, b, c, x, y, o;
-    var ii, ij, ik;
-    
-    var pscount;
-    var lscount;
-    var rcount;
-    var vcount;
-    var scount;
-    
-    var vtx;
-    var scene;
-    var rbuf;
-    var ps;
-    var ls;
+    var bytes, hdr, rd, el, item, i, j, k, n, a, b, c, f;
+    var mo, psz, fc, sw;
+    var vcount, vxyz, vcol, vi, ci;
+    var faces, fcol, used, keep, ps, pmap, vlist, slist;
     
-    // Check parameter
-    if (typeof str !== "string") {
+    // Check parameters
+    if (buf instanceof ArrayBuffer) {
+      bytes = new Uint8Array(buf);
+    } else if (ArrayBuffer.isView(buf)) {
+      bytes = new Uint8Array(buf.buffer, buf.byteOffset, buf.byteLength);
+    } else {
       fault(func_name, 100);
     }
     
+    if ((opt === undefined) || (opt === null)) {
+      opt = {};
+    } else if ((typeof opt !== "object") || (opt instanceof Array)) {
+      fault(func_name, 101);
+    }
+    
     // Begin by clearing the error message and setting result to true
     m_errmsg = false;
     result = true;
@@ -2462,564 +11876,540 @@
     // exception rethrows the exception
     try {
       
-      // Parse the string as JSON
-      try {
-        data = JSON.parse(str);
-      } catch (ex) {
-        syntax("Not a valid JSON file");
-      }
-      if (data == null) {
-        syntax("Not a valid JSON file");
-      }
-      
-      // Top-level JSON entity must be object
-      if ((typeof data !== "object") || (data instanceof Array)) {
-        syntax("Top-level entity must be object");
-      }
-      
-      // If the point styles member exists, it must be an array; store
-      // its length as the point styles count, else set point styles
-      // count to zero
-      if ("pstyle" in data) {
-        if ((typeof data.pstyle !== "object") ||
-              (!(data.pstyle instanceof Array))) {
-          syntax("pstyle property must be array");
-        }
-        pscount = data.pstyle.length;
-        
-      } else {
-        pscount = 0;
-      }
+      // Get the default fill color, the face edge style, and the point
+      // size
+      mo = meshOptions(opt);
       
-      // If the line styles member exists, it must be an array; store
-      // its length as the line styles count, else set line styles count
-      // to zero
-      if ("lstyle" in data) {
-        if ((typeof data.lstyle !== "object") ||
-              (!(data.lstyle instanceof Array))) {
-          syntax("lstyle property must be array");
+      psz = DEFAULT_POINT_SIZE;
+      if ("pointSize" in opt) {
+        psz = opt.pointSize;
+        if ((typeof psz !== "number") || (!isFinite(psz)) ||
+            (!(psz > 0.0))) {
+          syntax("Point size must be finite and greater than zero");
         }
-        lscount = data.lstyle.length;
-        
-      } else {
-        lscount = 0;
-      }
-      
-      // If the radius member exists, it must be an array; store its
-      // length as the radius count, else set radius count to zero
-      if ("radius" in data) {
-        if ((typeof data.radius !== "object") ||
-              (!(data.radius instanceof Array))) {
-          syntax("radius property must be array");
-        }
-        rcount = data.radius.length;
-        
-      } else {
-        rcount = 0;
-      }
-      
-      // The vertex member must exist and be an array and have a number
-      // of elements that is greater than zero and divisible by three;
-      // set the vertex count
-      if (!("vertex" in data)) {
-        syntax("Missing vertex property");
-      }
-      if ((typeof data.vertex !== "object") ||
-            (!(data.vertex instanceof Array))) {
-        syntax("vertex property must be array");
-      }
-      if (data.vertex.length < 1) {
-        syntax("Vertex buffer may not be empty");
-      }
-      if ((data.vertex.length % 3) !== 0) {
-        syntax("Vertex buffer array must be a multiple of 3");
-      }
-      vcount = data.vertex.length / 3;
-      
-      // The scene member must exist and be an array and have a number
-      // of elements that is greater than zero and divisible by five;
-      // set the scene count
-      if (!("scene" in data)) {
-        syntax("Missing scene property");
-      }
-      if ((typeof data.scene !== "object") ||
-            (!(data.scene instanceof Array))) {
-        syntax("scene property must be array");
-      }
-      if (data.scene.length < 1) {
-        syntax("Scene graph may not be empty");
       }
-      if ((data.scene.length % 5) !== 0) {
-        syntax("Scene graph array be a multiple of 5");
-      }
-      scount = data.scene.length / 5;
       
-      // Check that all the array counts are in valid ranges
-      if (pscount > 65535) {
-        syntax("At most 65535 point styles are allowed");
-      }
-      if (lscount > 65535) {
-        syntax("At most 65535 line styles are allowed");
-      }
-      if (rcount > 65535) {
-        syntax("At most 65535 radius definitions are allowed");
-      }
-      if (vcount > 65535) {
-        syntax("At most 65535 vertex definitions are allowed");
-      }
-      if (scount > 65535) {
-        syntax("At most 65535 scene objects are allowed");
+      // Parse the header and set up a reader for the data
+      hdr = plyHeader(bytes);
+      rd = {
+        "format": hdr.format,
+        "pos": hdr.offset,
+        "dv": new DataView(bytes.buffer, bytes.byteOffset, bytes.length),
+        "text": null,
+        "re": null
+      };
+      if (hdr.format === "ascii") {
+        rd.text = bytesToString(bytes.subarray(hdr.offset));
+        rd.re = /\S+/g;
       }
       
-      // Create a new typed vertex array buffer and copy in all the
-      // vertices, checking along the way that everything is a finite
-      // number
-      vtx = new Float64Array(vcount * 3);
-      for(i = 0; i < vcount; i++) {
-        // Get each of the vertex elements
-        a = data.vertex[i * 3];
-        b = data.vertex[(i * 3) + 1];
-        c = data.vertex[(i * 3) + 2];
-        
-        // Check that everything is a number
-        if ((typeof a !== "number") ||
-            (typeof b !== "number") ||
-            (typeof c !== "number")) {
-          syntax("Vertex buffer may only contain numbers");
-        }
-        
-        // Check that everything is finite
-        if ((!isFinite(a)) ||
-            (!isFinite(b)) ||
-            (!isFinite(c))) {
-          syntax("Vertex buffer may only contain finite values");
-        }
-        
-        // Store in the vertex buffer
-        vtx[ i * 3     ] = a;
-        vtx[(i * 3) + 1] = b;
-        vtx[(i * 3) + 2] = c;
-      }
+      // Read all the elements, keeping the vertex coordinates in vxyz,
+      // the vertex colors in vcol if there are any, the face vertex
+      // lists in faces, and the face colors in fcol, with -1 for faces
+      // that have no color of their own
+      vxyz = null;
+      vcol = null;
+      faces = [];
+      fcol = [];
       
-      // Create a new typed scene object buffer and copy in all the
-      // scene objects, checking their formats and references along the
-      // way
-      scene = new Uint16Array(scount * 5);
-      for(i = 0; i < scount; i++) {
-        // Get each of the scene object elements
-        a = data.scene[i * 5];
-        b = data.scene[(i * 5) + 1];
-        c = data.scene[(i * 5) + 2];
-        x = data.scene[(i * 5) + 3];
-        y = data.scene[(i * 5) + 4];
-        
-        // Everything must be a number
-        if ((typeof a !== "number") ||
-            (typeof b !== "number") ||
-            (typeof c !== "number") ||
-            (typeof x !== "number") ||
-            (typeof y !== "number")) {
-          syntax("Scene buffer may only contain numbers");
-        }
-        
-        // Floor everything to integer value
-        a = Math.floor(a);
-        b = Math.floor(b);
-        c = Math.floor(c);
-        x = Math.floor(x);
-        y = Math.floor(y);
-        
-        // Integer values must all be finite
-        if ((!isFinite(a)) ||
-            (!isFinite(b)) ||
-            (!isFinite(c)) ||
-            (!isFinite(x)) ||
-            (!isFinite(y))) {
-          syntax("Scene buffer may only contain finite integers");
-        }
-        
-        // Integer values must all be in unsigned 16-bit range
-        if ((a < 0) || (a > 65535) ||
-            (b < 0) || (b > 65535) ||
-            (c < 0) || (c > 65535) ||
-            (x < 0) || (x > 65535) ||
-            (y < 0) || (y > 65535)) {
-          syntax("Scene buffer may only contain 16-bit integers");
-        }
-        
-        // First element must always be a valid vertex index
-        if (a >= vcount) {
-          syntax("First vertex must always be valid index");
-        }
+      for(k = 0; k < hdr.element.length; k++) {
+        el = hdr.element[k];
+        plyCheckCount(rd, el);
         
-        // Rest of checking depends on object type
-        if ((b !== 65535) && (c !== 65535)) {
-          // All three vertices defined, so TRIANGLE -- begin by
-          // checking vertex ranges
-          if ((b >= vcount) || (c >= vcount)) {
-            syntax("Triangles must have three valid vertices");
+        if (el.name === "vertex") {
+          // Vertices, which must have coordinates and may have colors
+          if (vxyz !== null) {
+            syntax("PLY file may only have one vertex element");
           }
-          
-          // Check that fill color is in HiColor range
-          if (x >= 0x8000) {
-            syntax("Triangles must have 15-bit fill color");
+          vi = plyFind(el, ["x", "y", "z"]);
+          if (vi === null) {
+            syntax("PLY vertices must have x, y, and z");
           }
-          
-          // Check that style word is in 15-bit range
-          if (y >= 0x8000) {
-            syntax("Triangles must have 15-bit style");
+          ci = plyFind(el, ["red", "green", "blue"]);
+          if (ci === null) {
+            ci = plyFind(el, ["diffuse_red", "diffuse_green",
+                              "diffuse_blue"]);
           }
           
-          // Get the edge selector values
-          ii = (y >> 10);
-          ij = (y >> 5) & 0x1f;
-          ik = y & 0x1f;
-          
-          // For edge selectors that are greater than zero, make sure
-          // that one less than their value is a valid line style
-          if (ii > 0) {
-            if (ii > lscount) {
-              syntax("Selectors must reference line style or none");
-            }
+          vxyz = new Float64Array(el.count * 3);
+          if (ci !== null) {
+            vcol = new Uint16Array(el.count);
           }
-          if (ij > 0) {
-            if (ij > lscount) {
-              syntax("Selectors must reference line style or none");
+          
+          for(i = 0; i < el.count; i++) {
+            item = plyItem(rd, el);
+            for(j = 0; j < 3; j++) {
+              a = item[vi[j]];
+              if (!isFinite(a)) {
+                syntax("PLY vertex coordinates must be finite");
+              }
+              vxyz[(i * 3) + j] = a;
             }
-          }
-          if (ik > 0) {
-            if (ik > lscount) {
-              syntax("Selectors must reference line style or none");
+            if (ci !== null) {
+              vcol[i] = plyColor(el, ci, item);
             }
           }
           
-        } else if ((b === 65535) && (c !== 65535)) {
-          // First and last vertices defined, so SPHERE -- begin by
-          // checking radius range
-          if (c >= rcount) {
-            syntax("Spheres must have valid radius indices");
-          }
-          
-          // Check that fill color is in HiColor range or is the special
-          // 0xffff value indicating no fill
-          if ((x >= 0x8000) && (x !== 0xffff)) {
-            syntax("Spheres must have 15-bit fill or be transparent");
-          }
-          
-          // Fifth element must be index into line styles or special
-          // 0xffff value indicating no edge line
-          if ((y >= lscount) && (y !== 0xffff)) {
-            syntax("Spheres must reference line style or transparent");
-          }
-          
-          // Spheres may not have both transparent fill and transparent
-          // stroke
-          if ((x === 0xffff) && (y === 0xffff)) {
-            syntax("Spheres may not be fully transparent");
-          }
-          
-        } else if ((b !== 65535) && (c === 65535)) {
-          // First and second vertices defined, so LINE -- begin by
-          // checking vertex range
-          if (b >= vcount) {
-            syntax("Lines must have two valid vertices");
+        } else if (el.name === "face") {
+          // Faces, which must have a vertex list and may have colors
+          for(j = 0; j < el.prop.length; j++) {
+            if ((("count" in el.prop[j])) &&
+                ((el.prop[j].name === "vertex_indices") ||
+                  (el.prop[j].name === "vertex_index"))) {
+              break;
+            }
           }
-          
-          // Set fourth element to zero since it is not used
-          x = 0;
-          
-          // Check that fifth element is index into line styles
-          if (y >= lscount) {
-            syntax("Lines must reference defined line style");
+          if (j >= el.prop.length) {
+            syntax("PLY faces must have vertex_indices list");
           }
+          ci = plyFind(el, ["red", "green", "blue"]);
           
-        } else if ((b === 65535) && (c === 65535)) {
-          // Only first vertex defined, so POINT -- begin by setting
-          // fourth element to zero since it is not used
-          x = 0;
-          
-          // Check that fifth element is index into point styles
-          if (y >= pscount) {
-            syntax("Points must reference defined point style");
+          for(i = 0; i < el.count; i++) {
+            item = plyItem(rd, el);
+            faces.push(item[j]);
+            fcol.push((ci !== null) ? plyColor(el, ci, item) : -1);
           }
           
         } else {
-          // Shouldn't happen
-          fault(func_name, 200);
+          // Any other element is read and ignored
+          for(i = 0; i < el.count; i++) {
+            plyItem(rd, el);
+          }
         }
-        
-        // Store in the scene buffer
-        scene[ i * 5     ] = a;
-        scene[(i * 5) + 1] = b;
-        scene[(i * 5) + 2] = c;
-        scene[(i * 5) + 3] = x;
-        scene[(i * 5) + 4] = y;
       }
       
-      // If there is at least one radius definition, define the radius
-      // table, checking that all radii are numbers that are finite and
-      // greater than zero; otherwise, set the radius table to null
-      rbuf = null;
-      if (rcount > 0) {
-        rbuf = new Float64Array(rcount);
-        for(i = 0; i < rcount; i++) {
-          // Get the radius
-          a = data.radius[i];
-          
-          // Check that it's a number, finite, and greater than zero
-          if (typeof a !== "number") {
-            syntax("Radii must be numbers");
-          }
-          if (!isFinite(a)) {
-            syntax("Radii must be finite");
-          }
-          if (!(a > 0.0)) {
-            syntax("Radii must be greater than zero");
+      // Must have vertices
+      if ((vxyz === null) || (vxyz.length < 1)) {
+        syntax("PLY file has no vertices");
+      }
+      vcount = vxyz.length / 3;
+      
+      // Check the faces and mark the vertices they use
+      used = new Uint8Array(vcount);
+      for(i = 0; i < faces.length; i++) {
+        f = faces[i];
+        if (f.length < 3) {
+          syntax("PLY faces must have at least three vertices");
+        }
+        for(j = 0; j < f.length; j++) {
+          if (!((f[j] >= 0) && (f[j] < vcount) &&
+                (f[j] === Math.floor(f[j])))) {
+            syntax("PLY face vertex index out of range");
           }
-          
-          // Store the radius
-          rbuf[i] = a;
+          used[f[j]] = 1;
         }
       }
       
-      // If there is at least one point style defined, define the point
-      // style table, checking that point styles are valid; otherwise,
-      // set the point styles table to an empty array
-      ps = [];
-      for(i = 0; i < pscount; i++) {
-        // Get the current style object
-        o = data.pstyle[i];
-        
-        // Make sure style is an object
-        if ((typeof o != "object") || (o instanceof Array)) {
-          syntax("Point styles must be objects");
-        }
-        
-        // Must have "shape" "size" and "stroke" properties
-        if (!("shape" in o)) {
-          syntax("All point styles must have shape property");
+      // Choose the vertices to keep, subsampling point clouds that are
+      // too large
+      if (vcount > MAX_COUNT) {
+        if (faces.length > 0) {
+          syntax("PLY files with faces may have at most " +
+                  String(MAX_COUNT) + " vertices");
         }
-        if (!("size" in o)) {
-          syntax("All point styles must have size property");
+        keep = new Uint32Array(MAX_COUNT);
+        for(i = 0; i < MAX_COUNT; i++) {
+          keep[i] = Math.floor(i * vcount / MAX_COUNT);
         }
-        if (!("stroke" in o)) {
-          syntax("All point styles must have stroke property");
+      } else {
+        keep = new Uint32Array(vcount);
+        for(i = 0; i < vcount; i++) {
+          keep[i] = i;
         }
+      }
+      
+      // Copy the kept vertices
+      vlist = new Float64Array(keep.length * 3);
+      for(i = 0; i < keep.length; i++) {
+        vlist[ i * 3     ] = vxyz[ keep[i] * 3     ];
+        vlist[(i * 3) + 1] = vxyz[(keep[i] * 3) + 1];
+        vlist[(i * 3) + 2] = vxyz[(keep[i] * 3) + 2];
+      }
+      
+      // Add the triangles of the faces, which only exist when vertices
+      // were not subsampled, so vertex indices are unchanged
+      slist = [];
+      for(i = 0; i < faces.length; i++) {
+        f = faces[i];
         
-        // Get the core property values
-        a = o.shape;
-        b = o.size;
-        c = o.stroke;
+        // Get the fill color, averaging vertex colors if the face has
+        // no color of its own
+        fc = fcol[i];
+        if ((fc < 0) && (vcol !== null)) {
+          a = 0;
+          b = 0;
+          c = 0;
+          for(j = 0; j < f.length; j++) {
+            a = a + (vcol[f[j]] >> 10);
+            b = b + ((vcol[f[j]] >> 5) & 0x1f);
+            c = c + (vcol[f[j]] & 0x1f);
+          }
+          fc = (Math.round(a / f.length) << 10) |
+                (Math.round(b / f.length) << 5) |
+                Math.round(c / f.length);
+        } else if (fc < 0) {
+          fc = mo.fill;
+        }
         
-        // Make sure that shape is a string with one character that is
-        // a valid shape code
-        if (typeof a !== "string") {
-          syntax("Point style shape code must be string");
+        // Split into a fan of triangles, stroking only the edges of the
+        // original face
+        n = f.length;
+        if (slist.length + ((n - 2) * SCENE_STRIDE) >
+            MAX_COUNT * SCENE_STRIDE) {
+          syntax("At most " + String(MAX_COUNT) +
+                  " scene objects are allowed");
         }
-        if (a.length !== 1) {
-          syntax("Point style shape code must be one character");
+        for(j = 2; j < n; j++) {
+          sw = mo.sel << 5;
+          if (j === 2) {
+            sw = sw | (mo.sel << 10);
+          }
+          if (j === n - 1) {
+            sw = sw | mo.sel;
+          }
+          slist.push(SCENE_TRIANGLE, f[0], f[j - 1], f[j], fc, sw);
         }
-        if (VALID_SHAPES.indexOf(a) < 0) {
-          syntax("Invalid shape code '" + a + "' in point style");
+      }
+      
+      // Add a point for each vertex that no face uses, with a point
+      // style for each distinct color
+      ps = [];
+      pmap = {};
+      for(i = 0; i < keep.length; i++) {
+        if (used[keep[i]]) {
+          continue;
         }
         
-        // Make sure size is a finite number that is greater than zero
-        if (typeof b !== "number") {
-          syntax("Point style size must be number");
+        fc = (vcol !== null) ? vcol[keep[i]] : mo.fill;
+        if (!pmap.hasOwnProperty(String(fc))) {
+          pmap[String(fc)] = ps.length;
+          ps.push({"shape": "s", "size": psz, "stroke": 0.0, "fill": fc});
         }
-        if (!isFinite(b)) {
-          syntax("Point style size must be finite");
+        
+        if (slist.length >= MAX_COUNT * SCENE_STRIDE) {
+          syntax("At most " + String(MAX_COUNT) +
+                  " scene objects are allowed");
         }
-        if (!(b > 0.0)) {
-          syntax("Point style size must be greater than zero");
+        slist.push(SCENE_POINT, i, 0, 0, 0, pmap[String(fc)]);
+      }
+      
+      // Install the new scene
+      installScene(vlist, null, new Uint32Array(slist), ps, mo.lstyle);
+      
+    } catch (ex) {
+      // Check whether this was a syntax error
+      if ((typeof ex === "string") &&
+            (ex === "dla_main:syntax_error")) {
+        // Syntax error, so just set result to false
+        result = false;
+      
+      } else {
+        // Other kinds of exceptions are rethrown
+        throw(ex);
+      }
+    }
+    
+    // Return result
+    return result;
+  }
+  
+  /*
+   * Load a new scene from a glTF 2.0 file.
+   * 
+   * Both .gltf files, given as JSON text, and binary .glb files, given
+   * as bytes, are accepted.  The buffers of a .gltf file may be embedded
+   * as base64 data URIs, or they may be separate files, which are given
+   * in the resources object that maps file names to their contents.
+   * Buffer files are looked up first by their exact URI and then by the
+   * decoded file name at the end of the URI, so files picked from the
+   * same directory are found.
+   * 
+   * The nodes of the scene named by the "scene" property are loaded, or
+   * of the first scene if there is no "scene" property, or of every root
+   * node if the file has no scenes.  The node hierarchy is flattened by
+   * transforming the vertices of each node's mesh into world space, so
+   * each node that uses a mesh gets its own copy of the mesh vertices.
+   * 
+   * Triangle, triangle strip, and triangle fan primitives become
+   * triangles, line, line strip, and line loop primitives become lines,
+   * and point primitives become filled square points.  The color of each
+   * object is the base color factor of the material, times the average
+   * of the vertex colors of the object if the primitive has vertex
+   * colors, converted from linear to sRGB and rounded to Hicolor.
+   * Primitives without a material or vertex colors get the default fill
+   * color.  Triangles are visible from the side where their vertices go
+   * around counter-clockwise, and triangles of double-sided materials
+   * are added twice, once facing each way.  Textures, lighting, and all
+   * other attributes are ignored, and files that require any extension
+   * are rejected.
+   * 
+   * Every perspective and orthographic camera in the hierarchy becomes a
+   * viewpoint, which can be retrieved with getViewpoints().  A viewpoint
+   * takes its name from the camera node, or else from the camera.
+   * 
+   * The optional options object may have the following properties:
+   * 
+   *   "fill" : integer - the default fill color as 15-bit Hicolor,
+   *   which is a mid gray if not given
+   * 
+   *   "edges" : object - a line style object with "width" and "color"
+   *   properties, in the same format as in scene files; if given, the
+   *   edges of every triangle are stroked with this style
+   * 
+   *   "lineWidth" : number - the width of lines, which is 1.0 if not
+   *   given
+   * 
+   *   "pointSize" : number - the size of points, which is 2.0 if not
+   *   given
+   * 
+   * Like loadScene(), this returns false and leaves the current scene
+   * unchanged if the file can't be loaded, and the reason is available
+   * from loadError().  The file may produce at most MAX_COUNT vertices
+   * and at most MAX_COUNT scene objects.
+   * 
+   * Parameters:
+   * 
+   *   src : string | ArrayBuffer | ArrayBufferView - the file contents
+   * 
+   *   res : object - maps the file names of buffer files to their
+   *   contents as ArrayBuffers or ArrayBufferViews (optional)
+   * 
+   *   opt : object - the options (optional)
+   * 
+   * Return:
+   * 
+   *   true if successful, false if the glTF file couldn't be loaded
+   */
+  function loadGLTF(src, res, opt) {
+    
+    var func_name = "loadGLTF";
+    var result;
+    var rbuf, k, v, gl, doc, mo, mesh, a, roots, used, stack, it;
+    var node, m, o, x, y, z, flip, prims, cams, views, names, i, j;
+    
+    // Check parameters
+    if (src instanceof ArrayBuffer) {
+      src = new Uint8Array(src);
+    } else if (ArrayBuffer.isView(src)) {
+      src = new Uint8Array(src.buffer, src.byteOffset, src.byteLength);
+    } else if (typeof src !== "string") {
+      fault(func_name, 100);
+    }
+    
+    rbuf = {};
+    if ((res !== undefined) && (res !== null)) {
+      if ((typeof res !== "object") || (res instanceof Array)) {
+        fault(func_name, 101);
+      }
+      for(k in res) {
+        if (res.hasOwnProperty(k)) {
+          v = res[k];
+          if (v instanceof ArrayBuffer) {
+            rbuf[k] = new Uint8Array(v);
+          } else if (ArrayBuffer.isView(v)) {
+            rbuf[k] = new Uint8Array(v.buffer, v.byteOffset, v.byteLength);
+          } else {
+            fault(func_name, 102);
+          }
         }
-        
-        // Make sure stroke is a finite number that is greater than or
-        // equal to zero
-        if (typeof c !== "number") {
-          syntax("Point style stroke must be number");
+      }
+    }
+    
+    if ((opt === undefined) || (opt === null)) {
+      opt = {};
+    } else if ((typeof opt !== "object") || (opt instanceof Array)) {
+      fault(func_name, 103);
+    }
+    
+    // Begin by clearing the error message and setting result to true
+    m_errmsg = false;
+    result = true;
+    
+    // Wrap everything in an exception handler which in case of syntax
+    // error sets the result to false and in case of any other kind of
+    // exception rethrows the exception
+    try {
+      
+      // Set up the mesh that is built, with the default fill color, the
+      // face edge style, the line width, and the point size
+      mo = meshOptions(opt);
+      mesh = {
+        "vlist": [],
+        "slist": [],
+        "ls": mo.lstyle,
+        "lmap": {},
+        "ps": [],
+        "pmap": {},
+        "fill": mo.fill,
+        "sel": mo.sel,
+        "lw": 1.0,
+        "psz": DEFAULT_POINT_SIZE
+      };
+      
+      if ("lineWidth" in opt) {
+        mesh.lw = opt.lineWidth;
+        if ((typeof mesh.lw !== "number") || (!isFinite(mesh.lw)) ||
+            (!(mesh.lw > 0.0))) {
+          syntax("Line width must be finite and greater than zero");
         }
-        if (!isFinite(c)) {
-          syntax("Point style stroke must be finite");
+      }
+      
+      if ("pointSize" in opt) {
+        mesh.psz = opt.pointSize;
+        if ((typeof mesh.psz !== "number") || (!isFinite(mesh.psz)) ||
+            (!(mesh.psz > 0.0))) {
+          syntax("Point size must be finite and greater than zero");
         }
-        if (!(c >= 0.0)) {
-          syntax("Point style stroke must be zero or greater");
+      }
+      
+      // Parse the file and get its buffers
+      gl = gltfParse(src);
+      doc = gl.doc;
+      gltfBuffers(gl, rbuf);
+      
+      // Get the root nodes, from the chosen scene if there are scenes,
+      // or else every node that is not the child of another node
+      if ((doc.scenes instanceof Array) && (doc.scenes.length > 0)) {
+        roots = gltfItem(doc, "scenes", gltfInt(doc.scene, 0, "scene"));
+        roots = (roots.nodes !== undefined) ? roots.nodes : [];
+        if (!(roots instanceof Array)) {
+          syntax("glTF scene nodes must be array");
         }
-        
-        // If this shape is a filled shape, there must be a "fill"
-        // property, which should be floored to a finite integer that is
-        // either 15-bit or 0xffff; if the shape is not a filled shape,
-        // there must not be a "fill" property
-        x = 0;
-        if (FILL_SHAPES.indexOf(a) >= 0) {
-          // Fill shape, so must have property
-          if (!("fill" in o)) {
-            syntax("Point style must have fill for filled shapes");
-          }
-          
-          // Get the fill property
-          x = o.fill;
-          
-          // Make sure it is a number
-          if (typeof x !== "number") {
-            syntax("Point style fill must be number");
-          }
-          
-          // Floor it
-          x = Math.floor(x);
-          
-          // Make sure it is finite
-          if (!isFinite(x)) {
-            syntax("Point style fill must be finite integer");
-          }
-          
-          // Make sure 15-bit or 0xffff
-          if (((x < 0) || (x > 0x7fff)) && (x !== 0xffff)) {
-            syntax("Point style fill must be 15-bit or 65535");
+      
+      } else {
+        roots = [];
+        a = (doc.nodes instanceof Array) ? doc.nodes : [];
+        used = new Uint8Array(a.length);
+        for(i = 0; i < a.length; i++) {
+          node = gltfItem(doc, "nodes", i);
+          if (node.children instanceof Array) {
+            for(j = 0; j < node.children.length; j++) {
+              gltfItem(doc, "nodes", node.children[j]);
+              used[node.children[j]] = 1;
+            }
           }
-          
-        } else {
-          // Not a fill shape, so must not have property
-          if ("fill" in o) {
-            syntax("Point style may not have fill for unfilled shapes");
+        }
+        for(i = 0; i < a.length; i++) {
+          if (!used[i]) {
+            roots.push(i);
           }
         }
+      }
+      
+      // Go through the hierarchy, with a stack of node indices and the
+      // world transforms of their parents, adding the meshes of the
+      // nodes and collecting the cameras with their world transforms
+      stack = [];
+      for(i = roots.length - 1; i >= 0; i--) {
+        stack.push([roots[i], null]);
+      }
+      used = {};
+      cams = [];
+      
+      while (stack.length > 0) {
+        it = stack.pop();
+        node = gltfItem(doc, "nodes", it[0]);
+        if (used.hasOwnProperty(String(it[0]))) {
+          syntax("glTF node hierarchy must be a tree");
+        }
+        used[String(it[0])] = true;
         
-        // If the stroke size is greater than zero, there must be an
-        // "ink" property, which should be floored to a finite integer
-        // that is 15-bit; if the stroke size is zero, there must not be
-        // an "ink" property
-        y = 0;
-        if (c > 0.0) {
-          // Stroke, so must have property
-          if (!("ink" in o)) {
-            syntax("Point style with stroke must have ink");
-          }
-          
-          // Get the ink property
-          y = o.fill;
-          
-          // Make sure it is a number
-          if (typeof y !== "number") {
-            syntax("Point style ink must be number");
+        // Get the world transform
+        m = gltfMatrix(node);
+        if (it[1] !== null) {
+          m.multiply(it[1]);
+        }
+        
+        // Add the mesh, reversing triangles if the transform mirrors
+        // them, which is when the determinant of its axes is negative
+        if ("mesh" in node) {
+          prims = gltfItem(doc, "meshes", node.mesh).primitives;
+          if (!(prims instanceof Array)) {
+            syntax("glTF mesh primitives must be array");
           }
           
-          // Floor it
-          y = Math.floor(y);
-          
-          // Make sure it is finite
-          if (!isFinite(y)) {
-            syntax("Point style ink must be finite integer");
+          o = [0, 0, 0];
+          x = [1, 0, 0];
+          y = [0, 1, 0];
+          z = [0, 0, 1];
+          m.process(o);
+          m.process(x);
+          m.process(y);
+          m.process(z);
+          for(j = 0; j < 3; j++) {
+            x[j] = x[j] - o[j];
+            y[j] = y[j] - o[j];
+            z[j] = z[j] - o[j];
           }
+          flip = ((x[0] * ((y[1] * z[2]) - (y[2] * z[1]))) +
+                  (x[1] * ((y[2] * z[0]) - (y[0] * z[2]))) +
+                  (x[2] * ((y[0] * z[1]) - (y[1] * z[0])))) < 0;
           
-          // Make sure 15-bit
-          if ((y < 0) || (y > 0x7fff)) {
-            syntax("Point style ink must be 15-bit");
+          for(j = 0; j < prims.length; j++) {
+            gltfPrimitive(gl, prims[j], m, flip, mesh);
           }
           
-        } else {
-          // No stroke, so must not have property
-          if ("ink" in o) {
-            syntax("Point style with zero stroke may not have ink");
+          if ((mesh.vlist.length > MAX_COUNT * 3) ||
+              (mesh.slist.length > MAX_COUNT * SCENE_STRIDE)) {
+            syntax("At most " + String(MAX_COUNT) +
+                    " vertices and scene objects are allowed");
           }
         }
         
-        // Now create a new object and fill it with the checked and
-        // possibly adjusted properties
-        o = {};
-        
-        o.shape  = a;
-        o.size   = b;
-        o.stroke = c;
-        
-        if (FILL_SHAPES.indexOf(a) >= 0) {
-          o.fill = x;
-        }
-        if (c > 0.0) {
-          o.ink  = y;
+        // Remember the camera
+        if ("camera" in node) {
+          cams.push([gltfItem(doc, "cameras", node.camera), m, node.name]);
         }
         
-        // Push the new style to the end of the point styles array
-        ps.push(o);
+        // Visit the children
+        if ("children" in node) {
+          if (!(node.children instanceof Array)) {
+            syntax("glTF node children must be array");
+          }
+          for(j = node.children.length - 1; j >= 0; j--) {
+            stack.push([node.children[j], m]);
+          }
+        }
       }
       
-      // If there is at least one line style defined, define the line
-      // style table, checking that line styles are valid; otherwise,
-      // set the line styles table to an empty array
-      ls = [];
-      for(i = 0; i < lscount; i++) {
-        // Get the current style object
-        o = data.lstyle[i];
-        
-        // Make sure style is an object
-        if ((typeof o != "object") || (o instanceof Array)) {
-          syntax("Line styles must be objects");
-        }
-        
-        // Must have "width" and "color" properties
-        if (!("width" in o)) {
-          syntax("All line styles must have width property");
-        }
-        if (!("color" in o)) {
-          syntax("All line styles must have color property");
-        }
-        
-        // Get the property values
-        a = o.width;
-        b = o.color;
-        
-        // Make sure both properties are numbers
-        if (typeof a !== "number") {
-          syntax("Line style width must be number");
-        }
-        if (typeof b !== "number") {
-          syntax("Line style color must be number");
-        }
-        
-        // Make sure width is a finite value that is greater than zero
-        if (!isFinite(a)) {
-          syntax("Line style width must be finite");
+      // Must have at least one scene object
+      if (mesh.slist.length < 1) {
+        syntax("glTF file has no triangles, lines, or points");
+      }
+      
+      // Convert the cameras to viewpoints, once all the vertices are
+      // known, giving each a unique name
+      views = [];
+      names = {};
+      for(i = 0; i < cams.length; i++) {
+        k = cams[i][2];
+        if ((typeof k !== "string") || (k.trim().length < 1)) {
+          k = cams[i][0].name;
         }
-        if (!(a > 0.0)) {
-          syntax("Line style width must be greater than zero");
+        if ((typeof k !== "string") || (k.trim().length < 1)) {
+          k = "Camera " + String(i + 1);
         }
-        
-        // Floor color and make sure it's finite
-        b = Math.floor(b);
-        if (!isFinite(b)) {
-          syntax("Line style color must be finite integer");
+        k = k.trim();
+        if (names.hasOwnProperty(k)) {
+          j = 2;
+          while (names.hasOwnProperty(k + " (" + String(j) + ")")) {
+            j++;
+          }
+          k = k + " (" + String(j) + ")";
         }
         
-        // Make sure color is 15-bit
-        if ((b < 0) || (b > 0x7fff)) {
-          syntax("Line style color must be 15-bit HiColor");
+        v = gltfView(cams[i][0], cams[i][1], k, mesh.vlist);
+        if (v !== null) {
+          names[k] = true;
+          views.push(v);
         }
-        
-        // Now create a new object and fill it with the checked and
-        // possibly adjusted properties
-        o = {};
-        
-        o.width = a;
-        o.color = b;
-        
-        // Push the new style to the end of the line styles array
-        ls.push(o);
       }
       
-      // If we got here without exception, everything has been loaded
-      // successfully, so store all the data in the module and set the
-      // loaded flag
-      m_vtx = vtx;
-      m_tvx = new Float64Array(vtx.length);
-      m_pvx = new Float64Array(vtx.length);
-      m_rad = rbuf;
-      m_scene = scene;
-      m_paint = new Uint32Array(scount);
-      m_pstyle = ps;
-      m_lstyle = ls;
-      
-      m_loaded = true;
-      
+      // Install the new scene and then its viewpoints
+      installScene(new Float64Array(mesh.vlist), null,
+                    new Uint32Array(mesh.slist), mesh.ps, mesh.ls);
+      m_views = views;
+    
     } catch (ex) {
       // Check whether this was a syntax error
       if ((typeof ex === "string") &&
@@ -3037,6 +12427,44 @@
     return result;
   }
   
+  /*
+   * Get the viewpoints of the loaded scene.
+   * 
+   * Only glTF files define viewpoints, one for each of their cameras;
+   * for all other scenes the array is empty.  Each viewpoint is
+   * an object with the following properties:
+   * 
+   *   "name" : string - the name of the viewpoint
+   * 
+   *   "camera" : Array - the camera position, in the format returned by
+   *   getCamera()
+   * 
+   *   "projection" : Array - the projection, in the format returned by
+   *   getProjection()
+   * 
+   * The values meet all the requirements of setCamera() and
+   * setProjection(), so a viewpoint is shown by passing them on.
+   * 
+   * Return:
+   * 
+   *   a new array of new viewpoint objects
+   */
+  function getViewpoints() {
+    
+    var result, i;
+    
+    result = [];
+    for(i = 0; i < m_views.length; i++) {
+      result.push({
+        "name": m_views[i].name,
+        "camera": m_views[i].camera.slice(0),
+        "projection": m_views[i].projection.slice(0)
+      });
+    }
+    
+    return result;
+  }
+  
   /*
    * Load the default scene that is used when no scene file is loaded.
    */
@@ -3123,19 +12551,57 @@
    * Export declarations
    * ===================
    * 
-   * All exports are declared within a global "dla_main" object.
+   * All exports are declared within a single object.  If CommonJS
+   * modules are available, this object is the module exports.
+   * Otherwise, it is the global "dla_main" object.
    */
-  window.dla_main = {
+  var dla_main = {
     "renderScene": renderScene,
+    "beginRender": beginRender,
+    "continueRender": continueRender,
+    "isRendering": isRendering,
+    "exportSVG": exportSVG,
+    "getRenderMode": getRenderMode,
+    "setRenderMode": setRenderMode,
+    "getBSP": getBSP,
+    "setBSP": setBSP,
+    "hasBSPTree": hasBSPTree,
     "getBGColor": getBGColor,
     "setBGColor": setBGColor,
     "getProjection": getProjection,
     "setProjection": setProjection,
+    "frameScene": frameScene,
+    "fitPlanes": fitPlanes,
+    "getLight": getLight,
+    "setLight": setLight,
+    "getLighting": getLighting,
+    "setLighting": setLighting,
+    "getFog": getFog,
+    "setFog": setFog,
+    "getFogColor": getFogColor,
+    "setFogColor": setFogColor,
     "getCamera": getCamera,
     "setCamera": setCamera,
+    "exportCamera": exportCamera,
+    "interpolateCamera": interpolateCamera,
     "loadError": loadError,
     "loadScene": loadScene,
+    "loadBinaryScene": loadBinaryScene,
+    "exportBinaryScene": exportBinaryScene,
+    "exportScene": exportScene,
+    "loadOBJ": loadOBJ,
+    "loadSTL": loadSTL,
+    "loadPLY": loadPLY,
+    "loadGLTF": loadGLTF,
+    "getViewpoints": getViewpoints,
     "loadDefaultScene": loadDefaultScene
   };
   
+  if ((typeof module === "object") && (module !== null) &&
+      (typeof module.exports === "object")) {
+    module.exports = dla_main;
+  } else {
+    window.dla_main = dla_main;
+  }
+  
 }());
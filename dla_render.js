@@ -0,0 +1,488 @@
+"use strict";
+
+/*
+ * dla_render.js
+ * =============
+ * 
+ * Command-line renderer for Delilah Viewer scenes.
+ * 
+ * This Node.js program loads a scene file and a view file, renders the
+ * scene with the same engine the viewer uses, and writes the result to
+ * an SVG or PNG image file.  It is meant for batch jobs such as
+ * rendering thumbnails of generated scene files.
+ * 
+ * Usage:
+ * 
+ *   node dla_render.js [options] scene.json view.json output
+ * 
+ * The scene file has the same format as in the viewer, or it may be a
+ * binary scene file with a .dlb extension.  The view file is a JSON
+ * object in the format of a single bookmark, with optional "camera",
+ * "projection", and "bgcolor" properties.  Any property that is
+ * missing keeps the viewer default.  A bookmarks file exported from
+ * the viewer may also be given as the view file, in which case the
+ * first bookmark is used, or the bookmark named with --mark.
+ * 
+ * Options:
+ * 
+ *   --size WxH    image size in pixels (default 640x360)
+ *   --scale S     line width and point size multiplier (default 1.0)
+ *   --format F    "svg" or "png" (default from output file extension)
+ *   --mark NAME   bookmark to use from a bookmarks file
+ *   --render M    "painter" or "exact" (default painter)
+ *   --bsp B       "on" or "off" to sort with a BSP tree (default off)
+ * 
+ * The exact rendering mode draws with a depth buffer, so that
+ * intersecting objects are drawn correctly.  It only applies to PNG
+ * output, since SVG documents are always drawn with the painter's
+ * algorithm.  Turning on the BSP tree fixes the drawing order of the
+ * painter's algorithm instead, by splitting intersecting triangles and
+ * lines, so it also applies to SVG output.
+ * 
+ * SVG output needs nothing beyond Node.js.  PNG output needs the
+ * "canvas" package from npm, which provides a 2D canvas context in
+ * Node.js.
+ */
+
+var fs = require("fs");
+var path = require("path");
+var dla_main = require("./dla.js");
+
+/*
+ * Constants
+ * =========
+ */
+
+/*
+ * The default image width and height in pixels.
+ */
+var DEFAULT_WIDTH = 640;
+var DEFAULT_HEIGHT = 360;
+
+/*
+ * Maximum image width and height in pixels.
+ */
+var MAX_SIZE = 8192;
+
+/*
+ * Usage summary printed for --help and for command-line errors.
+ */
+var USAGE =
+  "Usage: node dla_render.js [options] scene.json view.json output\n" +
+  "\n" +
+  "Options:\n" +
+  "  --size WxH    image size in pixels (default 640x360)\n" +
+  "  --scale S     line width and point size multiplier (default 1.0)\n" +
+  "  --format F    \"svg\" or \"png\" (default from output extension)\n" +
+  "  --mark NAME   bookmark to use from a bookmarks file\n" +
+  "  --render M    \"painter\" or \"exact\" (default painter)\n" +
+  "  --bsp B       \"on\" or \"off\" to sort with a BSP tree (default off)\n";
+
+/*
+ * Local functions
+ * ===============
+ */
+
+/*
+ * Report an error to standard error and exit with a failure status.
+ * 
+ * Parameters:
+ * 
+ *   msg : string - the error message
+ * 
+ *   show_usage : boolean - true to also print the usage summary
+ */
+function fail(msg, show_usage) {
+  
+  process.stderr.write("dla_render: " + msg + "\n");
+  if (show_usage) {
+    process.stderr.write("\n" + USAGE);
+  }
+  process.exit(1);
+}
+
+/*
+ * Parse the command-line arguments.
+ * 
+ * Any problem with the arguments is reported with fail().
+ * 
+ * Parameters:
+ * 
+ *   args : array of string - the arguments after the program name
+ * 
+ * Return:
+ * 
+ *   object - the parsed options, with properties "scene", "view",
+ *   "output", "width", "height", "scale", "format", "mark", "render",
+ *   and "bsp"
+ */
+function parseArgs(args) {
+  
+  var opt, pos, i, a, v, m;
+  
+  opt = {
+    "width": DEFAULT_WIDTH,
+    "height": DEFAULT_HEIGHT,
+    "scale": 1.0,
+    "format": null,
+    "mark": null,
+    "render": "painter",
+    "bsp": false
+  };
+  pos = [];
+  
+  for(i = 0; i < args.length; i++) {
+    a = args[i];
+    
+    if ((a === "--help") || (a === "-h")) {
+      process.stdout.write(USAGE);
+      process.exit(0);
+    }
+    
+    // Non-options are positional arguments
+    if ((a.length < 3) || (a.slice(0, 2) !== "--")) {
+      pos.push(a);
+      continue;
+    }
+    
+    // All options take a value
+    if (i + 1 >= args.length) {
+      fail("Missing value for " + a, true);
+    }
+    i++;
+    v = args[i];
+    
+    if (a === "--size") {
+      m = /^([0-9]+)x([0-9]+)$/.exec(v);
+      if (m === null) {
+        fail("Size must be in WxH format", true);
+      }
+      opt.width = parseInt(m[1], 10);
+      opt.height = parseInt(m[2], 10);
+      if ((opt.width < 2) || (opt.height < 2) ||
+          (opt.width > MAX_SIZE) || (opt.height > MAX_SIZE)) {
+        fail("Size must be in range [2, " + String(MAX_SIZE) + "]", false);
+      }
+    
+    } else if (a === "--scale") {
+      opt.scale = Number(v);
+      if ((!isFinite(opt.scale)) || (!(opt.scale > 0.0))) {
+        fail("Scale must be a number greater than zero", false);
+      }
+    
+    } else if (a === "--format") {
+      if ((v !== "svg") && (v !== "png")) {
+        fail("Format must be svg or png", true);
+      }
+      opt.format = v;
+    
+    } else if (a === "--mark") {
+      opt.mark = v;
+    
+    } else if (a === "--render") {
+      if ((v !== "painter") && (v !== "exact")) {
+        fail("Rendering mode must be painter or exact", true);
+      }
+      opt.render = v;
+    
+    } else if (a === "--bsp") {
+      if ((v !== "on") && (v !== "off")) {
+        fail("BSP tree must be on or off", true);
+      }
+      opt.bsp = (v === "on");
+    
+    } else {
+      fail("Unknown option " + a, true);
+    }
+  }
+  
+  // Must have exactly three positional arguments
+  if (pos.length !== 3) {
+    fail("Expecting scene, view, and output files", true);
+  }
+  opt.scene = pos[0];
+  opt.view = pos[1];
+  opt.output = pos[2];
+  
+  // Determine format from extension if not given
+  if (opt.format === null) {
+    v = path.extname(opt.output).toLowerCase();
+    if (v === ".svg") {
+      opt.format = "svg";
+    } else if (v === ".png") {
+      opt.format = "png";
+    } else {
+      fail("Can't tell format from output file name; use --format", true);
+    }
+  }
+  
+  return opt;
+}
+
+/*
+ * Read a file and parse it as JSON.
+ * 
+ * Any problem reading or parsing the file is reported with fail().
+ * 
+ * Parameters:
+ * 
+ *   fpath : string - the path to the file
+ * 
+ * Return:
+ * 
+ *   the parsed JSON value
+ */
+function readJSON(fpath) {
+  
+  var str;
+  
+  try {
+    str = fs.readFileSync(fpath, "utf8");
+  } catch (ex) {
+    fail("Can't read " + fpath + ": " + ex.message, false);
+  }
+  
+  try {
+    return JSON.parse(str);
+  } catch (ex) {
+    fail("Can't parse " + fpath + " as JSON", false);
+  }
+}
+
+/*
+ * Check whether a value is an array of the given length where every
+ * element is a finite number.
+ * 
+ * Parameters:
+ * 
+ *   a : any - the value to check
+ * 
+ *   n : integer - the required length
+ * 
+ * Return:
+ * 
+ *   true if the value is such an array, false otherwise
+ */
+function isNumArray(a, n) {
+  
+  var i;
+  
+  if ((!(a instanceof Array)) || (a.length !== n)) {
+    return false;
+  }
+  for(i = 0; i < n; i++) {
+    if ((typeof a[i] !== "number") || (!isFinite(a[i]))) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/*
+ * Apply a view object to the engine.
+ * 
+ * The view object has optional "camera", "projection", and "bgcolor"
+ * properties in the same format as a viewer bookmark.  Any problem with
+ * the view is reported with fail().
+ * 
+ * Parameters:
+ * 
+ *   v : object - the view
+ */
+function applyView(v) {
+  
+  var c, p, b;
+  
+  if ((typeof v !== "object") || (v === null) || (v instanceof Array)) {
+    fail("View must be a JSON object", false);
+  }
+  
+  // Apply the camera
+  if ("camera" in v) {
+    c = v.camera;
+    if (!isNumArray(c, 6)) {
+      fail("View camera must be array of six numbers", false);
+    }
+    if ((!((c[3] >= 0.0) && (c[3] < 1.0))) ||
+        (!((c[4] >= -1.0) && (c[4] <= 1.0))) ||
+        (!((c[5] >= 0.0) && (c[5] < 1.0)))) {
+      fail("View camera angles out of range", false);
+    }
+    dla_main.setCamera(c[0], c[1], c[2], c[3], c[4], c[5]);
+  }
+  
+  // Apply the projection, where the fourth number is the orthographic
+  // view height and may be left out for perspective
+  if ("projection" in v) {
+    p = v.projection;
+    if ((!isNumArray(p, 3)) && (!isNumArray(p, 4))) {
+      fail("View projection must be array of three or four numbers", false);
+    }
+    if (!((p[0] > 0.0) && (p[0] < 1.0))) {
+      fail("View field of view out of range", false);
+    }
+    if ((p.length > 3) && (!(p[3] >= 0.0))) {
+      fail("View height must not be negative", false);
+    }
+    if ((!(p[3] > 0.0)) && (!(p[1] < 1 / Math.tan(p[0] * Math.PI / 2)))) {
+      fail("View near plane must be less than limit", false);
+    }
+    if (!(p[2] < p[1])) {
+      fail("View far plane must be less than near", false);
+    }
+    dla_main.setProjection(p[0], p[1], p[2],
+                            (p.length > 3) ? p[3] : 0.0);
+  }
+  
+  // Apply the background color
+  if ("bgcolor" in v) {
+    b = v.bgcolor;
+    if (!isNumArray(b, 3)) {
+      fail("View background must be array of three numbers", false);
+    }
+    if ((b[0] !== Math.floor(b[0])) || (b[0] < 0) || (b[0] > 255) ||
+        (b[1] !== Math.floor(b[1])) || (b[1] < 0) || (b[1] > 255) ||
+        (b[2] !== Math.floor(b[2])) || (b[2] < 0) || (b[2] > 255)) {
+      fail("View background channels must be in range [0, 255]", false);
+    }
+    dla_main.setBGColor(b[0], b[1], b[2]);
+  }
+}
+
+/*
+ * Select the view to use from a parsed view file.
+ * 
+ * If the file is a bookmarks file, the bookmark with the requested name
+ * is selected, or the first bookmark if no name was requested.
+ * Otherwise, the file itself is the view, and requesting a bookmark
+ * name is an error.
+ * 
+ * Parameters:
+ * 
+ *   data : any - the parsed view file
+ * 
+ *   mark : string | null - the requested bookmark name, or null
+ * 
+ * Return:
+ * 
+ *   the view object
+ */
+function selectView(data, mark) {
+  
+  var list, i;
+  
+  // If not a bookmarks file, the file is the view
+  if ((typeof data !== "object") || (data === null) ||
+      (!(data.bookmarks instanceof Array))) {
+    if (mark !== null) {
+      fail("View file is not a bookmarks file", false);
+    }
+    return data;
+  }
+  
+  list = data.bookmarks;
+  if (list.length < 1) {
+    fail("Bookmarks file has no bookmarks", false);
+  }
+  
+  if (mark === null) {
+    return list[0];
+  }
+  
+  for(i = 0; i < list.length; i++) {
+    if ((typeof list[i] === "object") && (list[i] !== null) &&
+        (list[i].name === mark)) {
+      return list[i];
+    }
+  }
+  
+  fail("No bookmark named " + mark, false);
+}
+
+/*
+ * Render the scene to a PNG image.
+ * 
+ * This needs the "canvas" package from npm.
+ * 
+ * Parameters:
+ * 
+ *   w : integer - the width in pixels
+ * 
+ *   h : integer - the height in pixels
+ * 
+ *   ss : number - the stroke scale
+ * 
+ * Return:
+ * 
+ *   Buffer - the PNG file data
+ */
+function renderPNG(w, h, ss) {
+  
+  var canvas_pkg, cnv;
+  
+  // Load the canvas package
+  try {
+    canvas_pkg = require("canvas");
+  } catch (ex) {
+    fail("PNG output needs the canvas package from npm; " +
+          "install it or write SVG instead", false);
+  }
+  
+  // Render into a canvas and encode it
+  cnv = canvas_pkg.createCanvas(w, h);
+  dla_main.renderScene(cnv.getContext("2d"), w, h, ss);
+  return cnv.toBuffer("image/png");
+}
+
+/*
+ * Program entry point.
+ */
+function main() {
+  
+  var opt, data, binary, ok;
+  
+  // Get the options
+  opt = parseArgs(process.argv.slice(2));
+  
+  // Load the scene, passing the file data through unchanged so that
+  // the engine reports any syntax errors the same way as the viewer;
+  // binary scene files are read as bytes and all others as text
+  binary = (path.extname(opt.scene).toLowerCase() === ".dlb");
+  try {
+    data = fs.readFileSync(opt.scene, binary ? null : "utf8");
+  } catch (ex) {
+    fail("Can't read " + opt.scene + ": " + ex.message, false);
+  }
+  
+  if (binary) {
+    ok = dla_main.loadBinaryScene(data);
+  } else {
+    ok = dla_main.loadScene(data);
+  }
+  if (!ok) {
+    fail("Failed to load " + opt.scene + ": " + dla_main.loadError(),
+          false);
+  }
+  
+  // Apply the view
+  applyView(selectView(readJSON(opt.view), opt.mark));
+  
+  // Render in the requested mode and format, with the BSP tree if it
+  // was asked for
+  dla_main.setRenderMode(opt.render);
+  dla_main.setBSP(opt.bsp);
+  if (opt.format === "svg") {
+    data = dla_main.exportSVG(opt.width, opt.height, opt.scale);
+  } else {
+    data = renderPNG(opt.width, opt.height, opt.scale);
+  }
+  
+  // Write the output
+  try {
+    fs.writeFileSync(opt.output, data);
+  } catch (ex) {
+    fail("Can't write " + opt.output + ": " + ex.message, false);
+  }
+}
+
+main();